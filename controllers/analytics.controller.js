@@ -0,0 +1,666 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import Restaurant from "../models/restaurant.model.js";
+import Review from "../models/review.model.js";
+import RestaurantReview from "../models/restaurantReview.model.js";
+import Seller from "../models/seller.model.js";
+import { sendBadRequestResponse, sendErrorResponse, sendNotFoundResponse, sendSuccessResponse } from "../utils/response.utils.js";
+import { roundMoney } from "../utils/refund.utils.js";
+import { sendCsv, toCsv } from "../utils/csv.utils.js";
+import {
+  AnalyticsError,
+  bucketExpression,
+  formatPeriod,
+  itemAmountExpression,
+  parseDateRange,
+  parseGranularity,
+  percentage
+} from "../utils/analytics.utils.js";
+
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD ?? 5);
+const CLOSED_ITEM_STATUSES = ["cancelled", "returned"];
+
+const handleAnalyticsError = (res, error) => {
+  if (error instanceof AnalyticsError) return sendErrorResponse(res, error.statusCode, error.message);
+  return sendErrorResponse(res, 500, error.message);
+};
+
+const parseLimit = (value, fallback, max = 50) => {
+  const limit = parseInt(value);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, max) : fallback;
+};
+
+const ratingSummary = async (model, field, match) => {
+  const [stats] = await model.aggregate([
+    { $match: match },
+    { $group: { _id: null, average: { $avg: `$${field}` }, count: { $sum: 1 } } }
+  ]);
+  return { average: stats ? Math.round(stats.average * 10) / 10 : 0, count: stats?.count || 0 };
+};
+
+/*
+ * GET /seller/dashboard?from=&to=&granularity=day|week|month&restaurantId=
+ * Sellers see their own numbers; admins pass ?sellerId=. Everything is based
+ * on the seller's order lines placed in the range. Revenue counts lines that
+ * were not cancelled or returned, at the price the customer paid.
+ */
+export const getSellerDashboard = async (req, res) => {
+  try {
+    const isAdmin = req.user?.role === "admin";
+    const sellerIdParam = isAdmin ? req.query.sellerId : req.user?._id;
+    const { restaurantId } = req.query;
+
+    if (!sellerIdParam) return sendBadRequestResponse(res, "sellerId is required");
+    if (!mongoose.Types.ObjectId.isValid(sellerIdParam)) return sendBadRequestResponse(res, "Invalid seller ID");
+    const sellerId = new mongoose.Types.ObjectId(String(sellerIdParam));
+
+    const { from, to } = parseDateRange(req.query);
+    const granularity = parseGranularity(req.query.granularity);
+    const topLimit = parseLimit(req.query.top, 5);
+    const lowStockThreshold = req.query.lowStock !== undefined ? Number(req.query.lowStock) : LOW_STOCK_THRESHOLD;
+    if (!Number.isFinite(lowStockThreshold) || lowStockThreshold < 0) {
+      return sendBadRequestResponse(res, "lowStock must be a non-negative number");
+    }
+
+    let restaurants;
+    if (restaurantId) {
+      if (!mongoose.Types.ObjectId.isValid(restaurantId)) return sendBadRequestResponse(res, "Invalid restaurant ID");
+      restaurants = await Restaurant.find({ _id: restaurantId, sellerId }).select("_id title").lean();
+      if (restaurants.length === 0) return sendNotFoundResponse(res, "Restaurant not found for this seller");
+    } else {
+      restaurants = await Restaurant.find({ sellerId }).select("_id title").lean();
+    }
+    const restaurantFilter = restaurantId ? new mongoose.Types.ObjectId(String(restaurantId)) : null;
+
+    const itemMatch = { "items.sellerId": sellerId, ...(restaurantFilter && { "items.restaurantId": restaurantFilter }) };
+    const openLine = { "items.itemStatus": { $nin: CLOSED_ITEM_STATUSES } };
+
+    const [facets] = await Order.aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to }, ...itemMatch } },
+      { $unwind: "$items" },
+      { $match: itemMatch },
+      { $addFields: { lineAmount: itemAmountExpression("$items") } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                orders: { $addToSet: "$_id" },
+                lines: { $sum: 1 },
+                cancelledLines: { $sum: { $cond: [{ $eq: ["$items.itemStatus", "cancelled"] }, 1, 0] } },
+                returnedLines: { $sum: { $cond: [{ $eq: ["$items.itemStatus", "returned"] }, 1, 0] } },
+                deliveredLines: { $sum: { $cond: [{ $eq: ["$items.itemStatus", "delivered"] }, 1, 0] } }
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                orders: { $size: "$orders" },
+                lines: 1,
+                cancelledLines: 1,
+                returnedLines: 1,
+                deliveredLines: 1
+              }
+            }
+          ],
+          revenue: [
+            { $match: openLine },
+            {
+              $group: {
+                _id: null,
+                revenue: { $sum: "$lineAmount" },
+                units: { $sum: "$items.quantity" },
+                orders: { $addToSet: "$_id" }
+              }
+            },
+            { $project: { _id: 0, revenue: 1, units: 1, orders: { $size: "$orders" } } }
+          ],
+          revenueSeries: [
+            { $match: openLine },
+            {
+              $group: {
+                _id: bucketExpression("$createdAt", granularity),
+                revenue: { $sum: "$lineAmount" },
+                units: { $sum: "$items.quantity" },
+                orders: { $addToSet: "$_id" }
+              }
+            },
+            { $project: { _id: 0, period: "$_id", revenue: 1, units: 1, orders: { $size: "$orders" } } },
+            { $sort: { period: 1 } }
+          ],
+          byStatus: [
+            {
+              $group: {
+                _id: "$items.itemStatus",
+                lines: { $sum: 1 },
+                units: { $sum: "$items.quantity" },
+                orders: { $addToSet: "$_id" }
+              }
+            },
+            { $project: { _id: 0, status: "$_id", lines: 1, units: 1, orders: { $size: "$orders" } } },
+            { $sort: { lines: -1 } }
+          ],
+          topProducts: [
+            { $match: openLine },
+            {
+              $group: {
+                _id: "$items.product",
+                revenue: { $sum: "$lineAmount" },
+                units: { $sum: "$items.quantity" },
+                orders: { $addToSet: "$_id" }
+              }
+            },
+            { $sort: { revenue: -1, units: -1 } },
+            { $limit: topLimit },
+            {
+              $lookup: {
+                from: Product.collection.name,
+                localField: "_id",
+                foreignField: "_id",
+                as: "product",
+                pipeline: [{ $project: { title: 1, image: 1, docType: 1, stock: 1 } }]
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                productId: "$_id",
+                product: { $first: "$product" },
+                revenue: 1,
+                units: 1,
+                orders: { $size: "$orders" }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const totals = facets.totals[0] || { orders: 0, lines: 0, cancelledLines: 0, returnedLines: 0, deliveredLines: 0 };
+    const revenue = facets.revenue[0] || { revenue: 0, units: 0, orders: 0 };
+
+    const productFilter = { sellerId, ...(restaurantFilter && { restaurantId: restaurantFilter }) };
+    const productIds = await Product.find(productFilter).distinct("_id");
+    const reviewRange = { createdAt: { $gte: from, $lte: to } };
+
+    const [productRating, restaurantRating, lowStock] = await Promise.all([
+      ratingSummary(Review, "overallRating", { productId: { $in: productIds }, ...reviewRange }),
+      ratingSummary(RestaurantReview, "rating", { restaurantId: { $in: restaurants.map(r => r._id) }, ...reviewRange }),
+      Product.find({ ...productFilter, isActive: true, stock: { $lte: lowStockThreshold } })
+        .select("title image stock inStock price docType restaurantId")
+        .sort({ stock: 1, title: 1 })
+        .limit(50)
+        .lean()
+    ]);
+
+    const reviewCount = productRating.count + restaurantRating.count;
+    const combinedAverage = reviewCount > 0
+      ? Math.round(((productRating.average * productRating.count) + (restaurantRating.average * restaurantRating.count)) / reviewCount * 10) / 10
+      : 0;
+
+    return sendSuccessResponse(res, "Seller dashboard fetched", {
+      range: { from, to, granularity },
+      sellerId,
+      restaurantId: restaurantFilter,
+      summary: {
+        revenue: roundMoney(revenue.revenue),
+        orders: totals.orders,
+        billableOrders: revenue.orders,
+        unitsSold: revenue.units,
+        averageOrderValue: revenue.orders > 0 ? roundMoney(revenue.revenue / revenue.orders) : 0,
+        lines: totals.lines,
+        // share of lines cancelled; returns are measured against lines that reached the customer
+        cancellationRate: percentage(totals.cancelledLines, totals.lines),
+        returnRate: percentage(totals.returnedLines, totals.deliveredLines + totals.returnedLines)
+      },
+      revenueSeries: facets.revenueSeries.map(point => ({ ...point, revenue: roundMoney(point.revenue) })),
+      ordersByStatus: facets.byStatus,
+      topProducts: facets.topProducts.map(product => ({ ...product, revenue: roundMoney(product.revenue) })),
+      ratings: {
+        average: combinedAverage,
+        reviews: reviewCount,
+        products: productRating,
+        restaurants: restaurantRating
+      },
+      lowStock: {
+        threshold: lowStockThreshold,
+        products: lowStock
+      }
+    });
+  } catch (error) {
+    return handleAnalyticsError(res, error);
+  }
+};
+
+// Admin reports. Orders count from when they were placed; online orders whose
+// payment failed never became sales and are left out everywhere.
+const PLACED_ORDERS = { "paymentInfo.status": { $ne: "failed" } };
+const NOT_CANCELLED = { "orderStatus.current": { $ne: "cancelled" } };
+
+const money = (value) => roundMoney(value || 0);
+
+const placedInRange = ({ from, to }) => ({ createdAt: { $gte: from, $lte: to }, ...PLACED_ORDERS });
+
+// GMV is what customers were charged; net revenue leaves out cancelled orders
+// and whatever was refunded on the rest.
+const gmvReport = async ({ from, to, granularity }) => {
+  const rows = await Order.aggregate([
+    { $match: placedInRange({ from, to }) },
+    {
+      $addFields: {
+        cancelled: { $eq: ["$orderStatus.current", "cancelled"] },
+        refunded: { $ifNull: ["$paymentInfo.refundAmount", 0] },
+        fees: { $ifNull: ["$priceSummary.totalFees", { $ifNull: ["$priceSummary.deliveryCharge", 0] }] }
+      }
+    },
+    {
+      $group: {
+        _id: bucketExpression("$createdAt", granularity),
+        orders: { $sum: 1 },
+        cancelledOrders: { $sum: { $cond: ["$cancelled", 1, 0] } },
+        gmv: { $sum: "$priceSummary.finalTotal" },
+        refunds: { $sum: "$refunded" },
+        netRevenue: { $sum: { $cond: ["$cancelled", 0, { $subtract: ["$priceSummary.finalTotal", "$refunded"] }] } },
+        fees: { $sum: { $cond: ["$cancelled", 0, "$fees"] } },
+        tax: { $sum: { $cond: ["$cancelled", 0, { $ifNull: ["$priceSummary.tax.totalTax", 0] }] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return {
+    columns: [
+      { key: "period", label: "Period" },
+      { key: "orders", label: "Orders" },
+      { key: "cancelledOrders", label: "Cancelled Orders" },
+      { key: "gmv", label: "GMV" },
+      { key: "refunds", label: "Refunds" },
+      { key: "netRevenue", label: "Net Revenue" },
+      { key: "fees", label: "Fees" },
+      { key: "tax", label: "GST Included" }
+    ],
+    rows: rows.map(row => ({
+      period: formatPeriod(row._id),
+      orders: row.orders,
+      cancelledOrders: row.cancelledOrders,
+      gmv: money(row.gmv),
+      refunds: money(row.refunds),
+      netRevenue: money(row.netRevenue),
+      fees: money(row.fees),
+      tax: money(row.tax)
+    }))
+  };
+};
+
+// A customer is new in the period that holds their first ever order.
+const customersReport = async ({ from, to, granularity }) => {
+  const rows = await Order.aggregate([
+    { $match: placedInRange({ from, to }) },
+    {
+      $group: {
+        _id: { period: bucketExpression("$createdAt", granularity), userId: "$userId" },
+        orders: { $sum: 1 },
+        gmv: { $sum: "$priceSummary.finalTotal" }
+      }
+    },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        let: { userId: "$_id.userId" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$userId", "$$userId"] }, ...PLACED_ORDERS } },
+          { $sort: { createdAt: 1 } },
+          { $limit: 1 },
+          { $project: { _id: 0, createdAt: 1 } }
+        ],
+        as: "firstOrder"
+      }
+    },
+    {
+      $addFields: {
+        isNew: { $eq: [bucketExpression({ $first: "$firstOrder.createdAt" }, granularity), "$_id.period"] }
+      }
+    },
+    {
+      $group: {
+        _id: "$_id.period",
+        customers: { $sum: 1 },
+        newCustomers: { $sum: { $cond: ["$isNew", 1, 0] } },
+        repeatCustomers: { $sum: { $cond: ["$isNew", 0, 1] } },
+        newCustomerOrders: { $sum: { $cond: ["$isNew", "$orders", 0] } },
+        repeatCustomerOrders: { $sum: { $cond: ["$isNew", 0, "$orders"] } },
+        newCustomerGmv: { $sum: { $cond: ["$isNew", "$gmv", 0] } },
+        repeatCustomerGmv: { $sum: { $cond: ["$isNew", 0, "$gmv"] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return {
+    columns: [
+      { key: "period", label: "Period" },
+      { key: "customers", label: "Customers" },
+      { key: "newCustomers", label: "New Customers" },
+      { key: "repeatCustomers", label: "Repeat Customers" },
+      { key: "repeatRate", label: "Repeat %" },
+      { key: "newCustomerOrders", label: "Orders (New)" },
+      { key: "repeatCustomerOrders", label: "Orders (Repeat)" },
+      { key: "newCustomerGmv", label: "GMV (New)" },
+      { key: "repeatCustomerGmv", label: "GMV (Repeat)" }
+    ],
+    rows: rows.map(row => ({
+      period: formatPeriod(row._id),
+      customers: row.customers,
+      newCustomers: row.newCustomers,
+      repeatCustomers: row.repeatCustomers,
+      repeatRate: percentage(row.repeatCustomers, row.customers),
+      newCustomerOrders: row.newCustomerOrders,
+      repeatCustomerOrders: row.repeatCustomerOrders,
+      newCustomerGmv: money(row.newCustomerGmv),
+      repeatCustomerGmv: money(row.repeatCustomerGmv)
+    }))
+  };
+};
+
+const citiesReport = async ({ from, to, limit }) => {
+  const rows = await Order.aggregate([
+    { $match: placedInRange({ from, to }) },
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: { $ifNull: ["$shippingAddress.city", ""] } } } },
+        state: { $first: "$shippingAddress.state" },
+        orders: { $sum: 1 },
+        customers: { $addToSet: "$userId" },
+        gmv: { $sum: "$priceSummary.finalTotal" },
+        cancelledOrders: { $sum: { $cond: [{ $eq: ["$orderStatus.current", "cancelled"] }, 1, 0] } }
+      }
+    },
+    { $sort: { orders: -1, gmv: -1 } },
+    { $limit: limit }
+  ]);
+
+  return {
+    columns: [
+      { key: "city", label: "City" },
+      { key: "state", label: "State" },
+      { key: "orders", label: "Orders" },
+      { key: "customers", label: "Customers" },
+      { key: "gmv", label: "GMV" },
+      { key: "cancelledOrders", label: "Cancelled Orders" }
+    ],
+    rows: rows.map(row => ({
+      city: row._id || "unknown",
+      state: row.state || null,
+      orders: row.orders,
+      customers: row.customers.length,
+      gmv: money(row.gmv),
+      cancelledOrders: row.cancelledOrders
+    }))
+  };
+};
+
+const paymentMethodsReport = async ({ from, to }) => {
+  const rows = await Order.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: "$paymentInfo.method",
+        orders: { $sum: 1 },
+        paidOrders: { $sum: { $cond: [{ $in: ["$paymentInfo.status", ["completed", "partially_refunded", "refunded"]] }, 1, 0] } },
+        failedOrders: { $sum: { $cond: [{ $eq: ["$paymentInfo.status", "failed"] }, 1, 0] } },
+        gmv: { $sum: { $cond: [{ $ne: ["$paymentInfo.status", "failed"] }, "$priceSummary.finalTotal", 0] } },
+        refunds: { $sum: { $ifNull: ["$paymentInfo.refundAmount", 0] } }
+      }
+    },
+    { $sort: { orders: -1 } }
+  ]);
+
+  const totalOrders = rows.reduce((sum, row) => sum + row.orders, 0);
+
+  return {
+    columns: [
+      { key: "method", label: "Payment Method" },
+      { key: "orders", label: "Orders" },
+      { key: "share", label: "Share %" },
+      { key: "paidOrders", label: "Paid Orders" },
+      { key: "failedOrders", label: "Failed Payments" },
+      { key: "gmv", label: "GMV" },
+      { key: "refunds", label: "Refunds" }
+    ],
+    rows: rows.map(row => ({
+      method: row._id || "unknown",
+      orders: row.orders,
+      share: percentage(row.orders, totalOrders),
+      paidOrders: row.paidOrders,
+      failedOrders: row.failedOrders,
+      gmv: money(row.gmv),
+      refunds: money(row.refunds)
+    }))
+  };
+};
+
+// Coupon cost is the discount given on orders that were not cancelled;
+// cancelled orders hand their redemption back.
+const couponsReport = async ({ from, to, limit }) => {
+  const rows = await Order.aggregate([
+    { $match: { ...placedInRange({ from, to }), ...NOT_CANCELLED, "priceSummary.couponDiscount": { $gt: 0 } } },
+    {
+      $group: {
+        _id: "$appliedOffers.coupon.code",
+        couponId: { $first: "$appliedOffers.coupon.couponId" },
+        orders: { $sum: 1 },
+        customers: { $addToSet: "$userId" },
+        discount: { $sum: "$priceSummary.couponDiscount" },
+        gmv: { $sum: "$priceSummary.finalTotal" }
+      }
+    },
+    { $sort: { discount: -1 } },
+    { $limit: limit }
+  ]);
+
+  return {
+    columns: [
+      { key: "code", label: "Coupon" },
+      { key: "orders", label: "Orders" },
+      { key: "customers", label: "Customers" },
+      { key: "discount", label: "Discount Given" },
+      { key: "gmv", label: "GMV" },
+      { key: "costPercent", label: "Cost % of GMV" }
+    ],
+    rows: rows.map(row => ({
+      code: row._id || "unknown",
+      couponId: row.couponId || null,
+      orders: row.orders,
+      customers: row.customers.length,
+      discount: money(row.discount),
+      gmv: money(row.gmv),
+      costPercent: percentage(row.discount, row.gmv)
+    }))
+  };
+};
+
+// Bucketed by when the money went back, not when the order was placed.
+const refundsReport = async ({ from, to, granularity }) => {
+  const rows = await Order.aggregate([
+    { $match: { "paymentInfo.refundDate": { $gte: from, $lte: to }, "paymentInfo.refundAmount": { $gt: 0 } } },
+    {
+      $group: {
+        _id: bucketExpression("$paymentInfo.refundDate", granularity),
+        orders: { $sum: 1 },
+        fullRefunds: { $sum: { $cond: [{ $eq: ["$paymentInfo.status", "refunded"] }, 1, 0] } },
+        partialRefunds: { $sum: { $cond: [{ $eq: ["$paymentInfo.status", "partially_refunded"] }, 1, 0] } },
+        amount: { $sum: "$paymentInfo.refundAmount" },
+        codAmount: { $sum: { $cond: [{ $eq: ["$paymentInfo.method", "cod"] }, "$paymentInfo.refundAmount", 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return {
+    columns: [
+      { key: "period", label: "Period" },
+      { key: "orders", label: "Orders Refunded" },
+      { key: "fullRefunds", label: "Full Refunds" },
+      { key: "partialRefunds", label: "Partial Refunds" },
+      { key: "amount", label: "Amount Refunded" },
+      { key: "onlineAmount", label: "Online" },
+      { key: "codAmount", label: "COD (offline)" }
+    ],
+    rows: rows.map(row => ({
+      period: formatPeriod(row._id),
+      orders: row.orders,
+      fullRefunds: row.fullRefunds,
+      partialRefunds: row.partialRefunds,
+      amount: money(row.amount),
+      onlineAmount: money(row.amount - row.codAmount),
+      codAmount: money(row.codAmount)
+    }))
+  };
+};
+
+const topLinesPipeline = ({ from, to, limit }, groupField, extraMatch = {}) => [
+  { $match: { ...placedInRange({ from, to }), ...NOT_CANCELLED } },
+  { $unwind: "$items" },
+  { $match: { "items.itemStatus": { $nin: CLOSED_ITEM_STATUSES }, ...extraMatch } },
+  {
+    $group: {
+      _id: groupField,
+      revenue: { $sum: itemAmountExpression("$items") },
+      units: { $sum: "$items.quantity" },
+      orders: { $addToSet: "$_id" }
+    }
+  },
+  { $sort: { revenue: -1 } },
+  { $limit: limit }
+];
+
+const topRestaurantsReport = async (range) => {
+  const rows = await Order.aggregate([
+    ...topLinesPipeline(range, "$items.restaurantId", { "items.restaurantId": { $ne: null } }),
+    {
+      $lookup: {
+        from: Restaurant.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "restaurant",
+        pipeline: [{ $project: { title: 1, sellerId: 1 } }]
+      }
+    }
+  ]);
+
+  return {
+    columns: [
+      { key: "restaurantId", label: "Restaurant ID" },
+      { key: "name", label: "Restaurant" },
+      { key: "orders", label: "Orders" },
+      { key: "units", label: "Units" },
+      { key: "revenue", label: "Revenue" }
+    ],
+    rows: rows.map(row => ({
+      restaurantId: row._id,
+      name: row.restaurant[0]?.title || null,
+      sellerId: row.restaurant[0]?.sellerId || null,
+      orders: row.orders.length,
+      units: row.units,
+      revenue: money(row.revenue)
+    }))
+  };
+};
+
+const topSellersReport = async (range) => {
+  const rows = await Order.aggregate([
+    ...topLinesPipeline(range, "$items.sellerId"),
+    {
+      $lookup: {
+        from: Seller.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "seller",
+        pipeline: [{ $project: { firstName: 1, lastName: 1, legalName: 1, email: 1 } }]
+      }
+    }
+  ]);
+
+  return {
+    columns: [
+      { key: "sellerId", label: "Seller ID" },
+      { key: "name", label: "Seller" },
+      { key: "legalName", label: "Legal Name" },
+      { key: "email", label: "Email" },
+      { key: "orders", label: "Orders" },
+      { key: "units", label: "Units" },
+      { key: "revenue", label: "Revenue" }
+    ],
+    rows: rows.map(row => {
+      const seller = row.seller[0] || {};
+      return {
+        sellerId: row._id,
+        name: [seller.firstName, seller.lastName].filter(Boolean).join(" ") || null,
+        legalName: seller.legalName || null,
+        email: seller.email || null,
+        orders: row.orders.length,
+        units: row.units,
+        revenue: money(row.revenue)
+      };
+    })
+  };
+};
+
+const ADMIN_REPORTS = {
+  gmv: { title: "GMV and net revenue", build: gmvReport },
+  customers: { title: "New vs repeat customers", build: customersReport },
+  cities: { title: "Orders by city", build: citiesReport },
+  "payment-methods": { title: "Payment method mix", build: paymentMethodsReport },
+  coupons: { title: "Coupon cost", build: couponsReport },
+  refunds: { title: "Refunds", build: refundsReport },
+  "top-restaurants": { title: "Top restaurants", build: topRestaurantsReport },
+  "top-sellers": { title: "Top sellers", build: topSellersReport }
+};
+
+export const getAdminReportList = async (req, res) => {
+  return sendSuccessResponse(res, "Reports fetched", Object.entries(ADMIN_REPORTS).map(([key, report]) => ({
+    key,
+    title: report.title
+  })));
+};
+
+/*
+ * GET /admin/reports/:report?from=&to=&granularity=&limit=&format=csv
+ * Time series reports bucket by granularity; ranked ones return `limit` rows.
+ */
+export const getAdminReport = async (req, res) => {
+  try {
+    const report = ADMIN_REPORTS[req.params.report];
+    if (!report) {
+      return sendNotFoundResponse(res, `Unknown report. Available: ${Object.keys(ADMIN_REPORTS).join(", ")}`);
+    }
+
+    const { from, to } = parseDateRange(req.query);
+    const granularity = parseGranularity(req.query.granularity);
+    const limit = parseLimit(req.query.limit, 10, 500);
+
+    const { columns, rows } = await report.build({ from, to, granularity, limit });
+
+    if (req.query.format === "csv") {
+      const filename = `${req.params.report}-${formatPeriod(from)}-to-${formatPeriod(to)}.csv`;
+      return sendCsv(res, filename, toCsv(columns, rows));
+    }
+
+    return sendSuccessResponse(res, `${report.title} report fetched`, {
+      report: req.params.report,
+      range: { from, to, granularity },
+      columns: columns.map(col => ({ key: col.key, label: col.label })),
+      rows
+    });
+  } catch (error) {
+    return handleAnalyticsError(res, error);
+  }
+};
+
+export default {
+  getSellerDashboard,
+  getAdminReportList,
+  getAdminReport
+};
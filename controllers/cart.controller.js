@@ -1,13 +1,23 @@
 import mongoose from "mongoose";
 import Cart from "../models/cart.model.js";
 import Product from "../models/product.model.js";
-import Coupon from "../models/coupon.model.js";
-import { sendBadRequestResponse, sendErrorResponse, sendNotFoundResponse, sendSuccessResponse } from "../utils/response.utils.js";
+import Order from "../models/order.model.js";
+import { sendBadRequestResponse, sendErrorResponse, sendNotFoundResponse, sendResponse, sendSuccessResponse } from "../utils/response.utils.js";
+import { buildEmiQuote } from "../utils/emi.utils.js";
+import { FEE_LABELS } from "../utils/fee.utils.js";
+import { applyCartCoupon, getFeeContext, refreshCartTotals, removeCartCoupon } from "../utils/cart.utils.js";
+import { computeCartTax } from "../utils/tax.utils.js";
+import { autoApplyBestCoupon, CouponError, getCouponValue, listCartCoupons, refreshCartCoupon, splitCouponDiscount } from "../utils/coupon.utils.js";
+import { assertRestaurantsOpen, RestaurantClosedError } from "../utils/restaurantHours.utils.js";
+import { assertSellersApproved, SellerNotApprovedError } from "../utils/sellerOnboarding.utils.js";
+import { assertCartServiceable, checkCartServiceability, UnserviceableError } from "../utils/serviceability.utils.js";
+import { describeCustomizations, MenuError, resolveCustomizations } from "../utils/menu.utils.js";
+import { PackSizeError, resolvePackSize } from "../utils/packSize.utils.js";
 
 export const addToCart = async (req, res) => {
   try {
     const userId = req.user?._id;
-    const { productId, quantity } = req.body;
+    const { productId, quantity, customizations, variantId } = req.body;
 
     if (!userId) return sendBadRequestResponse(res, "User ID required");
     if (quantity === undefined || quantity === null) return sendBadRequestResponse(res, "Quantity required");
@@ -21,39 +31,70 @@ export const addToCart = async (req, res) => {
     const product = await Product.findById(productId).lean();
     if (!product) return sendNotFoundResponse(res, "Product not found");
 
-    let stock = product.stock || 0;
+    // Products with pack sizes are bought by pack size (the default one when
+    // no variantId is sent), each with its own price and stock
+    const packSize = resolvePackSize(product, variantId);
+    const unit = packSize || product;
+
+    let stock = unit.stock || 0;
     let price = 0;
     let discountedPrice = null;
 
-    if (!product.inStock || stock <= 0) {
-      return sendBadRequestResponse(res, "Product is out of stock");
+    if (!unit.inStock || stock <= 0) {
+      return sendBadRequestResponse(res, packSize ? `${packSize.label} is out of stock` : "Product is out of stock");
     }
 
-    price = product.price || 0;
-    discountedPrice = (product.discountedPrice && product.discountedPrice < price)
-      ? product.discountedPrice
+    // Variants and add-ons are priced on top of the product, discount or not
+    const { customizations: chosen, extraPrice, key } = product.docType === "delivery"
+      ? resolveCustomizations(product, customizations, { strict: quantity > 0 })
+      : { customizations: null, extraPrice: 0, key: "" };
+
+    price = (unit.price || 0) + extraPrice;
+    discountedPrice = (unit.discountedPrice && unit.discountedPrice < unit.price)
+      ? unit.discountedPrice + extraPrice
       : null;
 
     if (stock < quantity) {
       return sendBadRequestResponse(res, `Insufficient stock. Available: ${stock}`);
     }
 
+    if (quantity > 0) {
+      await assertSellersApproved([{ itemId: null, title: product.title, sellerId: product.sellerId }]);
+    }
+
+    // Removing items from a closed restaurant's basket is still allowed.
+    if (quantity > 0 && product.docType === "delivery") {
+      await assertRestaurantsOpen([product.restaurantId]);
+    }
+    if (quantity > 0 && product.docType !== "delivery") {
+      const { address } = await getFeeContext(userId);
+      await assertCartServiceable([{ _id: null, product, sellerId: product.sellerId }], address?.pincode);
+    }
+
     const finalUnitPrice = discountedPrice !== null ? discountedPrice : price;
 
-    const existingIndex = cart.items.findIndex(item => item.product.toString() === productId);
+    const packSizeId = packSize ? String(packSize._id) : "";
+    const sameUnit = (item) => item.product.toString() === productId && String(item.variantId || "") === packSizeId;
+
+    const existingIndex = cart.items.findIndex(item => sameUnit(item) && (item.customizationKey || "") === key);
+    // Other customisations of the same product (or pack size) share its stock
+    const otherLinesQty = cart.items
+      .filter((item, index) => index !== existingIndex && sameUnit(item))
+      .reduce((sum, item) => sum + item.quantity, 0);
 
     if (existingIndex >= 0) {
       const newQty = cart.items[existingIndex].quantity + quantity;
       if (newQty <= 0) {
         cart.items.splice(existingIndex, 1);
       } else {
-        if (stock && newQty > stock) return sendBadRequestResponse(res, `Max available: ${stock}`);
+        if (stock && newQty + otherLinesQty > stock) return sendBadRequestResponse(res, `Max available: ${stock - otherLinesQty}`);
         cart.items[existingIndex].quantity = newQty;
         cart.items[existingIndex].totalPrice = cart.items[existingIndex].price * newQty;
         const unitP = cart.items[existingIndex].discountedPrice || cart.items[existingIndex].price;
         cart.items[existingIndex].totalDiscountedPrice = unitP * newQty;
       }
     } else {
+      if (quantity + otherLinesQty > stock) return sendBadRequestResponse(res, `Max available: ${stock - otherLinesQty}`);
       cart.items.push({
         product: productId,
         price: price || 0,
@@ -62,13 +103,16 @@ export const addToCart = async (req, res) => {
         totalPrice: (price || 0) * quantity,
         totalDiscountedPrice: finalUnitPrice * quantity,
         stock,
+        customizations: chosen,
+        customizationKey: key,
+        variantId: packSize?._id || null,
+        variantLabel: packSize?.label || null,
+        sku: packSize?.sku || null,
         sellerId: product.sellerId
       });
     }
 
-    await cart.save();
-
-    recalculateCart(cart);
+    await refreshCartTotals(cart);
     await cart.save();
 
     const populatedCart = await Cart.findById(cart._id)
@@ -76,6 +120,17 @@ export const addToCart = async (req, res) => {
 
     return sendSuccessResponse(res, "Cart updated", populatedCart);
   } catch (error) {
+    if (error instanceof RestaurantClosedError) {
+      return sendResponse(res, error.statusCode, false, error.message, { restaurantId: error.restaurantId, ...error.status });
+    }
+    if (error instanceof UnserviceableError) {
+      return sendResponse(res, error.statusCode, false, error.message, { pincode: error.pincode, unserviceable: error.lines });
+    }
+    if (error instanceof SellerNotApprovedError) {
+      return sendResponse(res, error.statusCode, false, error.message, { unavailable: error.lines });
+    }
+    if (error instanceof MenuError) return sendErrorResponse(res, error.statusCode, error.message);
+    if (error instanceof PackSizeError) return sendErrorResponse(res, error.statusCode, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -99,9 +154,13 @@ export const getCart = async (req, res) => {
       return sendSuccessResponse(res, "Cart fetched", cart);
     }
 
-    recalculateCart(cart);
+    await refreshCartTotals(cart);
     await cart.save();
 
+    const { address } = await getFeeContext(userId);
+    const serviceability = await checkCartServiceability(cart.items, address?.pincode);
+    const groceryEta = new Map(serviceability.lines.map(line => [String(line.itemId), line]));
+
     const foodDeliveryItems = [];
     const groceryItems = [];
 
@@ -109,14 +168,18 @@ export const getCart = async (req, res) => {
       const product = item.product;
       if (!product) return;
 
+      const packSize = item.variantId
+        ? product.packSizes?.find(size => String(size._id) === String(item.variantId))
+        : null;
+
       const itemData = {
         _id: item._id,
         product: {
           _id: product._id,
           title: product.title,
-          image: product.image,
-          price: product.price,
-          stock: product.stock,
+          image: packSize?.image || product.image,
+          price: packSize?.price ?? product.price,
+          stock: packSize?.stock ?? product.stock,
           category: product.category
         },
         price: item.price,
@@ -125,6 +188,11 @@ export const getCart = async (req, res) => {
         totalPrice: item.totalPrice,
         totalDiscountedPrice: item.totalDiscountedPrice,
         stock: item.stock,
+        customizations: item.customizations || null,
+        customizationText: describeCustomizations(item.customizations),
+        variantId: item.variantId || null,
+        variantLabel: item.variantLabel || null,
+        sku: item.sku || null,
         sellerId: item.sellerId,
         addedAt: item.addedAt
       };
@@ -138,12 +206,9 @@ export const getCart = async (req, res) => {
         itemData.estimatedDeliveryTime = restaurant?.time || "25-35 min";
         foodDeliveryItems.push(itemData);
       } else {
-        const now = new Date();
-        const expectedDate = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
-        const day = expectedDate.getDate();
-        const month = expectedDate.toLocaleString("en-US", { month: "short" });
-        const year = expectedDate.getFullYear();
-        itemData.expectedDeliveryDate = `${day} ${month}, ${year}`;
+        const eta = groceryEta.get(String(item._id));
+        itemData.serviceable = eta?.serviceable ?? true;
+        itemData.expectedDeliveryDate = eta?.expectedDeliveryLabel || null;
         groceryItems.push(itemData);
       }
     });
@@ -157,13 +222,17 @@ export const getCart = async (req, res) => {
       },
       grocery: {
         items: groceryItems,
-        itemCount: groceryItems.reduce((sum, i) => sum + i.quantity, 0)
+        itemCount: groceryItems.reduce((sum, i) => sum + i.quantity, 0),
+        pincode: serviceability.pincode,
+        serviceable: serviceability.unserviceable.length === 0,
+        codAvailable: serviceability.codAvailable
       },
       totalItems: cart.totalItems,
       totalPrice: cart.totalPrice,
       totalDiscountedPrice: cart.totalDiscountedPrice,
       totalSavings: cart.totalSavings,
       restaurantCharges: cart.restaurantCharges,
+      fees: cart.fees,
       couponDiscount: cart.couponDiscount,
       appliedCoupon: cart.appliedCoupon,
       subtotal: cart.subtotal,
@@ -206,7 +275,7 @@ export const updateCartItem = async (req, res) => {
     const unitP = item.discountedPrice || item.price;
     item.totalDiscountedPrice = unitP * quantity;
 
-    recalculateCart(cart);
+    await refreshCartTotals(cart);
     await cart.save();
 
     const populatedCart = await Cart.findById(cart._id)
@@ -238,7 +307,7 @@ export const removeFromCart = async (req, res) => {
 
     cart.items.splice(itemIndex, 1);
 
-    recalculateCart(cart);
+    await refreshCartTotals(cart);
     await cart.save();
 
     const populatedCart = await Cart.findById(cart._id)
@@ -266,74 +335,205 @@ export const clearCart = async (req, res) => {
   }
 };
 
-const recalculateCart = (cart) => {
-  if (cart.appliedCoupon && !cart.appliedCoupon.couponId) {
-    cart.appliedCoupon = null;
-  }
+const findBillingCart = (userId) => {
+  return Cart.findOne({ userId })
+    .populate({
+      path: "items.product",
+      select: "title image price stock docType restaurantId sellerId category brand",
+      populate: {
+        path: "restaurantId",
+        select: "title time"
+      }
+    })
+    .populate("appliedCoupon.couponId", "code discountType discountValue");
+};
 
-  if (!cart.items || cart.items.length === 0) {
-    cart.totalItems = 0;
-    cart.totalPrice = 0;
-    cart.totalDiscountedPrice = 0;
-    cart.totalSavings = 0;
-    cart.restaurantCharges = 0;
-    cart.couponDiscount = 0;
-    cart.subtotal = 0;
-    cart.finalTotal = 0;
-    cart.appliedCoupon = null;
-    return;
-  }
+// `tax` is the computeCartTax result; prices already include it, so it is
+// shown for information and never added to the total. `serviceability` is the
+// checkCartServiceability result for the selected address.
+const buildBillingPreview = (cart, userId, tax = null, serviceability = null) => {
+  let totalSubtotal = 0;
+  let itemsDiscount = 0;
+  let couponDiscount = 0;
+  const fees = cart.fees || { lines: [], delivery: 0, packaging: 0, platform: 0, smallOrder: 0, total: 0 };
+
+  const foodItems = [];
+  const groceryItemsList = [];
+
+  let foodSubtotal = 0;
+  let grocerySubtotal = 0;
+
+  const couponShares = cart.appliedCoupon?.couponId
+    ? splitCouponDiscount(cart.appliedCoupon, cart.items, cart.appliedCoupon.discountApplied || 0)
+    : new Map();
+  const couponLines = [];
+  const taxLines = new Map((tax?.lines || []).map(line => [String(line.itemId), line]));
+  const groceryEta = new Map((serviceability?.lines || []).map(line => [String(line.itemId), line]));
+
+  cart.items.forEach(item => {
+    const product = item.product;
+    totalSubtotal += item.totalDiscountedPrice;
+    itemsDiscount += item.totalPrice - item.totalDiscountedPrice;
+
+    const lineCouponDiscount = couponShares.get(String(item._id));
+    if (lineCouponDiscount !== undefined) {
+      couponLines.push({
+        cartItemId: item._id,
+        productId: product._id,
+        productTitle: product.title,
+        couponDiscount: lineCouponDiscount
+      });
+    }
 
-  let totalItems = 0;
-  let totalOriginal = 0;
-  let totalDiscounted = 0;
-  let restaurantCharges = 0;
+    const itemInfo = {
+      cartItemId: item._id,
+      productId: product._id,
+      productTitle: product.title,
+      unitPrice: item.price,
+      quantity: item.quantity,
+      totalPrice: item.totalPrice,
+      discountedPrice: item.discountedPrice,
+      totalDiscountedPrice: item.totalDiscountedPrice,
+      itemDiscount: item.totalPrice - item.totalDiscountedPrice,
+      couponApplied: lineCouponDiscount !== undefined,
+      couponDiscount: lineCouponDiscount || 0,
+      customizations: item.customizations || null,
+      customizationText: describeCustomizations(item.customizations),
+      variantId: item.variantId || null,
+      variantLabel: item.variantLabel || null
+    };
 
-  cart.items.forEach(i => {
-    totalItems += i.quantity;
-    totalOriginal += i.price * i.quantity;
-    totalDiscounted += (i.discountedPrice || i.price) * i.quantity;
+    const taxLine = taxLines.get(String(item._id));
+    if (taxLine) {
+      itemInfo.gst = {
+        hsnCode: taxLine.hsnCode,
+        rate: taxLine.rate,
+        taxableValue: taxLine.taxableValue,
+        cgst: taxLine.cgst,
+        sgst: taxLine.sgst,
+        igst: taxLine.igst,
+        totalTax: taxLine.totalTax
+      };
+    }
 
-    const product = i.product;
-    if (product && typeof product === "object" && product.docType === "delivery") {
-      restaurantCharges += 10 * i.quantity;
+    if (product.docType === "delivery") {
+      const restaurant = product.restaurantId;
+      itemInfo.restaurant = restaurant ? restaurant.title : null;
+      itemInfo.estimatedDeliveryTime = restaurant?.time || "25-35 min";
+      foodSubtotal += item.totalDiscountedPrice;
+      foodItems.push(itemInfo);
+    } else {
+      const eta = groceryEta.get(String(item._id));
+      itemInfo.serviceable = eta?.serviceable ?? true;
+      itemInfo.codAvailable = eta?.codAvailable ?? true;
+      itemInfo.estimatedDelivery = eta?.estimatedDelivery || null;
+      itemInfo.expectedDeliveryDate = eta?.expectedDeliveryLabel || null;
+      grocerySubtotal += item.totalDiscountedPrice;
+      groceryItemsList.push(itemInfo);
     }
   });
 
-  cart.totalItems = totalItems;
-  cart.totalPrice = totalOriginal;
-  cart.totalDiscountedPrice = totalDiscounted;
-  cart.totalSavings = totalOriginal - totalDiscounted;
-  cart.restaurantCharges = restaurantCharges;
-
-  let couponDiscount = 0;
-  if (cart.appliedCoupon && cart.appliedCoupon.discountApplied) {
-    couponDiscount = cart.appliedCoupon.discountApplied;
+  if (cart.appliedCoupon && cart.appliedCoupon.couponId) {
+    couponDiscount = cart.appliedCoupon.discountApplied || 0;
   }
-  cart.couponDiscount = couponDiscount;
 
-  const afterDiscounts = totalDiscounted - couponDiscount;
-  const subtotal = afterDiscounts + restaurantCharges;
-  cart.subtotal = subtotal;
-  cart.finalTotal = subtotal;
-};
+  const afterCoupon = Math.max(0, totalSubtotal - couponDiscount);
+  const finalTotal = afterCoupon + fees.total;
+  const feeLinesFor = (fulfillmentType) => fees.lines.filter(line => line.fulfillmentType === fulfillmentType);
+  const sumLines = (lines) => lines.reduce((sum, line) => sum + line.amount, 0);
+
+  const billingPreview = {
+    userId,
+    cartItems: cart.items.length,
+
+    foodDelivery: {
+      items: foodItems,
+      subtotal: Math.round(foodSubtotal),
+      restaurantCharges: Math.round(sumLines(feeLinesFor("delivery").filter(line => line.type === "packaging"))),
+      fees: feeLinesFor("delivery")
+    },
+
+    grocery: {
+      items: groceryItemsList,
+      subtotal: Math.round(grocerySubtotal),
+      fees: feeLinesFor("grocery"),
+      pincode: serviceability?.pincode || null,
+      serviceable: !serviceability?.unserviceable.length,
+      codAvailable: serviceability?.codAvailable ?? true
+    },
+
+    pricingSummary: {
+      subtotal: Math.round(totalSubtotal),
+      itemDiscount: Math.round(itemsDiscount),
+      couponDiscount: Math.round(couponDiscount),
+      deliveryFee: Math.round(fees.delivery),
+      packagingCharges: Math.round(fees.packaging),
+      platformFee: Math.round(fees.platform),
+      smallOrderFee: Math.round(fees.smallOrder),
+      totalFees: Math.round(fees.total),
+      restaurantCharges: Math.round(fees.packaging),
+      tax: tax ? {
+        inclusive: tax.inclusive,
+        taxableValue: tax.taxableValue,
+        cgst: tax.cgst,
+        sgst: tax.sgst,
+        igst: tax.igst,
+        totalTax: tax.totalTax
+      } : null,
+      finalTotal: Math.round(finalTotal)
+    },
+
+    fees: fees.lines,
+    tax: tax ? tax.rates : [],
+
+    appliedOffers: {
+      coupon: cart.appliedCoupon?.couponId ? {
+        couponId: cart.appliedCoupon.couponId._id || cart.appliedCoupon.couponId,
+        code: cart.appliedCoupon.couponCode,
+        type: cart.appliedCoupon.discountType,
+        value: cart.appliedCoupon.discountValue,
+        maxDiscount: cart.appliedCoupon.maxDiscount,
+        discountApplied: cart.appliedCoupon.discountApplied,
+        appliedTo: couponLines
+      } : null
+    },
+
+    breakdown: {
+      "Subtotal": Math.round(totalSubtotal),
+      "Item Discounts": Math.round(-itemsDiscount),
+      "Coupon Discount": Math.round(-couponDiscount),
+      [FEE_LABELS.delivery]: Math.round(fees.delivery),
+      [FEE_LABELS.packaging]: Math.round(fees.packaging),
+      [FEE_LABELS.platform]: Math.round(fees.platform),
+      [FEE_LABELS.small_order]: Math.round(fees.smallOrder),
+      "Final Total": Math.round(finalTotal),
+      ...(tax && {
+        "CGST (included)": tax.cgst,
+        "SGST (included)": tax.sgst,
+        "IGST (included)": tax.igst
+      })
+    }
+  };
+
+  cart.subtotal = Math.round(totalSubtotal);
+  cart.couponDiscount = Math.round(couponDiscount);
+  cart.restaurantCharges = Math.round(fees.packaging);
+  cart.finalTotal = Math.round(finalTotal);
+
+  billingPreview.emi = buildEmiQuote({
+    amount: billingPreview.pricingSummary.finalTotal,
+    hasFoodItems: foodItems.length > 0
+  });
 
+  return billingPreview;
+};
 
 export const cartBillingPreview = async (req, res) => {
   try {
     const userId = req.user?._id;
     if (!userId) return sendBadRequestResponse(res, "User ID required");
 
-    const cart = await Cart.findOne({ userId })
-      .populate({
-        path: "items.product",
-        select: "title image price stock docType restaurantId sellerId",
-        populate: {
-          path: "restaurantId",
-          select: "title time"
-        }
-      })
-      .populate("appliedCoupon.couponId", "code discountType discountValue");
+    const cart = await findBillingCart(userId);
 
     if (!cart || cart.items.length === 0) {
       return sendSuccessResponse(res, "Cart is empty", {
@@ -346,109 +546,59 @@ export const cartBillingPreview = async (req, res) => {
       });
     }
 
-    let totalSubtotal = 0;
-    let itemsDiscount = 0;
-    let couponDiscount = 0;
-    let restaurantCharges = 0;
+    const context = await getFeeContext(userId, cart.items);
+    await refreshCartCoupon(cart);
+    await refreshCartTotals(cart, context);
+    const autoApplied = await autoApplyBestCoupon(cart);
+    const tax = await computeCartTax(cart, context.address?.state);
+    const serviceability = await checkCartServiceability(cart.items, context.address?.pincode);
 
-    const foodItems = [];
-    const groceryItemsList = [];
+    const billingPreview = buildBillingPreview(cart, userId, tax, serviceability);
+    billingPreview.appliedOffers.autoApplied = Boolean(autoApplied);
+    billingPreview.appliedOffers.autoApplyCoupon = cart.autoApplyCoupon;
+    await cart.save();
 
-    let foodSubtotal = 0;
-    let grocerySubtotal = 0;
+    return sendSuccessResponse(res, "Billing preview generated", billingPreview);
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
 
-    cart.items.forEach(item => {
-      const product = item.product;
-      totalSubtotal += item.totalDiscountedPrice;
-      itemsDiscount += item.totalPrice - item.totalDiscountedPrice;
+export const getEmiQuote = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    const { orderId } = req.query;
+    if (!userId) return sendBadRequestResponse(res, "User ID required");
 
-      const itemInfo = {
-        productId: product._id,
-        productTitle: product.title,
-        unitPrice: item.price,
-        quantity: item.quantity,
-        totalPrice: item.totalPrice,
-        discountedPrice: item.discountedPrice,
-        totalDiscountedPrice: item.totalDiscountedPrice,
-        itemDiscount: item.totalPrice - item.totalDiscountedPrice
-      };
+    if (orderId) {
+      const order = await Order.findOne({ orderId, userId }).select("orderId items priceSummary paymentInfo").lean();
+      if (!order) return sendNotFoundResponse(res, "Order not found");
 
-      if (product.docType === "delivery") {
-        const restaurant = product.restaurantId;
-        itemInfo.restaurant = restaurant ? restaurant.title : null;
-        itemInfo.estimatedDeliveryTime = restaurant?.time || "25-35 min";
-        itemInfo.restaurantCharges = 10 * item.quantity;
-        restaurantCharges += 10 * item.quantity;
-        foodSubtotal += item.totalDiscountedPrice;
-        foodItems.push(itemInfo);
-      } else {
-        const now = new Date();
-        const expectedDate = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
-        const day = expectedDate.getDate();
-        const month = expectedDate.toLocaleString("en-US", { month: "short" });
-        const year = expectedDate.getFullYear();
-        itemInfo.expectedDeliveryDate = `${day} ${month}, ${year}`;
-        grocerySubtotal += item.totalDiscountedPrice;
-        groceryItemsList.push(itemInfo);
+      if (order.paymentInfo.status !== "pending") {
+        return sendBadRequestResponse(res, "EMI can only be quoted for orders awaiting payment");
       }
-    });
 
-    if (cart.appliedCoupon && cart.appliedCoupon.couponId) {
-      couponDiscount = cart.appliedCoupon.discountApplied || 0;
+      const principal = order.priceSummary.finalTotal - (order.priceSummary.emiInterest || 0);
+      return sendSuccessResponse(res, "EMI options fetched", {
+        orderId: order.orderId,
+        ...buildEmiQuote({
+          amount: principal,
+          hasFoodItems: order.items.some(item => item.restaurantId || item.restaurantName)
+        })
+      });
     }
 
-    const afterCoupon = Math.max(0, totalSubtotal - couponDiscount);
-    const finalTotal = afterCoupon + restaurantCharges;
-
-    const billingPreview = {
-      userId,
-      cartItems: cart.items.length,
-
-      foodDelivery: {
-        items: foodItems,
-        subtotal: Math.round(foodSubtotal),
-        restaurantCharges
-      },
-
-      grocery: {
-        items: groceryItemsList,
-        subtotal: Math.round(grocerySubtotal)
-      },
-
-      pricingSummary: {
-        subtotal: Math.round(totalSubtotal),
-        itemDiscount: Math.round(itemsDiscount),
-        couponDiscount: Math.round(couponDiscount),
-        restaurantCharges: Math.round(restaurantCharges),
-        finalTotal: Math.round(finalTotal)
-      },
-
-      appliedOffers: {
-        coupon: cart.appliedCoupon?.couponId ? {
-          couponId: cart.appliedCoupon.couponId._id,
-          code: cart.appliedCoupon.couponCode,
-          type: cart.appliedCoupon.discountType,
-          value: cart.appliedCoupon.discountValue,
-          discountApplied: cart.appliedCoupon.discountApplied
-        } : null
-      },
-
-      breakdown: {
-        "Subtotal": Math.round(totalSubtotal),
-        "Item Discounts": Math.round(-itemsDiscount),
-        "Coupon Discount": Math.round(-couponDiscount),
-        "Restaurant Charges": Math.round(restaurantCharges),
-        "Final Total": Math.round(finalTotal)
-      }
-    };
+    const cart = await findBillingCart(userId);
+    if (!cart || cart.items.length === 0) {
+      return sendBadRequestResponse(res, "Cart is empty");
+    }
 
-    cart.subtotal = Math.round(totalSubtotal);
-    cart.couponDiscount = Math.round(couponDiscount);
-    cart.restaurantCharges = Math.round(restaurantCharges);
-    cart.finalTotal = Math.round(finalTotal);
+    await refreshCartCoupon(cart);
+    await refreshCartTotals(cart);
+    const billingPreview = buildBillingPreview(cart, userId);
     await cart.save();
 
-    return sendSuccessResponse(res, "Billing preview generated", billingPreview);
+    return sendSuccessResponse(res, "EMI options fetched", billingPreview.emi);
   } catch (error) {
     return sendErrorResponse(res, 500, error.message);
   }
@@ -457,89 +607,27 @@ export const cartBillingPreview = async (req, res) => {
 export const applyCouponToCart = async (req, res) => {
   try {
     const userId = req.user?._id;
-    const { couponCode } = req.body;
+    const couponCode = req.body.couponCode || req.body.code;
 
     if (!userId) return sendBadRequestResponse(res, "User ID required");
     if (!couponCode) return sendBadRequestResponse(res, "Coupon code required");
 
-    const cart = await Cart.findOne({ userId });
-    if (!cart || cart.items.length === 0) {
-      return sendBadRequestResponse(res, "Cart is empty");
-    }
-
-    const coupon = await Coupon.findOne({ code: couponCode.toUpperCase() }).lean();
-    if (!coupon) return sendNotFoundResponse(res, "Coupon not found");
-
-    const now = new Date();
-    if (!coupon.isActive) return sendBadRequestResponse(res, "Coupon is not active");
-    if (coupon.endDate < now) return sendBadRequestResponse(res, "Coupon has expired");
-    if (coupon.startDate > now) return sendBadRequestResponse(res, "Coupon is not yet valid");
-
-    if (coupon.maxUsageLimit && coupon.usageCount >= coupon.maxUsageLimit) {
-      return sendBadRequestResponse(res, "Coupon usage limit exceeded");
-    }
-
-    const userUsage = coupon.usedBy?.find(u => u.userId.toString() === userId.toString());
-    if (userUsage && userUsage.usedCount >= (coupon.perUserLimit || 1)) {
-      return sendBadRequestResponse(res, `You can use this coupon only ${coupon.perUserLimit} times`);
-    }
-
-    const subtotal = cart.totalPrice;
-    if (coupon.minOrderValue && subtotal < coupon.minOrderValue) {
-      return sendBadRequestResponse(res, `Minimum order value ₹${coupon.minOrderValue} required`);
-    }
-
-    let discountAmount = 0;
-    if (coupon.discountType === "percentage") {
-      discountAmount = Math.round(subtotal * (coupon.percentageValue / 100));
-      if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
-        discountAmount = coupon.maxDiscountAmount;
-      }
-    } else if (coupon.discountType === "flat") {
-      discountAmount = coupon.flatValue;
-    }
-
-    if (cart.appliedCoupon?.couponId) {
-      return sendBadRequestResponse(res, "A coupon is already applied. Remove it first.");
-    }
-
-    cart.appliedCoupon = {
-      couponId: coupon._id,
-      couponCode: coupon.code,
-      discountApplied: discountAmount,
-      discountType: coupon.discountType,
-      discountValue: coupon.discountType === "percentage" ? coupon.percentageValue : coupon.flatValue,
-      appliedAt: now
-    };
-
-    await Coupon.findByIdAndUpdate(
-      coupon._id,
-      {
-        $inc: { usageCount: 1 },
-        $push: {
-          usedBy: {
-            userId,
-            usedCount: 1,
-            lastUsedAt: now
-          }
-        }
-      },
-      { new: true }
-    );
-
-    await cart.save();
+    const { cart, coupon, discount } = await applyCartCoupon(userId, couponCode);
 
     const populatedCart = await Cart.findById(cart._id)
       .populate("items.product", "title image price stock docType")
       .populate("appliedCoupon.couponId", "code");
 
     return sendSuccessResponse(res, "Coupon applied successfully", {
-      message: `Discount of ₹${discountAmount} applied`,
+      message: `Discount of ₹${discount} applied`,
       couponCode: coupon.code,
-      discountApplied: discountAmount,
+      discountApplied: discount,
       cart: populatedCart
     });
   } catch (error) {
+    if (error instanceof CouponError) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -549,20 +637,78 @@ export const removeCouponFromCart = async (req, res) => {
     const userId = req.user?._id;
     if (!userId) return sendBadRequestResponse(res, "User ID required");
 
-    const cart = await Cart.findOne({ userId });
-    if (!cart) return sendNotFoundResponse(res, "Cart not found");
-
-    if (!cart.appliedCoupon?.couponId) {
-      return sendBadRequestResponse(res, "No coupon applied to cart");
-    }
-
-    cart.appliedCoupon = null;
-    await cart.save();
+    const { cart } = await removeCartCoupon(userId);
 
     const populatedCart = await Cart.findById(cart._id)
       .populate("items.product", "title image price stock docType");
 
     return sendSuccessResponse(res, "Coupon removed from cart", populatedCart);
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return sendErrorResponse(res, error.statusCode, error.message);
+    }
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+const formatCouponOption = ({ coupon, eligible, discount, eligibleItems, reason, shortBy }) => ({
+  couponId: coupon._id,
+  code: coupon.code,
+  description: coupon.description,
+  discountType: coupon.discountType,
+  discountValue: getCouponValue(coupon),
+  maxDiscount: coupon.maxDiscount,
+  minOrderValue: coupon.minOrderValue,
+  expiryDate: coupon.expiryDate,
+  couponImage: coupon.couponImage,
+  eligible,
+  savings: discount,
+  eligibleItems: eligibleItems.map(item => item._id),
+  ...(!eligible && { reason, shortBy })
+});
+
+export const getCartCoupons = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    if (!userId) return sendBadRequestResponse(res, "User ID required");
+
+    const cart = await findBillingCart(userId);
+    if (!cart || cart.items.length === 0) {
+      return sendBadRequestResponse(res, "Cart is empty");
+    }
+
+    const { itemsTotal, eligible, ineligible, best } = await listCartCoupons(cart);
+
+    return sendSuccessResponse(res, "Coupons fetched for cart", {
+      cartTotal: itemsTotal,
+      appliedCoupon: cart.appliedCoupon?.couponId ? cart.appliedCoupon.couponCode : null,
+      autoApplyCoupon: cart.autoApplyCoupon,
+      bestCoupon: best ? formatCouponOption(best) : null,
+      eligible: eligible.map(formatCouponOption),
+      ineligible: ineligible.map(formatCouponOption)
+    });
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+export const setAutoApplyCoupon = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    const { enabled } = req.body;
+
+    if (!userId) return sendBadRequestResponse(res, "User ID required");
+    if (typeof enabled !== "boolean") return sendBadRequestResponse(res, "enabled must be true or false");
+
+    const cart = await Cart.findOneAndUpdate(
+      { userId },
+      { $set: { autoApplyCoupon: enabled } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).select("autoApplyCoupon");
+
+    return sendSuccessResponse(res, `Coupon auto-apply ${enabled ? "enabled" : "disabled"}`, {
+      autoApplyCoupon: cart.autoApplyCoupon
+    });
   } catch (error) {
     return sendErrorResponse(res, 500, error.message);
   }
@@ -575,6 +721,9 @@ export default {
   removeFromCart,
   clearCart,
   cartBillingPreview,
+  getEmiQuote,
   applyCouponToCart,
-  removeCouponFromCart
+  removeCouponFromCart,
+  getCartCoupons,
+  setAutoApplyCoupon
 };
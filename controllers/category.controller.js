@@ -2,6 +2,7 @@ import mongoose from "mongoose";
 import categoryModel from "../models/category.model.js";
 import { checkRequired, sendBadRequestResponse, sendErrorResponse, sendSuccessResponse } from "../utils/response.utils.js"
 import { deleteFromS3, updateS3, uploadToS3 } from "../utils/s3Service.js";
+import { parseGstRate, parseHsnCode, TaxError } from "../utils/tax.utils.js";
 
 
 export const createNewCategory = async (req, res) => {
@@ -18,6 +19,10 @@ export const createNewCategory = async (req, res) => {
     if (!categoryImage) {
       return sendBadRequestResponse(res, "Category Image is Required")
     }
+
+    const gstRate = parseGstRate(req.body.gstRate);
+    const hsnCode = parseHsnCode(req.body.hsnCode);
+
     let img = null;
     if (categoryImage) {
       img = await uploadToS3(categoryImage, "uploads")
@@ -26,7 +31,9 @@ export const createNewCategory = async (req, res) => {
     const categoryData = {
       name: name,
       image: img,
-      sellerId: _id
+      sellerId: _id,
+      gstRate: gstRate ?? null,
+      hsnCode: hsnCode ?? null
     };
 
     if (parentCategory && mongoose.Types.ObjectId.isValid(parentCategory)) {
@@ -40,6 +47,9 @@ export const createNewCategory = async (req, res) => {
     return sendSuccessResponse(res, "Category Add Successfully", category);
 
   } catch (error) {
+    if (error instanceof TaxError) {
+      return sendBadRequestResponse(res, error.message);
+    }
 
     return sendErrorResponse(res, 500, "error while create category", error)
   }
@@ -110,6 +120,9 @@ export const updateCategory = async (req, res) => {
       return sendErrorResponse(res, 404, "Category not found");
     }
 
+    const gstRate = parseGstRate(req.body.gstRate);
+    const hsnCode = parseHsnCode(req.body.hsnCode);
+
     let img = null;
 
     if (req.file) {
@@ -119,11 +132,16 @@ export const updateCategory = async (req, res) => {
 
     category.name = name || category.name;
     category.image = img || category.image;
+    if (gstRate !== undefined) category.gstRate = gstRate;
+    if (hsnCode !== undefined) category.hsnCode = hsnCode;
 
     await category.save();
 
     return sendSuccessResponse(res, "Category updated", category);
   } catch (error) {
+    if (error instanceof TaxError) {
+      return sendBadRequestResponse(res, error.message);
+    }
 
     return sendErrorResponse(res, 500, "Error while update Category", error);
   }
@@ -1,8 +1,116 @@
 import mongoose from "mongoose";
 import CouponModel from "../models/coupon.model.js";
+import CouponRedemptionModel from "../models/couponRedemption.model.js";
 import { ThrowError } from "../utils/Error.utils.js";
 import { sendBadRequestResponse, sendNotFoundResponse, sendSuccessResponse, sendErrorResponse } from "../utils/response.utils.js";
 import { deleteFromS3, updateS3, uploadToS3 } from "../utils/s3Service.js";
+import { applyCartCoupon, removeCartCoupon } from "../utils/cart.utils.js";
+import { CouponError, getCartItemsTotal, getRemainingUses } from "../utils/coupon.utils.js";
+
+// DD-MM-YYYY or DD/MM/YYYY, start of that day. Returns undefined when invalid.
+const parseStartDate = (value) => {
+    const parts = String(value).split(/[-/]/).map(part => parseInt(part, 10));
+    if (parts.length !== 3 || parts.some(isNaN)) return undefined;
+
+    const [day, month, year] = parts;
+    const date = new Date(year, month - 1, day, 0, 0, 0, 0);
+    if (date.getDate() !== day || date.getMonth() !== month - 1 || date.getFullYear() !== year) return undefined;
+
+    return date;
+};
+
+// Empty means unlimited; otherwise a whole number of uses. Returns undefined when invalid.
+const parseUsageLimit = (value) => {
+    if (value === undefined || value === null || value === "" || value === "null") return null;
+
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit > 0 ? limit : undefined;
+};
+
+const parseFlag = (value) => value === true || value === "true";
+
+// Validates the usage/audience fields shared by create and update.
+const parseUsageRules = (body) => {
+    const rules = {};
+
+    if (body.startDate !== undefined) {
+        if (!body.startDate) {
+            rules.startDate = null;
+        } else {
+            rules.startDate = parseStartDate(body.startDate);
+            if (!rules.startDate) return { error: "Invalid start date format. Please use DD-MM-YYYY format" };
+        }
+    }
+
+    for (const field of ["usageLimit", "perUserLimit"]) {
+        if (body[field] === undefined) continue;
+        rules[field] = parseUsageLimit(body[field]);
+        if (rules[field] === undefined) return { error: `${field} must be a whole number greater than 0` };
+    }
+
+    if (body.firstOrderOnly !== undefined) rules.firstOrderOnly = parseFlag(body.firstOrderOnly);
+    if (body.newUserOnly !== undefined) rules.newUserOnly = parseFlag(body.newUserOnly);
+
+    return { rules };
+};
+
+// Accepts an array, a JSON array string or a comma-separated string (multipart forms).
+const parseList = (value) => {
+    if (Array.isArray(value)) return value.map(String).map(v => v.trim()).filter(Boolean);
+    if (value === null || value === "") return [];
+
+    const text = String(value).trim();
+    if (text.startsWith("[")) {
+        try {
+            return parseList(JSON.parse(text));
+        } catch (error) {
+            return undefined;
+        }
+    }
+    return text.split(",").map(v => v.trim()).filter(Boolean);
+};
+
+const TARGET_ID_FIELDS = ["categories", "restaurants", "brands", "sellers"];
+const PRODUCT_TYPES = ["grocery", "delivery"];
+
+// Targeting lists and the percentage cap, shared by create and update.
+// Only the lists present in the body are returned.
+const parseTargeting = (body) => {
+    const applicableTo = {};
+
+    for (const field of [...TARGET_ID_FIELDS, "productTypes"]) {
+        if (body[field] === undefined) continue;
+
+        const list = parseList(body[field]);
+        if (!list) return { error: `${field} must be a list` };
+
+        if (field === "productTypes") {
+            if (list.some(type => !PRODUCT_TYPES.includes(type))) {
+                return { error: `productTypes can only contain ${PRODUCT_TYPES.join(", ")}` };
+            }
+        } else if (list.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            return { error: `${field} must contain valid ids` };
+        }
+
+        applicableTo[field] = [...new Set(list)];
+    }
+
+    const targeting = { applicableTo };
+
+    if (body.maxDiscount !== undefined) {
+        if (body.maxDiscount === "" || body.maxDiscount === null || body.maxDiscount === "null") {
+            targeting.maxDiscount = null;
+        } else {
+            const maxDiscount = parseFloat(body.maxDiscount);
+            if (isNaN(maxDiscount) || maxDiscount <= 0) {
+                return { error: "Max discount must be greater than 0" };
+            }
+            targeting.maxDiscount = maxDiscount;
+        }
+    }
+
+    return { targeting };
+};
 
 export const createCoupon = async (req, res) => {
     try {
@@ -98,6 +206,20 @@ export const createCoupon = async (req, res) => {
             return sendBadRequestResponse(res, "Expiry date cannot be in the past");
         }
 
+        const { rules, error: rulesError } = parseUsageRules(req.body);
+        if (rulesError) {
+            return sendBadRequestResponse(res, rulesError);
+        }
+
+        if (rules.startDate && rules.startDate >= expiry) {
+            return sendBadRequestResponse(res, "Start date must be before the expiry date");
+        }
+
+        const { targeting, error: targetingError } = parseTargeting(req.body);
+        if (targetingError) {
+            return sendBadRequestResponse(res, targetingError);
+        }
+
         let couponImageUrl = null;
 
         if (couponImage) {
@@ -141,6 +263,8 @@ export const createCoupon = async (req, res) => {
             expiryDate: expiry,
             isActive: isActive !== undefined ? (isActive === "true" || isActive === true) : true,
             couponImage: couponImageUrl,
+            ...rules,
+            ...targeting,
         });
 
         console.log("Coupon created with image URL:", couponImageUrl);
@@ -161,9 +285,11 @@ export const createCoupon = async (req, res) => {
 
 export const getAllCoupon = async (req, res) => {
     try {
+        const now = new Date();
         const coupons = await CouponModel.find({
             isActive: true,
-            expiryDate: { $gt: new Date() }
+            expiryDate: { $gt: now },
+            $or: [{ startDate: null }, { startDate: { $lte: now } }]
         }).sort({ createdAt: -1 });
 
         if (!coupons || coupons.length === 0) {
@@ -179,13 +305,43 @@ export const getAllCoupon = async (req, res) => {
 export const getAllCouponAdmin = async (req, res) => {
     try {
         const coupons = await CouponModel.find({
-        }).sort({ createdAt: -1 });
+        }).sort({ createdAt: -1 }).lean();
 
         if (!coupons || coupons.length === 0) {
             return sendNotFoundResponse(res, "No active coupons found!");
         }
 
-        return sendSuccessResponse(res, "Active coupons fetched successfully", coupons);
+        const report = await CouponRedemptionModel.aggregate([
+            { $match: { couponId: { $in: coupons.map(coupon => coupon._id) } } },
+            {
+                $group: {
+                    _id: "$couponId",
+                    redeemed: { $sum: { $cond: [{ $eq: ["$status", "redeemed"] }, 1, 0] } },
+                    reversed: { $sum: { $cond: [{ $eq: ["$status", "reversed"] }, 1, 0] } },
+                    totalDiscount: { $sum: { $cond: [{ $eq: ["$status", "redeemed"] }, "$discountAmount", 0] } },
+                    users: { $addToSet: { $cond: [{ $eq: ["$status", "redeemed"] }, "$userId", "$$REMOVE"] } },
+                    lastRedeemedAt: { $max: "$redeemedAt" }
+                }
+            }
+        ]);
+        const reportByCoupon = new Map(report.map(row => [String(row._id), row]));
+
+        const couponsWithReport = coupons.map(coupon => {
+            const row = reportByCoupon.get(String(coupon._id));
+            return {
+                ...coupon,
+                redemptions: {
+                    redeemed: row?.redeemed || 0,
+                    reversed: row?.reversed || 0,
+                    uniqueUsers: row?.users.length || 0,
+                    totalDiscount: row?.totalDiscount || 0,
+                    remainingUses: getRemainingUses(coupon),
+                    lastRedeemedAt: row?.lastRedeemedAt || null
+                }
+            };
+        });
+
+        return sendSuccessResponse(res, "Active coupons fetched successfully", couponsWithReport);
     } catch (error) {
         return ThrowError(res, 500, error.message);
     }
@@ -249,6 +405,21 @@ export const updateCoupon = async (req, res) => {
         if (minOrderValue !== undefined) coupon.minOrderValue = minOrderValue;
         if (isActive !== undefined) coupon.isActive = isActive;
 
+        const { rules, error: rulesError } = parseUsageRules(req.body);
+        if (rulesError) {
+            return sendBadRequestResponse(res, rulesError);
+        }
+        Object.assign(coupon, rules);
+
+        const { targeting, error: targetingError } = parseTargeting(req.body);
+        if (targetingError) {
+            return sendBadRequestResponse(res, targetingError);
+        }
+        for (const [field, list] of Object.entries(targeting.applicableTo)) {
+            coupon.set(`applicableTo.${field}`, list);
+        }
+        if (targeting.maxDiscount !== undefined) coupon.maxDiscount = targeting.maxDiscount;
+
         if (discountType) {
             if (!["flat", "percentage"].includes(discountType)) {
                 return sendBadRequestResponse(res, "Discount type must be either 'flat' or 'percentage'");
@@ -324,6 +495,10 @@ export const updateCoupon = async (req, res) => {
             coupon.expiryDate = expiry;
         }
 
+        if (coupon.startDate && coupon.startDate >= coupon.expiryDate) {
+            return sendBadRequestResponse(res, "Start date must be before the expiry date");
+        }
+
         if (couponImage) {
             let img = null;
 
@@ -379,135 +554,36 @@ export const deleteCoupon = async (req, res) => {
     }
 };
 
+// Kept for older clients: same engine as /cart/apply-coupon, legacy response shape.
 export const applyCouponController = async (req, res) => {
     try {
-        const { code } = req.body;
-        const { id: userId } = req.user;
+        const code = req.body.code || req.body.couponCode;
+        const userId = req.user?._id;
 
         if (!code) {
             return sendBadRequestResponse(res, "Coupon code is required");
         }
 
-        const cart = await cartModel.findOne({ userId })
-            .populate({
-                path: "items.productId",
-                model: "Product",
-                select: "productName title description isActive productDetails shippingReturn rating brand mainCategory category subCategory",
-                populate: [
-                    {
-                        path: "brand",
-                        model: "Brand",
-                        select: "brandName brandImage",
-                    },
-                    {
-                        path: "mainCategory",
-                        model: "MainCategory",
-                        select: "mainCategoryName mainCategoryImage",
-                    },
-                    {
-                        path: "category",
-                        model: "Category",
-                        select: "categoryName categoryImage",
-                    },
-                    {
-                        path: "subCategory",
-                        model: "SubCategory",
-                        select: "subCategoryName subCategoryImage",
-                    },
-                ],
-            })
-            .populate({
-                path: "items.productVarientId",
-                model: "ProductVariant",
-                select: "color images sku Artical_Number",
-            });
-
-        if (!cart) {
-            return sendNotFoundResponse(res, "Cart not found");
-        }
-
-        if (cart.items.length === 0) {
-            return sendBadRequestResponse(res, "Cart is empty. Add products to apply coupon.");
-        }
-
-        let cartTotal = 0;
-        cart.items.forEach((item) => {
-            const variant = item.productVarientId;
-
-            if (variant?.color?.sizes && variant.color.sizes.length > 0 && item.selectedSize) {
-                const selectedSizeObj = variant.color.sizes.find(size => size.sizeValue === item.selectedSize);
-                if (selectedSizeObj) {
-                    const effectivePrice = selectedSizeObj.discountedPrice && selectedSizeObj.discountedPrice > 0 ? selectedSizeObj.discountedPrice : selectedSizeObj.price;
-                    cartTotal += effectivePrice * item.quantity;
-                }
-            } else if (variant?.color) {
-                const effectivePrice = variant.color.discountedPrice && variant.color.discountedPrice > 0 ? variant.color.discountedPrice : variant.color.price;
-                cartTotal += effectivePrice * item.quantity;
-            }
-        });
-
-        const coupon = await CouponModel.findOne({
-            code: code.toUpperCase(),
-            isActive: true
-        });
-
-        if (!coupon) {
-            return sendNotFoundResponse(res, "Invalid or inactive coupon");
-        }
-
-        if (coupon.expiryDate < new Date()) {
-            return sendBadRequestResponse(res, "Coupon has expired");
-        }
-
-        if (cartTotal < coupon.minOrderValue) {
-            return sendBadRequestResponse(res, `Minimum order value for this coupon is $${coupon.minOrderValue}`);
-        }
-
-        let discount = 0;
-        let finalAmount = cartTotal;
-
-        if (coupon.discountType === "percentage") {
-            discount = (cartTotal * coupon.percentageValue) / 100;
-        } else if (coupon.discountType === "flat") {
-            discount = coupon.flatValue;
-        }
-
-        if (discount > cartTotal) {
-            discount = cartTotal;
-        }
-
-        finalAmount = cartTotal - discount;
-
-        cart.appliedCoupon = {
-            code: coupon.code,
-            couponId: coupon._id,
-            discount: discount,
-            discountType: coupon.discountType,
-            percentageValue: coupon.percentageValue,
-            flatValue: coupon.flatValue,
-            originalAmount: cartTotal,
-            finalAmount: finalAmount
-        };
-
-        await cart.save();
+        const { cart, coupon, itemsTotal, discount } = await applyCartCoupon(userId, code);
 
         return sendSuccessResponse(res, "Coupon applied successfully", {
             cartId: cart._id,
             items: cart.items,
             appliedCoupon: cart.appliedCoupon,
-            originalAmount: cartTotal,
+            originalAmount: itemsTotal,
             discount,
-            finalAmount,
+            finalAmount: itemsTotal - discount,
             discountType: coupon.discountType,
             percentageValue: coupon.percentageValue,
             flatValue: coupon.flatValue,
             minOrderValue: coupon.minOrderValue,
-            expiryDate: coupon.expiryDate,
-            orderInstruction: cart.orderInstruction,
-            isGiftWrap: cart.isGiftWrap
+            expiryDate: coupon.expiryDate
         });
 
     } catch (error) {
+        if (error instanceof CouponError) {
+            return sendErrorResponse(res, error.statusCode, error.message);
+        }
         console.error("applyCouponController error:", error);
         return sendErrorResponse(res, 500, "Error applying coupon", error.message);
     }
@@ -515,65 +591,10 @@ export const applyCouponController = async (req, res) => {
 
 export const removeCouponController = async (req, res) => {
     try {
-        const { id: userId } = req.user;
-
-        const cart = await cartModel.findOne({ userId })
-            .populate({
-                path: "items.productId",
-                model: "Product",
-                select: "productName title description isActive productDetails shippingReturn rating brand mainCategory category subCategory",
-                populate: [
-                    {
-                        path: "brand",
-                        model: "Brand",
-                        select: "brandName brandImage",
-                    },
-                    {
-                        path: "mainCategory",
-                        model: "MainCategory",
-                        select: "mainCategoryName mainCategoryImage",
-                    },
-                    {
-                        path: "category",
-                        model: "Category",
-                        select: "categoryName categoryImage",
-                    },
-                    {
-                        path: "subCategory",
-                        model: "SubCategory",
-                        select: "subCategoryName subCategoryImage",
-                    },
-                ],
-            })
-            .populate({
-                path: "items.productVarientId",
-                model: "ProductVariant",
-                select: "color images sku Artical_Number",
-            });
-
-        if (!cart) {
-            return sendNotFoundResponse(res, "Cart not found");
-        }
-
-        let cartTotal = 0;
-        cart.items.forEach((item) => {
-            const variant = item.productVarientId;
+        const userId = req.user?._id;
 
-            if (variant?.color?.sizes && variant.color.sizes.length > 0 && item.selectedSize) {
-                const selectedSizeObj = variant.color.sizes.find(size => size.sizeValue === item.selectedSize);
-                if (selectedSizeObj) {
-                    const effectivePrice = selectedSizeObj.discountedPrice && selectedSizeObj.discountedPrice > 0 ? selectedSizeObj.discountedPrice : selectedSizeObj.price;
-                    cartTotal += effectivePrice * item.quantity;
-                }
-            } else if (variant?.color) {
-                const effectivePrice = variant.color.discountedPrice && variant.color.discountedPrice > 0 ? variant.color.discountedPrice : variant.color.price;
-                cartTotal += effectivePrice * item.quantity;
-            }
-        });
-
-        const removedCoupon = cart.appliedCoupon;
-        cart.appliedCoupon = undefined;
-        await cart.save();
+        const { cart, removedCoupon } = await removeCartCoupon(userId);
+        const cartTotal = getCartItemsTotal(cart);
 
         return sendSuccessResponse(res, "Coupon removed successfully", {
             cartId: cart._id,
@@ -581,13 +602,14 @@ export const removeCouponController = async (req, res) => {
             originalAmount: cartTotal,
             finalAmount: cartTotal,
             discount: 0,
-            removedCoupon: removedCoupon,
-            orderInstruction: cart.orderInstruction,
-            isGiftWrap: cart.isGiftWrap
+            removedCoupon
         });
 
     } catch (error) {
+        if (error instanceof CouponError) {
+            return sendErrorResponse(res, error.statusCode, error.message);
+        }
         console.error("removeCouponController error:", error);
         return sendErrorResponse(res, 500, "Error removing coupon", error.message);
     }
-};
\ No newline at end of file
+};
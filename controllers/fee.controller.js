@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+import FeeRule from "../models/feeRule.model.js";
+import { sendBadRequestResponse, sendErrorResponse, sendNotFoundResponse, sendSuccessResponse } from "../utils/response.utils.js";
+import { FeeRuleError, FEE_TYPES, validateFeeRule } from "../utils/fee.utils.js";
+
+const EDITABLE_FIELDS = [
+  "name", "type", "appliesTo", "amount", "chargeType", "maxAmount", "basis",
+  "slabs", "zones", "freeAbove", "restaurantId", "threshold", "priority", "isActive"
+];
+
+const pickRuleFields = (body = {}) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+const handleRuleError = (res, error) => {
+  if (error instanceof FeeRuleError) return sendErrorResponse(res, error.statusCode, error.message);
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return sendBadRequestResponse(res, error.message);
+  }
+  return sendErrorResponse(res, 500, error.message);
+};
+
+export const createFeeRule = async (req, res) => {
+  try {
+    const rule = new FeeRule(pickRuleFields(req.body));
+    validateFeeRule(rule);
+    await rule.save();
+
+    return sendSuccessResponse(res, "Fee rule created", rule);
+  } catch (error) {
+    return handleRuleError(res, error);
+  }
+};
+
+export const getFeeRules = async (req, res) => {
+  try {
+    const { type, isActive } = req.query;
+    const filter = {};
+
+    if (type) {
+      if (!FEE_TYPES.includes(type)) {
+        return sendBadRequestResponse(res, `type must be one of ${FEE_TYPES.join(", ")}`);
+      }
+      filter.type = type;
+    }
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    const rules = await FeeRule.find(filter)
+      .populate("restaurantId", "title")
+      .sort({ type: 1, priority: -1, createdAt: -1 });
+
+    return sendSuccessResponse(res, "Fee rules fetched", rules);
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+export const getFeeRuleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return sendBadRequestResponse(res, "Invalid fee rule ID");
+
+    const rule = await FeeRule.findById(id).populate("restaurantId", "title");
+    if (!rule) return sendNotFoundResponse(res, "Fee rule not found");
+
+    return sendSuccessResponse(res, "Fee rule fetched", rule);
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+export const updateFeeRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return sendBadRequestResponse(res, "Invalid fee rule ID");
+
+    const rule = await FeeRule.findById(id);
+    if (!rule) return sendNotFoundResponse(res, "Fee rule not found");
+
+    rule.set(pickRuleFields(req.body));
+    validateFeeRule(rule);
+    await rule.save();
+
+    return sendSuccessResponse(res, "Fee rule updated", rule);
+  } catch (error) {
+    return handleRuleError(res, error);
+  }
+};
+
+// Orders keep their own fee snapshot, so deleting a rule only affects new carts.
+export const deleteFeeRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return sendBadRequestResponse(res, "Invalid fee rule ID");
+
+    const rule = await FeeRule.findByIdAndDelete(id);
+    if (!rule) return sendNotFoundResponse(res, "Fee rule not found");
+
+    return sendSuccessResponse(res, "Fee rule deleted", rule);
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+export default {
+  createFeeRule,
+  getFeeRules,
+  getFeeRuleById,
+  updateFeeRule,
+  deleteFeeRule
+};
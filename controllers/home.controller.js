@@ -126,20 +126,31 @@ export const grabNowDeals = async (req, res) => {
     const deals = products.map(p => {
       let maxDiscount = 0;
       let minPrice = Infinity;
+      let variantId = null;
 
-      if (p.packSizes && p.packSizes.length > 0) {
-        p.packSizes.forEach(s => {
+      // The deal is the pack size with the biggest discount
+      const packSizes = activePackSizes(p);
+      if (packSizes.length > 0) {
+        packSizes.forEach(s => {
+          const discount = discountPercent(s);
           if (s.price < minPrice) minPrice = s.price;
+          if (discount > maxDiscount) {
+            maxDiscount = discount;
+            variantId = s._id;
+          }
         });
+      } else {
+        maxDiscount = discountPercent(p);
       }
 
-      if (p.discount) maxDiscount = p.discount;
+      if (!maxDiscount && p.discount) maxDiscount = p.discount;
 
       return {
         ...p._doc,
         dealDetails: {
           discountPercent: maxDiscount || 0,
-          price: minPrice !== Infinity ? minPrice : p.price
+          price: minPrice !== Infinity ? minPrice : p.price,
+          variantId
         }
       };
     }).filter(d => d.dealDetails.discountPercent > 0);
@@ -183,9 +194,16 @@ export const getFiltteredProducts = async (req, res) => {
     }
 
     if (min !== null || max !== null) {
-      matchQuery['packSizes.price'] = {};
-      if (min !== null) matchQuery['packSizes.price'].$gte = min;
-      if (max !== null) matchQuery['packSizes.price'].$lte = max;
+      const priceRange = {};
+      if (min !== null) priceRange.$gte = min;
+      if (max !== null) priceRange.$lte = max;
+      // Any active pack size in range, or the product's own price when it has none
+      matchQuery.$and = [{
+        $or: [
+          { packSizes: { $elemMatch: { price: priceRange, isActive: { $ne: false } } } },
+          { "packSizes.0": { $exists: false }, price: priceRange }
+        ]
+      }];
     }
 
     let products = await productModel.find(matchQuery)
@@ -228,16 +246,27 @@ export const getFiltteredProducts = async (req, res) => {
   }
 };
 
+function activePackSizes(product) {
+  return (product.packSizes || []).filter(s => s.isActive !== false);
+}
+
+function discountPercent({ price, discountedPrice }) {
+  if (!price || !discountedPrice || discountedPrice >= price) return 0;
+  return Math.round(((price - discountedPrice) / price) * 100);
+}
+
 function getMinPrice(product) {
-  if (product.packSizes && product.packSizes.length > 0) {
-    return Math.min(...product.packSizes.map(s => s.price));
+  const packSizes = activePackSizes(product);
+  if (packSizes.length > 0) {
+    return Math.min(...packSizes.map(s => s.price));
   }
   return product.price || 0;
 }
 
 function getMaxPrice(product) {
-  if (product.packSizes && product.packSizes.length > 0) {
-    return Math.max(...product.packSizes.map(s => s.price));
+  const packSizes = activePackSizes(product);
+  if (packSizes.length > 0) {
+    return Math.max(...packSizes.map(s => s.price));
   }
   return product.price || 0;
 }
\ No newline at end of file
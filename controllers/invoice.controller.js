@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import { sendBadRequestResponse, sendErrorResponse, sendNotFoundResponse, sendSuccessResponse } from "../utils/response.utils.js";
+import { ensureOrderInvoices } from "../utils/invoice.utils.js";
+import { renderInvoicesPdf } from "../utils/invoicePdf.utils.js";
+
+const NOT_READY_MESSAGE = "Invoice is available once the order has been delivered";
+
+// ?format=json returns the invoice records instead of the PDF.
+const sendInvoices = async (req, res, invoices, filename) => {
+  if (req.query.format === "json") {
+    return sendSuccessResponse(res, "Invoices fetched", invoices);
+  }
+
+  const pdf = await renderInvoicesPdf(invoices);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+  res.setHeader("Content-Length", pdf.length);
+  return res.status(200).send(pdf);
+};
+
+// All sellers' invoices for the order in one PDF, or one seller's with ?sellerId=.
+export const getOrderInvoice = async (req, res) => {
+  try {
+    const userId = req.user?._id;
+    const { orderId } = req.params;
+    const { sellerId } = req.query;
+
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) {
+      return sendBadRequestResponse(res, "Invalid seller ID");
+    }
+
+    const order = await Order.findOne({ orderId, userId }).populate("items.product", "title");
+    if (!order) return sendNotFoundResponse(res, "Order not found");
+
+    let invoices = await ensureOrderInvoices(order);
+    if (sellerId) invoices = invoices.filter(invoice => String(invoice.sellerId) === String(sellerId));
+
+    if (invoices.length === 0) return sendBadRequestResponse(res, NOT_READY_MESSAGE);
+
+    return sendInvoices(req, res, invoices, `invoice-${order.orderId}`);
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+// Sellers get their own invoice; admins get every seller's, or one with ?sellerId=.
+export const getSellerOrderInvoice = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const isAdmin = req.user?.role === "admin";
+    const sellerId = isAdmin ? req.query.sellerId : req.user?._id;
+
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) {
+      return sendBadRequestResponse(res, "Invalid seller ID");
+    }
+
+    const order = await Order.findOne({
+      orderId,
+      ...(!isAdmin && { "items.sellerId": sellerId })
+    }).populate("items.product", "title");
+    if (!order) return sendNotFoundResponse(res, "Order not found");
+
+    let invoices = await ensureOrderInvoices(order);
+    if (sellerId) invoices = invoices.filter(invoice => String(invoice.sellerId) === String(sellerId));
+
+    if (invoices.length === 0) return sendBadRequestResponse(res, NOT_READY_MESSAGE);
+
+    const filename = invoices.length === 1
+      ? invoices[0].invoiceNumber
+      : `invoice-${order.orderId}`;
+    return sendInvoices(req, res, invoices, filename);
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+export default {
+  getOrderInvoice,
+  getSellerOrderInvoice
+};
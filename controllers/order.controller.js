@@ -3,9 +3,25 @@ import Order from "../models/order.model.js";
 import Cart from "../models/cart.model.js";
 import User from "../models/user.model.js";
 import Restaurant from "../models/restaurant.model.js";
-import { sendBadRequestResponse, sendErrorResponse, sendForbiddenResponse, sendNotFoundResponse, sendSuccessResponse } from "../utils/response.utils.js";
+import { sendBadRequestResponse, sendErrorResponse, sendForbiddenResponse, sendNotFoundResponse, sendResponse, sendSuccessResponse } from "../utils/response.utils.js";
 import { sendPushNotification } from "../utils/notification.sender.js";
 import notificationModel from "../models/notification.model.js";
+import { InsufficientStockError, releaseOrderStock, reserveStock, resolveLinePackSizes, restockOrderItems } from "../utils/stock.utils.js";
+import { buildShipments, confirmPendingShipments, ensureShipments, getShipmentItems, setAllShipmentsStatus, setItemStatus, setShipmentStatus, syncOrderStatus, syncShipmentStatus } from "../utils/shipment.utils.js";
+import { actorFromRequest, historyEntry, InvalidTransitionError } from "../utils/orderStatus.utils.js";
+import { claimPendingRefund, completeRefund, getRemainingQuantity, prepareRefund, recordOfflineRefund, REFUNDABLE_PAYMENT_STATUSES, RefundError } from "../utils/refund.utils.js";
+import { DEFAULT_PAYMENT_PROVIDER, PAYMENT_PROVIDERS } from "../utils/paymentProvider.utils.js";
+import { buildEmiPlan, getEmiEligibility } from "../utils/emi.utils.js";
+import { EMI_TENURES } from "../utils/razorpay.config.js";
+import { refreshCartTotals } from "../utils/cart.utils.js";
+import { CouponError, redeemOrderCoupon, refreshCartCoupon, reverseOrderCoupon, splitCouponDiscount } from "../utils/coupon.utils.js";
+import { computeCartTax } from "../utils/tax.utils.js";
+import { ensureOrderInvoices } from "../utils/invoice.utils.js";
+import { syncOrderLedger } from "../utils/payout.utils.js";
+import { assertRestaurantsOpen, RestaurantClosedError } from "../utils/restaurantHours.utils.js";
+import { assertSellersApproved, SellerNotApprovedError } from "../utils/sellerOnboarding.utils.js";
+import { assertDeliverable, OutOfDeliveryRangeError } from "../utils/geo.utils.js";
+import { assertCartServiceable, UnserviceableError } from "../utils/serviceability.utils.js";
 
 const generateOrderId = () => {
   const timestamp = Date.now();
@@ -13,58 +29,6 @@ const generateOrderId = () => {
   return `ORD-${timestamp}-${random}`;
 };
 
-const recalculateCart = (cart) => {
-  if (cart.appliedCoupon && !cart.appliedCoupon.couponId) {
-    cart.appliedCoupon = null;
-  }
-
-  if (!cart.items || cart.items.length === 0) {
-    cart.totalItems = 0;
-    cart.totalPrice = 0;
-    cart.totalDiscountedPrice = 0;
-    cart.totalSavings = 0;
-    cart.restaurantCharges = 0;
-    cart.couponDiscount = 0;
-    cart.subtotal = 0;
-    cart.finalTotal = 0;
-    cart.appliedCoupon = null;
-    return;
-  }
-
-  let totalItems = 0;
-  let totalOriginal = 0;
-  let totalDiscounted = 0;
-  let restaurantCharges = 0;
-
-  cart.items.forEach(i => {
-    totalItems += i.quantity;
-    totalOriginal += i.price * i.quantity;
-    totalDiscounted += (i.discountedPrice || i.price) * i.quantity;
-
-    const product = i.product;
-    if (product && typeof product === "object" && product.docType === "delivery") {
-      restaurantCharges += 10 * i.quantity;
-    }
-  });
-
-  cart.totalItems = totalItems;
-  cart.totalPrice = totalOriginal;
-  cart.totalDiscountedPrice = totalDiscounted;
-  cart.totalSavings = totalOriginal - totalDiscounted;
-  cart.restaurantCharges = restaurantCharges;
-
-  let couponDiscount = 0;
-  if (cart.appliedCoupon && cart.appliedCoupon.discountApplied) {
-    couponDiscount = cart.appliedCoupon.discountApplied;
-  }
-  cart.couponDiscount = couponDiscount;
-
-  const afterDiscounts = totalDiscounted - couponDiscount;
-  const subtotal = afterDiscounts + restaurantCharges;
-  cart.subtotal = subtotal;
-  cart.finalTotal = subtotal;
-};
-
 const cleanOrderResponse = (order) => {
   const obj = order.toObject ? order.toObject() : { ...order };
   if (obj.items) {
@@ -82,14 +46,15 @@ const cleanOrderResponse = (order) => {
 export const createOrder = async (req, res) => {
   try {
     const userId = req.user?._id;
-    const { paymentMethod } = req.body;
+    const { paymentMethod, emiTenure } = req.body;
+    const paymentProvider = req.body.paymentProvider || (emiTenure ? "razorpay" : DEFAULT_PAYMENT_PROVIDER);
 
     if (!userId) return sendBadRequestResponse(res, "User ID required");
 
     const cart = await Cart.findOne({ userId })
       .populate({
         path: "items.product",
-        select: "title image price stock docType sellerId restaurantId",
+        select: "title image price stock docType sellerId restaurantId category brand",
         populate: {
           path: "restaurantId",
           select: "title"
@@ -100,7 +65,34 @@ export const createOrder = async (req, res) => {
       return sendBadRequestResponse(res, "Cart is empty. Cannot create order.");
     }
 
-    recalculateCart(cart);
+    try {
+      await assertSellersApproved(cart.items.map(item => ({
+        itemId: item._id,
+        title: item.product?.title,
+        sellerId: item.product?.sellerId
+      })));
+    } catch (error) {
+      if (error instanceof SellerNotApprovedError) {
+        return sendResponse(res, error.statusCode, false, error.message, { unavailable: error.lines });
+      }
+      throw error;
+    }
+
+    try {
+      await assertRestaurantsOpen(
+        cart.items
+          .filter(item => item.product?.docType === "delivery")
+          .map(item => item.product.restaurantId?._id)
+      );
+    } catch (error) {
+      if (error instanceof RestaurantClosedError) {
+        return sendResponse(res, error.statusCode, false, error.message, { restaurantId: error.restaurantId, ...error.status });
+      }
+      throw error;
+    }
+
+    await refreshCartCoupon(cart);
+    await refreshCartTotals(cart);
     await cart.save();
 
     const user = await User.findById(userId);
@@ -115,6 +107,30 @@ export const createOrder = async (req, res) => {
       return sendBadRequestResponse(res, "Invalid payment method. Allowed: COD, CARD, UPI, NETBANKING");
     }
 
+    if (!PAYMENT_PROVIDERS.includes(paymentProvider)) {
+      return sendBadRequestResponse(res, `Invalid payment provider. Allowed: ${PAYMENT_PROVIDERS.join(", ")}`);
+    }
+
+    let emiPlan = null;
+    if (emiTenure) {
+      if (!EMI_TENURES.includes(Number(emiTenure))) {
+        return sendBadRequestResponse(res, `Invalid EMI tenure. Allowed: ${EMI_TENURES.join(", ")} months`);
+      }
+      if (paymentMethod !== "card" || paymentProvider !== "razorpay") {
+        return sendBadRequestResponse(res, "EMI is only available for card payments via Razorpay");
+      }
+
+      const eligibility = getEmiEligibility({
+        amount: cart.finalTotal,
+        hasFoodItems: cart.items.some(item => item.product?.docType === "delivery")
+      });
+      if (!eligibility.eligible) {
+        return sendBadRequestResponse(res, eligibility.reason);
+      }
+
+      emiPlan = buildEmiPlan(cart.finalTotal, emiTenure);
+    }
+
     const selectedAddress = user.address?.find(
       a => a._id.toString() === user.selectedAddress.toString()
     );
@@ -123,17 +139,57 @@ export const createOrder = async (req, res) => {
       return sendBadRequestResponse(res, "Selected address not found");
     }
 
+    try {
+      await assertDeliverable(
+        cart.items
+          .filter(item => item.product?.docType === "delivery")
+          .map(item => item.product.restaurantId?._id),
+        selectedAddress
+      );
+    } catch (error) {
+      if (error instanceof OutOfDeliveryRangeError) {
+        return sendResponse(res, error.statusCode, false, error.message, { restaurants: error.restaurants });
+      }
+      throw error;
+    }
+
+    let serviceability;
+    try {
+      serviceability = await assertCartServiceable(cart.items, selectedAddress.pincode);
+    } catch (error) {
+      if (error instanceof UnserviceableError) {
+        return sendResponse(res, error.statusCode, false, error.message, { pincode: error.pincode, unserviceable: error.lines });
+      }
+      throw error;
+    }
+
+    if (paymentMethod === "cod" && !serviceability.codAvailable) {
+      const noCod = serviceability.lines.filter(line => !line.codAvailable).map(line => line.title);
+      return sendBadRequestResponse(res, `Cash on delivery is not available at pincode ${selectedAddress.pincode} for: ${noCod.join(", ")}`);
+    }
+    const groceryEta = new Map(serviceability.lines.map(line => [String(line.itemId), line]));
+
     const orderId = generateOrderId();
 
     const subtotal = cart.totalPrice;
     const itemDiscount = cart.totalSavings;
     const couponDiscount = cart.couponDiscount || 0;
     const subtotalAfterDiscounts = cart.totalDiscountedPrice - couponDiscount;
-    const deliveryCharge = cart.restaurantCharges || 0;
-    const finalTotal = cart.finalTotal;
+    const fees = cart.fees;
+    const emiInterest = emiPlan?.interestAmount || 0;
+    const finalTotal = cart.finalTotal + emiInterest;
 
     const now = new Date();
 
+    const couponShares = cart.appliedCoupon?.couponId
+      ? splitCouponDiscount(cart.appliedCoupon, cart.items, couponDiscount)
+      : new Map();
+
+    const tax = await computeCartTax(cart, selectedAddress.state);
+    const taxLines = new Map(tax.lines.map(line => [String(line.itemId), line]));
+
+    await resolveLinePackSizes(cart.items);
+
     const orderItems = cart.items.map(item => {
       const product = item.product;
       const isDelivery = product?.docType === "delivery";
@@ -145,8 +201,9 @@ export const createOrder = async (req, res) => {
         estimatedDelivery = "30-45 min";
         estimatedDeliveryDate = new Date(now.getTime() + 45 * 60 * 1000);
       } else {
-        estimatedDelivery = "2-3 days";
-        estimatedDeliveryDate = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
+        const eta = groceryEta.get(String(item._id));
+        estimatedDelivery = eta?.estimatedDelivery || null;
+        estimatedDeliveryDate = eta?.expectedDeliveryDate || null;
       }
 
       const restaurantName = isDelivery && product.restaurantId?.title
@@ -154,13 +211,21 @@ export const createOrder = async (req, res) => {
         : null;
 
       return {
+        _id: new mongoose.Types.ObjectId(),
         product: product._id,
         price: item.price,
         discountedPrice: item.discountedPrice,
         quantity: item.quantity,
         totalPrice: item.price * item.quantity,
         totalDiscountedPrice: (item.discountedPrice || item.price) * item.quantity,
+        couponDiscount: couponShares.get(String(item._id)) || 0,
+        tax: taxLines.get(String(item._id)) || null,
+        customizations: item.customizations || null,
+        variantId: item.variantId || null,
+        variantLabel: item.variantLabel || null,
+        sku: item.sku || null,
         sellerId: item.sellerId,
+        restaurantId: isDelivery ? product.restaurantId?._id || null : null,
         restaurantName,
         estimatedDelivery,
         estimatedDeliveryDate,
@@ -175,74 +240,125 @@ export const createOrder = async (req, res) => {
       return latest;
     }, null);
 
-    const newOrder = await Order.create({
-      userId,
-      orderId,
-      items: orderItems,
-      shippingAddress: {
-        country: selectedAddress.country || "INDIA",
-        houseDetails: selectedAddress.houseDetails || "",
-        landmark: selectedAddress.landmark || "",
-        state: selectedAddress.state || "",
-        city: selectedAddress.city || "",
-        postalCode: selectedAddress.pincode || "",
-        mapUrl: selectedAddress.mapURL || ""
-      },
-      courierService: "regular",
-      estimatedDeliveryDate: latestDeliveryDate,
-      priceSummary: {
-        subtotal,
-        itemDiscount,
-        couponDiscount,
-        subtotalAfterDiscounts,
-        deliveryCharge,
-        finalTotal
-      },
-      appliedOffers: {
-        coupon: cart.appliedCoupon?.couponId
-          ? {
-            couponId: cart.appliedCoupon.couponId._id || cart.appliedCoupon.couponId,
-            code: cart.appliedCoupon.couponCode,
-            discountType: cart.appliedCoupon.discountType,
-            discountValue: cart.appliedCoupon.discountValue,
-            discountApplied: cart.appliedCoupon.discountApplied
+    const shipments = buildShipments(orderItems, fees.lines);
+
+    const session = await mongoose.startSession();
+    let newOrder;
+
+    try {
+      await session.withTransaction(async () => {
+        await reserveStock(cart.items, session);
+
+        const [created] = await Order.create([{
+          userId,
+          orderId,
+          items: orderItems,
+          shipments,
+          shippingAddress: {
+            country: selectedAddress.country || "INDIA",
+            houseDetails: selectedAddress.houseDetails || "",
+            landmark: selectedAddress.landmark || "",
+            state: selectedAddress.state || "",
+            city: selectedAddress.city || "",
+            postalCode: selectedAddress.pincode || "",
+            mapUrl: selectedAddress.mapURL || "",
+            location: selectedAddress.location || undefined
+          },
+          courierService: "regular",
+          estimatedDeliveryDate: latestDeliveryDate,
+          priceSummary: {
+            subtotal,
+            itemDiscount,
+            couponDiscount,
+            subtotalAfterDiscounts,
+            deliveryCharge: fees.delivery,
+            packagingCharge: fees.packaging,
+            platformFee: fees.platform,
+            smallOrderFee: fees.smallOrder,
+            totalFees: fees.total,
+            feeLines: fees.lines,
+            tax: {
+              inclusive: tax.inclusive,
+              taxableValue: tax.taxableValue,
+              cgst: tax.cgst,
+              sgst: tax.sgst,
+              igst: tax.igst,
+              totalTax: tax.totalTax,
+              rates: tax.rates
+            },
+            emiInterest,
+            emi: emiPlan
+              ? {
+                tenure: emiPlan.tenure,
+                interestRate: emiPlan.interestRate,
+                monthlyAmount: emiPlan.monthlyAmount,
+                totalAmount: emiPlan.totalAmount
+              }
+              : undefined,
+            finalTotal
+          },
+          appliedOffers: {
+            coupon: cart.appliedCoupon?.couponId
+              ? {
+                couponId: cart.appliedCoupon.couponId._id || cart.appliedCoupon.couponId,
+                code: cart.appliedCoupon.couponCode,
+                discountType: cart.appliedCoupon.discountType,
+                discountValue: cart.appliedCoupon.discountValue,
+                discountApplied: cart.appliedCoupon.discountApplied
+              }
+              : null
+          },
+          paymentInfo: {
+            method: paymentMethod,
+            provider: paymentProvider,
+            status: "pending"
+          },
+          orderStatus: {
+            current: "pending",
+            history: [
+              historyEntry("pending", "Order created successfully", actorFromRequest(req), now)
+            ]
+          },
+          stockReservation: {
+            status: "reserved",
+            reservedAt: now
+          },
+          timeline: {
+            orderCreated: new Date()
           }
-          : null
-      },
-      paymentInfo: {
-        method: paymentMethod,
-        status: "pending"
-      },
-      orderStatus: {
-        current: "pending",
-        history: [
+        }], { session });
+        newOrder = created;
+
+        await redeemOrderCoupon(newOrder, session);
+
+        await Cart.updateOne(
+          { userId },
           {
-            status: "pending",
-            timestamp: new Date(),
-            notes: "Order created successfully"
-          }
-        ]
-      },
-      timeline: {
-        orderCreated: new Date()
+            $set: {
+              items: [],
+              totalItems: 0,
+              totalPrice: 0,
+              totalDiscountedPrice: 0,
+              totalSavings: 0,
+              appliedCoupon: null,
+              couponDiscount: 0,
+              finalTotal: 0
+            }
+          },
+          { session }
+        );
+      });
+    } catch (error) {
+      if (error instanceof InsufficientStockError) {
+        return sendResponse(res, error.statusCode, false, error.message, { failedItems: error.failedItems });
       }
-    });
-
-    await Cart.updateOne(
-      { userId },
-      {
-        $set: {
-          items: [],
-          totalItems: 0,
-          totalPrice: 0,
-          totalDiscountedPrice: 0,
-          totalSavings: 0,
-          appliedCoupon: null,
-          couponDiscount: 0,
-          finalTotal: 0
-        }
+      if (error instanceof CouponError) {
+        return sendErrorResponse(res, error.statusCode, error.message);
       }
-    );
+      throw error;
+    } finally {
+      await session.endSession();
+    }
 
     const notificationTitle = "Order Placed Successfully! 🎉";
     const notificationBody = `Your order #${newOrder.orderId} has been placed. We will update you once it's confirmed.`;
@@ -383,17 +499,30 @@ export const getOrderByMongoId = async (req, res) => {
   }
 };
 
+const sendTransitionError = (res, error) => {
+  return sendResponse(res, error.statusCode, false, error.message, {
+    scope: error.scope,
+    from: error.from,
+    to: error.to,
+    allowedNextStates: error.allowed
+  });
+};
+
 export const updateOrderStatus = async (req, res) => {
   try {
     const userId = req.user?._id;
     const role = req.user?.role;
     const { orderId } = req.params;
-    const { status, notes, itemId } = req.body;
+    const { status, notes, itemId, shipmentId, trackingNumber, estimatedDeliveryDate } = req.body;
 
     if (!userId || !orderId || !status) {
       return sendBadRequestResponse(res, "Missing required fields (orderId, status)");
     }
 
+    if (role !== "admin" && role !== "seller") {
+      return sendForbiddenResponse(res, "Only sellers and admins can update order status");
+    }
+
     const statusMap = { "Under Progress": "processing" };
     const normalizedStatus = statusMap[status] || status;
 
@@ -402,142 +531,156 @@ export const updateOrderStatus = async (req, res) => {
       return sendBadRequestResponse(res, `Invalid status. Allowed: ${validStatuses.join(", ")}`);
     }
 
+    let parsedDeliveryDate = null;
+    if (estimatedDeliveryDate) {
+      parsedDeliveryDate = new Date(estimatedDeliveryDate);
+      if (isNaN(parsedDeliveryDate.getTime())) {
+        return sendBadRequestResponse(res, "Invalid estimatedDeliveryDate");
+      }
+    }
+
     const order = await Order.findOne({ orderId }).populate("items.product", "title image price discountedPrice");
     if (!order) return sendNotFoundResponse(res, "Order not found");
 
-    const allItemsFinalized = order.items.every(i => ["delivered", "returned", "cancelled"].includes(i.itemStatus));
-    if (allItemsFinalized && normalizedStatus !== "returned") {
-      return sendBadRequestResponse(res, "Order is fully delivered/completed. No further updates allowed.");
+    ensureShipments(order);
+
+    let shipments = order.shipments.filter(s => role === "admin" || String(s.sellerId) === String(userId));
+    if (shipmentId) shipments = shipments.filter(s => String(s._id) === String(shipmentId));
+    if (itemId) shipments = shipments.filter(s => s.items.some(i => String(i) === String(itemId)));
+
+    if (shipments.length === 0) {
+      return sendNotFoundResponse(res, "No matching shipment found for this seller");
     }
 
     const now = new Date();
+    const actor = actorFromRequest(req);
+    const updatedShipmentDetails = [];
     let updatedCount = 0;
-    const updatedItemDetails = [];
+    const statusBefore = new Map(order.items.map(item => [String(item._id), item.itemStatus]));
 
-    for (const item of order.items) {
-      if (itemId && String(item._id) !== String(itemId)) continue;
-
-      if (role === "seller" && String(item.sellerId) !== String(userId)) continue;
-      if (role !== "admin" && role !== "seller") continue;
-
-      if (item.itemStatus !== "cancelled" && item.itemStatus !== "returned") {
-        const itemHierarchy = ["pending", "confirmed", "processing", "shipped", "delivered"];
-        const oldItemIndex = itemHierarchy.indexOf(item.itemStatus);
-        const newItemIndex = itemHierarchy.indexOf(normalizedStatus);
-
-        if (["cancelled", "returned"].includes(normalizedStatus)) {
-          item.itemStatus = normalizedStatus;
-          item.statusHistory.push({
-            status: normalizedStatus,
-            timestamp: now,
-            notes: notes || `Item ${normalizedStatus}`
-          });
-          if (normalizedStatus === "cancelled") item.cancelledAt = now;
-          updatedCount++;
-          updatedItemDetails.push({ itemId: item._id, product: item.product, newStatus: normalizedStatus });
-          continue;
-        }
+    for (const shipment of shipments) {
+      if (itemId) {
+        const item = order.items.id(itemId);
+        if (item.itemStatus === normalizedStatus) continue;
 
-        if (newItemIndex === -1 || oldItemIndex === -1) continue;
-
-        if (newItemIndex < oldItemIndex) continue;
-
-        if (newItemIndex > oldItemIndex + 1) {
-          return sendBadRequestResponse(res,
-            `Cannot update item directly to '${normalizedStatus}'. Follow sequence: ${itemHierarchy[oldItemIndex]} → ${itemHierarchy[oldItemIndex + 1]}`
-          );
-        }
+        const itemNotes = notes || `Item status updated to ${normalizedStatus}`;
+        setItemStatus(item, normalizedStatus, { notes: itemNotes, actor, now });
+        syncShipmentStatus(order, shipment, { notes: itemNotes, actor, now });
+      } else {
+        if (shipment.status === normalizedStatus) continue;
 
-        item.itemStatus = normalizedStatus;
-        item.statusHistory.push({
-          status: normalizedStatus,
-          timestamp: now,
-          notes: notes || `Item status updated to ${normalizedStatus}`
+        setShipmentStatus(order, shipment, normalizedStatus, {
+          notes: notes || `Shipment status updated to ${normalizedStatus}`,
+          actor,
+          now
         });
-
-        if (normalizedStatus === "delivered") item.deliveredAt = now;
-
-        updatedCount++;
-        updatedItemDetails.push({ itemId: item._id, product: item.product, newStatus: normalizedStatus });
       }
-    }
 
-    if (order.paymentInfo.status === "completed") {
-      order.items.forEach(item => {
-        if (item.itemStatus === "pending") {
-          item.itemStatus = "confirmed";
-          item.statusHistory.push({
-            status: "confirmed",
-            timestamp: now,
-            notes: "Auto-confirmed after payment"
-          });
-        }
+      if (trackingNumber) shipment.trackingNumber = trackingNumber;
+      if (parsedDeliveryDate) shipment.estimatedDeliveryDate = parsedDeliveryDate;
+
+      updatedCount++;
+      updatedShipmentDetails.push({
+        shipmentId: shipment._id,
+        sellerId: shipment.sellerId,
+        newStatus: shipment.status,
+        trackingNumber: shipment.trackingNumber,
+        estimatedDeliveryDate: shipment.estimatedDeliveryDate
       });
     }
 
     if (updatedCount === 0) {
-      return sendBadRequestResponse(res, "No valid items found to update or permission denied");
+      return sendBadRequestResponse(res, "No valid shipments found to update");
     }
 
-    const hierarchy = ["pending", "confirmed", "processing", "shipped", "delivered"];
-    const activeItems = order.items.filter(i => !["cancelled", "returned"].includes(i.itemStatus));
-
-    if (activeItems.length === 0) {
-      const allCancelled = order.items.every(i => i.itemStatus === "cancelled");
-      order.orderStatus.current = allCancelled ? "cancelled" : "returned";
-    } else {
-      let minStatusIndex = hierarchy.length - 1;
-
-      activeItems.forEach(item => {
-        const idx = hierarchy.indexOf(item.itemStatus);
-        if (idx !== -1 && idx < minStatusIndex) minStatusIndex = idx;
-      });
+    if (order.paymentInfo.status === "completed") {
+      confirmPendingShipments(order, { notes: "Auto-confirmed after payment", now });
+    }
 
-      let determinedStatus = hierarchy[minStatusIndex];
+    const latestDeliveryDate = order.shipments.reduce((latest, s) => {
+      if (s.estimatedDeliveryDate && (!latest || s.estimatedDeliveryDate > latest)) return s.estimatedDeliveryDate;
+      return latest;
+    }, null);
+    if (latestDeliveryDate) order.estimatedDeliveryDate = latestDeliveryDate;
 
-      const hasDelivered = activeItems.some(i => i.itemStatus === "delivered");
-      const hasShipped = activeItems.some(i => i.itemStatus === "shipped");
-      const hasProcessing = activeItems.some(i => i.itemStatus === "processing");
+    const globalStatus = syncOrderStatus(order, {
+      notes: notes || `Status updated (${updatedCount} shipment${updatedCount > 1 ? 's' : ''} → ${normalizedStatus})`,
+      actor,
+      now
+    });
 
-      if (minStatusIndex < 2 && (hasProcessing || hasShipped || hasDelivered)) determinedStatus = "processing";
-      if (minStatusIndex < 3 && (hasShipped || hasDelivered)) determinedStatus = "shipped";
-      if (activeItems.every(i => i.itemStatus === "delivered")) determinedStatus = "delivered";
+    if (globalStatus === "delivered" && order.paymentInfo.method === "cod" && order.paymentInfo.status !== "refunded") {
+      order.paymentInfo.status = "completed";
+    }
 
-      const oldIdx = hierarchy.indexOf(order.orderStatus.current);
-      const newIdx = hierarchy.indexOf(determinedStatus);
-      if (oldIdx !== -1 && newIdx !== -1 && newIdx < oldIdx) {
-        determinedStatus = order.orderStatus.current;
+    // Lines cancelled or returned here get the same stock, coupon and refund
+    // handling as cancelOrder and returnOrder.
+    const closing = ["cancelled", "returned"].includes(normalizedStatus);
+    const closedItems = closing
+      ? order.items.filter(item => item.itemStatus === normalizedStatus && statusBefore.get(String(item._id)) !== normalizedStatus)
+      : [];
+    const refundItems = closedItems
+      .filter(item => getRemainingQuantity(item) > 0)
+      .map(item => ({ itemId: item._id }));
+    const reason = notes || `${normalizedStatus === "cancelled" ? "Cancelled" : "Returned"} by ${actor.role}`;
+
+    let refundPending = false;
+    if (refundItems.length > 0) {
+      if (order.paymentInfo.method === "cod") {
+        // Unpaid COD lines owe nothing; paid ones are handed back in cash.
+        if (order.paymentInfo.status === "completed" || order.paymentInfo.status === "partially_refunded") {
+          recordOfflineRefund(order, refundItems);
+        }
+      } else if (REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentInfo.status)) {
+        prepareRefund(order, { items: refundItems, reason, actor });
+        refundPending = true;
       }
-
-      order.orderStatus.current = determinedStatus;
     }
 
-    const lastHistory = order.orderStatus.history[order.orderStatus.history.length - 1];
-    if (!lastHistory || lastHistory.status !== order.orderStatus.current) {
-      order.orderStatus.history.push({
-        status: order.orderStatus.current,
-        timestamp: now,
-        notes: notes || `Status updated (${updatedCount} item${updatedCount > 1 ? 's' : ''} → ${normalizedStatus})`
+    order.lastUpdated = now;
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (refundPending) await claimPendingRefund(order, session);
+        if (closing && order.orderStatus.current === normalizedStatus) {
+          await releaseOrderStock(order, session, normalizedStatus === "returned" ? "restocked" : "released");
+          if (normalizedStatus === "cancelled") await reverseOrderCoupon(order, reason, session);
+        } else if (closedItems.length > 0) {
+          await restockOrderItems(order, closedItems, session);
+        }
+        await order.save({ session });
       });
+    } finally {
+      await session.endSession();
     }
 
-    const globalStatus = order.orderStatus.current;
-    order.timeline = order.timeline || {};
-
-    if (globalStatus === "confirmed") order.timeline.orderConfirmed = order.timeline.orderConfirmed || now;
-    if (globalStatus === "processing") order.timeline.processingStarted = order.timeline.processingStarted || now;
-    if (globalStatus === "shipped") order.timeline.orderShipped = order.timeline.orderShipped || now;
-    if (globalStatus === "delivered") {
-      order.timeline.orderDelivered = order.timeline.orderDelivered || now;
-      order.actualDeliveryDate = order.actualDeliveryDate || now;
+    if (refundPending) {
+      try {
+        await completeRefund(order);
+      } catch (err) {
+        console.error(`Refund failed for ${order.orderId}, left pending for retry:`, err.message);
+      }
+    }
 
-      if (order.paymentInfo.method === "cod" && order.paymentInfo.status !== "refunded") {
-        order.paymentInfo.status = "completed";
+    // Invoices are numbered in delivery order; the invoice endpoints issue any
+    // that fail here on first download.
+    if (normalizedStatus === "delivered") {
+      try {
+        await ensureOrderInvoices(order);
+      } catch (err) {
+        console.error(`Invoice generation failed for ${order.orderId}:`, err.message);
       }
     }
 
-    order.lastUpdated = now;
-    await order.save();
+    // The settlement run re-syncs recently updated orders if this fails.
+    if (normalizedStatus === "delivered" || normalizedStatus === "returned") {
+      try {
+        await syncOrderLedger(order);
+      } catch (err) {
+        console.error(`Ledger sync failed for ${order.orderId}:`, err.message);
+      }
+    }
 
     const user = await User.findById(order.userId);
     if (user) {
@@ -573,6 +716,7 @@ export const updateOrderStatus = async (req, res) => {
 
     const itemsSummary = order.items.map(item => ({
       itemId: item._id,
+      shipmentId: item.shipmentId,
       product: item.product,
       quantity: item.quantity,
       price: item.price,
@@ -584,12 +728,15 @@ export const updateOrderStatus = async (req, res) => {
     return sendSuccessResponse(res, "Order status updated successfully", {
       orderId: order.orderId,
       orderStatus: order.orderStatus.current,
-      updatedItems: updatedCount,
-      updatedItemDetails,
+      paymentStatus: order.paymentInfo.status,
+      refundPending: Boolean(order.paymentInfo.pendingRefund?.key),
+      updatedShipments: updatedCount,
+      updatedShipmentDetails,
       allItems: itemsSummary
     });
 
   } catch (error) {
+    if (error instanceof InvalidTransitionError) return sendTransitionError(res, error);
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -608,20 +755,52 @@ export const cancelOrder = async (req, res) => {
       return sendNotFoundResponse(res, "Order not found");
     }
 
-    if (!["pending", "confirmed"].includes(order.orderStatus.current)) {
-      return sendBadRequestResponse(res, `Cannot cancel order with status: ${order.orderStatus.current}`);
-    }
+    const actor = actorFromRequest(req);
+    const statusBefore = new Map(order.items.map(item => [String(item._id), item.itemStatus]));
 
-    order.orderStatus.current = "cancelled";
-    order.orderStatus.history.push({
-      status: "cancelled",
-      timestamp: new Date(),
-      notes: reason || "Cancelled by user"
+    setAllShipmentsStatus(order, "cancelled", {
+      notes: reason || "Cancelled by user",
+      actor
     });
     order.cancellationReason = reason || "No reason provided";
     order.lastUpdated = new Date();
 
-    await order.save();
+    // Paid lines cancelled here are refunded like a seller cancellation.
+    const refundItems = order.items
+      .filter(item => statusBefore.get(String(item._id)) !== "cancelled" && getRemainingQuantity(item) > 0)
+      .map(item => ({ itemId: item._id }));
+
+    let refundPending = false;
+    if (refundItems.length > 0) {
+      if (order.paymentInfo.method === "cod") {
+        if (order.paymentInfo.status === "completed" || order.paymentInfo.status === "partially_refunded") {
+          recordOfflineRefund(order, refundItems);
+        }
+      } else if (REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentInfo.status)) {
+        prepareRefund(order, { items: refundItems, reason: order.cancellationReason, actor });
+        refundPending = true;
+      }
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (refundPending) await claimPendingRefund(order, session);
+        await releaseOrderStock(order, session);
+        await reverseOrderCoupon(order, order.cancellationReason, session);
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (refundPending) {
+      try {
+        await completeRefund(order);
+      } catch (err) {
+        console.error(`Refund failed for ${order.orderId}, left pending for retry:`, err.message);
+      }
+    }
 
     const user = await User.findById(userId);
     if (user) {
@@ -648,6 +827,8 @@ export const cancelOrder = async (req, res) => {
 
     return sendSuccessResponse(res, "Order cancelled successfully", order);
   } catch (error) {
+    if (error instanceof InvalidTransitionError) return sendTransitionError(res, error);
+    if (error instanceof RefundError) return sendErrorResponse(res, error.statusCode, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -667,26 +848,59 @@ export const returnOrder = async (req, res) => {
       return sendNotFoundResponse(res, "Order not found");
     }
 
-    if (order.orderStatus.current !== "delivered") {
-      return sendBadRequestResponse(res, "Only delivered orders can be returned");
-    }
-
-    order.orderStatus.current = "returned";
-    order.orderStatus.history.push({
-      status: "returned",
-      timestamp: new Date(),
-      notes: reason
-    });
+    const actor = actorFromRequest(req);
+    setAllShipmentsStatus(order, "returned", { notes: reason, actor });
     order.returnReason = reason;
-    order.paymentInfo.status = "refunded";
-    order.paymentInfo.refundAmount = order.priceSummary.finalTotal;
-    order.paymentInfo.refundDate = new Date();
     order.lastUpdated = new Date();
 
-    await order.save();
+    let refundPending = false;
+    if (order.paymentInfo.method === "cod") {
+      // Cash is handed back offline; just record what is owed.
+      order.paymentInfo.status = "refunded";
+      order.paymentInfo.refundAmount = order.priceSummary.finalTotal;
+      order.paymentInfo.refundDate = new Date();
+    } else if (REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentInfo.status)) {
+      const returnedItems = order.items
+        .filter(item => item.itemStatus === "returned" && getRemainingQuantity(item) > 0)
+        .map(item => ({ itemId: item._id }));
+
+      if (returnedItems.length > 0) {
+        prepareRefund(order, { items: returnedItems, reason, actor });
+        refundPending = true;
+      }
+    }
+
+    // The return and the refund owed are saved before the provider is asked
+    // for the money; see utils/refund.utils.js.
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (refundPending) await claimPendingRefund(order, session);
+        await releaseOrderStock(order, session, "restocked");
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (refundPending) {
+      try {
+        await completeRefund(order);
+      } catch (err) {
+        console.error(`Refund failed for ${order.orderId}, left pending for retry:`, err.message);
+      }
+    }
+
+    try {
+      await syncOrderLedger(order);
+    } catch (err) {
+      console.error(`Ledger sync failed for ${order.orderId}:`, err.message);
+    }
 
     return sendSuccessResponse(res, "Return initiated successfully", order);
   } catch (error) {
+    if (error instanceof InvalidTransitionError) return sendTransitionError(res, error);
+    if (error instanceof RefundError) return sendErrorResponse(res, error.statusCode, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -732,16 +946,15 @@ export const getSellerOrders = async (req, res) => {
 
     if (!sellerId) return sendForbiddenResponse(res, "Seller authentication required");
 
-    let query = { "items.sellerId": sellerId };
-
-    if (status) {
-      query.items = {
-        $elemMatch: {
-          sellerId: sellerId,
-          itemStatus: status
+    const query = {
+      $or: [
+        status ? { shipments: { $elemMatch: { sellerId, status } } } : { "shipments.sellerId": sellerId },
+        {
+          "shipments.0": { $exists: false },
+          ...(status ? { items: { $elemMatch: { sellerId, itemStatus: status } } } : { "items.sellerId": sellerId })
         }
-      };
-    }
+      ]
+    };
 
     const skip = (page - 1) * limit;
 
@@ -756,32 +969,38 @@ export const getSellerOrders = async (req, res) => {
     const total = await Order.countDocuments(query);
 
     const sellerOrders = orders.map(order => {
-      const sellerItems = order.items.filter(item =>
-        String(item.sellerId) === String(sellerId) &&
-        (!status || item.itemStatus === status)
-      );
-
-      sellerItems.forEach(item => {
-        if (item.product?.docType) delete item.product.docType;
-      });
+      ensureShipments(order);
+
+      const sellerShipments = order.shipments
+        .filter(s => String(s.sellerId) === String(sellerId) && (!status || s.status === status))
+        .map(shipment => {
+          const items = getShipmentItems(order, shipment);
+          items.forEach(item => {
+            if (item.product?.docType) delete item.product.docType;
+          });
 
-      const sellerSubtotal = sellerItems.reduce((acc, item) => acc + (item.price * item.quantity), 0);
-      const sellerTotalDiscounted = sellerItems.reduce((acc, item) => acc + ((item.discountedPrice || item.price) * item.quantity), 0);
+          return {
+            ...shipment,
+            items,
+            summary: {
+              subtotal: items.reduce((acc, item) => acc + (item.price * item.quantity), 0),
+              totalDiscounted: items.reduce((acc, item) => acc + ((item.discountedPrice || item.price) * item.quantity), 0),
+              count: items.length
+            }
+          };
+        });
 
       return {
         _id: order._id,
         orderId: order.orderId,
         userId: order.userId,
-        items: sellerItems,
+        shipments: sellerShipments,
         shippingAddress: order.shippingAddress,
-        paymentInfo: order.paymentInfo,
-        orderStatus: order.orderStatus,
-        createdAt: order.createdAt,
-        sellerSummary: {
-          subtotal: sellerSubtotal,
-          totalDiscounted: sellerTotalDiscounted,
-          count: sellerItems.length
-        }
+        paymentInfo: {
+          method: order.paymentInfo?.method,
+          status: order.paymentInfo?.status
+        },
+        createdAt: order.createdAt
       };
     });
 
@@ -838,6 +1057,82 @@ export const getOrderTimeline = async (req, res) => {
       { key: 'delivered', label: 'Delivered', msg: 'Your order has been delivered successfully.' }
     ];
 
+    const buildTimeline = (currentStatus, historySource) => {
+      const getHistoryEntry = (statusKey) => {
+        return historySource.filter(h => h.status === statusKey).pop();
+      };
+
+      let finalTimeline = [];
+
+      if (['cancelled', 'returned'].includes(currentStatus)) {
+        for (const step of validSteps) {
+          const entry = getHistoryEntry(step.key);
+          if (entry) {
+            finalTimeline.push({
+              status: step.label,
+              statusKey: step.key,
+              message: step.msg,
+              timestamp: entry.timestamp,
+              displayDate: formatTimelineDate(entry.timestamp),
+              notes: entry.notes || "",
+              isCompleted: true,
+              isCurrent: false
+            });
+          }
+        }
+
+        const specialEntry = getHistoryEntry(currentStatus);
+        finalTimeline.push({
+          status: currentStatus.charAt(0).toUpperCase() + currentStatus.slice(1),
+          statusKey: currentStatus,
+          message: currentStatus === 'cancelled' ? 'This item/order was cancelled.' : 'This item/order was returned.',
+          timestamp: specialEntry ? specialEntry.timestamp : new Date(),
+          displayDate: formatTimelineDate(specialEntry ? specialEntry.timestamp : new Date()),
+          notes: specialEntry?.notes || "",
+          isCompleted: true,
+          isCurrent: true
+        });
+
+      } else {
+        const statusKeys = validSteps.map(s => s.key);
+        let currentIndex = statusKeys.indexOf(currentStatus);
+
+        if (currentIndex === -1 && currentStatus === 'pending') {
+          currentIndex = -1;
+        }
+
+        finalTimeline = validSteps.map((step, index) => {
+          const isCompleted = index <= currentIndex;
+          const isCurrent = index === currentIndex;
+          let entry = getHistoryEntry(step.key);
+          let validTimestamp = entry ? entry.timestamp : null;
+
+          if (isCompleted && !validTimestamp) {
+            for (let i = index + 1; i < validSteps.length; i++) {
+              const nextEntry = getHistoryEntry(validSteps[i].key);
+              if (nextEntry) {
+                validTimestamp = nextEntry.timestamp;
+                break;
+              }
+            }
+          }
+
+          return {
+            status: step.label,
+            statusKey: step.key,
+            message: step.msg,
+            timestamp: validTimestamp,
+            displayDate: formatTimelineDate(validTimestamp),
+            notes: entry?.notes || "",
+            isCompleted,
+            isCurrent
+          };
+        });
+      }
+
+      return finalTimeline;
+    };
+
     let currentStatus;
     let historySource;
 
@@ -854,80 +1149,28 @@ export const getOrderTimeline = async (req, res) => {
       historySource = order.orderStatus.history || [];
     }
 
-    const getHistoryEntry = (statusKey) => {
-      return historySource.filter(h => h.status === statusKey).pop();
-    };
-
-    let finalTimeline = [];
-
-    if (['cancelled', 'returned'].includes(currentStatus)) {
-      for (const step of validSteps) {
-        const entry = getHistoryEntry(step.key);
-        if (entry) {
-          finalTimeline.push({
-            status: step.label,
-            statusKey: step.key,
-            message: step.msg,
-            timestamp: entry.timestamp,
-            displayDate: formatTimelineDate(entry.timestamp),
-            notes: entry.notes || "",
-            isCompleted: true,
-            isCurrent: false
-          });
-        }
-      }
-
-      const specialEntry = getHistoryEntry(currentStatus);
-      finalTimeline.push({
-        status: currentStatus.charAt(0).toUpperCase() + currentStatus.slice(1),
-        statusKey: currentStatus,
-        message: currentStatus === 'cancelled' ? 'This item/order was cancelled.' : 'This item/order was returned.',
-        timestamp: specialEntry ? specialEntry.timestamp : new Date(),
-        displayDate: formatTimelineDate(specialEntry ? specialEntry.timestamp : new Date()),
-        notes: specialEntry?.notes || "",
-        isCompleted: true,
-        isCurrent: true
-      });
-
-    } else {
-      const statusKeys = validSteps.map(s => s.key);
-      let currentIndex = statusKeys.indexOf(currentStatus);
-
-      if (currentIndex === -1 && currentStatus === 'pending') {
-        currentIndex = -1;
-      }
-
-      finalTimeline = validSteps.map((step, index) => {
-        const isCompleted = index <= currentIndex;
-        const isCurrent = index === currentIndex;
-        let entry = getHistoryEntry(step.key);
-        let validTimestamp = entry ? entry.timestamp : null;
-
-        if (isCompleted && !validTimestamp) {
-          for (let i = index + 1; i < validSteps.length; i++) {
-            const nextEntry = getHistoryEntry(validSteps[i].key);
-            if (nextEntry) {
-              validTimestamp = nextEntry.timestamp;
-              break;
-            }
-          }
-        }
-
-        return {
-          status: step.label,
-          statusKey: step.key,
-          message: step.msg,
-          timestamp: validTimestamp,
-          displayDate: formatTimelineDate(validTimestamp),
-          notes: entry?.notes || "",
-          isCompleted,
-          isCurrent
-        };
-      });
-    }
+    const finalTimeline = buildTimeline(currentStatus, historySource);
+
+    ensureShipments(order);
+
+    const shipmentTracks = order.shipments
+      .filter(s => !itemId || s.items.some(i => String(i) === String(itemId)))
+      .map(shipment => ({
+        shipmentId: shipment._id,
+        sellerId: shipment.sellerId,
+        fulfillmentType: shipment.fulfillmentType,
+        restaurantName: shipment.restaurantName,
+        currentStatus: shipment.status,
+        trackingNumber: shipment.trackingNumber,
+        estimatedDelivery: shipment.estimatedDelivery,
+        estimatedDeliveryDate: formatTimelineDate(shipment.estimatedDeliveryDate),
+        itemIds: shipment.items,
+        timeline: buildTimeline(shipment.status, shipment.statusHistory || [])
+      }));
 
     const itemsSummary = order.items.map(item => ({
       itemId: item._id,
+      shipmentId: item.shipmentId,
       product: item.product,
       quantity: item.quantity,
       price: item.price,
@@ -944,6 +1187,7 @@ export const getOrderTimeline = async (req, res) => {
       paymentStatus: order.paymentInfo?.status,
       estimatedDeliveryDate: formatTimelineDate(order.estimatedDeliveryDate),
       timeline: finalTimeline,
+      shipments: shipmentTracks,
       items: itemsSummary
     };
 
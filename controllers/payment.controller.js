@@ -1,18 +1,123 @@
+import mongoose from "mongoose";
 import Order from "../models/order.model.js";
 import Payment from "../models/payment.model.js";
 import productModel from "../models/product.model.js";
+import WebhookEvent from "../models/webhookEvent.model.js";
 import {
   sendBadRequestResponse,
   sendErrorResponse,
   sendNotFoundResponse,
+  sendResponse,
   sendSuccessResponse
 } from "../utils/response.utils.js";
+import { retrievePaymentIntent, constructWebhookEvent } from "../utils/stripe.config.js";
+import { verifyRazorpayWebhookSignature } from "../utils/razorpay.config.js";
 import {
-  createPaymentIntent,
-  retrievePaymentIntent,
-  confirmPaymentIntent,
-  createStripeRefund
-} from "../utils/stripe.config.js";
+  DEFAULT_PAYMENT_PROVIDER,
+  getOrderProvider,
+  getPaymentProvider,
+  getProviderOrderId,
+  PaymentProviderError
+} from "../utils/paymentProvider.utils.js";
+import { releaseOrderStock, restockOrderItems } from "../utils/stock.utils.js";
+import { confirmPendingShipments, ensureShipments, setAllShipmentsStatus, setItemStatus, syncOrderStatus, syncShipmentStatus } from "../utils/shipment.utils.js";
+import { actorFromRequest, canTransition, historyEntry, ITEM_TRANSITIONS, ORDER_TRANSITIONS, SYSTEM_ACTOR } from "../utils/orderStatus.utils.js";
+import {
+  claimPendingRefund,
+  completeRefund,
+  getRefundableBalance,
+  getRemainingQuantity,
+  prepareRefund,
+  RefundError,
+  roundMoney
+} from "../utils/refund.utils.js";
+import { reverseOrderCoupon } from "../utils/coupon.utils.js";
+import { syncOrderLedger } from "../utils/payout.utils.js";
+
+const failOrderPayment = async (order, notes) => {
+  const now = new Date();
+
+  order.paymentInfo.status = "failed";
+  if (canTransition(ORDER_TRANSITIONS, order.orderStatus.current, "cancelled", "system")) {
+    setAllShipmentsStatus(order, "cancelled", { notes, now });
+    order.cancellationReason = notes;
+  }
+  order.lastUpdated = now;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await releaseOrderStock(order, session);
+      if (order.orderStatus.current === "cancelled") {
+        await reverseOrderCoupon(order, notes, session);
+      }
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// A capture can land after the order was cancelled, e.g. a retry the customer
+// finished after the payment timeout. Nothing will ship, so the money goes
+// straight back; the payment sweep retries the refund if the provider fails.
+const refundLateCapture = async (order, { providerPaymentId, notes }) => {
+  const now = new Date();
+
+  order.paymentInfo.status = "completed";
+  order.paymentInfo.transactionId = providerPaymentId;
+  order.paymentInfo.paymentDate = now;
+  if (order.paymentInfo.provider === "razorpay") order.paymentInfo.providerPaymentId = providerPaymentId;
+  order.orderStatus.history.push(historyEntry("refunded", notes, SYSTEM_ACTOR, now));
+  order.lastUpdated = now;
+
+  prepareRefund(order, { reason: notes, actor: SYSTEM_ACTOR });
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await claimPendingRefund(order, session);
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  try {
+    await completeRefund(order);
+  } catch (err) {
+    console.error(`Late capture refund failed for ${order.orderId}, left pending for retry:`, err.message);
+  }
+};
+
+const LATE_CAPTURE_NOTE = "Payment received after the order was cancelled; refunded";
+
+const completeOrderPayment = async (order, { transactionId, notes }) => {
+  const now = new Date();
+
+  order.paymentInfo.status = "completed";
+  order.paymentInfo.transactionId = transactionId;
+  order.paymentInfo.paymentDate = now;
+  order.timeline.paymentCompleted = now;
+
+  if (order.orderStatus.current === "pending") {
+    confirmPendingShipments(order, { notes, now });
+  }
+
+  order.lastUpdated = now;
+  await order.save();
+
+  try {
+    for (const item of order.items) {
+      await productModel.findByIdAndUpdate(
+        item.product,
+        { $inc: { sold: item.quantity || 1 } },
+        { new: true }
+      );
+    }
+  } catch (err) {
+  }
+};
 
 export const initiatePayment = async (req, res) => {
   try {
@@ -34,61 +139,70 @@ export const initiatePayment = async (req, res) => {
       return sendBadRequestResponse(res, "This order is not configured for online payment. Change payment method first.");
     }
 
-    if (order.paymentInfo.stripePaymentIntentId) {
-      try {
-        const existingIntent = await retrievePaymentIntent(order.paymentInfo.stripePaymentIntentId);
-
-        if (["requires_payment_method", "requires_confirmation", "requires_action"].includes(existingIntent.status)) {
-          return sendSuccessResponse(res, "Payment intent already exists", {
-            orderId,
-            stripePaymentIntentId: existingIntent.id,
-            clientSecret: existingIntent.client_secret,
-            amount: order.priceSummary.finalTotal,
-            currency: "inr"
-          });
-        }
-      } catch (err) {
-      }
-    }
+    const provider = getPaymentProvider(req.body?.provider || order.paymentInfo.provider || DEFAULT_PAYMENT_PROVIDER);
 
-    const paymentIntent = await createPaymentIntent(
-      order.priceSummary.finalTotal,
-      orderId
-    );
-
-    order.paymentInfo.stripePaymentIntentId = paymentIntent.id;
-    order.paymentInfo.stripeClientSecret = paymentIntent.client_secret;
-    await order.save();
+    if (order.priceSummary.emi?.tenure && provider.name !== "razorpay") {
+      return sendBadRequestResponse(res, "EMI orders can only be paid via Razorpay");
+    }
 
-    const existingPayment = await Payment.findOne({ orderId: order.orderId, userId });
+    // Switching provider: make sure the old checkout can no longer take money.
+    const previousProvider = getOrderProvider(order);
+    if (previousProvider.name !== provider.name && getProviderOrderId(order)) {
+      const closed = await previousProvider.cancel(order);
+      if (!closed) {
+        return sendBadRequestResponse(res, `A ${previousProvider.label} payment for this order is already in progress`);
+      }
+    }
 
-    if (existingPayment) {
-      existingPayment.stripePaymentIntentId = paymentIntent.id;
-      existingPayment.stripeClientSecret = paymentIntent.client_secret;
-      existingPayment.status = "pending";
-      await existingPayment.save();
-    } else {
-      await Payment.create({
-        userId,
-        orderId: order.orderId,
-        orderObjectId: order._id,
-        stripePaymentIntentId: paymentIntent.id,
-        stripeClientSecret: paymentIntent.client_secret,
-        amount: order.priceSummary.finalTotal,
-        currency: "INR",
+    const checkout = await provider.createCheckout(order);
+    const amount = order.priceSummary.finalTotal;
+    const isStripe = provider.name === "stripe";
+
+    if (!checkout.reused) {
+      order.paymentInfo.provider = provider.name;
+      order.paymentInfo.providerOrderId = checkout.providerOrderId;
+      order.paymentInfo.providerPaymentId = isStripe ? checkout.providerOrderId : undefined;
+      order.paymentInfo.stripePaymentIntentId = isStripe ? checkout.providerOrderId : undefined;
+      order.paymentInfo.stripeClientSecret = isStripe ? checkout.clientSecret : undefined;
+      await order.save();
+
+      const paymentFields = {
+        provider: provider.name,
+        providerOrderId: checkout.providerOrderId,
+        providerPaymentId: isStripe ? checkout.providerOrderId : undefined,
+        clientSecret: checkout.clientSecret || undefined,
+        stripePaymentIntentId: isStripe ? checkout.providerOrderId : undefined,
+        stripeClientSecret: isStripe ? checkout.clientSecret : undefined,
+        amount,
         status: "pending",
         method: order.paymentInfo.method
-      });
+      };
+
+      const existingPayment = await Payment.findOne({ orderId: order.orderId, userId });
+
+      if (existingPayment) {
+        existingPayment.set(paymentFields);
+        await existingPayment.save();
+      } else {
+        await Payment.create({
+          userId,
+          orderId: order.orderId,
+          orderObjectId: order._id,
+          currency: "INR",
+          ...paymentFields
+        });
+      }
     }
 
-    return sendSuccessResponse(res, "Payment initiated successfully", {
+    return sendSuccessResponse(res, checkout.reused ? "Payment intent already exists" : "Payment initiated successfully", {
       orderId,
-      stripePaymentIntentId: paymentIntent.id,
-      clientSecret: paymentIntent.client_secret,
-      amount: order.priceSummary.finalTotal,
+      provider: provider.name,
+      ...checkout.checkout,
+      amount,
       currency: "inr"
     });
   } catch (error) {
+    if (error instanceof PaymentProviderError) return sendErrorResponse(res, error.statusCode, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -112,105 +226,59 @@ export const verifyPayment = async (req, res) => {
       });
     }
 
-    const paymentIntentId = req.body?.paymentIntentId || order.paymentInfo.stripePaymentIntentId;
+    const provider = getOrderProvider(order);
+    const result = await provider.verifyCheckout(order, req.body || {});
+    const paymentFilter = Payment.providerFilter(provider.name, result.providerOrderId);
 
-    if (!paymentIntentId) {
-      return sendBadRequestResponse(res, "No payment intent found. Please initiate payment first.");
-    }
-
-    let paymentIntent = await retrievePaymentIntent(paymentIntentId);
-
-    if (["requires_payment_method", "requires_confirmation"].includes(paymentIntent.status)) {
-      try {
-        paymentIntent = await confirmPaymentIntent(paymentIntentId);
-      } catch (confirmErr) {
-        return sendBadRequestResponse(res, `Payment confirmation failed: ${confirmErr.message}`);
-      }
-    }
-
-    if (paymentIntent.status !== "succeeded") {
-      const mappedStatus = paymentIntent.status === "requires_payment_method" ? "failed" : "processing";
-
-      await Payment.findOneAndUpdate(
-        { stripePaymentIntentId: paymentIntentId },
-        { status: mappedStatus }
-      );
-
-      return sendBadRequestResponse(res, `Payment not completed. Stripe status: ${paymentIntent.status}`);
-    }
-
-    order.paymentInfo.status = "completed";
-    order.paymentInfo.transactionId = paymentIntentId;
-    order.paymentInfo.paymentDate = new Date();
-    order.timeline.paymentCompleted = new Date();
-
-    if (order.orderStatus.current === "pending") {
-      order.orderStatus.current = "confirmed";
-
-      order.items.forEach(item => {
-        if (item.itemStatus === "pending") {
-          item.itemStatus = "confirmed";
-        }
+    if (result.status !== "succeeded") {
+      await Payment.findOneAndUpdate(paymentFilter, {
+        status: result.status,
+        providerPaymentId: result.providerPaymentId,
+        ...(result.errorCode && { errorCode: result.errorCode }),
+        ...(result.errorMessage && { errorMessage: result.errorMessage })
       });
 
-      order.orderStatus.history.push({
-        status: "confirmed",
-        timestamp: new Date(),
-        notes: `Order confirmed. Payment via ${order.paymentInfo.method.toUpperCase()} (Stripe)`
-      });
-      order.timeline.orderConfirmed = new Date();
+      // A failed attempt can be retried on the same checkout; unpaid orders
+      // are cancelled by the payment timeout sweep.
+      return sendBadRequestResponse(res, `Payment not completed. ${provider.label} status: ${result.providerStatus}`);
     }
 
-    order.lastUpdated = new Date();
-    await order.save();
-
-    const latestCharge = paymentIntent.latest_charge;
-    let cardDetails = null;
-    let paymentMethodType = "card";
-
-    if (latestCharge && typeof latestCharge === "object") {
-      cardDetails = latestCharge.payment_method_details?.card || null;
-      paymentMethodType = latestCharge.payment_method_details?.type || "card";
+    if (order.orderStatus.current === "cancelled") {
+      await refundLateCapture(order, { providerPaymentId: result.providerPaymentId, notes: LATE_CAPTURE_NOTE });
+      await Payment.findOneAndUpdate(paymentFilter, {
+        status: "succeeded",
+        method: result.method,
+        providerPaymentId: result.providerPaymentId,
+        paymentDate: new Date()
+      });
+      return sendBadRequestResponse(res, "This order was cancelled before the payment went through; the amount is being refunded");
     }
 
-    await Payment.findOneAndUpdate(
-      { stripePaymentIntentId: paymentIntentId },
-      {
-        status: "succeeded",
-        method: paymentMethodType,
-        paymentDate: new Date(),
-        ...(cardDetails && {
-          card: {
-            brand: cardDetails.brand,
-            last4: cardDetails.last4,
-            expMonth: cardDetails.exp_month,
-            expYear: cardDetails.exp_year,
-            funding: cardDetails.funding
-          }
-        })
-      }
-    );
+    order.paymentInfo.providerPaymentId = result.providerPaymentId;
+    await completeOrderPayment(order, {
+      transactionId: result.providerPaymentId,
+      notes: `Order confirmed. Payment via ${order.paymentInfo.method.toUpperCase()} (${provider.label})`
+    });
 
-    try {
-      for (const item of order.items) {
-        await productModel.findByIdAndUpdate(
-          item.product,
-          { $inc: { sold: item.quantity || 1 } },
-          { new: true }
-        );
-      }
-    } catch (err) {
-    }
+    await Payment.findOneAndUpdate(paymentFilter, {
+      status: "succeeded",
+      method: result.method,
+      providerPaymentId: result.providerPaymentId,
+      paymentDate: new Date(),
+      ...(result.card && { card: result.card })
+    });
 
     return sendSuccessResponse(res, "Payment verified and order confirmed", {
       orderId: order.orderId,
+      provider: provider.name,
       paymentStatus: order.paymentInfo.status,
       orderStatus: order.orderStatus.current,
-      transactionId: paymentIntentId,
+      transactionId: result.providerPaymentId,
       method: order.paymentInfo.method
     });
 
   } catch (error) {
+    if (error instanceof PaymentProviderError) return sendErrorResponse(res, error.statusCode, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -244,7 +312,7 @@ export const getPaymentStatus = async (req, res) => {
     }
 
     const payment = await Payment.findOne({ orderId }).select(
-      "status method card paymentDate refundId refundAmount refundStatus refundDate"
+      "provider providerOrderId providerPaymentId status method card paymentDate refundId refundAmount refundStatus refundDate refunds"
     );
 
     return sendSuccessResponse(res, "Payment status", {
@@ -253,6 +321,8 @@ export const getPaymentStatus = async (req, res) => {
       method: order.paymentInfo.method,
       amount: order.priceSummary.finalTotal,
       transactionId: order.paymentInfo.transactionId,
+      provider: order.paymentInfo.provider,
+      providerOrderId: order.paymentInfo.providerOrderId,
       stripePaymentIntentId: order.paymentInfo.stripePaymentIntentId,
       paymentDate: order.paymentInfo.paymentDate,
       refundAmount: order.paymentInfo.refundAmount,
@@ -264,194 +334,443 @@ export const getPaymentStatus = async (req, res) => {
   }
 };
 
+// Lines this refund fully covers that have not shipped yet are cancelled and put back in stock.
+const cancelRefundedItems = async (order, lines, { notes, actor }) => {
+  const now = new Date();
+  const items = lines
+    .map(line => ({ line, item: order.items.id(line.itemId) }))
+    .filter(({ line, item }) => item
+      && line.quantity === getRemainingQuantity(item)
+      && canTransition(ITEM_TRANSITIONS, item.itemStatus, "cancelled", actor.role))
+    .map(({ item }) => item);
+
+  if (items.length === 0) return [];
+
+  ensureShipments(order);
+  items.forEach(item => setItemStatus(item, "cancelled", { notes, actor, now }));
+  order.shipments.forEach(shipment => syncShipmentStatus(order, shipment, { notes, actor, now }));
+  syncOrderStatus(order, { notes, actor, now });
+
+  return items;
+};
+
+// Admin only: customers get their money back through cancelOrder and returnOrder.
 export const processRefund = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { amount, reason } = req.body || {};
-    const userId = req.user?._id;
+    const { amount, items, reason } = req.body || {};
 
-    if (!userId) return sendBadRequestResponse(res, "User ID required");
     if (!orderId) return sendBadRequestResponse(res, "Order ID required");
 
-    const order = await Order.findOne({ orderId, userId });
-    if (!order) return sendNotFoundResponse(res, "Order not found");
-
-    const onlineMethods = ["card", "upi", "netbanking"];
-    if (!onlineMethods.includes(order.paymentInfo.method)) {
-      return sendBadRequestResponse(res, "COD orders cannot be refunded via Stripe");
+    if (items !== undefined && !Array.isArray(items)) {
+      return sendBadRequestResponse(res, "items must be an array of { itemId, quantity }");
     }
-
-    if (order.paymentInfo.status !== "completed") {
-      return sendBadRequestResponse(res, "Cannot refund — payment is not completed");
+    if (items?.length && amount) {
+      return sendBadRequestResponse(res, "Send either items or amount, not both");
     }
 
-    if (!order.paymentInfo.stripePaymentIntentId) {
-      return sendBadRequestResponse(res, "No Stripe payment intent found for this order");
-    }
+    const order = await Order.findOne({ orderId });
+    if (!order) return sendNotFoundResponse(res, "Order not found");
 
-    const refundAmount = amount ? Number(amount) : order.priceSummary.finalTotal;
+    const actor = actorFromRequest(req);
+    const fullRefund = !items?.length && (!amount || roundMoney(amount) >= getRefundableBalance(order));
+    const pending = prepareRefund(order, { items, amount, reason, actor });
 
-    if (refundAmount <= 0) {
-      return sendBadRequestResponse(res, "Refund amount must be greater than zero");
+    let cancelledItems = [];
+    if (items?.length) {
+      cancelledItems = await cancelRefundedItems(order, pending.lines, {
+        notes: reason || "Item refunded",
+        actor
+      });
+    } else if (fullRefund) {
+      if (canTransition(ORDER_TRANSITIONS, order.orderStatus.current, "cancelled", actor.role)) {
+        setAllShipmentsStatus(order, "cancelled", {
+          notes: reason || "Refund processed: Order Cancelled",
+          actor
+        });
+      } else {
+        order.orderStatus.history.push(
+          historyEntry("refunded", reason || "Refund processed for returned item", actor)
+        );
+      }
     }
 
-    if (refundAmount > order.priceSummary.finalTotal) {
-      return sendBadRequestResponse(res, `Refund amount cannot exceed order total (₹${order.priceSummary.finalTotal})`);
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await claimPendingRefund(order, session);
+        if (order.orderStatus.current === "cancelled") {
+          await releaseOrderStock(order, session);
+          await reverseOrderCoupon(order, reason || "Order refunded", session);
+        } else if (cancelledItems.length > 0) {
+          await restockOrderItems(order, cancelledItems, session);
+        }
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
     }
 
-    const refund = await createStripeRefund(
-      order.paymentInfo.stripePaymentIntentId,
-      refundAmount
-    );
-
-    order.paymentInfo.status = "refunded";
-    order.paymentInfo.refundAmount = refundAmount;
-    order.paymentInfo.refundDate = new Date();
-    order.lastUpdated = new Date();
-
-    if (order.orderStatus.current !== "returned") {
-      order.orderStatus.current = "cancelled";
-      order.orderStatus.history.push({
-        status: "cancelled",
-        timestamp: new Date(),
-        notes: reason || "Refund processed: Order Cancelled"
-      });
-    } else {
-      order.orderStatus.history.push({
-        status: "refunded",
-        timestamp: new Date(),
-        notes: reason || "Refund processed for returned item"
+    let result;
+    try {
+      result = await completeRefund(order);
+    } catch (err) {
+      console.error(`Refund failed for ${order.orderId}, left pending for retry:`, err.message);
+      return sendResponse(res, 202, true, "Refund recorded and will be retried with the payment provider", {
+        orderId: order.orderId,
+        refundAmount: pending.amount,
+        refundStatus: "pending",
+        paymentStatus: order.paymentInfo.status,
+        lines: pending.lines,
+        cancelledItems: cancelledItems.map(item => item._id)
       });
     }
 
-    await order.save();
-
-    await Payment.findOneAndUpdate(
-      { stripePaymentIntentId: order.paymentInfo.stripePaymentIntentId },
-      {
-        status: "refunded",
-        refundId: refund.id,
-        refundAmount,
-        refundStatus: refund.status,
-        refundDate: new Date()
+    // Refunded units of delivered lines come back out of the seller's payout.
+    if (items?.length) {
+      try {
+        await syncOrderLedger(order);
+      } catch (err) {
+        console.error(`Ledger sync failed for ${order.orderId}:`, err.message);
       }
-    );
+    }
 
     return sendSuccessResponse(res, "Refund processed successfully", {
       orderId: order.orderId,
-      refundId: refund.id,
-      refundAmount,
-      refundStatus: refund.status
+      refundId: result.refund.id,
+      refundAmount: result.refundAmount,
+      refundStatus: result.refund.status,
+      totalRefunded: result.totalRefunded,
+      refundableBalance: result.balance,
+      paymentStatus: order.paymentInfo.status,
+      lines: result.lines,
+      cancelledItems: cancelledItems.map(item => item._id)
     });
 
   } catch (error) {
+    if (error instanceof RefundError) return sendErrorResponse(res, error.statusCode, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
 
-export const handleStripeWebhook = async (req, res) => {
+const STALE_WEBHOOK_MS = 5 * 60 * 1000;
+
+// Returns the event record when this delivery should be processed, or null if
+// another delivery already handled it (or is handling it right now).
+const claimWebhookEvent = async (provider, eventId, type) => {
   try {
-    const event = req.body;
-
-    switch (event.type) {
-      case "payment_intent.succeeded": {
-        const paymentIntent = event.data.object;
-        const orderId = paymentIntent.metadata?.orderId;
-
-        if (orderId) {
-          const order = await Order.findOne({ orderId });
-
-          if (order && order.paymentInfo.status !== "completed") {
-            order.paymentInfo.status = "completed";
-            order.paymentInfo.transactionId = paymentIntent.id;
-            order.paymentInfo.paymentDate = new Date();
-            order.timeline.paymentCompleted = new Date();
-
-            if (order.orderStatus.current === "pending") {
-              order.orderStatus.current = "confirmed";
-
-              order.items.forEach(item => {
-                if (item.itemStatus === "pending") {
-                  item.itemStatus = "confirmed";
-                }
-              });
-
-              order.timeline.orderConfirmed = new Date();
-              order.orderStatus.history.push({
-                status: "confirmed",
-                timestamp: new Date(),
-                notes: "Payment verified via Stripe Webhook"
-              });
-            }
-
-            order.lastUpdated = new Date();
-            await order.save();
-
-            await Payment.findOneAndUpdate(
-              { stripePaymentIntentId: paymentIntent.id },
-              { status: "succeeded", paymentDate: new Date() }
-            );
-
-            try {
-              for (const item of order.items) {
-                await productModel.findByIdAndUpdate(
-                  item.product,
-                  { $inc: { sold: item.quantity || 1 } },
-                  { new: true }
-                );
-              }
-            } catch (e) {
-            }
-          }
-        }
-        break;
+    return await WebhookEvent.create({ provider, eventId, type });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return WebhookEvent.findOneAndUpdate(
+    {
+      provider,
+      eventId,
+      $or: [
+        { status: "failed" },
+        { status: "processing", updatedAt: { $lt: new Date(Date.now() - STALE_WEBHOOK_MS) } }
+      ]
+    },
+    { $set: { status: "processing" }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+const runWebhookEvent = async (res, provider, eventId, type, handler) => {
+  let record;
+  try {
+    record = await claimWebhookEvent(provider, eventId, type);
+    if (!record) {
+      const existing = await WebhookEvent.findOne({ provider, eventId }).lean();
+      if (existing?.status === "processed") {
+        return res.status(200).json({ received: true, duplicate: true });
       }
+      return res.status(409).json({ error: "Event is already being processed" });
+    }
 
-      case "payment_intent.payment_failed": {
-        const paymentIntent = event.data.object;
-        const orderId = paymentIntent.metadata?.orderId;
-
-        if (orderId) {
-          const order = await Order.findOne({ orderId });
-          if (order) {
-            order.paymentInfo.status = "failed";
-            order.lastUpdated = new Date();
-            await order.save();
-
-            await Payment.findOneAndUpdate(
-              { stripePaymentIntentId: paymentIntent.id },
-              {
-                status: "failed",
-                errorCode: paymentIntent.last_payment_error?.code,
-                errorMessage: paymentIntent.last_payment_error?.message
-              }
-            );
-          }
-        }
-        break;
+    await handler();
+
+    record.status = "processed";
+    record.processedAt = new Date();
+    record.lastError = undefined;
+    await record.save();
+
+    return res.status(200).json({ received: true });
+
+  } catch (error) {
+    if (record) {
+      await WebhookEvent.updateOne({ _id: record._id }, { status: "failed", lastError: error.message }).catch(() => {});
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+const findOrderByIntent = async (paymentIntentId, orderId) => {
+  if (orderId) return Order.findOne({ orderId });
+  if (!paymentIntentId) return null;
+
+  const order = await Order.findOne({ "paymentInfo.stripePaymentIntentId": paymentIntentId });
+  if (order) return order;
+
+  const payment = await Payment.findOne(Payment.providerFilter("stripe", paymentIntentId)).select("orderId").lean();
+  return payment ? Order.findOne({ orderId: payment.orderId }) : null;
+};
+
+const findOrderByRazorpayOrder = (razorpayOrderId) => {
+  if (!razorpayOrderId) return null;
+  return Order.findOne({ "paymentInfo.provider": "razorpay", "paymentInfo.providerOrderId": razorpayOrderId });
+};
+
+// Refunds can also be issued from the provider dashboards, so refund webhooks
+// bring the order and the Payment ledger up to the provider's totals.
+const syncProviderRefunds = async (order, paymentFilter, { totalRefunded, fullyRefunded, refunds = [] }) => {
+  const paymentStatus = fullyRefunded ? "refunded" : "partially_refunded";
+  const refundDate = new Date();
+
+  // While our own refund is pending, completeRefund records the totals.
+  if (order && !order.paymentInfo.pendingRefund?.key && totalRefunded >= (order.paymentInfo.refundAmount || 0)) {
+    order.paymentInfo.refundAmount = totalRefunded;
+    order.paymentInfo.refundDate = refundDate;
+    order.paymentInfo.status = paymentStatus;
+    order.lastUpdated = refundDate;
+    await order.save();
+  }
+
+  const payment = await Payment.findOne(paymentFilter);
+  if (!payment) return;
+
+  refunds.forEach(refund => {
+    const entry = payment.refunds.find(r => r.refundId === refund.id);
+    if (entry) {
+      entry.status = refund.status;
+      return;
+    }
+    payment.refunds.push({
+      refundId: refund.id,
+      amount: refund.amount,
+      reason: refund.reason || "Refunded from provider dashboard",
+      status: refund.status,
+      source: "webhook"
+    });
+  });
+
+  if (totalRefunded >= (payment.refundAmount || 0)) {
+    payment.refundAmount = totalRefunded;
+    payment.status = paymentStatus;
+    payment.refundDate = refundDate;
+  }
+  await payment.save();
+};
+
+const processStripeEvent = async (event) => {
+  switch (event.type) {
+    case "payment_intent.succeeded": {
+      const paymentIntent = event.data.object;
+      const order = await findOrderByIntent(paymentIntent.id, paymentIntent.metadata?.orderId);
+
+      if (order && order.orderStatus.current === "cancelled" && ["pending", "failed"].includes(order.paymentInfo.status)) {
+        await refundLateCapture(order, { providerPaymentId: paymentIntent.id, notes: LATE_CAPTURE_NOTE });
+      } else if (order && order.paymentInfo.status === "pending") {
+        await completeOrderPayment(order, {
+          transactionId: paymentIntent.id,
+          notes: "Payment verified via Stripe Webhook"
+        });
       }
 
-      case "charge.refunded": {
-        const charge = event.data.object;
-        const paymentIntentId = charge.payment_intent;
+      await Payment.findOneAndUpdate(
+        Payment.providerFilter("stripe", paymentIntent.id),
+        { status: "succeeded", providerPaymentId: paymentIntent.id, paymentDate: new Date() }
+      );
+      break;
+    }
+
+    // The intent goes back to requires_payment_method and the customer can
+    // retry; the payment timeout sweep cancels orders that are never paid.
+    case "payment_intent.payment_failed": {
+      const paymentIntent = event.data.object;
 
-        if (paymentIntentId) {
-          await Payment.findOneAndUpdate(
-            { stripePaymentIntentId: paymentIntentId },
-            { status: "refunded", refundDate: new Date() }
-          );
+      await Payment.findOneAndUpdate(
+        { ...Payment.providerFilter("stripe", paymentIntent.id), status: { $ne: "succeeded" } },
+        {
+          status: "failed",
+          errorCode: paymentIntent.last_payment_error?.code,
+          errorMessage: paymentIntent.last_payment_error?.message
         }
-        break;
+      );
+      break;
+    }
+
+    case "payment_intent.canceled": {
+      const paymentIntent = event.data.object;
+      const reason = paymentIntent.cancellation_reason || "Payment cancelled";
+      const order = await findOrderByIntent(paymentIntent.id, paymentIntent.metadata?.orderId);
+
+      if (order && order.paymentInfo.status === "pending") {
+        await failOrderPayment(order, `Payment cancelled: ${reason}`);
       }
 
-      default:
+      await Payment.findOneAndUpdate(
+        { ...Payment.providerFilter("stripe", paymentIntent.id), status: { $in: ["pending", "processing", "failed"] } },
+        { status: "cancelled", errorMessage: reason }
+      );
+      break;
     }
 
-    return res.status(200).json({ received: true });
+    case "charge.refunded": {
+      const charge = event.data.object;
+      const paymentIntentId = charge.payment_intent;
+      if (!paymentIntentId) break;
+
+      await syncProviderRefunds(await findOrderByIntent(paymentIntentId), Payment.providerFilter("stripe", paymentIntentId), {
+        totalRefunded: roundMoney((charge.amount_refunded || 0) / 100),
+        fullyRefunded: charge.refunded,
+        refunds: (charge.refunds?.data || []).map(refund => ({
+          id: refund.id,
+          amount: roundMoney(refund.amount / 100),
+          status: refund.status,
+          reason: refund.reason
+        }))
+      });
+      break;
+    }
+
+    case "charge.dispute.created": {
+      const dispute = event.data.object;
+      const paymentIntentId = dispute.payment_intent;
+      if (!paymentIntentId) break;
+
+      const disputeInfo = {
+        disputeId: dispute.id,
+        status: dispute.status,
+        reason: dispute.reason,
+        amount: (dispute.amount || 0) / 100,
+        createdAt: dispute.created ? new Date(dispute.created * 1000) : new Date()
+      };
+
+      const order = await findOrderByIntent(paymentIntentId);
+      if (order) {
+        order.paymentInfo.dispute = disputeInfo;
+        order.lastUpdated = new Date();
+        await order.save();
+      }
+
+      await Payment.findOneAndUpdate(
+        Payment.providerFilter("stripe", paymentIntentId),
+        { status: "disputed", dispute: disputeInfo }
+      );
+      break;
+    }
 
+    default:
+  }
+};
+
+export const handleStripeWebhook = async (req, res) => {
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    return res.status(500).json({ error: "Stripe webhook secret is not configured" });
+  }
+
+  let event;
+  try {
+    event = constructWebhookEvent(req.rawBody, req.headers["stripe-signature"], webhookSecret);
   } catch (error) {
     return res.status(400).json({ error: error.message });
   }
+
+  return runWebhookEvent(res, "stripe", event.id, event.type, () => processStripeEvent(event));
+};
+
+const processRazorpayEvent = async (event) => {
+  const payment = event.payload?.payment?.entity;
+
+  switch (event.event) {
+    case "payment.captured":
+    case "order.paid": {
+      if (!payment) break;
+
+      const order = await findOrderByRazorpayOrder(payment.order_id);
+      if (order && order.orderStatus.current === "cancelled" && ["pending", "failed"].includes(order.paymentInfo.status)) {
+        await refundLateCapture(order, { providerPaymentId: payment.id, notes: LATE_CAPTURE_NOTE });
+      } else if (order && order.paymentInfo.status === "pending") {
+        order.paymentInfo.providerPaymentId = payment.id;
+        await completeOrderPayment(order, {
+          transactionId: payment.id,
+          notes: "Payment verified via Razorpay Webhook"
+        });
+      }
+
+      await Payment.findOneAndUpdate(
+        Payment.providerFilter("razorpay", payment.order_id),
+        { status: "succeeded", providerPaymentId: payment.id, paymentDate: new Date() }
+      );
+      break;
+    }
+
+    // Razorpay lets the customer retry on the same order, so one failed
+    // attempt only marks the Payment; the payment timeout sweep cancels
+    // orders that are never paid.
+    case "payment.failed": {
+      if (!payment) break;
+
+      await Payment.findOneAndUpdate(
+        { ...Payment.providerFilter("razorpay", payment.order_id), status: { $ne: "succeeded" } },
+        {
+          status: "failed",
+          providerPaymentId: payment.id,
+          errorCode: payment.error_code,
+          errorMessage: payment.error_description
+        }
+      );
+      break;
+    }
+
+    case "refund.processed": {
+      const refund = event.payload?.refund?.entity;
+      if (!refund) break;
+
+      const order = await Order.findOne({
+        "paymentInfo.provider": "razorpay",
+        "paymentInfo.providerPaymentId": refund.payment_id
+      });
+      const razorpayOrderId = payment?.order_id || order?.paymentInfo.providerOrderId;
+      if (!razorpayOrderId) break;
+
+      await syncProviderRefunds(order, Payment.providerFilter("razorpay", razorpayOrderId), {
+        totalRefunded: roundMoney((payment?.amount_refunded ?? refund.amount) / 100),
+        fullyRefunded: payment?.refund_status === "full",
+        refunds: [{
+          id: refund.id,
+          amount: roundMoney(refund.amount / 100),
+          status: refund.status,
+          reason: refund.notes?.reason
+        }]
+      });
+      break;
+    }
+
+    default:
+  }
+};
+
+export const handleRazorpayWebhook = async (req, res) => {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+    return res.status(500).json({ error: "Razorpay webhook secret is not configured" });
+  }
+
+  if (!verifyRazorpayWebhookSignature(req.rawBody, req.headers["x-razorpay-signature"])) {
+    return res.status(400).json({ error: "Webhook signature verification failed" });
+  }
+
+  const event = req.body;
+  const eventId = req.headers["x-razorpay-event-id"];
+  if (!eventId) {
+    return res.status(400).json({ error: "Missing x-razorpay-event-id header" });
+  }
+
+  return runWebhookEvent(res, "razorpay", eventId, event.event, () => processRazorpayEvent(event));
 };
 
 export const getMyPayments = async (req, res) => {
@@ -512,6 +831,7 @@ export default {
   getPaymentStatus,
   processRefund,
   handleStripeWebhook,
+  handleRazorpayWebhook,
   getMyPayments,
   getAllPayments
 };
@@ -0,0 +1,328 @@
+import mongoose from "mongoose";
+import CommissionRule from "../models/commissionRule.model.js";
+import LedgerEntry from "../models/ledgerEntry.model.js";
+import Settlement from "../models/settlement.model.js";
+import { sendBadRequestResponse, sendErrorResponse, sendNotFoundResponse, sendResponse, sendSuccessResponse } from "../utils/response.utils.js";
+import { actorFromRequest, InvalidTransitionError } from "../utils/orderStatus.utils.js";
+import {
+  COMMISSION_SCOPES,
+  COMMISSION_TAX_RATE,
+  createWeeklySettlements,
+  DEFAULT_COMMISSION_RATE,
+  PayoutError,
+  SETTLEMENT_STATUSES,
+  setSettlementStatus,
+  summarizeLedger,
+  validateCommissionRule
+} from "../utils/payout.utils.js";
+import { sendCsv, toCsv } from "../utils/csv.utils.js";
+import { roundMoney } from "../utils/refund.utils.js";
+
+const EDITABLE_FIELDS = ["name", "scope", "categoryId", "sellerId", "rate", "isActive", "note"];
+
+const pickRuleFields = (body = {}) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+const handlePayoutError = (res, error) => {
+  if (error instanceof InvalidTransitionError) {
+    return sendResponse(res, error.statusCode, false, error.message, { from: error.from, to: error.to, allowedNextStates: error.allowed });
+  }
+  if (error instanceof PayoutError) return sendErrorResponse(res, error.statusCode, error.message);
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return sendBadRequestResponse(res, error.message);
+  }
+  return sendErrorResponse(res, 500, error.message);
+};
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new PayoutError(`Invalid ${name}`);
+  return date;
+};
+
+const parseStatuses = (value) => {
+  if (!value) return [];
+  const statuses = String(value).split(",").map(s => s.trim()).filter(Boolean);
+  const invalid = statuses.filter(s => !SETTLEMENT_STATUSES.includes(s));
+  if (invalid.length > 0) throw new PayoutError(`status must be one of ${SETTLEMENT_STATUSES.join(", ")}`);
+  return statuses;
+};
+
+// Commission rules
+
+export const createCommissionRule = async (req, res) => {
+  try {
+    const rule = new CommissionRule(pickRuleFields(req.body));
+    validateCommissionRule(rule);
+    await rule.save();
+
+    return sendSuccessResponse(res, "Commission rule created", rule);
+  } catch (error) {
+    return handlePayoutError(res, error);
+  }
+};
+
+export const getCommissionRules = async (req, res) => {
+  try {
+    const { scope, isActive } = req.query;
+    const filter = {};
+
+    if (scope) {
+      if (!COMMISSION_SCOPES.includes(scope)) {
+        return sendBadRequestResponse(res, `scope must be one of ${COMMISSION_SCOPES.join(", ")}`);
+      }
+      filter.scope = scope;
+    }
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    const rules = await CommissionRule.find(filter)
+      .populate("categoryId", "name")
+      .populate("sellerId", "firstName lastName email legalName")
+      .sort({ scope: 1, updatedAt: -1 });
+
+    return sendSuccessResponse(res, "Commission rules fetched", {
+      defaultRate: DEFAULT_COMMISSION_RATE,
+      commissionTaxRate: COMMISSION_TAX_RATE,
+      rules
+    });
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+export const updateCommissionRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return sendBadRequestResponse(res, "Invalid commission rule ID");
+
+    const rule = await CommissionRule.findById(id);
+    if (!rule) return sendNotFoundResponse(res, "Commission rule not found");
+
+    rule.set(pickRuleFields(req.body));
+    validateCommissionRule(rule);
+    await rule.save();
+
+    return sendSuccessResponse(res, "Commission rule updated", rule);
+  } catch (error) {
+    return handlePayoutError(res, error);
+  }
+};
+
+// Ledger entries keep the rate they were booked at, so this only affects new sales.
+export const deleteCommissionRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return sendBadRequestResponse(res, "Invalid commission rule ID");
+
+    const rule = await CommissionRule.findByIdAndDelete(id);
+    if (!rule) return sendNotFoundResponse(res, "Commission rule not found");
+
+    return sendSuccessResponse(res, "Commission rule deleted", rule);
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+// Seller statement
+
+export const getSellerStatement = async (req, res) => {
+  try {
+    const sellerId = req.user?._id;
+    const { page = 1, limit = 50 } = req.query;
+    const from = parseDate(req.query.from, "from date");
+    const to = parseDate(req.query.to, "to date");
+
+    const filter = { sellerId };
+    if (from || to) {
+      filter.accruedAt = {};
+      if (from) filter.accruedAt.$gte = from;
+      if (to) filter.accruedAt.$lte = to;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [entries, total, periodEntries, unsettledEntries, settlements] = await Promise.all([
+      LedgerEntry.find(filter)
+        .populate("settlementId", "status periodStart periodEnd paidAt reference")
+        .sort({ accruedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      LedgerEntry.countDocuments(filter),
+      LedgerEntry.find(filter).select("type gross commission commissionTax net").lean(),
+      LedgerEntry.find({ sellerId, settlementId: null }).select("type gross commission commissionTax net").lean(),
+      Settlement.find({ sellerId }).select("-history").sort({ periodStart: -1 }).limit(10).lean()
+    ]);
+
+    return sendSuccessResponse(res, "Seller statement fetched", {
+      period: { from, to },
+      summary: summarizeLedger(periodEntries),
+      unsettled: summarizeLedger(unsettledEntries),
+      settlements,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      entries
+    });
+  } catch (error) {
+    return handlePayoutError(res, error);
+  }
+};
+
+// Settlements (admin)
+
+export const runSettlements = async (req, res) => {
+  try {
+    const weekOf = parseDate(req.body?.weekOf, "weekOf date");
+    const result = await createWeeklySettlements({ weekOf: weekOf || undefined });
+
+    return sendSuccessResponse(res, `${result.created} settlement(s) created`, result);
+  } catch (error) {
+    return handlePayoutError(res, error);
+  }
+};
+
+export const getSettlements = async (req, res) => {
+  try {
+    const { sellerId, page = 1, limit = 20 } = req.query;
+    const statuses = parseStatuses(req.query.status);
+    const periodStart = parseDate(req.query.periodStart, "periodStart");
+
+    const filter = {};
+    if (statuses.length > 0) filter.status = { $in: statuses };
+    if (periodStart) filter.periodStart = periodStart;
+    if (sellerId) {
+      if (!mongoose.Types.ObjectId.isValid(sellerId)) return sendBadRequestResponse(res, "Invalid seller ID");
+      filter.sellerId = sellerId;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [settlements, total] = await Promise.all([
+      Settlement.find(filter)
+        .populate("sellerId", "firstName lastName email legalName gstin")
+        .sort({ periodStart: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Settlement.countDocuments(filter)
+    ]);
+
+    return sendSuccessResponse(res, "Settlements fetched", {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      settlements
+    });
+  } catch (error) {
+    return handlePayoutError(res, error);
+  }
+};
+
+export const getSettlementById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return sendBadRequestResponse(res, "Invalid settlement ID");
+
+    const settlement = await Settlement.findById(id).populate("sellerId", "firstName lastName email legalName gstin");
+    if (!settlement) return sendNotFoundResponse(res, "Settlement not found");
+
+    const entries = await LedgerEntry.find({ settlementId: settlement._id }).sort({ accruedAt: 1 }).lean();
+
+    return sendSuccessResponse(res, "Settlement fetched", { settlement, entries });
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+// body: { status, reference, reason }. Paid needs the transfer reference,
+// failed needs a reason.
+export const updateSettlementStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reference, reason } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) return sendBadRequestResponse(res, "Invalid settlement ID");
+    if (!SETTLEMENT_STATUSES.includes(status)) {
+      return sendBadRequestResponse(res, `status must be one of ${SETTLEMENT_STATUSES.join(", ")}`);
+    }
+
+    const settlement = await Settlement.findById(id);
+    if (!settlement) return sendNotFoundResponse(res, "Settlement not found");
+
+    setSettlementStatus(settlement, status, { actor: actorFromRequest(req), reference, reason });
+    await settlement.save();
+
+    return sendSuccessResponse(res, "Settlement updated", settlement);
+  } catch (error) {
+    return handlePayoutError(res, error);
+  }
+};
+
+const EXPORT_COLUMNS = [
+  { label: "Settlement ID", value: s => s._id },
+  { label: "Seller ID", value: s => s.sellerId?._id },
+  { label: "Seller Name", value: s => [s.sellerId?.firstName, s.sellerId?.lastName].filter(Boolean).join(" ") },
+  { label: "Legal Name", value: s => s.sellerId?.legalName },
+  { label: "Email", value: s => s.sellerId?.email },
+  { label: "GSTIN", value: s => s.sellerId?.gstin },
+  { label: "PAN", value: s => s.sellerId?.pan },
+  { label: "Bank Account", value: s => s.sellerId?.kycDocuments?.find(doc => doc.type === "bank_proof")?.number },
+  { label: "Period Start", value: s => s.periodStart },
+  { label: "Period End", value: s => s.periodEnd },
+  { label: "Entries", value: s => s.entryCount },
+  { label: "Gross", value: s => s.totals.gross.toFixed(2) },
+  { label: "Refunds", value: s => s.totals.refunds.toFixed(2) },
+  { label: "Commission", value: s => s.totals.commission.toFixed(2) },
+  { label: "GST on Commission", value: s => s.totals.commissionTax.toFixed(2) },
+  { label: "Net Payable", value: s => s.totals.net.toFixed(2) },
+  { label: "Status", value: s => s.status },
+  { label: "Reference", value: s => s.reference }
+];
+
+// Payable batches (pending by default) as CSV for the bank upload, or JSON
+// with ?format=json.
+export const exportPayableSettlements = async (req, res) => {
+  try {
+    const statuses = parseStatuses(req.query.status || "pending");
+    const periodStart = parseDate(req.query.periodStart, "periodStart");
+
+    const filter = { status: { $in: statuses } };
+    if (periodStart) filter.periodStart = periodStart;
+
+    const settlements = await Settlement.find(filter)
+      .populate("sellerId", "firstName lastName email legalName gstin pan kycDocuments")
+      .sort({ periodStart: 1, createdAt: 1 })
+      .lean();
+
+    if (req.query.format === "json") {
+      return sendSuccessResponse(res, "Payable settlements fetched", {
+        count: settlements.length,
+        totalPayable: roundMoney(settlements.reduce((sum, s) => sum + s.totals.net, 0)),
+        rows: settlements.map(s => Object.fromEntries(EXPORT_COLUMNS.map(col => [col.label, col.value(s)])))
+      });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    return sendCsv(res, `settlements-${statuses.join("-")}-${stamp}.csv`, toCsv(EXPORT_COLUMNS, settlements));
+  } catch (error) {
+    return handlePayoutError(res, error);
+  }
+};
+
+export default {
+  createCommissionRule,
+  getCommissionRules,
+  updateCommissionRule,
+  deleteCommissionRule,
+  getSellerStatement,
+  runSettlements,
+  getSettlements,
+  getSettlementById,
+  updateSettlementStatus,
+  exportPayableSettlements
+};
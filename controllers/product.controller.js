@@ -7,6 +7,11 @@ import brandModel from "../models/brand.model.js";
 import restaurantModel from "../models/restaurant.model.js";
 import { sendBadRequestResponse, sendErrorResponse, sendNotFoundResponse, sendSuccessResponse } from "../utils/response.utils.js";
 import { deleteFromS3, updateS3, uploadToS3 } from "../utils/s3Service.js";
+import { parseGstRate, parseHsnCode, TaxError } from "../utils/tax.utils.js";
+import { getOpenStatus } from "../utils/restaurantHours.utils.js";
+import { GeoError, nearFilter, parseNearQuery, withDistance } from "../utils/geo.utils.js";
+import { MenuError, parseAddonGroups, parseVariantGroups } from "../utils/menu.utils.js";
+import { assertUniqueSkus, PackSizeError, parsePackSizes, summarizePackSizes, withPackSizes } from "../utils/packSize.utils.js";
 
 const getAllChildCategoryIds = async (categoryId) => {
   const children = await CategoryModel.find({ parentCategory: categoryId }).select("_id");
@@ -19,6 +24,44 @@ const getAllChildCategoryIds = async (categoryId) => {
   return allIds;
 };
 
+// The section has to belong to the product's restaurant.
+const resolveMenuSection = async (restaurantId, menuSectionId) => {
+  if (!menuSectionId) return null;
+  if (!mongoose.Types.ObjectId.isValid(menuSectionId)) throw new MenuError("Invalid menu section ID");
+
+  const restaurant = restaurantId ? await restaurantModel.findById(restaurantId).select("menuSections").lean() : null;
+  if (!restaurant?.menuSections?.some(section => String(section._id) === String(menuSectionId))) {
+    throw new MenuError("Menu section not found for this restaurant");
+  }
+  return menuSectionId;
+};
+
+/*
+ * Uploads the packSizeImages files pack sizes point at with imageIndex. Pack
+ * sizes without one keep the image of the existing pack size with the same
+ * _id. Returns the S3 keys that are no longer used.
+ */
+const attachPackSizeImages = async (packSizes, files = [], existing = []) => {
+  const uploaded = new Map();
+  const current = new Map(existing.map(size => [String(size._id), size]));
+
+  for (const size of packSizes) {
+    const previous = size._id ? current.get(String(size._id)) : null;
+    if (size.imageIndex !== null) {
+      if (!uploaded.has(size.imageIndex)) uploaded.set(size.imageIndex, await uploadToS3(files[size.imageIndex], "products/packSizes"));
+      size.image = uploaded.get(size.imageIndex);
+      size.imageKey = size.image.split(".amazonaws.com/")[1];
+    } else {
+      size.image = previous?.image || null;
+      size.imageKey = previous?.imageKey || null;
+    }
+    delete size.imageIndex;
+  }
+
+  const keptKeys = new Set(packSizes.map(size => size.imageKey).filter(Boolean));
+  return existing.map(size => size.imageKey).filter(key => key && !keptKeys.has(key));
+};
+
 export const createGroceryProduct = async (req, res) => {
   try {
     const {
@@ -38,7 +81,10 @@ export const createGroceryProduct = async (req, res) => {
       disclaimer,
       customerCareDetails,
       stock,
-      inStock
+      inStock,
+      hsnCode,
+      gstRate,
+      packSizes: packSizesInput
     } = req.body;
 
     const category = categoryInput || categories;
@@ -56,7 +102,14 @@ export const createGroceryProduct = async (req, res) => {
 
     if (!title) return sendBadRequestResponse(res, "Product Title is required");
     if (!category) return sendBadRequestResponse(res, "Category is required");
-    if (!price) return sendBadRequestResponse(res, "Price is required");
+
+    const packSizes = packSizesInput !== undefined
+      ? parsePackSizes(packSizesInput, { imageCount: req.files?.packSizeImages?.length || 0 })
+      : [];
+    if (!price && packSizes.length === 0) return sendBadRequestResponse(res, "Price is required");
+    await assertUniqueSkus(packSizes);
+
+    const tax = { hsnCode: parseHsnCode(hsnCode) ?? null, gstRate: parseGstRate(gstRate) ?? null };
 
     if (brand) {
       if (!mongoose.Types.ObjectId.isValid(brand)) return sendBadRequestResponse(res, "Invalid Brand ID");
@@ -75,6 +128,7 @@ export const createGroceryProduct = async (req, res) => {
         imageKey = image.split(".amazonaws.com/")[1];
       }
     }
+    await attachPackSizeImages(packSizes, req.files?.packSizeImages);
 
     const newProduct = await GroceryProduct.create({
       title,
@@ -94,7 +148,10 @@ export const createGroceryProduct = async (req, res) => {
       netQty,
       productType: finalProductType,
       disclaimer,
-      customerCareDetails
+      customerCareDetails,
+      ...tax,
+      // Listing price and stock come from the pack sizes when there are any
+      ...(packSizes.length > 0 && { packSizes, ...summarizePackSizes(packSizes) })
     });
 
     await sellerModel.findByIdAndUpdate(sellerId, { $push: { products: newProduct._id } });
@@ -107,6 +164,8 @@ export const createGroceryProduct = async (req, res) => {
 
     return sendSuccessResponse(res, "Grocery Product created successfully", newProduct);
   } catch (error) {
+    if (error instanceof TaxError) return sendBadRequestResponse(res, error.message);
+    if (error instanceof PackSizeError) return sendErrorResponse(res, error.statusCode, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -122,7 +181,12 @@ export const createFoodProduct = async (req, res) => {
       isVeg,
       restaurantId,
       stock,
-      inStock
+      inStock,
+      hsnCode,
+      gstRate,
+      menuSectionId,
+      variantGroups,
+      addonGroups
     } = req.body;
 
     const sellerId = req.user?._id;
@@ -132,6 +196,13 @@ export const createFoodProduct = async (req, res) => {
     if (!category) return sendBadRequestResponse(res, "Category required");
     if (!price) return sendBadRequestResponse(res, "Price required");
 
+    const tax = { hsnCode: parseHsnCode(hsnCode) ?? null, gstRate: parseGstRate(gstRate) ?? null };
+    const menu = {
+      menuSectionId: await resolveMenuSection(restaurantId, menuSectionId),
+      variantGroups: variantGroups !== undefined ? parseVariantGroups(variantGroups) : [],
+      addonGroups: addonGroups !== undefined ? parseAddonGroups(addonGroups) : []
+    };
+
     let image = null, imageKey = null;
 
     if (req.files && req.files.image && req.files.image.length > 0) {
@@ -162,7 +233,9 @@ export const createFoodProduct = async (req, res) => {
       isActive: true,
       flavor: parsedFlavor,
       isVeg: isVeg !== undefined ? isVeg : true,
-      restaurantId: restaurantId || null
+      restaurantId: restaurantId || null,
+      ...menu,
+      ...tax
     });
 
     await sellerModel.findByIdAndUpdate(sellerId, { $push: { products: newProduct._id } });
@@ -176,6 +249,7 @@ export const createFoodProduct = async (req, res) => {
     return sendSuccessResponse(res, "Food Product created successfully", newProduct);
 
   } catch (error) {
+    if (error instanceof TaxError || error instanceof MenuError) return sendBadRequestResponse(res, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -227,7 +301,8 @@ export const getGroceryProductById = async (req, res) => {
 
     if (!product) return res.status(404).json({ success: false, message: "Grocery Product not found" });
 
-    return res.status(200).json({ success: true, result: product });
+    // ?variantId= preselects a pack size, e.g. when opened from the cart or wishlist
+    return res.status(200).json({ success: true, result: withPackSizes(product, req.query.variantId) });
   } catch (error) {
     return res.status(500).json({ success: false, message: error.message });
   }
@@ -308,7 +383,10 @@ export const updateGroceryProduct = async (req, res) => {
       disclaimer,
       customerCareDetails,
       stock,
-      inStock
+      inStock,
+      hsnCode,
+      gstRate,
+      packSizes: packSizesInput
     } = req.body;
 
     const category = categoryInput || categories;
@@ -333,6 +411,8 @@ export const updateGroceryProduct = async (req, res) => {
     if (stock !== undefined) updateData.stock = stock;
     if (inStock !== undefined) updateData.inStock = inStock;
     if (category && mongoose.Types.ObjectId.isValid(category)) updateData.category = category;
+    if (hsnCode !== undefined) updateData.hsnCode = parseHsnCode(hsnCode);
+    if (gstRate !== undefined) updateData.gstRate = parseGstRate(gstRate);
 
     if (discountedPrice !== undefined) updateData.discountedPrice = discountedPrice;
     if (manufacturer) updateData.manufacturer = manufacturer;
@@ -342,6 +422,16 @@ export const updateGroceryProduct = async (req, res) => {
     if (disclaimer) updateData.disclaimer = disclaimer;
     if (customerCareDetails) updateData.customerCareDetails = customerCareDetails;
 
+    // With pack sizes the listing price and stock follow them, so they can
+    // only change through packSizes. An empty list goes back to a single price.
+    let packSizes = null;
+    if (packSizesInput !== undefined) {
+      packSizes = parsePackSizes(packSizesInput, { imageCount: req.files?.packSizeImages?.length || 0 });
+      await assertUniqueSkus(packSizes, product._id);
+    } else if (product.packSizes?.length > 0 && [price, discountedPrice, netQty, stock, inStock].some(value => value !== undefined)) {
+      return sendBadRequestResponse(res, "This product has pack sizes; update price, netQty and stock through packSizes");
+    }
+
     if (brand) {
       if (!mongoose.Types.ObjectId.isValid(brand)) return sendBadRequestResponse(res, "Invalid Brand ID");
       const brandDoc = await brandModel.findById(brand);
@@ -358,13 +448,28 @@ export const updateGroceryProduct = async (req, res) => {
       updateData.imageKey = url.split(".amazonaws.com/")[1];
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
+    let staleImageKeys = [];
+    if (packSizes) {
+      staleImageKeys = await attachPackSizeImages(packSizes, req.files?.packSizeImages, product.packSizes || []);
+      if (packSizes.length > 0) {
+        Object.assign(updateData, { packSizes }, summarizePackSizes(packSizes));
+      } else {
+        updateData.$unset = { packSizes: 1 };
+      }
+    }
+
+    // The grocery model, so discriminator fields like packSizes are not stripped
+    const updatedProduct = await GroceryProduct.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
       .populate('category', 'name image')
       .populate('brand', 'name')
       .populate('sellerId', 'shopName');
 
+    await Promise.all(staleImageKeys.map(key => deleteFromS3(key)));
+
     return sendSuccessResponse(res, "Grocery Product updated", updatedProduct);
   } catch (error) {
+    if (error instanceof TaxError) return sendBadRequestResponse(res, error.message);
+    if (error instanceof PackSizeError) return sendErrorResponse(res, error.statusCode, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -382,7 +487,12 @@ export const updateFoodProduct = async (req, res) => {
       isVeg,
       restaurantId,
       stock,
-      inStock
+      inStock,
+      hsnCode,
+      gstRate,
+      menuSectionId,
+      variantGroups,
+      addonGroups
     } = req.body;
 
     const sellerId = req.user?._id;
@@ -403,10 +513,20 @@ export const updateFoodProduct = async (req, res) => {
     if (stock !== undefined) updateData.stock = stock;
     if (inStock !== undefined) updateData.inStock = inStock;
     if (category && mongoose.Types.ObjectId.isValid(category)) updateData.category = category;
+    if (hsnCode !== undefined) updateData.hsnCode = parseHsnCode(hsnCode);
+    if (gstRate !== undefined) updateData.gstRate = parseGstRate(gstRate);
 
     if (isVeg !== undefined) updateData.isVeg = isVeg;
     if (restaurantId && mongoose.Types.ObjectId.isValid(restaurantId)) updateData.restaurantId = restaurantId;
 
+    // Groups and options sent back with their _id keep it, so lines already
+    // in carts keep matching the same picks
+    if (variantGroups !== undefined) updateData.variantGroups = parseVariantGroups(variantGroups);
+    if (addonGroups !== undefined) updateData.addonGroups = parseAddonGroups(addonGroups);
+    if (menuSectionId !== undefined) {
+      updateData.menuSectionId = await resolveMenuSection(updateData.restaurantId || product.restaurantId, menuSectionId);
+    }
+
     if (flavor) {
       if (Array.isArray(flavor)) updateData.flavor = flavor;
       else if (typeof flavor === 'string') {
@@ -423,13 +543,14 @@ export const updateFoodProduct = async (req, res) => {
       updateData.imageKey = url.split(".amazonaws.com/")[1];
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
+    const updatedProduct = await FoodDeliveryProduct.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
       .populate('category', 'name image')
       .populate('restaurantId', 'title')
       .populate('sellerId', 'shopName');
 
     return sendSuccessResponse(res, "Food Product updated", updatedProduct);
   } catch (error) {
+    if (error instanceof TaxError || error instanceof MenuError) return sendBadRequestResponse(res, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
@@ -450,6 +571,7 @@ export const deleteGroceryProduct = async (req, res) => {
     }
 
     if (product.imageKey) await deleteFromS3(product.imageKey);
+    await Promise.all((product.packSizes || []).filter(size => size.imageKey).map(size => deleteFromS3(size.imageKey)));
 
     await Product.findByIdAndDelete(id);
     await sellerModel.findByIdAndUpdate(product.sellerId, { $pull: { products: product._id } });
@@ -486,6 +608,9 @@ export const deleteFoodProduct = async (req, res) => {
   }
 };
 
+// Search terms are matched literally, never run as a pattern.
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
 export const searchProducts = async (req, res) => {
   try {
     const { q, categoryId, type } = req.query;
@@ -500,15 +625,18 @@ export const searchProducts = async (req, res) => {
       matchQuery.category = categoryId;
     }
 
-    if (q && q.trim()) {
-      const searchRegex = { $regex: q.trim(), $options: "i" };
+    const term = q && q.trim();
+    const searchRegex = term ? { $regex: escapeRegex(term), $options: "i" } : null;
 
+    if (term) {
       const matchingCategories = await CategoryModel.find({ name: searchRegex }).distinct('_id');
 
       matchQuery.$or = [
         { title: searchRegex },
         { description: searchRegex },
-        { category: { $in: matchingCategories } }
+        { category: { $in: matchingCategories } },
+        { "packSizes.sku": term.toUpperCase() },
+        { packSizes: { $elemMatch: { label: searchRegex, isActive: true } } }
       ];
     }
 
@@ -518,7 +646,15 @@ export const searchProducts = async (req, res) => {
       .populate("sellerId", "shopName")
       .sort({ createdAt: -1 });
 
-    return sendSuccessResponse(res, "Products fetched successfully", products);
+    // A search for a SKU or size ("5kg") preselects the pack size it matched
+    const matchesTerm = (size) => size.sku === term.toUpperCase() || size.label.toLowerCase().includes(term.toLowerCase());
+    const result = products.map(product => {
+      if (!product.packSizes?.length) return product;
+      const matched = term ? product.packSizes.find(size => size.isActive !== false && matchesTerm(size)) : null;
+      return withPackSizes(product, matched?._id);
+    });
+
+    return sendSuccessResponse(res, "Products fetched successfully", result);
   } catch (error) {
     return sendErrorResponse(res, 500, "error while searchProducts", error);
   }
@@ -854,9 +990,19 @@ export const getProductsSoldInEvening = async (req, res) => {
   }
 };
 
+// ?lat=&lng= limits the list to restaurants near that point and adds
+// distanceKm; ?sort=distance then orders it nearest first.
 export const getPopularRestaurants = async (req, res) => {
   try {
-    const popularRestaurants = await Order.aggregate([
+    const near = parseNearQuery(req.query);
+
+    let nearbyMatch = [];
+    if (near) {
+      const nearby = await restaurantModel.find({ isActive: true, location: nearFilter(near) }).select("_id").lean();
+      nearbyMatch = [{ $match: { "productDetails.restaurantId": { $in: nearby.map(r => r._id) } } }];
+    }
+
+    let popularRestaurants = await Order.aggregate([
       { $unwind: "$items" },
 
       {
@@ -876,6 +1022,8 @@ export const getPopularRestaurants = async (req, res) => {
         }
       },
 
+      ...nearbyMatch,
+
       {
         $group: {
           _id: "$productDetails.restaurantId",
@@ -909,11 +1057,18 @@ export const getPopularRestaurants = async (req, res) => {
           rating: "$restaurantInfo.rating",
           time: "$restaurantInfo.time",
           delivery: "$restaurantInfo.delivery",
-          off: "$restaurantInfo.off"
+          off: "$restaurantInfo.off",
+          location: "$restaurantInfo.location",
+          deliveryRadiusKm: "$restaurantInfo.deliveryRadiusKm"
         }
       }
     ]);
 
+    if (near) {
+      popularRestaurants = popularRestaurants.map(restaurant => withDistance(restaurant, near.point));
+      if (req.query.sort === "distance") popularRestaurants.sort((a, b) => a.distanceKm - b.distanceKm);
+    }
+
     if (!popularRestaurants || popularRestaurants.length === 0) {
       return sendSuccessResponse(res, "No popular restaurants found yet", []);
     }
@@ -921,13 +1076,14 @@ export const getPopularRestaurants = async (req, res) => {
     return sendSuccessResponse(res, "Popular restaurants fetched successfully", popularRestaurants);
 
   } catch (error) {
+    if (error instanceof GeoError) return sendErrorResponse(res, error.statusCode, error.message);
     return sendErrorResponse(res, 500, error.message);
   }
 };
 
 export const getFilteredFoodProducts = async (req, res) => {
   try {
-    const { sort, isVeg, rating, fastDelivery, offer } = req.query;
+    const { sort, isVeg, rating, fastDelivery, offer, openNow } = req.query;
 
     const pipeline = [
       {
@@ -1051,11 +1207,20 @@ export const getFilteredFoodProducts = async (req, res) => {
         description: "$restaurantDetails.description",
         address: "$restaurantDetails.address",
         startingPrice: "$minPrice",
-        maxDiscount: "$maxDiscount"
+        maxDiscount: "$maxDiscount",
+        isActive: "$restaurantDetails.isActive",
+        openingHours: "$restaurantDetails.openingHours",
+        holidays: "$restaurantDetails.holidays",
+        ordersPaused: "$restaurantDetails.ordersPaused"
       }
     });
 
-    const restaurants = await Product.aggregate(pipeline);
+    const now = new Date();
+    let restaurants = (await Product.aggregate(pipeline)).map(restaurant => {
+      const { isActive, openingHours, holidays, ordersPaused, ...rest } = restaurant;
+      return { ...rest, ...getOpenStatus(restaurant, now) };
+    });
+    if (openNow === 'true') restaurants = restaurants.filter(restaurant => restaurant.isOpenNow);
 
     return sendSuccessResponse(res, "Filtered restaurants fetched successfully", restaurants);
 
@@ -1,7 +1,11 @@
 import mongoose from "mongoose";
 import restaurantModel from "../models/restaurant.model.js";
+import Product from "../models/product.model.js";
 import { checkRequired, sendBadRequestResponse, sendErrorResponse, sendSuccessResponse } from "../utils/response.utils.js";
 import { deleteFromS3, updateS3, uploadToS3 } from "../utils/s3Service.js";
+import { parseHolidays, parseOpeningHours, RestaurantHoursError, withOpenStatus } from "../utils/restaurantHours.utils.js";
+import { GeoError, nearFilter, parseDeliveryRadius, parseNearQuery, readPoint, withDistance } from "../utils/geo.utils.js";
+import { buildMenu } from "../utils/menu.utils.js";
 
 export const createRestaurant = async (req, res) => {
     try {
@@ -27,6 +31,9 @@ export const createRestaurant = async (req, res) => {
             return sendBadRequestResponse(res, "Restaurant Image is required");
         }
 
+        const location = readPoint(req.body);
+        const deliveryRadiusKm = parseDeliveryRadius(req.body.deliveryRadiusKm);
+
         let img = await uploadToS3(restaurantImage, "restaurants");
 
         let gImage = null;
@@ -46,6 +53,8 @@ export const createRestaurant = async (req, res) => {
             delivery: delivery || null,
             option: option || null,
             off: off || null,
+            location: location || undefined,
+            deliveryRadiusKm,
             categoryId,
             sellerId: _id
         };
@@ -55,30 +64,43 @@ export const createRestaurant = async (req, res) => {
         return sendSuccessResponse(res, "Restaurant created successfully", restaurant);
 
     } catch (error) {
+        if (error instanceof GeoError) return sendErrorResponse(res, error.statusCode, error.message);
         return sendErrorResponse(res, 500, "Error while creating restaurant", error);
     }
 };
 
 export const getAllRestaurants = async (req, res) => {
     try {
-        const { categoryId } = req.query;
+        const { categoryId, openNow } = req.query;
+        const near = parseNearQuery(req.query);
         let filter = { isActive: true };
 
         if (categoryId && mongoose.Types.ObjectId.isValid(categoryId)) {
             filter.categoryId = categoryId;
         }
 
-        const restaurants = await restaurantModel.find(filter)
+        // $nearSphere returns the closest first, so the default sort only applies without a location
+        if (near) filter.location = nearFilter(near);
+
+        let query = restaurantModel.find(filter)
             .populate("categoryId", "name image")
-            .populate("sellerId", "firstName mobileNo email")
-            .sort({ createdAt: -1 });
+            .populate("sellerId", "firstName mobileNo email");
+        if (!near) query = query.sort({ createdAt: -1 });
+
+        const restaurants = await query;
+
+        const now = new Date();
+        let result = restaurants.map(restaurant => withOpenStatus(restaurant, now));
+        if (near) result = result.map(restaurant => withDistance(restaurant, near.point));
+        if (openNow === "true") result = result.filter(restaurant => restaurant.isOpenNow);
 
         return sendSuccessResponse(res, "Restaurants fetched successfully", {
-            total: restaurants.length,
-            restaurants
+            total: result.length,
+            restaurants: result
         });
 
     } catch (error) {
+        if (error instanceof GeoError) return sendErrorResponse(res, error.statusCode, error.message);
         return sendErrorResponse(res, 500, "Error while fetching all restaurants", error);
     }
 };
@@ -99,7 +121,7 @@ export const getRestaurantById = async (req, res) => {
             return sendErrorResponse(res, 404, "Restaurant not found");
         }
 
-        return sendSuccessResponse(res, "Restaurant fetched successfully", restaurant);
+        return sendSuccessResponse(res, "Restaurant fetched successfully", withOpenStatus(restaurant));
 
     } catch (error) {
         return sendErrorResponse(res, 500, "Error while fetching restaurant", error);
@@ -124,6 +146,9 @@ export const updateRestaurant = async (req, res) => {
             return sendErrorResponse(res, 403, "You can only update your own restaurant");
         }
 
+        const location = readPoint(req.body);
+        const deliveryRadiusKm = parseDeliveryRadius(req.body.deliveryRadiusKm);
+
         const files = req.files || {};
         const restaurantImageFile = files.restaurantImage ? files.restaurantImage[0] : null;
         const gImageFile = files.gImage ? files.gImage[0] : null;
@@ -167,6 +192,9 @@ export const updateRestaurant = async (req, res) => {
         restaurant.off = off || restaurant.off;
         restaurant.rating = rating !== undefined ? Number(rating) : restaurant.rating;
 
+        if (location) restaurant.location = location;
+        if (req.body.deliveryRadiusKm !== undefined) restaurant.deliveryRadiusKm = deliveryRadiusKm;
+
         if (categoryId && mongoose.Types.ObjectId.isValid(categoryId)) {
             restaurant.categoryId = categoryId;
         }
@@ -176,10 +204,239 @@ export const updateRestaurant = async (req, res) => {
         return sendSuccessResponse(res, "Restaurant updated successfully", restaurant);
 
     } catch (error) {
+        if (error instanceof GeoError) return sendErrorResponse(res, error.statusCode, error.message);
         return sendErrorResponse(res, 500, "Error while updating restaurant", error);
     }
 };
 
+// body: { openingHours: [{ day, slots: [{ open, close }] }], holidays: [{ from, to, reason }] }
+// Either list can be sent on its own; an empty openingHours means open all day.
+export const updateRestaurantHours = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { openingHours, holidays } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return sendBadRequestResponse(res, "Invalid restaurant ID");
+        }
+        if (openingHours === undefined && holidays === undefined) {
+            return sendBadRequestResponse(res, "Send openingHours and/or holidays");
+        }
+
+        const restaurant = await restaurantModel.findById(id);
+        if (!restaurant) {
+            return sendErrorResponse(res, 404, "Restaurant not found");
+        }
+
+        if (req.user.role === 'seller' && String(restaurant.sellerId) !== String(req.user._id)) {
+            return sendErrorResponse(res, 403, "You can only update your own restaurant");
+        }
+
+        if (openingHours !== undefined) restaurant.openingHours = parseOpeningHours(openingHours);
+        if (holidays !== undefined) restaurant.holidays = parseHolidays(holidays);
+
+        await restaurant.save();
+
+        return sendSuccessResponse(res, "Restaurant hours updated successfully", withOpenStatus(restaurant));
+
+    } catch (error) {
+        if (error instanceof RestaurantHoursError) return sendErrorResponse(res, error.statusCode, error.message);
+        return sendErrorResponse(res, 500, "Error while updating restaurant hours", error);
+    }
+};
+
+// body: { paused: true, reason, minutes | until } or { paused: false }.
+// Without minutes or until the restaurant stays paused until resumed.
+export const setRestaurantOrderPause = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { paused, reason, minutes, until } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return sendBadRequestResponse(res, "Invalid restaurant ID");
+        }
+        if (typeof paused !== "boolean") {
+            return sendBadRequestResponse(res, "paused must be true or false");
+        }
+
+        let resumeAt = null;
+        if (paused && minutes !== undefined) {
+            if (!Number.isFinite(Number(minutes)) || Number(minutes) <= 0) {
+                return sendBadRequestResponse(res, "minutes must be a positive number");
+            }
+            resumeAt = new Date(Date.now() + Number(minutes) * 60 * 1000);
+        } else if (paused && until) {
+            resumeAt = new Date(until);
+            if (isNaN(resumeAt.getTime()) || resumeAt <= new Date()) {
+                return sendBadRequestResponse(res, "until must be a future date");
+            }
+        }
+
+        const restaurant = await restaurantModel.findById(id);
+        if (!restaurant) {
+            return sendErrorResponse(res, 404, "Restaurant not found");
+        }
+
+        if (req.user.role === 'seller' && String(restaurant.sellerId) !== String(req.user._id)) {
+            return sendErrorResponse(res, 403, "You can only update your own restaurant");
+        }
+
+        restaurant.ordersPaused = paused
+            ? { isPaused: true, reason: reason || null, until: resumeAt, pausedAt: new Date() }
+            : { isPaused: false, reason: null, until: null, pausedAt: null };
+
+        await restaurant.save();
+
+        return sendSuccessResponse(res, paused ? "Orders paused" : "Orders resumed", withOpenStatus(restaurant));
+
+    } catch (error) {
+        return sendErrorResponse(res, 500, "Error while updating order pause", error);
+    }
+};
+
+// Full menu grouped by section, with each item's variants and add-ons.
+export const getRestaurantMenu = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return sendBadRequestResponse(res, "Invalid restaurant ID");
+        }
+
+        const restaurant = await restaurantModel.findById(id);
+        if (!restaurant || !restaurant.isActive) {
+            return sendErrorResponse(res, 404, "Restaurant not found");
+        }
+
+        const products = await Product.find({ restaurantId: id, docType: 'delivery', isActive: true })
+            .select("title description image price stock inStock isVeg flavor menuSectionId variantGroups addonGroups rating")
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const { menuSections, ...details } = withOpenStatus(restaurant);
+
+        return sendSuccessResponse(res, "Restaurant menu fetched successfully", {
+            restaurant: details,
+            sections: buildMenu(restaurant, products)
+        });
+
+    } catch (error) {
+        return sendErrorResponse(res, 500, "Error while fetching restaurant menu", error);
+    }
+};
+
+const findOwnRestaurant = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        sendBadRequestResponse(res, "Invalid restaurant ID");
+        return null;
+    }
+
+    const restaurant = await restaurantModel.findById(id);
+    if (!restaurant) {
+        sendErrorResponse(res, 404, "Restaurant not found");
+        return null;
+    }
+
+    if (req.user.role === 'seller' && String(restaurant.sellerId) !== String(req.user._id)) {
+        sendErrorResponse(res, 403, "You can only update your own restaurant");
+        return null;
+    }
+
+    return restaurant;
+};
+
+// body: { name, description, sortOrder, isActive }
+export const addMenuSection = async (req, res) => {
+    try {
+        const { name, description, sortOrder, isActive } = req.body || {};
+
+        if (!name || !String(name).trim()) {
+            return sendBadRequestResponse(res, "Section name is required");
+        }
+
+        const restaurant = await findOwnRestaurant(req, res);
+        if (!restaurant) return;
+
+        if (restaurant.menuSections.some(section => section.name.toLowerCase() === String(name).trim().toLowerCase())) {
+            return sendBadRequestResponse(res, "A section with this name already exists");
+        }
+
+        restaurant.menuSections.push({
+            name: String(name).trim(),
+            description: description || null,
+            sortOrder: sortOrder !== undefined ? Number(sortOrder) : restaurant.menuSections.length,
+            isActive: isActive !== undefined ? isActive === true || isActive === "true" : true
+        });
+        await restaurant.save();
+
+        return sendSuccessResponse(res, "Menu section added successfully", restaurant.menuSections);
+
+    } catch (error) {
+        if (error.name === "ValidationError") return sendBadRequestResponse(res, error.message);
+        return sendErrorResponse(res, 500, "Error while adding menu section", error);
+    }
+};
+
+export const updateMenuSection = async (req, res) => {
+    try {
+        const { sectionId } = req.params;
+        const { name, description, sortOrder, isActive } = req.body || {};
+
+        const restaurant = await findOwnRestaurant(req, res);
+        if (!restaurant) return;
+
+        const section = mongoose.Types.ObjectId.isValid(sectionId) ? restaurant.menuSections.id(sectionId) : null;
+        if (!section) {
+            return sendErrorResponse(res, 404, "Menu section not found");
+        }
+
+        if (name !== undefined) {
+            if (!String(name).trim()) return sendBadRequestResponse(res, "Section name is required");
+            const duplicate = restaurant.menuSections.some(other => String(other._id) !== String(section._id)
+                && other.name.toLowerCase() === String(name).trim().toLowerCase());
+            if (duplicate) return sendBadRequestResponse(res, "A section with this name already exists");
+            section.name = String(name).trim();
+        }
+        if (description !== undefined) section.description = description || null;
+        if (sortOrder !== undefined) section.sortOrder = Number(sortOrder);
+        if (isActive !== undefined) section.isActive = isActive === true || isActive === "true";
+
+        await restaurant.save();
+
+        return sendSuccessResponse(res, "Menu section updated successfully", restaurant.menuSections);
+
+    } catch (error) {
+        if (error.name === "ValidationError") return sendBadRequestResponse(res, error.message);
+        return sendErrorResponse(res, 500, "Error while updating menu section", error);
+    }
+};
+
+// Items in the section move to "Others" rather than being deleted.
+export const deleteMenuSection = async (req, res) => {
+    try {
+        const { sectionId } = req.params;
+
+        const restaurant = await findOwnRestaurant(req, res);
+        if (!restaurant) return;
+
+        const section = mongoose.Types.ObjectId.isValid(sectionId) ? restaurant.menuSections.id(sectionId) : null;
+        if (!section) {
+            return sendErrorResponse(res, 404, "Menu section not found");
+        }
+
+        section.deleteOne();
+        await restaurant.save();
+        await Product.updateMany({ restaurantId: restaurant._id, menuSectionId: sectionId }, { $set: { menuSectionId: null } });
+
+        return sendSuccessResponse(res, "Menu section deleted successfully", restaurant.menuSections);
+
+    } catch (error) {
+        return sendErrorResponse(res, 500, "Error while deleting menu section", error);
+    }
+};
+
 export const deleteRestaurant = async (req, res) => {
     try {
         const { id } = req.params;
@@ -8,6 +8,8 @@ import transporter from '../utils/Email.config.js'
 import { ThrowError } from '../utils/Error.utils.js';
 import { upload } from '../helper/imageUplode.js';
 import { updateS3, uploadToS3 } from '../utils/s3Service.js';
+import { GstVerificationError, normalizeGstin, verifySellerGst } from '../utils/gstVerification.utils.js';
+import { readPoint } from '../utils/geo.utils.js';
 
 const saltRounds = 10;
 const JWT_SCERET = process.env.JWT_SCERET
@@ -74,7 +76,7 @@ export const createAdminController = async (req, res) => {
 
 export const newSellerController = async (req, res) => {
   try {
-    const { fullName, mobileNo, email, password } = req.body;
+    const { fullName, mobileNo, email, password, gstin, pan, legalName } = req.body;
 
     if (!mobileNo || !email || !password || !fullName) {
       return res.status(400).json({
@@ -107,7 +109,7 @@ export const newSellerController = async (req, res) => {
     }
     const profileAvatar = Ravatar(email) || "";
 
-    const newSeller = await sellerModel.create({
+    const newSeller = new sellerModel({
       firstName: fullName,
       email,
       mobileNo,
@@ -116,6 +118,16 @@ export const newSellerController = async (req, res) => {
       role: "seller"
     });
 
+    // GST details are optional at sign-up and can be submitted later via /seller/gst.
+    if (gstin || pan) {
+      if (await sellerModel.exists({ gstin: normalizeGstin(gstin) })) {
+        return sendResponse(res, 409, false, "This GSTIN is already registered");
+      }
+      await verifySellerGst(newSeller, { gstin, pan, legalName });
+    }
+
+    await newSeller.save();
+
     const token = jwt.sign(newSeller.toJSON(), JWT_SCERET, { expiresIn: "7d" });
 
     return res.status(201).json({
@@ -125,11 +137,16 @@ export const newSellerController = async (req, res) => {
         id: newSeller._id,
         mobileNo: newSeller.mobileNo,
         email: newSeller.email,
-        role: newSeller.role
+        role: newSeller.role,
+        verified: newSeller.verified,
+        gstVerification: newSeller.gstVerification.status
       },
       token: token
     });
   } catch (error) {
+    if (error instanceof GstVerificationError) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
     console.error("Registration Error:", error.message);
     return res.status(500).json({
       success: false,
@@ -331,7 +348,8 @@ export const sellerLoginController = async (req, res) => {
         role: seller.role,
         firstName: seller.firstName,
         lastName: seller.lastName,
-        mobileNo: seller.mobileNo
+        mobileNo: seller.mobileNo,
+        ...(seller.role === "seller" && { onboardingStatus: seller.onboarding.status })
       },
       token
     });
@@ -537,6 +555,13 @@ export const sellerPickUpAddressSetController = async (req, res) => {
     const { houseNo, street, landmark, pincode, city, state } = req.body;
     const { id } = req?.user || {};
 
+    let location;
+    try {
+      location = readPoint(req.body) || undefined;
+    } catch (error) {
+      return sendBadRequestResponse(res, error.message);
+    }
+
     if (!id) {
       return sendBadRequestResponse(res, "User not found in request!");
     }
@@ -552,7 +577,7 @@ export const sellerPickUpAddressSetController = async (req, res) => {
       { _id: id },
       {
         $push: {
-          pickUpAddr: { houseNo, street, landmark, pincode, city, state }
+          pickUpAddr: { houseNo, street, landmark, pincode, city, state, location }
         }
       },
       { new: true, runValidators: true }
@@ -572,4 +597,44 @@ export const sellerPickUpAddressSetController = async (req, res) => {
     console.error("Error while adding PickUp Address:", error);
     return sendErrorResponse(res, "Error while inserting pick-up address!");
   }
-};
\ No newline at end of file
+};
+
+// Adds or replaces the seller's GSTIN and PAN. Also retries a check that was
+// left pending because the verifier could not be reached.
+export const submitSellerGstController = async (req, res) => {
+  try {
+    const { gstin, pan, legalName } = req.body || {};
+
+    const seller = await sellerModel.findById(req.user?._id);
+    if (!seller) {
+      return sendNotFoundResponse(res, "Seller not found!");
+    }
+
+    const duplicate = await sellerModel.exists({ gstin: normalizeGstin(gstin), _id: { $ne: seller._id } });
+    if (duplicate) {
+      return sendResponse(res, 409, false, "This GSTIN is already registered");
+    }
+
+    await verifySellerGst(seller, { gstin, pan, legalName });
+    await seller.save();
+
+    const message = seller.gstVerification.status === "verified"
+      ? "GSTIN verified successfully"
+      : "GSTIN saved, verification is pending";
+
+    return sendSuccessResponse(res, message, {
+      gstin: seller.gstin,
+      pan: seller.pan,
+      legalName: seller.legalName,
+      gstState: seller.gstState,
+      gstVerification: seller.gstVerification,
+      onboardingStatus: seller.onboarding.status,
+      verified: seller.verified
+    });
+  } catch (error) {
+    if (error instanceof GstVerificationError) {
+      return sendResponse(res, error.statusCode, false, error.message);
+    }
+    return sendErrorResponse(res, 500, "Error while verifying GSTIN", error.message);
+  }
+};
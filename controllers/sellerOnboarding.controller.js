@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+import sellerModel from "../models/seller.model.js";
+import { sendBadRequestResponse, sendErrorResponse, sendNotFoundResponse, sendResponse, sendSuccessResponse } from "../utils/response.utils.js";
+import { deleteFromS3, uploadToS3 } from "../utils/s3Service.js";
+import { actorFromRequest, InvalidTransitionError } from "../utils/orderStatus.utils.js";
+import {
+  assertDocumentsEditable,
+  getOnboardingSummary,
+  KYC_UPLOAD_FIELDS,
+  ONBOARDING_STATUSES,
+  OnboardingError,
+  setOnboardingStatus,
+  upsertKycDocument
+} from "../utils/sellerOnboarding.utils.js";
+
+const BUSINESS_TYPES = ["grocery", "restaurant", "both"];
+
+const handleOnboardingError = (res, error) => {
+  if (error instanceof InvalidTransitionError) {
+    return sendResponse(res, error.statusCode, false, error.message, { from: error.from, to: error.to, allowedNextStates: error.allowed });
+  }
+  if (error instanceof OnboardingError) return sendResponse(res, error.statusCode, false, error.message);
+  return sendErrorResponse(res, 500, error.message);
+};
+
+const applyBusinessType = (seller, businessType) => {
+  if (businessType === undefined) return;
+  if (!BUSINESS_TYPES.includes(businessType)) {
+    throw new OnboardingError(`businessType must be one of ${BUSINESS_TYPES.join(", ")}`);
+  }
+  seller.businessType = businessType;
+};
+
+export const getMyOnboarding = async (req, res) => {
+  try {
+    const seller = await sellerModel.findById(req.user?._id);
+    if (!seller) return sendNotFoundResponse(res, "Seller not found");
+
+    return sendSuccessResponse(res, "Onboarding status fetched", getOnboardingSummary(seller));
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+// multipart: fssaiLicence, gstCertificate, bankProof files, with optional
+// fssaiLicenceNumber / gstCertificateNumber / bankProofNumber and businessType.
+export const uploadKycDocuments = async (req, res) => {
+  try {
+    const seller = await sellerModel.findById(req.user?._id);
+    if (!seller) return sendNotFoundResponse(res, "Seller not found");
+
+    assertDocumentsEditable(seller);
+    applyBusinessType(seller, req.body?.businessType);
+
+    const uploads = Object.entries(KYC_UPLOAD_FIELDS).filter(([field]) => req.files?.[field]?.length > 0);
+    if (uploads.length === 0 && req.body?.businessType === undefined) {
+      return sendBadRequestResponse(res, `Upload at least one of ${Object.keys(KYC_UPLOAD_FIELDS).join(", ")}`);
+    }
+
+    const replacedKeys = [];
+    for (const [field, type] of uploads) {
+      const url = await uploadToS3(req.files[field][0], `kyc/${type}`);
+      replacedKeys.push(...upsertKycDocument(seller, {
+        type,
+        url,
+        key: url.split(".amazonaws.com/")[1] || null,
+        number: req.body?.[`${field}Number`]
+      }));
+    }
+
+    await seller.save();
+    await Promise.all(replacedKeys.map(key => deleteFromS3(key).catch(() => null)));
+
+    return sendSuccessResponse(res, "KYC documents saved", getOnboardingSummary(seller));
+  } catch (error) {
+    return handleOnboardingError(res, error);
+  }
+};
+
+export const submitOnboarding = async (req, res) => {
+  try {
+    const seller = await sellerModel.findById(req.user?._id);
+    if (!seller) return sendNotFoundResponse(res, "Seller not found");
+
+    applyBusinessType(seller, req.body?.businessType);
+    setOnboardingStatus(seller, "under_review", { actor: actorFromRequest(req) });
+    await seller.save();
+
+    return sendSuccessResponse(res, "Application submitted for review", getOnboardingSummary(seller));
+  } catch (error) {
+    return handleOnboardingError(res, error);
+  }
+};
+
+export const getOnboardingQueue = async (req, res) => {
+  try {
+    const { status = "under_review", page = 1, limit = 20 } = req.query;
+
+    if (status !== "all" && !ONBOARDING_STATUSES.includes(status)) {
+      return sendBadRequestResponse(res, `status must be one of all, ${ONBOARDING_STATUSES.join(", ")}`);
+    }
+
+    const filter = { role: "seller", ...(status !== "all" && { "onboarding.status": status }) };
+    const skip = (page - 1) * limit;
+
+    const [sellers, total] = await Promise.all([
+      sellerModel.find(filter)
+        .select("firstName lastName email mobileNo businessType gstin legalName gstVerification onboarding.status onboarding.submittedAt onboarding.reason kycDocuments verified createdAt")
+        .sort({ "onboarding.submittedAt": 1, createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      sellerModel.countDocuments(filter)
+    ]);
+
+    return sendSuccessResponse(res, "Onboarding queue fetched", {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sellers
+    });
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+export const getSellerKyc = async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sellerId)) return sendBadRequestResponse(res, "Invalid seller ID");
+
+    const seller = await sellerModel.findOne({ _id: sellerId, role: "seller" })
+      .select("-password -otp -otpExpiry")
+      .populate("onboarding.reviewedBy", "firstName lastName email");
+    if (!seller) return sendNotFoundResponse(res, "Seller not found");
+
+    return sendSuccessResponse(res, "Seller KYC fetched", {
+      seller,
+      onboarding: getOnboardingSummary(seller),
+      history: seller.onboarding.history
+    });
+  } catch (error) {
+    return sendErrorResponse(res, 500, error.message);
+  }
+};
+
+// body: { status: under_review | approved | rejected | suspended, reason }
+// A reason is required to reject or suspend and is shown to the seller.
+export const reviewSeller = async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    const { status, reason } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(sellerId)) return sendBadRequestResponse(res, "Invalid seller ID");
+    if (!ONBOARDING_STATUSES.includes(status) || status === "pending") {
+      return sendBadRequestResponse(res, "status must be one of under_review, approved, rejected, suspended");
+    }
+
+    const seller = await sellerModel.findOne({ _id: sellerId, role: "seller" });
+    if (!seller) return sendNotFoundResponse(res, "Seller not found");
+
+    setOnboardingStatus(seller, status, { actor: actorFromRequest(req), reason });
+    await seller.save();
+
+    return sendSuccessResponse(res, `Seller ${status.replace("_", " ")}`, {
+      sellerId: seller._id,
+      onboarding: getOnboardingSummary(seller)
+    });
+  } catch (error) {
+    return handleOnboardingError(res, error);
+  }
+};
+
+export default {
+  getMyOnboarding,
+  uploadKycDocuments,
+  submitOnboarding,
+  getOnboardingQueue,
+  getSellerKyc,
+  reviewSeller
+};
@@ -0,0 +1,194 @@
+import mongoose from "mongoose";
+import Product from "../models/product.model.js";
+import ServiceablePincode from "../models/serviceablePincode.model.js";
+import { sendBadRequestResponse, sendErrorResponse, sendNotFoundResponse, sendSuccessResponse } from "../utils/response.utils.js";
+import {
+  DEFAULT_GROCERY_ETA_DAYS,
+  etaLabel,
+  expectedDeliveryDate,
+  formatDeliveryDate,
+  getSellerServiceability,
+  normalizePincode,
+  parsePincodeEntries,
+  ServiceabilityError
+} from "../utils/serviceability.utils.js";
+
+const handleServiceabilityError = (res, error) => {
+  if (error instanceof ServiceabilityError) return sendErrorResponse(res, error.statusCode, error.message);
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return sendBadRequestResponse(res, error.message);
+  }
+  return sendErrorResponse(res, 500, error.message);
+};
+
+// Sellers manage their own registry; admins pass ?sellerId= (or sellerId in the body).
+const resolveSellerId = (req) => {
+  const sellerId = req.user?.role === "admin" ? (req.query.sellerId || req.body?.sellerId) : req.user?._id;
+  if (!sellerId) throw new ServiceabilityError("sellerId is required");
+  if (!mongoose.Types.ObjectId.isValid(sellerId)) throw new ServiceabilityError("Invalid seller ID");
+  return new mongoose.Types.ObjectId(String(sellerId));
+};
+
+const withDeliveryDate = (status, now) => {
+  const date = expectedDeliveryDate(status.etaDays, now);
+  return {
+    ...status,
+    estimatedDelivery: etaLabel(status.etaDays),
+    expectedDeliveryDate: date,
+    expectedDeliveryLabel: formatDeliveryDate(date)
+  };
+};
+
+/*
+ * GET /serviceability?pincode=&productId=&sellerId=
+ * With a product or seller, whether that seller delivers to the pincode and
+ * when. With only a pincode, whether any grocery seller does, and the fastest ETA.
+ */
+export const checkServiceability = async (req, res) => {
+  try {
+    const pincode = normalizePincode(req.query.pincode);
+    const { productId } = req.query;
+    let { sellerId } = req.query;
+    const now = new Date();
+
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) return sendBadRequestResponse(res, "Invalid product ID");
+      const product = await Product.findById(productId).select("title sellerId docType").lean();
+      if (!product) return sendNotFoundResponse(res, "Product not found");
+      if (product.docType === "delivery") {
+        return sendBadRequestResponse(res, "Food delivery depends on the restaurant's delivery radius, not the pincode");
+      }
+      sellerId = product.sellerId;
+    }
+
+    if (sellerId) {
+      if (!mongoose.Types.ObjectId.isValid(sellerId)) return sendBadRequestResponse(res, "Invalid seller ID");
+      const status = (await getSellerServiceability([sellerId], pincode)).get(String(sellerId));
+
+      return sendSuccessResponse(res, "Serviceability checked", {
+        pincode,
+        sellerId,
+        productId: productId || null,
+        ...withDeliveryDate(status, now)
+      });
+    }
+
+    const [entries, restrictedSellers, grocerySellers] = await Promise.all([
+      ServiceablePincode.find({ pincode, isActive: true }).select("etaDays codAvailable").lean(),
+      ServiceablePincode.distinct("sellerId"),
+      Product.distinct("sellerId", { docType: "grocery", isActive: true })
+    ]);
+
+    const restricted = new Set(restrictedSellers.map(String));
+    const unrestrictedCount = grocerySellers.filter(id => !restricted.has(String(id))).length;
+    const etaDays = [
+      ...entries.map(entry => entry.etaDays),
+      ...(unrestrictedCount > 0 ? [DEFAULT_GROCERY_ETA_DAYS] : [])
+    ];
+
+    return sendSuccessResponse(res, "Serviceability checked", {
+      pincode,
+      sellerCount: entries.length + unrestrictedCount,
+      ...withDeliveryDate({
+        serviceable: etaDays.length > 0,
+        etaDays: etaDays.length > 0 ? Math.min(...etaDays) : null,
+        codAvailable: unrestrictedCount > 0 || entries.some(entry => entry.codAvailable)
+      }, now)
+    });
+  } catch (error) {
+    return handleServiceabilityError(res, error);
+  }
+};
+
+export const getSellerPincodes = async (req, res) => {
+  try {
+    const sellerId = resolveSellerId(req);
+    const { pincode, isActive, page = 1, limit = 100 } = req.query;
+
+    const filter = { sellerId };
+    if (pincode) filter.pincode = { $regex: `^${String(pincode).replace(/\D/g, "")}` };
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    const skip = (page - 1) * limit;
+
+    const [pincodes, total, restricted] = await Promise.all([
+      ServiceablePincode.find(filter).sort({ pincode: 1 }).skip(skip).limit(parseInt(limit)).lean(),
+      ServiceablePincode.countDocuments(filter),
+      ServiceablePincode.exists({ sellerId })
+    ]);
+
+    return sendSuccessResponse(res, "Serviceable pincodes fetched", {
+      // With no entries the seller ships everywhere on the default ETA
+      restricted: Boolean(restricted),
+      defaultEtaDays: DEFAULT_GROCERY_ETA_DAYS,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pincodes
+    });
+  } catch (error) {
+    return handleServiceabilityError(res, error);
+  }
+};
+
+/*
+ * PUT /seller/pincodes { pincodes: [{ pincode, etaDays, codAvailable, isActive }], replace }
+ * Adds or updates the listed pincodes; replace: true also drops every pincode
+ * not in the list.
+ */
+export const upsertSellerPincodes = async (req, res) => {
+  try {
+    const sellerId = resolveSellerId(req);
+    const entries = parsePincodeEntries(req.body?.pincodes);
+    const replace = req.body?.replace === true;
+
+    const result = await ServiceablePincode.bulkWrite(entries.map(entry => ({
+      updateOne: {
+        filter: { sellerId, pincode: entry.pincode },
+        update: { $set: entry },
+        upsert: true
+      }
+    })));
+
+    let removed = 0;
+    if (replace) {
+      const deleted = await ServiceablePincode.deleteMany({ sellerId, pincode: { $nin: entries.map(entry => entry.pincode) } });
+      removed = deleted.deletedCount;
+    }
+
+    return sendSuccessResponse(res, "Serviceable pincodes saved", {
+      added: result.upsertedCount,
+      updated: result.modifiedCount,
+      removed,
+      total: await ServiceablePincode.countDocuments({ sellerId })
+    });
+  } catch (error) {
+    return handleServiceabilityError(res, error);
+  }
+};
+
+// DELETE /seller/pincodes { pincodes: ["560001", ...] }. Removing the last
+// pincode lifts the restriction, so the seller ships everywhere again.
+export const deleteSellerPincodes = async (req, res) => {
+  try {
+    const sellerId = resolveSellerId(req);
+    const pincodes = parsePincodeEntries(req.body?.pincodes).map(entry => entry.pincode);
+
+    const deleted = await ServiceablePincode.deleteMany({ sellerId, pincode: { $in: pincodes } });
+    if (deleted.deletedCount === 0) return sendNotFoundResponse(res, "None of these pincodes were listed");
+
+    return sendSuccessResponse(res, "Serviceable pincodes removed", {
+      removed: deleted.deletedCount,
+      total: await ServiceablePincode.countDocuments({ sellerId })
+    });
+  } catch (error) {
+    return handleServiceabilityError(res, error);
+  }
+};
+
+export default {
+  checkServiceability,
+  getSellerPincodes,
+  upsertSellerPincodes,
+  deleteSellerPincodes
+};
@@ -9,6 +9,7 @@ import axios from "axios";
 import mongoose from 'mongoose';
 import { deleteFromS3, updateS3, uploadToS3 } from '../utils/s3Service.js';
 import { sendSMS } from '../utils/sms.utils.js';
+import { GeoError, readPoint } from '../utils/geo.utils.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || process.env.JWT_SCERET;
 
@@ -587,7 +588,8 @@ export const addNewAddress = async (req, res) => {
       state,
       pincode,
       saveAs: saveAs || "Home",
-      mapURL
+      mapURL,
+      location: readPoint(req.body) || undefined
     };
 
     user.address.push(newAddress);
@@ -605,6 +607,9 @@ export const addNewAddress = async (req, res) => {
       selectedAddress: user.selectedAddress
     });
   } catch (error) {
+    if (error instanceof GeoError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     return res.status(500).json({
       success: false,
       message: "Error while adding address",
@@ -622,6 +627,7 @@ export const updateUserAddress = async (req, res) => {
     if (updateData.long && updateData.lati) {
       mapURL = `https://www.google.com/maps?q=${updateData.lati},${updateData.long}`;
     }
+    const location = readPoint(updateData);
 
     const setData = {};
     if (updateData.houseDetails) setData["address.$.houseDetails"] = updateData.houseDetails;
@@ -631,6 +637,7 @@ export const updateUserAddress = async (req, res) => {
     if (updateData.pincode) setData["address.$.pincode"] = updateData.pincode;
     if (updateData.saveAs) setData["address.$.saveAs"] = updateData.saveAs;
     if (mapURL) setData["address.$.mapURL"] = mapURL;
+    if (location) setData["address.$.location"] = location;
 
     const updatedUser = await userModel.findOneAndUpdate(
       { _id: req.user._id, "address._id": addressId },
@@ -651,6 +658,9 @@ export const updateUserAddress = async (req, res) => {
       data: updatedUser
     });
   } catch (error) {
+    if (error instanceof GeoError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: "Error while updating address",
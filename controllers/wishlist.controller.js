@@ -3,6 +3,7 @@ import wishlistModel from "../models/wishlist.model.js";
 import productModel from "../models/product.model.js";
 import restaurantModel from "../models/restaurant.model.js";
 import { ThrowError } from "../utils/Error.utils.js";
+import { PackSizeError, resolvePackSize } from "../utils/packSize.utils.js";
 import {
   sendBadRequestResponse,
   sendNotFoundResponse,
@@ -12,10 +13,11 @@ import {
 export const addToWishlist = async (req, res) => {
   try {
     const { id: userId } = req.user;
-    const { productId, restaurantId } = req.body;
+    const { productId, restaurantId, variantId } = req.body;
 
     let targetRestaurantId = null;
     let targetProductId = null;
+    let targetVariantId = null;
 
     if (restaurantId) {
       if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
@@ -36,6 +38,7 @@ export const addToWishlist = async (req, res) => {
         targetRestaurantId = product.restaurantId;
       } else {
         targetProductId = productId;
+        if (variantId) targetVariantId = resolvePackSize(product, variantId)._id;
       }
     } else {
       return sendBadRequestResponse(res, "Provide productId or restaurantId!");
@@ -64,16 +67,18 @@ export const addToWishlist = async (req, res) => {
     } else if (targetProductId) {
       const exists = wishlist.products.some(item =>
         item.productId.toString() === targetProductId.toString()
+        && String(item.variantId || "") === String(targetVariantId || "")
       );
       if (exists) {
         return sendBadRequestResponse(res, "Product already in wishlist!");
       }
-      wishlist.products.push({ productId: targetProductId });
+      wishlist.products.push({ productId: targetProductId, variantId: targetVariantId });
       await wishlist.save();
       return sendSuccessResponse(res, "Product added to wishlist!", wishlist);
     }
 
   } catch (error) {
+    if (error instanceof PackSizeError) return ThrowError(res, error.statusCode, error.message);
     return ThrowError(res, 500, error.message);
   }
 };
@@ -105,7 +110,14 @@ export const getWishlist = async (req, res) => {
     }
 
     if (wishlist.products) {
-      wishlist.products = wishlist.products.filter(item => item.productId);
+      // Saved pack sizes come with their current price and stock
+      wishlist.products = wishlist.products.filter(item => item.productId).map(item => {
+        if (!item.variantId) return item;
+        const packSize = item.productId.packSizes?.find(size => String(size._id) === String(item.variantId));
+        if (!packSize) return { ...item, packSize: null };
+        const { imageKey, ...size } = packSize;
+        return { ...item, packSize: size };
+      });
     } else {
       wishlist.products = [];
     }
@@ -133,7 +145,7 @@ export const getWishlist = async (req, res) => {
 export const removeFromWishlist = async (req, res) => {
   try {
     const { id: userId } = req.user;
-    const { productId, restaurantId } = req.body;
+    const { productId, restaurantId, variantId } = req.body;
 
     let targetRestaurantId = null;
     let targetProductId = null;
@@ -167,9 +179,11 @@ export const removeFromWishlist = async (req, res) => {
       if (wishlist.restaurants.length !== initialLength) modified = true;
 
     } else if (targetProductId) {
+      // Without a variantId every saved pack size of the product goes
       const initialLength = wishlist.products.length;
       wishlist.products = wishlist.products.filter(item =>
         item.productId.toString() !== targetProductId.toString()
+        || (variantId && String(item.variantId || "") !== String(variantId))
       );
       if (wishlist.products.length !== initialLength) modified = true;
     }
@@ -5,15 +5,37 @@ import connectDb from './db/connectDb.js';
 import errorHandler from './middleware/error.handler.js';
 import indexRoutes from './routes/index.routes.js';
 import log from 'morgan'
+import { startPaymentTimeoutScheduler } from './utils/paymentTimeout.utils.js';
+import { migrateLegacyPaymentIndexes } from './utils/paymentProvider.utils.js';
+import { seedDefaultFeeRules } from './utils/fee.utils.js';
+import { startSettlementScheduler } from './utils/payout.utils.js';
+import { migrateLegacySellerApprovals } from './utils/sellerOnboarding.utils.js';
 
 const PORT = process.env.PORT || 9000;
 const DB_URL = process.env.DB_URL;
 
 const app = express();
-app.use(express.json());
+// Stripe signs the exact bytes it sent, so keep them for webhook verification.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(cors())
 app.use(log("dev"))
-connectDb(DB_URL);
+connectDb(DB_URL).then(() => {
+  migrateLegacySellerApprovals()
+    .then(count => count > 0 && console.info(`Seller onboarding: approved ${count} previously approved seller(s)`))
+    .catch(error => console.error("Seller approval migration failed:", error.message));
+  migrateLegacyPaymentIndexes()
+    .then(dropped => dropped && console.info("Payments: rebuilt the stripePaymentIntentId index"))
+    .catch(error => console.error("Payment index migration failed:", error.message));
+  seedDefaultFeeRules()
+    .then(seeded => seeded && console.info("Fees: created the default ₹10 per item restaurant charge"))
+    .catch(error => console.error("Default fee rule seed failed:", error.message));
+});
+startPaymentTimeoutScheduler();
+startSettlementScheduler();
 
 
 app.get("/", async (req, res) => {
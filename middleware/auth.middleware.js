@@ -144,3 +144,15 @@ export const isUser = async (req, res, next) => {
         return sendErrorResponse(res, 500, error.message);
     }
 };
+
+// Use after sellerAndAdminAuth on routes that publish to the storefront.
+export const approvedSellerOnly = async (req, res, next) => {
+    try {
+        if (req.user?.role === "seller" && req.user.onboarding?.status !== "approved") {
+            return sendForbiddenResponse(res, `Seller account is ${req.user.onboarding?.status || "pending"}. Complete onboarding and wait for admin approval.`);
+        }
+        next();
+    } catch (error) {
+        return sendErrorResponse(res, 500, error.message);
+    }
+};
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { feeLineSchema } from "./feeRule.model.js";
+import { lineCustomizationSchema } from "./product.model.js";
 
 const cartItemSchema = new mongoose.Schema(
   {
@@ -17,6 +19,16 @@ const cartItemSchema = new mongoose.Schema(
 
     stock: { type: Number, required: true },
 
+    // Chosen variants and add-ons; price above already includes them
+    customizations: { type: lineCustomizationSchema, default: null },
+    // Same product with a different key is a separate line
+    customizationKey: { type: String, default: "" },
+
+    // Grocery pack size (500g / 1kg); price and stock above are its own
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    variantLabel: { type: String, default: null },
+    sku: { type: String, default: null },
+
     sellerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "seller",
@@ -52,11 +64,34 @@ const cartSchema = new mongoose.Schema(
       discountApplied: { type: Number, default: 0 },
       discountType: { type: String, enum: ["flat", "percentage"] },
       discountValue: { type: Number },
+      maxDiscount: { type: Number, default: null },
+      minOrderValue: { type: Number, default: 0 },
+      applicableTo: {
+        categories: [{ type: mongoose.Schema.Types.ObjectId }],
+        restaurants: [{ type: mongoose.Schema.Types.ObjectId }],
+        brands: [{ type: mongoose.Schema.Types.ObjectId }],
+        sellers: [{ type: mongoose.Schema.Types.ObjectId }],
+        productTypes: [{ type: String }]
+      },
+      eligibleItems: [{ type: mongoose.Schema.Types.ObjectId }],
       appliedAt: { type: Date }
     },
 
+    // Re-pick the best coupon whenever the billing preview is built
+    autoApplyCoupon: { type: Boolean, default: false },
+
     restaurantCharges: { type: Number, default: 0 },
 
+    // Last resolved fee rules, see utils/fee.utils.js
+    fees: {
+      lines: [feeLineSchema],
+      delivery: { type: Number, default: 0 },
+      packaging: { type: Number, default: 0 },
+      platform: { type: Number, default: 0 },
+      smallOrder: { type: Number, default: 0 },
+      total: { type: Number, default: 0 }
+    },
+
     subtotal: { type: Number, default: 0 },
     couponDiscount: { type: Number, default: 0 },
     finalTotal: { type: Number, default: 0 }
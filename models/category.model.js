@@ -18,6 +18,15 @@ const categorySchema = new mongoose.Schema({
     type: mongoose.Types.ObjectId,
     ref: "seller",
     default: null
+  },
+  // GST defaults for products in this category
+  hsnCode: {
+    type: String,
+    default: null
+  },
+  gstRate: {
+    type: Number,
+    default: null
   }
 }, { timestamps: true })
 
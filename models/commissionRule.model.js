@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Platform commission on a seller's sales. The most specific active rule wins:
+// seller, then category (or its parent), then global.
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    scope: {
+      type: String,
+      enum: ["global", "category", "seller"],
+      required: true
+    },
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "category",
+      default: null
+    },
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "seller",
+      default: null
+    },
+
+    // percentage of the line value the customer paid
+    rate: { type: Number, required: true, min: 0, max: 100 },
+
+    isActive: { type: Boolean, default: true },
+    note: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+commissionRuleSchema.index({ scope: 1, isActive: 1 });
+
+export default mongoose.model("commissionRule", commissionRuleSchema);
@@ -29,15 +29,58 @@ const couponSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Cap for percentage coupons; null means no cap
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
   minOrderValue: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Empty lists don't restrict. A cart line must match every non-empty list
+  // for the coupon to apply to it.
+  applicableTo: {
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "category" }],
+    restaurants: [{ type: mongoose.Schema.Types.ObjectId, ref: "restaurant" }],
+    brands: [{ type: mongoose.Schema.Types.ObjectId, ref: "brand" }],
+    sellers: [{ type: mongoose.Schema.Types.ObjectId, ref: "seller" }],
+    productTypes: [{ type: String, enum: ["grocery", "delivery"] }]
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
   expiryDate: {
     type: Date,
     required: true
   },
+  // null means unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  newUserOnly: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -51,10 +94,12 @@ const couponSchema = new mongoose.Schema({
 });
 
 couponSchema.statics.isValidCoupon = async function (code) {
+  const now = new Date();
   const coupon = await this.findOne({
     code: code.toUpperCase(),
     isActive: true,
-    expiryDate: { $gt: new Date() }
+    expiryDate: { $gt: now },
+    $or: [{ startDate: null }, { startDate: { $lte: now } }]
   });
   return coupon;
 };
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "coupon",
+      required: true
+    },
+    couponCode: { type: String, required: true },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "order",
+      required: true
+    },
+    orderId: { type: String, required: true },
+    discountAmount: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: ["redeemed", "reversed"],
+      default: "redeemed"
+    },
+    redeemedAt: { type: Date, default: Date.now },
+    reversedAt: { type: Date },
+    reversalReason: { type: String }
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ order: 1 }, { unique: true });
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+
+export default mongoose.model("couponRedemption", couponRedemptionSchema);
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+const distanceSlabSchema = new mongoose.Schema(
+  {
+    upToKm: { type: Number, required: true, min: 0 },
+    fee: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const zoneSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: null },
+    pincodes: [{ type: String, trim: true }],
+    cities: [{ type: String, trim: true, lowercase: true }],
+    fee: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+// A resolved fee, snapshotted on carts and orders.
+export const feeLineSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["delivery", "packaging", "platform", "small_order"],
+      required: true
+    },
+    label: { type: String },
+    amount: { type: Number, default: 0 },
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "feeRule" },
+    ruleName: { type: String },
+    fulfillmentType: { type: String, default: null },
+    restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "restaurant", default: null },
+    note: { type: String, default: null }
+  },
+  { _id: false }
+);
+
+const feeRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    type: {
+      type: String,
+      enum: ["delivery", "packaging", "platform", "small_order"],
+      required: true
+    },
+    appliesTo: {
+      type: String,
+      enum: ["all", "delivery", "grocery"],
+      default: "all"
+    },
+
+    // Flat amount, per-item amount or percentage of the items value. Distance
+    // rules charge amount (else their farthest slab) when the distance is unknown.
+    amount: { type: Number, default: 0, min: 0 },
+    chargeType: {
+      type: String,
+      enum: ["per_order", "per_item", "percentage"],
+      default: "per_order"
+    },
+    maxAmount: { type: Number, default: null, min: 0 },
+
+    // delivery
+    basis: {
+      type: String,
+      enum: ["flat", "distance", "zone"],
+      default: "flat"
+    },
+    slabs: [distanceSlabSchema],
+    zones: [zoneSchema],
+    freeAbove: { type: Number, default: null, min: 0 },
+
+    // packaging; null is the default for every restaurant
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "restaurant",
+      default: null
+    },
+
+    // small_order
+    threshold: { type: Number, default: null, min: 0 },
+
+    priority: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true }
+  },
+  { timestamps: true }
+);
+
+feeRuleSchema.index({ type: 1, isActive: 1 });
+
+export default mongoose.model("feeRule", feeRuleSchema);
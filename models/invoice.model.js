@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+const addressSchema = new mongoose.Schema(
+  {
+    line1: { type: String, default: null },
+    line2: { type: String, default: null },
+    city: { type: String, default: null },
+    state: { type: String, default: null },
+    pincode: { type: String, default: null },
+    country: { type: String, default: "INDIA" }
+  },
+  { _id: false }
+);
+
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    itemId: { type: mongoose.Schema.Types.ObjectId },
+    description: { type: String, default: null },
+    hsnCode: { type: String, default: null },
+    quantity: { type: Number, default: 0 },
+    unitPrice: { type: Number, default: 0 },
+    grossAmount: { type: Number, default: 0 },
+    itemDiscount: { type: Number, default: 0 },
+    couponDiscount: { type: Number, default: 0 },
+    rate: { type: Number, default: 0 },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  { _id: false }
+);
+
+// Issued once per seller per delivered order. Everything printed on the PDF is
+// snapshotted here so later edits to the seller, buyer or products don't change it.
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: { type: String, required: true },
+    sequence: { type: Number, required: true },
+    financialYear: { type: String, required: true },
+    issuedAt: { type: Date, default: Date.now },
+
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "seller",
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "order",
+      required: true
+    },
+    orderId: { type: String, required: true },
+    orderDate: { type: Date },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "user",
+      required: true
+    },
+    shipments: [{ type: mongoose.Schema.Types.ObjectId }],
+
+    seller: {
+      name: { type: String, default: null },
+      gstin: { type: String, default: null },
+      pan: { type: String, default: null },
+      address: addressSchema
+    },
+    buyer: {
+      name: { type: String, default: null },
+      phone: { type: String, default: null },
+      email: { type: String, default: null },
+      address: addressSchema
+    },
+    placeOfSupply: { type: String, default: null },
+    supplyType: { type: String, enum: ["intra", "inter"], default: "inter" },
+
+    lines: [invoiceLineSchema],
+    totals: {
+      grossAmount: { type: Number, default: 0 },
+      itemDiscount: { type: Number, default: 0 },
+      couponDiscount: { type: Number, default: 0 },
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      totalTax: { type: Number, default: 0 },
+      total: { type: Number, default: 0 }
+    },
+
+    // Order-level charges that are not part of this seller's supply.
+    orderSummary: {
+      totalFees: { type: Number, default: 0 },
+      emiInterest: { type: Number, default: 0 },
+      emiTenure: { type: Number, default: null },
+      emiInterestRate: { type: Number, default: null },
+      orderTotal: { type: Number, default: 0 },
+      paymentMethod: { type: String, default: null }
+    }
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ sellerId: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ order: 1, sellerId: 1 }, { unique: true });
+
+export default mongoose.model("invoice", invoiceSchema);
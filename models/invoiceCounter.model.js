@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Last invoice number handed out to a seller in a financial year.
+const invoiceCounterSchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "seller",
+      required: true
+    },
+    financialYear: { type: String, required: true },
+    seq: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+invoiceCounterSchema.index({ sellerId: 1, financialYear: 1 }, { unique: true });
+
+export default mongoose.model("invoiceCounter", invoiceCounterSchema);
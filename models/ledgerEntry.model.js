@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// One "sale" per delivered order line, and a "refund" each time units of that
+// line are refunded or returned afterwards. Refund entries carry negative
+// amounts so a seller's payable is always the sum of `net`.
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "seller",
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ["sale", "refund"],
+      required: true
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "order",
+      required: true
+    },
+    orderId: { type: String, required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "product" },
+    description: { type: String, default: null },
+    quantity: { type: Number, required: true },
+    // refunds only: units of the line already clawed back before this entry
+    clawbackFrom: { type: Number },
+
+    gross: { type: Number, default: 0 },
+    commissionRate: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    commissionTaxRate: { type: Number, default: 0 },
+    commissionTax: { type: Number, default: 0 },
+    net: { type: Number, default: 0 },
+    commissionRuleId: { type: mongoose.Schema.Types.ObjectId, ref: "commissionRule", default: null },
+
+    // when the amount became payable: delivery for sales, the refund for refunds
+    accruedAt: { type: Date, required: true },
+
+    settlementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "settlement",
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+ledgerEntrySchema.index(
+  { itemId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: "sale" } }
+);
+// Two syncs that saw the same refunds race for the same slot; only one lands.
+ledgerEntrySchema.index(
+  { itemId: 1, clawbackFrom: 1 },
+  { unique: true, partialFilterExpression: { type: "refund", clawbackFrom: { $exists: true } } }
+);
+ledgerEntrySchema.index({ sellerId: 1, accruedAt: -1 });
+ledgerEntrySchema.index({ settlementId: 1, accruedAt: 1 });
+
+export default mongoose.model("ledgerEntry", ledgerEntrySchema);
@@ -1,4 +1,48 @@
 import mongoose from "mongoose";
+import { feeLineSchema } from "./feeRule.model.js";
+import { pointSchema } from "./restaurant.model.js";
+import { lineCustomizationSchema } from "./product.model.js";
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: String,
+    timestamp: { type: Date, default: Date.now },
+    notes: String,
+    actorId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    actorRole: {
+      type: String,
+      enum: ["user", "seller", "admin", "system"],
+      default: "system"
+    }
+  }
+);
+
+// GST carved out of a line's price; amounts are in rupees.
+const itemTaxSchema = new mongoose.Schema(
+  {
+    hsnCode: { type: String, default: null },
+    rate: { type: Number, default: 0 },
+    supplyType: { type: String, enum: ["intra", "inter"], default: "inter" },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 }
+  },
+  { _id: false }
+);
+
+const taxRateSchema = new mongoose.Schema(
+  {
+    rate: { type: Number, required: true },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 }
+  },
+  { _id: false }
+);
 
 const orderItemSchema = new mongoose.Schema(
   {
@@ -13,6 +57,14 @@ const orderItemSchema = new mongoose.Schema(
     quantity: { type: Number, required: true, min: 1 },
     totalPrice: { type: Number, required: true },
     totalDiscountedPrice: { type: Number },
+    couponDiscount: { type: Number, default: 0 },
+    tax: { type: itemTaxSchema, default: null },
+    // Variants and add-ons as ordered; included in price
+    customizations: { type: lineCustomizationSchema, default: null },
+    // Grocery pack size as ordered; stock is reserved and returned against it
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    variantLabel: { type: String, default: null },
+    sku: { type: String, default: null },
 
     sellerId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -20,8 +72,15 @@ const orderItemSchema = new mongoose.Schema(
       required: true
     },
 
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "restaurant",
+      default: null
+    },
     restaurantName: { type: String, default: null },
 
+    shipmentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
     estimatedDelivery: { type: String, default: null },
     estimatedDeliveryDate: { type: Date, default: null },
 
@@ -31,14 +90,58 @@ const orderItemSchema = new mongoose.Schema(
       default: "pending"
     },
 
-    statusHistory: [
-      {
-        status: String,
-        timestamp: { type: Date, default: Date.now },
-        notes: String
-      }
-    ],
+    statusHistory: [statusHistorySchema],
+
+    refundedQuantity: { type: Number, default: 0 },
+    refundedAmount: { type: Number, default: 0 },
+    restockedQuantity: { type: Number, default: 0 },
+
+    deliveredAt: { type: Date },
+    cancelledAt: { type: Date }
+  },
+  { _id: true, timestamps: true }
+);
+
+const shipmentSchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "seller",
+      required: true
+    },
+
+    fulfillmentType: {
+      type: String,
+      enum: ["delivery", "grocery"],
+      default: "grocery"
+    },
+
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "restaurant",
+      default: null
+    },
+    restaurantName: { type: String, default: null },
 
+    items: [{ type: mongoose.Schema.Types.ObjectId }],
+
+    status: {
+      type: String,
+      enum: ["pending", "confirmed", "processing", "shipped", "delivered", "returned", "cancelled"],
+      default: "pending"
+    },
+
+    statusHistory: [statusHistorySchema],
+
+    trackingNumber: { type: String, default: null },
+    estimatedDelivery: { type: String, default: null },
+    estimatedDeliveryDate: { type: Date, default: null },
+
+    subtotal: { type: Number, default: 0 },
+    deliveryCharge: { type: Number, default: 0 },
+    payoutAmount: { type: Number, default: 0 },
+
+    shippedAt: { type: Date },
     deliveredAt: { type: Date },
     cancelledAt: { type: Date }
   },
@@ -61,6 +164,7 @@ const orderSchema = new mongoose.Schema(
     },
 
     items: [orderItemSchema],
+    shipments: [shipmentSchema],
 
     shippingAddress: {
       country: { type: String, required: true },
@@ -70,7 +174,8 @@ const orderSchema = new mongoose.Schema(
       city: { type: String },
       postalCode: { type: String },
       address: { type: String },
-      mapUrl: { type: String }
+      mapUrl: { type: String },
+      location: { type: pointSchema, default: undefined }
     },
 
     courierService: {
@@ -88,6 +193,29 @@ const orderSchema = new mongoose.Schema(
       couponDiscount: { type: Number, default: 0 },
       subtotalAfterDiscounts: { type: Number, default: 0 },
       deliveryCharge: { type: Number, default: 0 },
+      packagingCharge: { type: Number, default: 0 },
+      platformFee: { type: Number, default: 0 },
+      smallOrderFee: { type: Number, default: 0 },
+      // Unset on orders placed before fee rules; deliveryCharge was the only fee then.
+      totalFees: { type: Number },
+      feeLines: [feeLineSchema],
+      // Prices include GST; this is the tax inside the goods value, not an extra charge.
+      tax: {
+        inclusive: { type: Boolean, default: true },
+        taxableValue: { type: Number, default: 0 },
+        cgst: { type: Number, default: 0 },
+        sgst: { type: Number, default: 0 },
+        igst: { type: Number, default: 0 },
+        totalTax: { type: Number, default: 0 },
+        rates: [taxRateSchema]
+      },
+      emiInterest: { type: Number, default: 0 },
+      emi: {
+        tenure: { type: Number },
+        interestRate: { type: Number },
+        monthlyAmount: { type: Number },
+        totalAmount: { type: Number }
+      },
       finalTotal: { type: Number, default: 0 }
     },
 
@@ -112,15 +240,51 @@ const orderSchema = new mongoose.Schema(
       },
       status: {
         type: String,
-        enum: ["pending", "completed", "failed", "refunded"],
+        enum: ["pending", "completed", "failed", "partially_refunded", "refunded"],
         default: "pending"
       },
+      provider: {
+        type: String,
+        enum: ["stripe", "razorpay"],
+        default: "stripe"
+      },
+      providerOrderId: String,
+      providerPaymentId: String,
       stripePaymentIntentId: String,
       stripeClientSecret: String,
       transactionId: String,
       paymentDate: Date,
       refundAmount: { type: Number, default: 0 },
-      refundDate: Date
+      refundDate: Date,
+      // Saved before the provider is asked to refund and cleared once the
+      // refund is recorded, see utils/refund.utils.js
+      pendingRefund: {
+        key: { type: String, default: null },
+        amount: Number,
+        lines: [
+          {
+            itemId: { type: mongoose.Schema.Types.ObjectId },
+            quantity: Number,
+            itemAmount: Number,
+            couponShare: Number,
+            deliveryShare: Number,
+            interestShare: Number,
+            amount: Number,
+            _id: false
+          }
+        ],
+        reason: String,
+        actorId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        actorRole: String,
+        createdAt: Date
+      },
+      dispute: {
+        disputeId: String,
+        status: String,
+        reason: String,
+        amount: Number,
+        createdAt: Date
+      }
     },
 
     orderStatus: {
@@ -129,13 +293,17 @@ const orderSchema = new mongoose.Schema(
         enum: ["pending", "confirmed", "processing", "shipped", "delivered", "cancelled", "returned"],
         default: "pending"
       },
-      history: [
-        {
-          status: String,
-          timestamp: { type: Date, default: Date.now },
-          notes: String
-        }
-      ]
+      history: [statusHistorySchema]
+    },
+
+    stockReservation: {
+      status: {
+        type: String,
+        enum: ["reserved", "released", "restocked"],
+        default: null
+      },
+      reservedAt: { type: Date },
+      releasedAt: { type: Date }
     },
 
     timeline: {
@@ -161,6 +329,7 @@ const orderSchema = new mongoose.Schema(
 orderSchema.index({ userId: 1 });
 orderSchema.index({ orderId: 1 });
 orderSchema.index({ "orderStatus.current": 1 });
+orderSchema.index({ "shipments.sellerId": 1, createdAt: -1 });
 orderSchema.index({ createdAt: -1 });
 
 export default mongoose.model("order", orderSchema);
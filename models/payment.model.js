@@ -1,5 +1,33 @@
 import mongoose from "mongoose";
 
+const refundEntrySchema = new mongoose.Schema(
+    {
+        refundId: { type: String },
+        amount: { type: Number, required: true },
+        items: [
+            {
+                itemId: { type: mongoose.Schema.Types.ObjectId },
+                quantity: { type: Number },
+                itemAmount: { type: Number },
+                couponShare: { type: Number, default: 0 },
+                deliveryShare: { type: Number, default: 0 },
+                interestShare: { type: Number, default: 0 },
+                amount: { type: Number }
+            }
+        ],
+        reason: { type: String },
+        status: { type: String },
+        source: {
+            type: String,
+            enum: ["api", "webhook"],
+            default: "api"
+        },
+        actorId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        actorRole: { type: String, default: "system" }
+    },
+    { timestamps: true }
+);
+
 const paymentSchema = new mongoose.Schema(
     {
         userId: {
@@ -17,11 +45,20 @@ const paymentSchema = new mongoose.Schema(
             ref: "order"
         },
 
-        stripePaymentIntentId: {
+        provider: {
             type: String,
-            required: true,
-            unique: true
+            enum: ["stripe", "razorpay"],
+            default: "stripe",
+            required: true
         },
+        // Stripe PaymentIntent id or Razorpay order id
+        providerOrderId: { type: String },
+        // Stripe PaymentIntent id or Razorpay payment id once the customer pays
+        providerPaymentId: { type: String },
+        clientSecret: { type: String },
+
+        // Kept for payments created before provider fields existed
+        stripePaymentIntentId: { type: String },
         stripeClientSecret: {
             type: String
         },
@@ -36,7 +73,7 @@ const paymentSchema = new mongoose.Schema(
         },
         status: {
             type: String,
-            enum: ["pending", "processing", "succeeded", "failed", "refunded", "cancelled"],
+            enum: ["pending", "processing", "succeeded", "failed", "partially_refunded", "refunded", "cancelled", "disputed"],
             default: "pending",
             required: true
         },
@@ -60,8 +97,16 @@ const paymentSchema = new mongoose.Schema(
 
         refundId: { type: String },
         refundAmount: { type: Number, default: 0 },
+        refunds: [refundEntrySchema],
         refundStatus: { type: String },
         refundDate: { type: Date },
+        dispute: {
+            disputeId: String,
+            status: String,
+            reason: String,
+            amount: Number,
+            createdAt: Date
+        },
         errorCode: { type: String },
         errorMessage: { type: String },
 
@@ -73,7 +118,27 @@ const paymentSchema = new mongoose.Schema(
     { timestamps: true }
 );
 
-paymentSchema.index({ stripePaymentIntentId: 1 });
+paymentSchema.pre("validate", function () {
+    if (this.provider === "stripe") {
+        this.providerOrderId = this.providerOrderId || this.stripePaymentIntentId;
+        this.stripePaymentIntentId = this.stripePaymentIntentId || this.providerOrderId;
+    }
+});
+
+paymentSchema.statics.providerFilter = function (provider, providerOrderId) {
+    if (provider === "stripe") {
+        return { $or: [{ provider: "stripe", providerOrderId }, { stripePaymentIntentId: providerOrderId }] };
+    }
+    return { provider, providerOrderId };
+};
+
+paymentSchema.index(
+    { provider: 1, providerOrderId: 1 },
+    { unique: true, partialFilterExpression: { providerOrderId: { $type: "string" } } }
+);
+// Not unique: Razorpay payments have no PaymentIntent id. Older databases get
+// their unique index dropped by migrateLegacyPaymentIndexes.
+paymentSchema.index({ stripePaymentIntentId: 1 }, { sparse: true });
 paymentSchema.index({ userId: 1 });
 
 export default mongoose.model("payment", paymentSchema);
@@ -27,6 +27,10 @@ const baseProductSchema = new mongoose.Schema({
     stock: { type: Number, required: true, default: 0 },
     inStock: { type: Boolean, default: true },
 
+    // GST; null falls back to the category, then the food/grocery default
+    hsnCode: { type: String, default: null },
+    gstRate: { type: Number, default: null },
+
     isActive: { type: Boolean, default: true },
     rating: {
         average: { type: Number, default: 0 },
@@ -44,8 +48,29 @@ const baseProductSchema = new mongoose.Schema({
     }
 });
 
+// Pack-size SKUs live on grocery products but must be unique catalogue-wide
+baseProductSchema.index(
+    { "packSizes.sku": 1 },
+    { unique: true, partialFilterExpression: { "packSizes.sku": { $exists: true } } }
+);
+
 const ProductModel = mongoose.model("product", baseProductSchema);
 
+// A sellable size of a grocery product (500g / 1kg / 5kg), see utils/packSize.utils.js
+const packSizeSchema = new mongoose.Schema({
+    label: { type: String, required: true, trim: true },
+    sku: { type: String, required: true, trim: true, uppercase: true },
+    netQty: { type: String, default: null },
+    price: { type: Number, required: true, min: 0 },
+    discountedPrice: { type: Number, default: 0 },
+    stock: { type: Number, default: 0, min: 0 },
+    inStock: { type: Boolean, default: false },
+    image: { type: String, default: null },
+    imageKey: { type: String, default: null },
+    isDefault: { type: Boolean, default: false },
+    isActive: { type: Boolean, default: true }
+});
+
 const GroceryProduct = ProductModel.discriminator('grocery', new mongoose.Schema({
     brand: {
         type: mongoose.Types.ObjectId,
@@ -59,8 +84,51 @@ const GroceryProduct = ProductModel.discriminator('grocery', new mongoose.Schema
     productType: { type: String, default: null },
     disclaimer: { type: String, default: null },
     customerCareDetails: { type: String, default: null },
+    // When set, price, discountedPrice, netQty and stock above mirror the
+    // default pack size and the total stock
+    packSizes: { type: [packSizeSchema], default: undefined },
 }));
 
+// Pick exactly one option per group (Half / Full, Regular / Large)
+const variantGroupSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    options: [{
+        name: { type: String, required: true, trim: true },
+        // added to the product price
+        price: { type: Number, default: 0, min: 0 },
+        isDefault: { type: Boolean, default: false },
+        isAvailable: { type: Boolean, default: true }
+    }]
+});
+
+// Pick between minSelect and maxSelect options (toppings, extras)
+const addonGroupSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    minSelect: { type: Number, default: 0, min: 0 },
+    // null allows every option
+    maxSelect: { type: Number, default: null, min: 1 },
+    options: [{
+        name: { type: String, required: true, trim: true },
+        price: { type: Number, default: 0, min: 0 },
+        isVeg: { type: Boolean, default: true },
+        isAvailable: { type: Boolean, default: true }
+    }]
+});
+
+const chosenOptionSchema = new mongoose.Schema({
+    groupId: { type: mongoose.Types.ObjectId, required: true },
+    groupName: { type: String, default: null },
+    optionId: { type: mongoose.Types.ObjectId, required: true },
+    name: { type: String, default: null },
+    price: { type: Number, default: 0 }
+}, { _id: false });
+
+// Snapshot of the options picked for a cart or order line, prices included
+export const lineCustomizationSchema = new mongoose.Schema({
+    variants: [chosenOptionSchema],
+    addons: [chosenOptionSchema]
+}, { _id: false });
+
 const FoodDeliveryProduct = ProductModel.discriminator('delivery', new mongoose.Schema({
     flavor: [{ type: String }],
     isVeg: { type: Boolean, default: true },
@@ -69,7 +137,14 @@ const FoodDeliveryProduct = ProductModel.discriminator('delivery', new mongoose.
         type: mongoose.Types.ObjectId,
         ref: "restaurant",
         default: null
-    }
+    },
+    // One of the restaurant's menuSections
+    menuSectionId: {
+        type: mongoose.Types.ObjectId,
+        default: null
+    },
+    variantGroups: [variantGroupSchema],
+    addonGroups: [addonGroupSchema]
 }));
 
 export default ProductModel;
@@ -1,5 +1,18 @@
 import mongoose from "mongoose";
 
+// GeoJSON point, [longitude, latitude]. Shared by seller and user addresses.
+export const pointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ["Point"],
+        default: "Point"
+    },
+    coordinates: {
+        type: [Number],
+        required: true
+    }
+}, { _id: false });
+
 const restaurantSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -26,6 +39,54 @@ const restaurantSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // Weekly hours in IST, several slots per day (0 = Sunday). No entries
+    // means open around the clock.
+    openingHours: [
+        {
+            _id: false,
+            day: { type: Number, min: 0, max: 6, required: true },
+            slots: [
+                {
+                    _id: false,
+                    open: { type: String, required: true },
+                    close: { type: String, required: true }
+                }
+            ]
+        }
+    ],
+    // Closed on these IST dates (inclusive)
+    holidays: [
+        {
+            from: { type: String, required: true },
+            to: { type: String, required: true },
+            reason: { type: String, default: null }
+        }
+    ],
+    ordersPaused: {
+        isPaused: { type: Boolean, default: false },
+        reason: { type: String, default: null },
+        until: { type: Date, default: null },
+        pausedAt: { type: Date, default: null }
+    },
+    // Headings the menu is grouped under, lowest sortOrder first
+    menuSections: [
+        {
+            name: { type: String, required: true, trim: true },
+            description: { type: String, default: null },
+            sortOrder: { type: Number, default: 0 },
+            isActive: { type: Boolean, default: true }
+        }
+    ],
+    location: {
+        type: pointSchema,
+        default: undefined
+    },
+    // Falls back to DEFAULT_DELIVERY_RADIUS_KM when not set
+    deliveryRadiusKm: {
+        type: Number,
+        min: 0,
+        default: null
+    },
     delivery: {
         type: String,
         default: null
@@ -66,6 +127,8 @@ const restaurantSchema = new mongoose.Schema({
     }
 });
 
+restaurantSchema.index({ location: "2dsphere" });
+
 const restaurantModel = mongoose.model("restaurant", restaurantSchema);
 
 export default restaurantModel;
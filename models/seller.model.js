@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { pointSchema } from "./restaurant.model.js";
 
 const sellerSchema = new mongoose.Schema({
   firstName: { type: String, default: null },
@@ -12,7 +13,64 @@ const sellerSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // true once the GSTIN is verified and onboarding is approved
   verified: { type: Boolean, default: false },
+
+  gstin: { type: String, default: null, uppercase: true, trim: true },
+  pan: { type: String, default: null, uppercase: true, trim: true },
+  legalName: { type: String, default: null },
+  gstState: { type: String, default: null },
+  gstStateCode: { type: String, default: null },
+  gstVerification: {
+    status: {
+      type: String,
+      enum: ["not_submitted", "pending", "verified"],
+      default: "not_submitted"
+    },
+    verifier: { type: String, default: null },
+    checkedAt: { type: Date, default: null },
+    verifiedAt: { type: Date, default: null },
+    failureReason: { type: String, default: null }
+  },
+  businessType: {
+    type: String,
+    enum: ["grocery", "restaurant", "both"],
+    default: "grocery"
+  },
+  kycDocuments: [
+    {
+      type: {
+        type: String,
+        enum: ["fssai_licence", "gst_certificate", "bank_proof"],
+        required: true
+      },
+      url: { type: String, required: true },
+      key: { type: String, default: null },
+      number: { type: String, default: null },
+      uploadedAt: { type: Date, default: Date.now }
+    }
+  ],
+  onboarding: {
+    status: {
+      type: String,
+      enum: ["pending", "under_review", "approved", "rejected", "suspended"],
+      default: "pending"
+    },
+    reason: { type: String, default: null },
+    submittedAt: { type: Date, default: null },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "seller", default: null },
+    reviewedAt: { type: Date, default: null },
+    history: [
+      {
+        status: { type: String },
+        reason: { type: String, default: null },
+        actorId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        actorRole: { type: String },
+        timestamp: { type: Date, default: Date.now }
+      }
+    ]
+  },
+
   brandId: [
     { type: mongoose.Schema.Types.ObjectId, ref: "brand" }
   ],
@@ -23,7 +81,8 @@ const sellerSchema = new mongoose.Schema({
       landmark: { type: String, default: null },
       pincode: { type: String, default: null },
       city: { type: String, default: null },
-      state: { type: String, default: null }
+      state: { type: String, default: null },
+      location: { type: pointSchema, default: undefined }
     }
   ],
   products: [
@@ -39,6 +98,8 @@ const sellerSchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
+sellerSchema.index({ "pickUpAddr.location": "2dsphere" });
+
 const sellerModel = mongoose.model("seller", sellerSchema);
 
 export default sellerModel;
\ No newline at end of file
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// A pincode a seller ships grocery orders to. Sellers with no entries ship
+// everywhere on the default ETA; once they list any, only those are served.
+const serviceablePincodeSchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "seller",
+      required: true
+    },
+    pincode: { type: String, required: true, match: /^[1-9]\d{5}$/ },
+
+    // calendar days from the order date to delivery
+    etaDays: { type: Number, required: true, min: 0, max: 30 },
+    codAvailable: { type: Boolean, default: true },
+
+    isActive: { type: Boolean, default: true }
+  },
+  { timestamps: true }
+);
+
+serviceablePincodeSchema.index({ sellerId: 1, pincode: 1 }, { unique: true });
+serviceablePincodeSchema.index({ pincode: 1, isActive: 1 });
+
+export default mongoose.model("serviceablePincode", serviceablePincodeSchema);
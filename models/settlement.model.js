@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const settlementHistorySchema = new mongoose.Schema(
+  {
+    status: String,
+    timestamp: { type: Date, default: Date.now },
+    notes: String,
+    actorId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    actorRole: {
+      type: String,
+      enum: ["seller", "admin", "system"],
+      default: "system"
+    }
+  },
+  { _id: false }
+);
+
+// A seller's payout for one week (Monday to Monday, IST). Holds every ledger
+// entry accrued before periodEnd that no earlier batch picked up.
+const settlementSchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "seller",
+      required: true
+    },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+
+    entryCount: { type: Number, default: 0 },
+    totals: {
+      gross: { type: Number, default: 0 },
+      commission: { type: Number, default: 0 },
+      commissionTax: { type: Number, default: 0 },
+      refunds: { type: Number, default: 0 },
+      net: { type: Number, default: 0 }
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "on_hold", "processing", "paid", "failed"],
+      default: "pending"
+    },
+    history: [settlementHistorySchema],
+
+    // bank / UTR reference of the transfer
+    reference: { type: String, default: null },
+    paidAt: { type: Date, default: null },
+    failureReason: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+settlementSchema.index({ sellerId: 1, periodStart: 1 }, { unique: true });
+settlementSchema.index({ status: 1, periodStart: -1 });
+
+export default mongoose.model("settlement", settlementSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { pointSchema } from "./restaurant.model.js";
 
 const addressSchema = new mongoose.Schema(
   {
@@ -8,7 +9,8 @@ const addressSchema = new mongoose.Schema(
     state: { type: String, default: null },
     pincode: { type: String, default: null },
     saveAs: { type: String, enum: ["Home", "Office", "Other"], default: "Home" },
-    mapURL: { type: String, default: null }
+    mapURL: { type: String, default: null },
+    location: { type: pointSchema, default: undefined }
   },
   { timestamps: true }
 );
@@ -72,6 +74,8 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+userSchema.index({ "address.location": "2dsphere" });
+
 const userModel = mongoose.models.user || mongoose.model("user", userSchema);
 export default userModel
 
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["stripe", "razorpay"],
+      default: "stripe",
+      required: true
+    },
+    eventId: {
+      type: String,
+      required: true
+    },
+    type: { type: String },
+
+    status: {
+      type: String,
+      enum: ["processing", "processed", "failed"],
+      default: "processing"
+    },
+    attempts: { type: Number, default: 1 },
+    lastError: { type: String },
+    processedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+export default mongoose.model("webhookEvent", webhookEventSchema);
@@ -14,6 +14,11 @@ const wishlistSchema = new mongoose.Schema(
           ref: "product",
           required: true,
         },
+        // A specific grocery pack size; null saves the product itself
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
         addedAt: {
           type: Date,
           default: Date.now,
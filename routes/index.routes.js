@@ -1,7 +1,7 @@
 import express from 'express';
 import { addNewAddress, createUser, deleteUser, deleteUserAddress, forgotPassword, getAllCountry, getAllnewUser, getAllUserAddress, getUser, getUserAddressById, getUserProfile, resetPassword, searchAddress, selectCountry, selectUserAddress, socialLogin, updateFcmToken, updateUserAddress, userLogin, userPasswordChangeController, userUpdateProfile, verifyOtp } from '../controllers/user.controller.js';
-import { adminAuth, sellerAndAdminAuth, sellerAuth, UserAuth } from '../middleware/auth.middleware.js';
-import { createAdminController, getAllSeller, getSeller, newSellerController, sellerForgetPasswordController, sellerLoginController, sellerPasswordChangeController, sellerPasswordResetController, sellerPickUpAddressSetController, sellerVerifyForgetOtpController, updateProfile } from '../controllers/seller.controller.js';
+import { adminAuth, approvedSellerOnly, sellerAndAdminAuth, sellerAuth, UserAuth } from '../middleware/auth.middleware.js';
+import { createAdminController, getAllSeller, getSeller, newSellerController, sellerForgetPasswordController, sellerLoginController, sellerPasswordChangeController, sellerPasswordResetController, sellerPickUpAddressSetController, sellerVerifyForgetOtpController, submitSellerGstController, updateProfile } from '../controllers/seller.controller.js';
 import { sendResponse, sendSuccessResponse, sendBadRequestResponse, sendNotFoundResponse, sendErrorResponse } from '../utils/response.utils.js';
 import { deleteFromS3, deleteManyFromS3, listBucketObjects, updateS3, uploadToS3 } from '../utils/s3Service.js';
 import { upload } from '../helper/imageUplode.js';
@@ -13,13 +13,19 @@ import { createGroceryProduct, createFoodProduct, updateGroceryProduct, updateFo
 import cartController from '../controllers/cart.controller.js';
 import orderController from '../controllers/order.controller.js';
 import paymentController from '../controllers/payment.controller.js';
+import feeController from '../controllers/fee.controller.js';
+import invoiceController from '../controllers/invoice.controller.js';
+import payoutController from '../controllers/payout.controller.js';
+import analyticsController from '../controllers/analytics.controller.js';
+import sellerOnboardingController from '../controllers/sellerOnboarding.controller.js';
+import serviceabilityController from '../controllers/serviceability.controller.js';
 import { createNotification, getAllNotifications, getMyNotifications, getNotificationById, markAsRead, updateNotification, deleteNotification, deleteMyNotification } from '../controllers/notification.controller.js';
 import { applyCouponController, createCoupon, deleteCoupon, getAllCoupon, getAllCouponAdmin, getCouponById, removeCouponController, updateCoupon } from '../controllers/coupon.controller.js';
 import { createHomeBanner, deleteBannerByName, getAllBanners, getHomeBanners, updateBannerByName } from '../controllers/banner.controller.js';
 import { bestSeller, getFiltteredProducts, grabNowDeals, newArrival, newProducts, trendingDeals } from '../controllers/home.controller.js';
 import { checkUserReview, createReview, deleteReview, getProductReviews, updateReview, likeReview, dislikeReview } from '../controllers/review.controller.js';
 import { createOfferBanner, deleteOfferBanner, getAllOfferBanners, updateOfferBanner } from '../controllers/offer.controller.js';
-import { createRestaurant, deleteRestaurant, getAllRestaurants, getRestaurantById, searchRestaurants, updateRestaurant } from '../controllers/restaurant.controller.js';
+import { addMenuSection, createRestaurant, deleteMenuSection, deleteRestaurant, getAllRestaurants, getRestaurantById, getRestaurantMenu, searchRestaurants, setRestaurantOrderPause, updateMenuSection, updateRestaurant, updateRestaurantHours } from '../controllers/restaurant.controller.js';
 
 const indexRoutes = express.Router();
 
@@ -60,6 +66,22 @@ indexRoutes.post("/seller/verify/forget/password", sellerVerifyForgetOtpControll
 indexRoutes.post("/seller/reset/password", sellerPasswordResetController);
 indexRoutes.put("/seller/change/password", sellerAndAdminAuth, sellerPasswordChangeController);
 indexRoutes.post("/seller/pickup/address", sellerAuth, sellerPickUpAddressSetController)
+indexRoutes.post("/seller/gst", sellerAuth, submitSellerGstController)
+indexRoutes.get("/seller/dashboard", sellerAndAdminAuth, analyticsController.getSellerDashboard);
+
+//seller onboarding / KYC
+indexRoutes.get("/seller/kyc", sellerAuth, sellerOnboardingController.getMyOnboarding);
+indexRoutes.post("/seller/kyc/documents", sellerAuth, upload.fields([{ name: "fssaiLicence", maxCount: 1 }, { name: "gstCertificate", maxCount: 1 }, { name: "bankProof", maxCount: 1 }]), sellerOnboardingController.uploadKycDocuments);
+indexRoutes.post("/seller/kyc/submit", sellerAuth, sellerOnboardingController.submitOnboarding);
+indexRoutes.get("/admin/sellers/onboarding", adminAuth, sellerOnboardingController.getOnboardingQueue);
+indexRoutes.get("/admin/seller/:sellerId/kyc", adminAuth, sellerOnboardingController.getSellerKyc);
+indexRoutes.patch("/admin/seller/:sellerId/review", adminAuth, sellerOnboardingController.reviewSeller);
+
+//grocery serviceability
+indexRoutes.get("/serviceability", serviceabilityController.checkServiceability);
+indexRoutes.get("/seller/pincodes", sellerAndAdminAuth, serviceabilityController.getSellerPincodes);
+indexRoutes.put("/seller/pincodes", sellerAndAdminAuth, approvedSellerOnly, serviceabilityController.upsertSellerPincodes);
+indexRoutes.delete("/seller/pincodes", sellerAndAdminAuth, serviceabilityController.deleteSellerPincodes);
 
 
 //admin api
@@ -79,27 +101,33 @@ indexRoutes.get("/searchCategory", searchCategory)
 
 
 //restaurant
-indexRoutes.post("/createRestaurant", sellerAndAdminAuth, upload.fields([{ name: "restaurantImage", maxCount: 1 }, { name: "gImage", maxCount: 1 }]), createRestaurant);
+indexRoutes.post("/createRestaurant", sellerAndAdminAuth, approvedSellerOnly, upload.fields([{ name: "restaurantImage", maxCount: 1 }, { name: "gImage", maxCount: 1 }]), createRestaurant);
 indexRoutes.get("/getAllRestaurants", getAllRestaurants);
 indexRoutes.get("/getRestaurantById/:id", getRestaurantById);
 indexRoutes.get("/searchRestaurants", searchRestaurants);
-indexRoutes.patch("/updateRestaurantById/:id", sellerAndAdminAuth, upload.fields([{ name: "restaurantImage", maxCount: 1 }, { name: "gImage", maxCount: 1 }]), updateRestaurant);
+indexRoutes.patch("/updateRestaurantById/:id", sellerAndAdminAuth, approvedSellerOnly, upload.fields([{ name: "restaurantImage", maxCount: 1 }, { name: "gImage", maxCount: 1 }]), updateRestaurant);
+indexRoutes.put("/restaurant/:id/hours", sellerAndAdminAuth, approvedSellerOnly, updateRestaurantHours);
+indexRoutes.patch("/restaurant/:id/pause", sellerAndAdminAuth, setRestaurantOrderPause);
+indexRoutes.get("/restaurant/:id/menu", getRestaurantMenu);
+indexRoutes.post("/restaurant/:id/menu-sections", sellerAndAdminAuth, approvedSellerOnly, addMenuSection);
+indexRoutes.patch("/restaurant/:id/menu-sections/:sectionId", sellerAndAdminAuth, approvedSellerOnly, updateMenuSection);
+indexRoutes.delete("/restaurant/:id/menu-sections/:sectionId", sellerAndAdminAuth, deleteMenuSection);
 indexRoutes.delete("/deleteRestaurant/:id", sellerAndAdminAuth, deleteRestaurant);
 
 
 //brand 
-indexRoutes.post("/createBrand", sellerAndAdminAuth, upload.single("brandImage"), createBrand)
+indexRoutes.post("/createBrand", sellerAndAdminAuth, approvedSellerOnly, upload.single("brandImage"), createBrand)
 indexRoutes.get("/getAllBrands", getAllBrands)
 indexRoutes.get("/getSellerBrand", sellerAuth, getSellerBrands);
 indexRoutes.get("/getBrandsById/:id", getBrandsById)
-indexRoutes.put("/updateBrandById/:id", sellerAndAdminAuth, upload.single("brandImage"), updateBrandById)
+indexRoutes.put("/updateBrandById/:id", sellerAndAdminAuth, approvedSellerOnly, upload.single("brandImage"), updateBrandById)
 indexRoutes.delete("/deleteBrand/:id", sellerAndAdminAuth, deleteBrand)
 indexRoutes.get("/searchBrand", searchBrand)
 indexRoutes.get("/getProductsByBrandId/:id", getProductsByBrandId)
 
 //product
-indexRoutes.post("/createGroceryProduct", sellerAndAdminAuth, upload.fields([{ name: "image", maxCount: 1 }]), createGroceryProduct);
-indexRoutes.post("/createFoodProduct", sellerAndAdminAuth, upload.fields([{ name: "image", maxCount: 1 }, { name: "gImage", maxCount: 10 }]), createFoodProduct);
+indexRoutes.post("/createGroceryProduct", sellerAndAdminAuth, approvedSellerOnly, upload.fields([{ name: "image", maxCount: 1 }, { name: "packSizeImages", maxCount: 20 }]), createGroceryProduct);
+indexRoutes.post("/createFoodProduct", sellerAndAdminAuth, approvedSellerOnly, upload.fields([{ name: "image", maxCount: 1 }, { name: "gImage", maxCount: 10 }]), createFoodProduct);
 
 indexRoutes.get("/getAllGroceryProducts", getAllGroceryProducts)
 indexRoutes.get("/getAllFoodProducts", getAllFoodProducts)
@@ -110,8 +138,8 @@ indexRoutes.get("/getFoodProductById/:id", getFoodProductById);
 indexRoutes.get("/getSellerGroceryProducts", sellerAndAdminAuth, getSellerGroceryProducts);
 indexRoutes.get("/getSellerFoodProducts", sellerAndAdminAuth, getSellerFoodProducts);
 
-indexRoutes.patch("/updateGroceryProduct/:id", sellerAndAdminAuth, upload.fields([{ name: "image", maxCount: 1 }]), updateGroceryProduct);
-indexRoutes.patch("/updateFoodProduct/:id", sellerAndAdminAuth, upload.fields([{ name: "image", maxCount: 1 }, { name: "gImage", maxCount: 10 }]), updateFoodProduct);
+indexRoutes.patch("/updateGroceryProduct/:id", sellerAndAdminAuth, approvedSellerOnly, upload.fields([{ name: "image", maxCount: 1 }, { name: "packSizeImages", maxCount: 20 }]), updateGroceryProduct);
+indexRoutes.patch("/updateFoodProduct/:id", sellerAndAdminAuth, approvedSellerOnly, upload.fields([{ name: "image", maxCount: 1 }, { name: "gImage", maxCount: 10 }]), updateFoodProduct);
 
 indexRoutes.delete("/deleteGroceryProduct/:id", sellerAndAdminAuth, deleteGroceryProduct)
 indexRoutes.delete("/deleteFoodProduct/:id", sellerAndAdminAuth, deleteFoodProduct)
@@ -138,6 +166,7 @@ indexRoutes.get("/getAllCouponAdmin", adminAuth, getAllCouponAdmin);
 indexRoutes.get("/getCouponById/:id", getCouponById);
 indexRoutes.patch("/admin/updateCoupon/:id", adminAuth, upload.single("couponImage"), updateCoupon);
 indexRoutes.delete("/admin/deleteCoupon/:id", adminAuth, deleteCoupon);
+// legacy aliases of /cart/apply-coupon and /cart/remove-coupon
 indexRoutes.post("/apply-coupon", UserAuth, applyCouponController);
 indexRoutes.post("/remove-coupon", UserAuth, removeCouponController);
 
@@ -155,31 +184,60 @@ indexRoutes.patch("/cart/update", UserAuth, cartController.updateCartItem);
 indexRoutes.delete("/cart/remove/:cartItemId", UserAuth, cartController.removeFromCart);
 indexRoutes.delete("/cart/clear", UserAuth, cartController.clearCart);
 indexRoutes.get("/billing/preview", UserAuth, cartController.cartBillingPreview);
+indexRoutes.get("/billing/emi-options", UserAuth, cartController.getEmiQuote);
 indexRoutes.post("/cart/apply-coupon", UserAuth, cartController.applyCouponToCart);
 indexRoutes.delete("/cart/remove-coupon", UserAuth, cartController.removeCouponFromCart);
+indexRoutes.get("/cart/coupons", UserAuth, cartController.getCartCoupons);
+indexRoutes.patch("/cart/auto-apply-coupon", UserAuth, cartController.setAutoApplyCoupon);
 
 
 // Order endpoints
 indexRoutes.post("/order/create", UserAuth, orderController.createOrder);
 indexRoutes.get("/order/my-orders", UserAuth, orderController.getUserOrders);
 indexRoutes.get("/order/seller/my-orders", sellerAuth, orderController.getSellerOrders);
+indexRoutes.get("/order/seller/statement", sellerAuth, payoutController.getSellerStatement);
 indexRoutes.get("/order/:orderId", UserAuth, orderController.getOrderById);
 indexRoutes.get("/order/:orderId/timeline", UserAuth, orderController.getOrderTimeline);
+indexRoutes.get("/order/:orderId/invoice", UserAuth, invoiceController.getOrderInvoice);
+indexRoutes.get("/order/seller/:orderId/invoice", sellerAndAdminAuth, invoiceController.getSellerOrderInvoice);
 indexRoutes.get("/order/details/:id", orderController.getOrderByMongoId);
 indexRoutes.patch("/order/:orderId/status", sellerAndAdminAuth, orderController.updateOrderStatus);
 indexRoutes.post("/order/:orderId/cancel", UserAuth, orderController.cancelOrder);
 indexRoutes.post("/order/:orderId/return", UserAuth, orderController.returnOrder);
 indexRoutes.get("/order/admin/all-orders", adminAuth, orderController.getAllOrders);
 
-// Payment endpoints (Stripe)
+// Payment endpoints (Stripe / Razorpay)
 indexRoutes.post("/payment/:orderId/initiate", UserAuth, paymentController.initiatePayment);
 indexRoutes.post("/payment/:orderId/verify", UserAuth, paymentController.verifyPayment);
 indexRoutes.get("/payment/:orderId/status", UserAuth, paymentController.getPaymentStatus);
-indexRoutes.post("/payment/:orderId/refund", UserAuth, paymentController.processRefund);
+indexRoutes.post("/payment/:orderId/refund", adminAuth, paymentController.processRefund);
 indexRoutes.post("/payment/webhook", paymentController.handleStripeWebhook);
+indexRoutes.post("/payment/webhook/razorpay", paymentController.handleRazorpayWebhook);
 indexRoutes.get("/payment/my-payments", UserAuth, paymentController.getMyPayments);
 indexRoutes.get("/payment/all", adminAuth, paymentController.getAllPayments);
 
+// Fee rules (admin)
+indexRoutes.post("/admin/fee-rules", adminAuth, feeController.createFeeRule);
+indexRoutes.get("/admin/fee-rules", adminAuth, feeController.getFeeRules);
+indexRoutes.get("/admin/fee-rules/:id", adminAuth, feeController.getFeeRuleById);
+indexRoutes.patch("/admin/fee-rules/:id", adminAuth, feeController.updateFeeRule);
+indexRoutes.delete("/admin/fee-rules/:id", adminAuth, feeController.deleteFeeRule);
+
+// Commission rules and seller settlements (admin)
+indexRoutes.post("/admin/commission-rules", adminAuth, payoutController.createCommissionRule);
+indexRoutes.get("/admin/commission-rules", adminAuth, payoutController.getCommissionRules);
+indexRoutes.patch("/admin/commission-rules/:id", adminAuth, payoutController.updateCommissionRule);
+indexRoutes.delete("/admin/commission-rules/:id", adminAuth, payoutController.deleteCommissionRule);
+indexRoutes.post("/admin/settlements/run", adminAuth, payoutController.runSettlements);
+indexRoutes.get("/admin/settlements", adminAuth, payoutController.getSettlements);
+indexRoutes.get("/admin/settlements/export", adminAuth, payoutController.exportPayableSettlements);
+indexRoutes.get("/admin/settlements/:id", adminAuth, payoutController.getSettlementById);
+indexRoutes.patch("/admin/settlements/:id/status", adminAuth, payoutController.updateSettlementStatus);
+
+// Platform reports (admin)
+indexRoutes.get("/admin/reports", adminAuth, analyticsController.getAdminReportList);
+indexRoutes.get("/admin/reports/:report", adminAuth, analyticsController.getAdminReport);
+
 
 //reviw.routes.js
 indexRoutes.post('/createReview', UserAuth, createReview);
@@ -0,0 +1,96 @@
+import { roundMoney } from "./refund.utils.js";
+
+export const GRANULARITIES = ["day", "week", "month"];
+export const REPORT_TIMEZONE = "Asia/Kolkata";
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+export class AnalyticsError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "AnalyticsError";
+    this.statusCode = statusCode;
+  }
+}
+
+const isBareDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+// Bare dates are IST calendar days.
+const parseDate = (value, name) => {
+  const date = new Date(isBareDate(value) ? `${value}T00:00:00+05:30` : value);
+  if (isNaN(date.getTime())) throw new AnalyticsError(`Invalid ${name} date`);
+  return date;
+};
+
+// ?from=&to= (inclusive). A bare date for `to` covers that whole day.
+export const parseDateRange = ({ from, to } = {}, { now = new Date() } = {}) => {
+  const end = to ? parseDate(to, "to") : now;
+  if (to && isBareDate(to)) end.setTime(end.getTime() + DAY_MS - 1);
+
+  const start = from ? parseDate(from, "from") : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (start > end) throw new AnalyticsError("from must be before to");
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new AnalyticsError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+  return { from: start, to: end };
+};
+
+export const parseGranularity = (value = "day") => {
+  if (!GRANULARITIES.includes(value)) {
+    throw new AnalyticsError(`granularity must be one of ${GRANULARITIES.join(", ")}`);
+  }
+  return value;
+};
+
+// Start of the day / week (Monday) / month in IST.
+export const bucketExpression = (field, granularity) => ({
+  $dateTrunc: {
+    date: field,
+    unit: granularity,
+    timezone: REPORT_TIMEZONE,
+    ...(granularity === "week" && { startOfWeek: "monday" })
+  }
+});
+
+// What the customer paid for an unwound order line: discounted price times
+// quantity, less the line's coupon share. Mirrors the line value in refunds.
+export const itemAmountExpression = (path = "$items") => ({
+  $subtract: [
+    {
+      $ifNull: [
+        `${path}.totalDiscountedPrice`,
+        {
+          $multiply: [
+            { $cond: [{ $gt: [`${path}.discountedPrice`, 0] }, `${path}.discountedPrice`, `${path}.price`] },
+            `${path}.quantity`
+          ]
+        }
+      ]
+    },
+    { $ifNull: [`${path}.couponDiscount`, 0] }
+  ]
+});
+
+// YYYY-MM-DD of an IST bucket start, for CSV and chart labels.
+export const formatPeriod = (date) => {
+  if (!date) return null;
+  return new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+};
+
+// Percentage with two decimals; 0 when there is nothing to divide by.
+export const percentage = (part, whole) => (whole > 0 ? roundMoney(part * 100 / whole) : 0);
+
+export default {
+  GRANULARITIES,
+  REPORT_TIMEZONE,
+  AnalyticsError,
+  parseDateRange,
+  parseGranularity,
+  bucketExpression,
+  itemAmountExpression,
+  formatPeriod,
+  percentage
+};
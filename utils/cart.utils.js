@@ -0,0 +1,156 @@
+import Cart from "../models/cart.model.js";
+import User from "../models/user.model.js";
+import { resolveFees } from "./fee.utils.js";
+import { getRestaurantDistances } from "./geo.utils.js";
+import {
+  applyCouponToCart,
+  calculateCouponDiscount,
+  CouponError,
+  getCartItemsTotal,
+  getEligibleItems,
+  getEligibleTotal,
+  isTargetedCoupon
+} from "./coupon.utils.js";
+
+// Everything recalculateCart and coupon targeting read off a cart line's product.
+export const CART_PRODUCT_FIELDS = "title image price stock docType category restaurantId brand sellerId";
+
+export const populateCartProducts = (cart) => {
+  return cart.populate({ path: "items.product", select: CART_PRODUCT_FIELDS });
+};
+
+// What the fee rules need to know about where the order is going. With the
+// cart lines it also measures how far each restaurant is from the address.
+export const getFeeContext = async (userId, items = []) => {
+  const user = await User.findById(userId).select("address selectedAddress").lean();
+  const address = user?.address?.find(a => String(a._id) === String(user.selectedAddress)) || null;
+  const restaurantIds = items
+    .filter(item => item.product?.docType === "delivery")
+    .map(item => item.product.restaurantId?._id || item.product.restaurantId);
+  const distances = await getRestaurantDistances(restaurantIds, address);
+  return { address, distances };
+};
+
+// Keeps the applied coupon in step with the items: eligible lines and the
+// discount are recomputed from the snapshot, and the coupon falls off once the
+// cart drops below its minimum order value or no eligible line is left.
+const syncCouponDiscount = (cart, itemsTotal) => {
+  const applied = cart.appliedCoupon;
+  if (!applied?.couponId) {
+    cart.appliedCoupon = null;
+    return 0;
+  }
+
+  if (applied.minOrderValue && itemsTotal < applied.minOrderValue) {
+    cart.appliedCoupon = null;
+    return 0;
+  }
+
+  const eligibleItems = getEligibleItems(applied, cart.items);
+  if (isTargetedCoupon(applied) && eligibleItems.length === 0) {
+    cart.appliedCoupon = null;
+    return 0;
+  }
+
+  applied.eligibleItems = eligibleItems.map(item => item._id);
+  applied.discountApplied = calculateCouponDiscount(applied, getEligibleTotal(applied, cart.items));
+  return applied.discountApplied;
+};
+
+const EMPTY_FEES = { lines: [], delivery: 0, packaging: 0, platform: 0, smallOrder: 0, total: 0 };
+
+// Sync totals from the lines, the coupon snapshot and the last resolved fees.
+// Use refreshCartTotals when the fees themselves may have changed.
+export const recalculateCart = (cart) => {
+  if (!cart.items || cart.items.length === 0) {
+    cart.totalItems = 0;
+    cart.totalPrice = 0;
+    cart.totalDiscountedPrice = 0;
+    cart.totalSavings = 0;
+    cart.fees = EMPTY_FEES;
+    cart.restaurantCharges = 0;
+    cart.couponDiscount = 0;
+    cart.subtotal = 0;
+    cart.finalTotal = 0;
+    cart.appliedCoupon = null;
+    return;
+  }
+
+  let totalItems = 0;
+  let totalOriginal = 0;
+
+  cart.items.forEach(i => {
+    totalItems += i.quantity;
+    totalOriginal += i.price * i.quantity;
+  });
+
+  const totalDiscounted = getCartItemsTotal(cart);
+  const totalFees = cart.fees?.total || 0;
+
+  cart.totalItems = totalItems;
+  cart.totalPrice = totalOriginal;
+  cart.totalDiscountedPrice = totalDiscounted;
+  cart.totalSavings = totalOriginal - totalDiscounted;
+  // Kept for older clients: what the restaurants charge on top of the food.
+  cart.restaurantCharges = cart.fees?.packaging || 0;
+
+  const couponDiscount = syncCouponDiscount(cart, totalDiscounted);
+  cart.couponDiscount = couponDiscount;
+
+  const subtotal = totalDiscounted - couponDiscount + totalFees;
+  cart.subtotal = subtotal;
+  cart.finalTotal = subtotal;
+};
+
+// Re-resolves the fee rules for the cart, then recalculates. Populates the line
+// products first unless the caller already did.
+export const refreshCartTotals = async (cart, context = null) => {
+  if (!cart.populated("items.product")) await populateCartProducts(cart);
+
+  cart.fees = cart.items.length > 0
+    ? await resolveFees(cart.items, context || await getFeeContext(cart.userId, cart.items))
+    : EMPTY_FEES;
+  recalculateCart(cart);
+  return cart;
+};
+
+const findCouponCart = (userId) => {
+  return Cart.findOne({ userId }).populate("items.product", CART_PRODUCT_FIELDS);
+};
+
+// The single coupon flow behind both /cart/apply-coupon and /apply-coupon.
+export const applyCartCoupon = async (userId, code) => {
+  const cart = await findCouponCart(userId);
+  const result = await applyCouponToCart(cart, code);
+
+  await refreshCartTotals(cart);
+  await cart.save();
+
+  return { cart, ...result };
+};
+
+export const removeCartCoupon = async (userId) => {
+  const cart = await findCouponCart(userId);
+  if (!cart) throw new CouponError("Cart not found", 404);
+  if (!cart.appliedCoupon?.couponId) throw new CouponError("No coupon applied to cart");
+
+  const removedCoupon = cart.toObject().appliedCoupon;
+  cart.appliedCoupon = null;
+  // Otherwise the next billing preview would put a coupon straight back.
+  cart.autoApplyCoupon = false;
+
+  await refreshCartTotals(cart);
+  await cart.save();
+
+  return { cart, removedCoupon };
+};
+
+export default {
+  CART_PRODUCT_FIELDS,
+  populateCartProducts,
+  getFeeContext,
+  recalculateCart,
+  refreshCartTotals,
+  applyCartCoupon,
+  removeCartCoupon
+};
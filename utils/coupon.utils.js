@@ -0,0 +1,320 @@
+import Coupon from "../models/coupon.model.js";
+import CouponRedemption from "../models/couponRedemption.model.js";
+import Order from "../models/order.model.js";
+import User from "../models/user.model.js";
+
+const NEW_USER_DAYS = Number(process.env.COUPON_NEW_USER_DAYS) || 30;
+
+export class CouponError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "CouponError";
+    this.statusCode = statusCode;
+  }
+}
+
+const TARGET_FIELDS = ["categories", "restaurants", "brands", "sellers", "productTypes"];
+
+const lineTotal = (item) => (item.discountedPrice || item.price) * item.quantity;
+
+// Coupons apply to what the customer pays for the items, after product discounts.
+export const getCartItemsTotal = (cart) => {
+  return (cart.items || []).reduce((sum, item) => sum + lineTotal(item), 0);
+};
+
+const refId = (ref) => String(ref?._id || ref);
+const matchesList = (list, value) => !list?.length || (!!value && list.some(id => refId(id) === refId(value)));
+
+export const isTargetedCoupon = (coupon) => {
+  return TARGET_FIELDS.some(field => coupon.applicableTo?.[field]?.length > 0);
+};
+
+// `coupon` may be a coupon document or a cart's appliedCoupon snapshot. The
+// line's product has to be populated for anything but seller targeting.
+export const isItemEligible = (coupon, item) => {
+  if (!isTargetedCoupon(coupon)) return true;
+
+  const rules = coupon.applicableTo;
+  const product = item.product?.docType ? item.product : {};
+
+  return matchesList(rules.productTypes, product.docType)
+    && matchesList(rules.categories, product.category)
+    && matchesList(rules.restaurants, product.restaurantId)
+    && matchesList(rules.brands, product.brand)
+    && matchesList(rules.sellers, item.sellerId);
+};
+
+export const getEligibleItems = (coupon, items = []) => items.filter(item => isItemEligible(coupon, item));
+
+export const getEligibleTotal = (coupon, items = []) => {
+  return getEligibleItems(coupon, items).reduce((sum, item) => sum + lineTotal(item), 0);
+};
+
+// Spreads the coupon discount over the eligible lines by value. Returns a map of
+// cart/order item id -> rupees; the last line absorbs rounding.
+export const splitCouponDiscount = (coupon, items, discount) => {
+  const shares = new Map();
+  const eligible = getEligibleItems(coupon, items);
+  const eligibleTotal = eligible.reduce((sum, item) => sum + lineTotal(item), 0);
+  if (!discount || eligibleTotal <= 0) return shares;
+
+  let remaining = discount;
+  eligible.forEach((item, index) => {
+    const share = index === eligible.length - 1
+      ? remaining
+      : Math.round(discount * lineTotal(item) / eligibleTotal);
+    shares.set(String(item._id), share);
+    remaining -= share;
+  });
+  return shares;
+};
+
+export const getCouponValue = (coupon) => {
+  return coupon.discountType === "percentage" ? coupon.percentageValue : coupon.flatValue;
+};
+
+// Works on a coupon document or on a cart's appliedCoupon snapshot. `amount`
+// is the value of the eligible lines.
+export const calculateCouponDiscount = ({ discountType, discountValue, maxDiscount }, amount) => {
+  if (!amount || amount <= 0) return 0;
+
+  let discount = discountType === "percentage"
+    ? Math.round(amount * (discountValue || 0) / 100)
+    : discountValue || 0;
+
+  if (discountType === "percentage" && maxDiscount) {
+    discount = Math.min(discount, maxDiscount);
+  }
+
+  return Math.min(discount, amount);
+};
+
+export const findRedeemableCoupon = async (code, now = new Date()) => {
+  if (!code || !String(code).trim()) throw new CouponError("Coupon code is required");
+
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon) throw new CouponError("Coupon not found", 404);
+  if (!coupon.isActive) throw new CouponError("Coupon is not active");
+  if (coupon.expiryDate <= now) throw new CouponError("Coupon has expired");
+  if (coupon.startDate && coupon.startDate > now) throw new CouponError("Coupon is not yet valid");
+
+  return coupon;
+};
+
+export const getRemainingUses = (coupon) => {
+  if (!coupon.usageLimit) return null;
+  return Math.max(0, coupon.usageLimit - (coupon.usageCount || 0));
+};
+
+// Usage and audience rules. `order` is the order being placed, so it does not
+// count against the customer's own first-order check.
+export const assertCouponUsable = async (coupon, userId, { order = null, session = null, now = new Date() } = {}) => {
+  if (getRemainingUses(coupon) === 0) throw new CouponError("Coupon usage limit has been reached");
+
+  if (coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, userId, status: "redeemed" })
+      .session(session);
+    if (used >= coupon.perUserLimit) {
+      throw new CouponError(`You can use this coupon only ${coupon.perUserLimit} time(s)`);
+    }
+  }
+
+  if (coupon.firstOrderOnly) {
+    const previousOrder = await Order.exists({
+      userId,
+      "orderStatus.current": { $ne: "cancelled" },
+      ...(order && { _id: { $ne: order._id } })
+    }).session(session);
+    if (previousOrder) throw new CouponError("Coupon is only valid on your first order");
+  }
+
+  if (coupon.newUserOnly) {
+    const user = await User.findById(userId).select("createdAt").session(session).lean();
+    const cutoff = new Date(now.getTime() - NEW_USER_DAYS * 24 * 60 * 60 * 1000);
+    if (!user || user.createdAt < cutoff) throw new CouponError("Coupon is only valid for new users");
+  }
+};
+
+// Checks a coupon against the cart without throwing. Ineligible results carry a
+// customer-facing reason, and shortBy when adding items would unlock the coupon.
+export const evaluateCoupon = async (coupon, cart, now = new Date()) => {
+  const itemsTotal = getCartItemsTotal(cart);
+  const result = { coupon, itemsTotal, eligible: false, discount: 0, eligibleItems: [], reason: null, shortBy: 0 };
+
+  if (coupon.minOrderValue && itemsTotal < coupon.minOrderValue) {
+    const shortBy = Math.ceil(coupon.minOrderValue - itemsTotal);
+    return { ...result, shortBy, reason: `Add ₹${shortBy} more to use this coupon` };
+  }
+
+  const eligibleItems = getEligibleItems(coupon, cart.items);
+  if (eligibleItems.length === 0) {
+    return { ...result, reason: "Coupon does not apply to any item in your cart" };
+  }
+
+  try {
+    await assertCouponUsable(coupon, cart.userId, { now });
+  } catch (error) {
+    if (!(error instanceof CouponError)) throw error;
+    return { ...result, eligibleItems, reason: error.message };
+  }
+
+  const discount = calculateCouponDiscount(
+    { discountType: coupon.discountType, discountValue: getCouponValue(coupon), maxDiscount: coupon.maxDiscount },
+    getEligibleTotal(coupon, cart.items)
+  );
+  return { ...result, eligible: true, eligibleItems, discount };
+};
+
+const setCartCoupon = (cart, coupon, { eligibleItems, discount }, now) => {
+  cart.appliedCoupon = {
+    couponId: coupon._id,
+    couponCode: coupon.code,
+    discountType: coupon.discountType,
+    discountValue: getCouponValue(coupon),
+    maxDiscount: coupon.maxDiscount || null,
+    minOrderValue: coupon.minOrderValue || 0,
+    applicableTo: coupon.toObject ? coupon.toObject().applicableTo : coupon.applicableTo,
+    eligibleItems: eligibleItems.map(item => item._id),
+    discountApplied: discount,
+    appliedAt: now
+  };
+};
+
+// Validates the coupon against the cart and writes the appliedCoupon snapshot.
+// A new code replaces whatever was applied before. The caller recalculates
+// the cart totals and saves it.
+export const applyCouponToCart = async (cart, code, now = new Date()) => {
+  if (!cart || cart.items.length === 0) throw new CouponError("Cart is empty");
+
+  const coupon = await findRedeemableCoupon(code, now);
+  const evaluation = await evaluateCoupon(coupon, cart, now);
+  if (!evaluation.eligible) throw new CouponError(evaluation.reason);
+
+  setCartCoupon(cart, coupon, evaluation, now);
+  return evaluation;
+};
+
+// Every live coupon checked against the cart: eligible ones by savings, the
+// rest with the nearest-to-unlocking first.
+export const listCartCoupons = async (cart, now = new Date()) => {
+  const coupons = await Coupon.find({
+    isActive: true,
+    expiryDate: { $gt: now },
+    $or: [{ startDate: null }, { startDate: { $lte: now } }]
+  }).lean();
+
+  const results = [];
+  for (const coupon of coupons) {
+    results.push(await evaluateCoupon(coupon, cart, now));
+  }
+
+  const eligible = results.filter(r => r.eligible).sort((a, b) => b.discount - a.discount);
+  const ineligible = results
+    .filter(r => !r.eligible)
+    .sort((a, b) => ((a.shortBy || Infinity) - (b.shortBy || Infinity)) || 0);
+
+  return { itemsTotal: getCartItemsTotal(cart), eligible, ineligible, best: eligible[0] || null };
+};
+
+// Swaps in the best coupon when the cart has auto-apply on and it beats what is
+// applied now. Returns the applied evaluation, or null if nothing changed.
+export const autoApplyBestCoupon = async (cart, now = new Date()) => {
+  if (!cart.autoApplyCoupon || cart.items.length === 0) return null;
+
+  const { best } = await listCartCoupons(cart, now);
+  if (!best) return null;
+
+  const current = cart.appliedCoupon?.couponId ? cart.appliedCoupon.discountApplied || 0 : 0;
+  if (best.discount <= current) return null;
+
+  setCartCoupon(cart, best.coupon, best, now);
+  return best;
+};
+
+// Drops the applied coupon if it was switched off or expired since it was applied.
+// Usage limits are checked again when the order consumes the coupon.
+export const refreshCartCoupon = async (cart, now = new Date()) => {
+  const couponId = cart.appliedCoupon?.couponId;
+  if (!couponId) return null;
+
+  const coupon = await Coupon.findById(couponId._id || couponId).lean();
+  if (!coupon || !coupon.isActive || coupon.expiryDate <= now || (coupon.startDate && coupon.startDate > now)) {
+    cart.appliedCoupon = null;
+    return null;
+  }
+  return coupon;
+};
+
+// Consumes one use of the order's coupon inside the order-creation transaction.
+// The usage counter is claimed atomically so the total limit cannot be overshot.
+export const redeemOrderCoupon = async (order, session) => {
+  const applied = order.appliedOffers?.coupon;
+  if (!applied?.couponId) return null;
+
+  const coupon = await Coupon.findById(applied.couponId).session(session);
+  if (!coupon) throw new CouponError("Applied coupon no longer exists");
+
+  await assertCouponUsable(coupon, order.userId, { order, session });
+
+  const claimed = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usageCount", "$usageLimit"] } }]
+    },
+    { $inc: { usageCount: 1 } },
+    { session }
+  );
+  if (claimed.modifiedCount === 0) throw new CouponError("Coupon usage limit has been reached");
+
+  const [redemption] = await CouponRedemption.create([{
+    couponId: coupon._id,
+    couponCode: coupon.code,
+    userId: order.userId,
+    order: order._id,
+    orderId: order.orderId,
+    discountAmount: applied.discountApplied || 0
+  }], { session });
+
+  return redemption;
+};
+
+// Gives the use back when the order is cancelled. Safe to call more than once.
+export const reverseOrderCoupon = async (order, reason, session = null) => {
+  if (!order.appliedOffers?.coupon?.couponId) return false;
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: order._id, status: "redeemed" },
+    { $set: { status: "reversed", reversedAt: new Date(), reversalReason: reason } },
+    { session }
+  );
+  if (!redemption) return false;
+
+  await Coupon.updateOne(
+    { _id: redemption.couponId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } },
+    { session }
+  );
+  return true;
+};
+
+export default {
+  CouponError,
+  getCartItemsTotal,
+  getCouponValue,
+  isTargetedCoupon,
+  isItemEligible,
+  getEligibleItems,
+  getEligibleTotal,
+  splitCouponDiscount,
+  calculateCouponDiscount,
+  findRedeemableCoupon,
+  getRemainingUses,
+  assertCouponUsable,
+  evaluateCoupon,
+  applyCouponToCart,
+  listCartCoupons,
+  autoApplyBestCoupon,
+  refreshCartCoupon,
+  redeemOrderCoupon,
+  reverseOrderCoupon
+};
@@ -0,0 +1,30 @@
+// Spreadsheets run text cells starting with these as formulas. Numbers are
+// left alone so negative amounts stay numeric.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label }] or [{ label, value: row => ... }]
+export const toCsv = (columns, rows) => {
+  const header = columns.map(col => escapeCell(col.label || col.key)).join(",");
+  const lines = rows.map(row => columns
+    .map(col => escapeCell(col.value ? col.value(row) : row[col.key]))
+    .join(","));
+  return [header, ...lines].join("\r\n") + "\r\n";
+};
+
+export const sendCsv = (res, filename, csv) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(csv);
+};
+
+export default {
+  toCsv,
+  sendCsv
+};
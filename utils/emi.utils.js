@@ -0,0 +1,53 @@
+import { calculateEMI, EMI_TENURES } from "./razorpay.config.js";
+
+export const EMI_MIN_ORDER_AMOUNT = Number(process.env.EMI_MIN_ORDER_AMOUNT) || 3000;
+
+// EMI is a card product for large grocery baskets; food orders are too small
+// and too immediate for it.
+export const getEmiEligibility = ({ amount, hasFoodItems = false }) => {
+  const base = { minOrderAmount: EMI_MIN_ORDER_AMOUNT, amount: Math.round(amount || 0) };
+
+  if (hasFoodItems) {
+    return { ...base, eligible: false, reason: "EMI is only available on grocery orders" };
+  }
+
+  if (base.amount < EMI_MIN_ORDER_AMOUNT) {
+    const shortBy = EMI_MIN_ORDER_AMOUNT - base.amount;
+    return { ...base, eligible: false, shortBy, reason: `Add ₹${shortBy} more to pay in EMI` };
+  }
+
+  return { ...base, eligible: true, reason: null };
+};
+
+export const getEmiOptions = (amount) => {
+  return EMI_TENURES.map(tenure => ({ tenure, ...calculateEMI(amount, tenure) }));
+};
+
+export const buildEmiQuote = ({ amount, hasFoodItems = false }) => {
+  const eligibility = getEmiEligibility({ amount, hasFoodItems });
+  return {
+    ...eligibility,
+    options: eligibility.eligible ? getEmiOptions(eligibility.amount) : []
+  };
+};
+
+// Snapshot stored on the order: interest is added on top of the order total.
+export const buildEmiPlan = (amount, tenure) => {
+  const emi = calculateEMI(amount, Number(tenure));
+  return {
+    tenure: Number(tenure),
+    interestRate: emi.interestRate,
+    interestAmount: emi.interestAmount,
+    monthlyAmount: emi.monthlyAmount,
+    principal: amount,
+    totalAmount: amount + emi.interestAmount
+  };
+};
+
+export default {
+  EMI_MIN_ORDER_AMOUNT,
+  getEmiEligibility,
+  getEmiOptions,
+  buildEmiQuote,
+  buildEmiPlan
+};
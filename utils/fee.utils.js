@@ -0,0 +1,243 @@
+import mongoose from "mongoose";
+import FeeRule from "../models/feeRule.model.js";
+import { roundMoney } from "./refund.utils.js";
+
+export const FEE_TYPES = ["delivery", "packaging", "platform", "small_order"];
+
+export const FEE_LABELS = {
+  delivery: "Delivery Fee",
+  packaging: "Packaging Charges",
+  platform: "Platform Fee",
+  small_order: "Small Order Fee"
+};
+
+export class FeeRuleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "FeeRuleError";
+    this.statusCode = statusCode;
+  }
+}
+
+const lineValue = (item) => (item.discountedPrice || item.price) * item.quantity;
+const refId = (ref) => (ref ? String(ref._id || ref) : null);
+
+// Food is delivered per restaurant, grocery as a single drop. Needs the line
+// products populated with docType and restaurantId.
+export const groupCartItems = (items = []) => {
+  const groups = new Map();
+
+  items.forEach(item => {
+    const product = item.product || {};
+    const fulfillmentType = product.docType === "delivery" ? "delivery" : "grocery";
+    const restaurantId = fulfillmentType === "delivery" ? refId(product.restaurantId) : null;
+    const key = fulfillmentType === "delivery" ? `delivery:${restaurantId}` : "grocery";
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        fulfillmentType,
+        restaurantId,
+        restaurantName: product.restaurantId?.title || null,
+        items: [],
+        value: 0,
+        quantity: 0
+      });
+    }
+
+    const group = groups.get(key);
+    group.items.push(item);
+    group.value += lineValue(item);
+    group.quantity += item.quantity;
+  });
+
+  return [...groups.values()];
+};
+
+const appliesTo = (rule, fulfillmentType) => rule.appliesTo === "all" || rule.appliesTo === fulfillmentType;
+
+// Restaurant-specific rules beat defaults, then higher priority, then newest.
+const byPrecedence = (a, b) => {
+  return (Number(!!b.restaurantId) - Number(!!a.restaurantId))
+    || ((b.priority || 0) - (a.priority || 0))
+    || (new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+};
+
+const chargeFor = (rule, { value, quantity }) => {
+  let amount = rule.amount || 0;
+  if (rule.chargeType === "per_item") amount = amount * quantity;
+  if (rule.chargeType === "percentage") amount = value * amount / 100;
+  if (rule.maxAmount) amount = Math.min(amount, rule.maxAmount);
+  return roundMoney(amount);
+};
+
+const findZone = (rule, address) => {
+  if (!address) return null;
+  const pincode = String(address.pincode || address.postalCode || "").trim();
+  const city = String(address.city || "").trim().toLowerCase();
+
+  return rule.zones.find(zone => (pincode && zone.pincodes.includes(pincode)) || (city && zone.cities.includes(city))) || null;
+};
+
+// Returns null when the rule cannot price this drop (outside every slab or zone)
+// so the next rule gets a chance.
+const resolveDeliveryFee = (rule, group, { address, distanceKm, distances }) => {
+  let amount;
+  let note = null;
+
+  if (distanceKm === undefined || distanceKm === null) distanceKm = distances?.get(group.restaurantId) ?? null;
+
+  if (rule.basis === "distance" && rule.slabs.length > 0) {
+    const slabs = [...rule.slabs].sort((a, b) => a.upToKm - b.upToKm);
+    if (distanceKm !== undefined && distanceKm !== null) {
+      const slab = slabs.find(s => distanceKm <= s.upToKm);
+      if (!slab) return null;
+      amount = slab.fee;
+      note = `Up to ${slab.upToKm} km`;
+    } else {
+      // Addresses saved without a location: the base fee, else the farthest slab.
+      amount = rule.amount > 0 ? rule.amount : slabs[slabs.length - 1].fee;
+      note = "Distance not known";
+    }
+  } else if (rule.basis === "zone") {
+    const zone = findZone(rule, address);
+    if (!zone) return null;
+    amount = zone.fee;
+    note = zone.name;
+  } else {
+    amount = rule.amount || 0;
+  }
+
+  if (rule.freeAbove && group.value >= rule.freeAbove) {
+    return { amount: 0, note: `Free delivery above ₹${rule.freeAbove}` };
+  }
+  return { amount: roundMoney(amount), note };
+};
+
+const feeLine = (type, rule, amount, group = null, note = null) => ({
+  type,
+  label: FEE_LABELS[type],
+  amount,
+  ruleId: rule._id,
+  ruleName: rule.name,
+  fulfillmentType: group?.fulfillmentType || null,
+  restaurantId: group?.restaurantId || null,
+  note
+});
+
+/*
+ * Prices a cart (or any list of lines with populated products) against the
+ * active fee rules:
+ *   delivery     one per drop, by flat fee, distance slab or zone; free above freeAbove
+ *   packaging    one per drop, restaurant-specific rule first
+ *   small_order  one per drop whose items value is below threshold
+ *   platform     once per order
+ * Thresholds look at the items value after product discounts, before coupons.
+ * `context` carries the shipping address and, when known, distanceKm or a
+ * Map of distances keyed by restaurant id.
+ */
+export const resolveFees = async (items, context = {}) => {
+  const rules = context.rules || await FeeRule.find({ isActive: true }).lean();
+  const groups = groupCartItems(items);
+  const lines = [];
+
+  const rulesOf = (type) => rules.filter(rule => rule.type === type).sort(byPrecedence);
+
+  groups.forEach(group => {
+    for (const rule of rulesOf("delivery").filter(r => appliesTo(r, group.fulfillmentType))) {
+      const fee = resolveDeliveryFee(rule, group, context);
+      if (fee) {
+        lines.push(feeLine("delivery", rule, fee.amount, group, fee.note));
+        break;
+      }
+    }
+
+    const packaging = rulesOf("packaging").find(rule => appliesTo(rule, group.fulfillmentType)
+      && (!rule.restaurantId || refId(rule.restaurantId) === group.restaurantId));
+    if (packaging) {
+      lines.push(feeLine("packaging", packaging, chargeFor(packaging, group), group));
+    }
+
+    const smallOrder = rulesOf("small_order").find(rule => appliesTo(rule, group.fulfillmentType)
+      && rule.threshold && group.value < rule.threshold);
+    if (smallOrder) {
+      lines.push(feeLine("small_order", smallOrder, chargeFor(smallOrder, group), group,
+        `Orders below ₹${smallOrder.threshold}`));
+    }
+  });
+
+  const platform = rulesOf("platform").find(rule => groups.some(group => appliesTo(rule, group.fulfillmentType)));
+  if (platform) {
+    const order = {
+      value: groups.reduce((sum, group) => sum + group.value, 0),
+      quantity: groups.reduce((sum, group) => sum + group.quantity, 0)
+    };
+    lines.push(feeLine("platform", platform, chargeFor(platform, order)));
+  }
+
+  const sumOf = (type) => roundMoney(lines.filter(line => line.type === type).reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    lines,
+    delivery: sumOf("delivery"),
+    packaging: sumOf("packaging"),
+    platform: sumOf("platform"),
+    smallOrder: sumOf("small_order"),
+    total: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0))
+  };
+};
+
+export const validateFeeRule = (rule) => {
+  if (!FEE_TYPES.includes(rule.type)) {
+    throw new FeeRuleError(`type must be one of ${FEE_TYPES.join(", ")}`);
+  }
+
+  if (rule.type === "delivery") {
+    if (rule.basis === "distance" && !rule.slabs?.length) {
+      throw new FeeRuleError("Distance based delivery rules need at least one slab");
+    }
+    if (rule.basis === "zone" && !rule.zones?.length) {
+      throw new FeeRuleError("Zone based delivery rules need at least one zone");
+    }
+  }
+
+  if (rule.type === "small_order" && !rule.threshold) {
+    throw new FeeRuleError("Small order rules need a threshold");
+  }
+
+  if (rule.chargeType === "percentage" && rule.amount > 100) {
+    throw new FeeRuleError("Percentage charges cannot exceed 100");
+  }
+};
+
+// What restaurants charged before fee rules existed: ₹10 per item.
+const DEFAULT_PACKAGING_RULE = {
+  name: "Restaurant charge",
+  type: "packaging",
+  appliesTo: "delivery",
+  chargeType: "per_item",
+  amount: 10
+};
+
+/*
+ * Creates the default restaurant charge so food carts keep paying it after an
+ * upgrade. Runs on start and only when there is no packaging rule at all; turn
+ * it off by deactivating the rule rather than deleting it.
+ */
+export const seedDefaultFeeRules = async () => {
+  if (mongoose.connection.readyState !== 1) return false;
+  if (await FeeRule.exists({ type: "packaging" })) return false;
+
+  await FeeRule.create(DEFAULT_PACKAGING_RULE);
+  return true;
+};
+
+export default {
+  FEE_TYPES,
+  FEE_LABELS,
+  FeeRuleError,
+  groupCartItems,
+  resolveFees,
+  validateFeeRule,
+  seedDefaultFeeRules
+};
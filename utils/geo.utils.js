@@ -0,0 +1,167 @@
+import Restaurant from "../models/restaurant.model.js";
+import { roundMoney } from "./refund.utils.js";
+
+const EARTH_RADIUS_KM = 6371;
+
+// Used when a restaurant has not set its own delivery radius.
+export const DEFAULT_DELIVERY_RADIUS_KM = Number(process.env.DEFAULT_DELIVERY_RADIUS_KM || 7);
+// "Near me" listings look this far unless ?maxDistanceKm= asks for less or more.
+export const NEAR_ME_RADIUS_KM = Number(process.env.NEAR_ME_RADIUS_KM || 15);
+const MAX_NEAR_ME_RADIUS_KM = 100;
+
+export class GeoError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "GeoError";
+    this.statusCode = statusCode;
+  }
+}
+
+export class OutOfDeliveryRangeError extends Error {
+  constructor(restaurants) {
+    const names = restaurants.map(r => r.title || "A restaurant").join(", ");
+    super(`${names} ${restaurants.length > 1 ? "do" : "does"} not deliver to the selected address`);
+    this.name = "OutOfDeliveryRangeError";
+    this.statusCode = 409;
+    this.restaurants = restaurants;
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+/*
+ * GeoJSON point from a latitude/longitude pair. Returns null when neither is
+ * sent so the location stays optional; one without the other is an error.
+ */
+export const toPoint = (lat, lng) => {
+  if (isBlank(lat) && isBlank(lng)) return null;
+  if (isBlank(lat) || isBlank(lng)) throw new GeoError("Both latitude and longitude are required");
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    throw new GeoError("Latitude must be between -90 and 90");
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new GeoError("Longitude must be between -180 and 180");
+  }
+  return { type: "Point", coordinates: [longitude, latitude] };
+};
+
+// Accepts lat/lng as well as the lati/long names the address APIs already use.
+export const readPoint = (body = {}) => toPoint(body.lat ?? body.lati, body.lng ?? body.long);
+
+export const hasPoint = (location) => Array.isArray(location?.coordinates) && location.coordinates.length === 2;
+
+// Great-circle distance in km, two decimals.
+export const distanceKm = (from, to) => {
+  if (!hasPoint(from) || !hasPoint(to)) return null;
+
+  const [lng1, lat1] = from.coordinates.map(Number);
+  const [lng2, lat2] = to.coordinates.map(Number);
+  const rad = (deg) => deg * Math.PI / 180;
+
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return roundMoney(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)));
+};
+
+export const deliveryRadiusOf = (restaurant) => {
+  const radius = Number(restaurant?.deliveryRadiusKm);
+  return Number.isFinite(radius) && radius > 0 ? radius : DEFAULT_DELIVERY_RADIUS_KM;
+};
+
+export const parseDeliveryRadius = (value) => {
+  if (isBlank(value)) return null;
+  const radius = Number(value);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_NEAR_ME_RADIUS_KM) {
+    throw new GeoError(`deliveryRadiusKm must be between 0 and ${MAX_NEAR_ME_RADIUS_KM}`);
+  }
+  return radius;
+};
+
+// ?lat=&lng=&maxDistanceKm= on listing endpoints. Null when no location is sent.
+export const parseNearQuery = (query = {}) => {
+  const point = toPoint(query.lat, query.lng);
+  if (!point) return null;
+
+  const maxDistanceKm = isBlank(query.maxDistanceKm) ? NEAR_ME_RADIUS_KM : Number(query.maxDistanceKm);
+  if (!Number.isFinite(maxDistanceKm) || maxDistanceKm <= 0 || maxDistanceKm > MAX_NEAR_ME_RADIUS_KM) {
+    throw new GeoError(`maxDistanceKm must be between 0 and ${MAX_NEAR_ME_RADIUS_KM}`);
+  }
+  return { point, maxDistanceKm };
+};
+
+// Query filter for restaurants within range, nearest first.
+export const nearFilter = ({ point, maxDistanceKm }) => ({
+  $nearSphere: { $geometry: point, $maxDistance: maxDistanceKm * 1000 }
+});
+
+// distanceKm and whether the restaurant delivers that far.
+export const withDistance = (restaurant, point) => {
+  const distance = distanceKm(point, restaurant.location);
+  return {
+    ...restaurant,
+    distanceKm: distance,
+    deliveryRadiusKm: deliveryRadiusOf(restaurant),
+    deliverable: distance === null ? null : distance <= deliveryRadiusOf(restaurant)
+  };
+};
+
+// Distance from the address to each located restaurant, keyed by restaurant id.
+export const getRestaurantDistances = async (restaurantIds, address) => {
+  const distances = new Map();
+  const ids = [...new Set(restaurantIds.filter(Boolean).map(String))];
+  if (!hasPoint(address?.location) || ids.length === 0) return distances;
+
+  const restaurants = await Restaurant.find({ _id: { $in: ids } }).select("location").lean();
+  restaurants.forEach(restaurant => {
+    const distance = distanceKm(address.location, restaurant.location);
+    if (distance !== null) distances.set(String(restaurant._id), distance);
+  });
+  return distances;
+};
+
+/*
+ * Throws OutOfDeliveryRangeError listing every restaurant whose delivery
+ * radius does not reach the address. Addresses or restaurants saved before
+ * locations existed are not checked.
+ */
+export const assertDeliverable = async (restaurantIds, address) => {
+  const ids = [...new Set(restaurantIds.filter(Boolean).map(String))];
+  if (!hasPoint(address?.location) || ids.length === 0) return;
+
+  const restaurants = await Restaurant.find({ _id: { $in: ids } })
+    .select("title location deliveryRadiusKm")
+    .lean();
+
+  const outOfRange = restaurants
+    .map(restaurant => ({ restaurant, distance: distanceKm(address.location, restaurant.location) }))
+    .filter(({ restaurant, distance }) => distance !== null && distance > deliveryRadiusOf(restaurant))
+    .map(({ restaurant, distance }) => ({
+      restaurantId: restaurant._id,
+      title: restaurant.title,
+      distanceKm: distance,
+      deliveryRadiusKm: deliveryRadiusOf(restaurant)
+    }));
+
+  if (outOfRange.length > 0) throw new OutOfDeliveryRangeError(outOfRange);
+};
+
+export default {
+  DEFAULT_DELIVERY_RADIUS_KM,
+  NEAR_ME_RADIUS_KM,
+  GeoError,
+  OutOfDeliveryRangeError,
+  toPoint,
+  readPoint,
+  hasPoint,
+  distanceKm,
+  deliveryRadiusOf,
+  parseDeliveryRadius,
+  parseNearQuery,
+  nearFilter,
+  withDistance,
+  getRestaurantDistances,
+  assertDeliverable
+};
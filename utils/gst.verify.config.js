@@ -2,26 +2,35 @@ import axios from "axios";
 import { config } from 'dotenv';
 config();
 
-const GST_API_HOST = "india-gstin-validator.p.rapidapi.com";
-const GST_API_KEY = process.env.RAPIDAPI_KEY || "f3db12d99dmsh0a5a293a042f20cp10c76djsnd707e270b5f0";
+const GST_API_HOST = process.env.RAPIDAPI_GST_HOST || "india-gstin-validator.p.rapidapi.com";
+const GST_API_KEY = process.env.RAPIDAPI_KEY;
 
 export default async function validateGSTIN(gstin) {
+  if (!GST_API_KEY) {
+    throw new Error("RAPIDAPI_KEY is not configured");
+  }
+
   try {
     const response = await axios.get(
-      `https://${GST_API_HOST}/validate?gstin=${String(gstin).toUpperCase()}`,
+      `https://${GST_API_HOST}/validate`,
       {
+        params: { gstin: String(gstin).toUpperCase() },
         headers: {
           "x-rapidapi-key": GST_API_KEY,
           "x-rapidapi-host": GST_API_HOST,
         },
+        timeout: 10000
       }
     );
 
+    const data = response.data || {};
     return {
-      valid: response.data.valid,
-      gstin: response.data.gstin,
-      state: response.data.state,
-      pan: response.data.pan,
+      valid: data.valid,
+      gstin: data.gstin,
+      state: data.state,
+      pan: data.pan,
+      legalName: data.legalName || data.legal_name || data.lgnm || null,
+      message: data.message || null
     };
   } catch (error) {
     console.error("GST API ERROR:", error.response?.data || error.message || error);
@@ -34,4 +43,4 @@ export default async function validateGSTIN(gstin) {
 
     throw new Error(message);
   }
-}
\ No newline at end of file
+}
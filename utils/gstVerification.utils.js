@@ -0,0 +1,206 @@
+import validateGSTIN from "./gst.verify.config.js";
+
+export const GST_VERIFIERS = ["http", "offline"];
+
+export class GstVerificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "GstVerificationError";
+    this.statusCode = statusCode;
+  }
+}
+
+// First two digits of a GSTIN.
+export const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+  "97": "Other Territory"
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const CHECKSUM_CHARS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+export const normalizeGstin = (gstin) => String(gstin || "").trim().toUpperCase();
+export const normalizePan = (pan) => String(pan || "").trim().toUpperCase();
+
+// The 15th character of a GSTIN is a mod-36 check digit over the first 14.
+export const gstinChecksum = (gstin) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = CHECKSUM_CHARS.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHECKSUM_CHARS[(36 - (sum % 36)) % 36];
+};
+
+// Format, state code, check digit and the PAN embedded in characters 3-12.
+// Returns a reason string, or null when the pair looks right.
+const checkStructure = (gstin, pan) => {
+  if (!GSTIN_PATTERN.test(gstin)) return "GSTIN format is invalid";
+  if (!GST_STATE_CODES[gstin.slice(0, 2)]) return "GSTIN state code is invalid";
+  if (gstinChecksum(gstin) !== gstin[14]) return "GSTIN checksum does not match";
+  if (pan && !PAN_PATTERN.test(pan)) return "PAN format is invalid";
+  if (pan && gstin.slice(2, 12) !== pan) return "PAN does not match the GSTIN";
+  return null;
+};
+
+/*
+ * Every verifier implements verify({ gstin, pan }) and resolves to
+ *   { valid, gstin, pan, stateCode, state, legalName, reason }
+ * An invalid number resolves with valid: false; a verifier that cannot reach
+ * its source throws instead, so the seller can retry later.
+ */
+const offlineVerifier = {
+  name: "offline",
+
+  async verify({ gstin, pan }) {
+    const reason = checkStructure(gstin, pan);
+    const stateCode = gstin.slice(0, 2);
+
+    return {
+      valid: !reason,
+      gstin,
+      pan: gstin.slice(2, 12),
+      stateCode,
+      state: reason ? null : GST_STATE_CODES[stateCode],
+      legalName: null,
+      reason
+    };
+  }
+};
+
+const httpVerifier = {
+  name: "http",
+
+  async verify({ gstin, pan }) {
+    const offline = await offlineVerifier.verify({ gstin, pan });
+    if (!offline.valid) return offline;
+
+    const result = await validateGSTIN(gstin);
+    if (!result.valid) {
+      return { ...offline, valid: false, state: null, reason: result.message || "GSTIN is not registered" };
+    }
+
+    return {
+      ...offline,
+      state: result.state || offline.state,
+      legalName: result.legalName || null
+    };
+  }
+};
+
+const VERIFIERS = { http: httpVerifier, offline: offlineVerifier };
+
+// GST_VERIFIER picks the verifier and defaults to the API. The checksum-only
+// verifier has to be asked for with GST_VERIFIER=offline; without RAPIDAPI_KEY
+// the API verifier throws, so checks stay pending instead of passing.
+export const getGstVerifier = (name = process.env.GST_VERIFIER) => {
+  if (name && !VERIFIERS[name]) {
+    throw new GstVerificationError(`Unknown GST verifier. Allowed: ${GST_VERIFIERS.join(", ")}`, 500);
+  }
+  return VERIFIERS[name || "http"];
+};
+
+// Runs the configured verifier and records the outcome on the seller. Invalid
+// numbers are rejected; an unreachable verifier leaves the check pending.
+export const verifySellerGst = async (seller, { gstin, pan, legalName }, verifier = getGstVerifier()) => {
+  const normalizedGstin = normalizeGstin(gstin);
+  const normalizedPan = normalizePan(pan);
+
+  if (!normalizedGstin) throw new GstVerificationError("GSTIN is required");
+  if (!normalizedPan) throw new GstVerificationError("PAN is required");
+
+  let result;
+  try {
+    result = await verifier.verify({ gstin: normalizedGstin, pan: normalizedPan });
+  } catch (error) {
+    result = null;
+    seller.gstVerification = {
+      status: "pending",
+      verifier: verifier.name,
+      checkedAt: new Date(),
+      failureReason: error.message
+    };
+  }
+
+  if (result && !result.valid) {
+    throw new GstVerificationError(result.reason || "GSTIN could not be verified");
+  }
+
+  seller.gstin = normalizedGstin;
+  seller.pan = normalizedPan;
+  if (legalName) seller.legalName = String(legalName).trim();
+
+  if (result) {
+    seller.gstState = result.state;
+    seller.gstStateCode = result.stateCode;
+    if (result.legalName) seller.legalName = result.legalName;
+    seller.gstVerification = {
+      status: "verified",
+      verifier: verifier.name,
+      checkedAt: new Date(),
+      verifiedAt: new Date(),
+      failureReason: null
+    };
+  } else {
+    seller.gstState = null;
+    seller.gstStateCode = null;
+  }
+
+  syncSellerVerified(seller);
+  return seller;
+};
+
+// A seller is verified only once the GSTIN checks out and onboarding is approved.
+export const syncSellerVerified = (seller) => {
+  if (seller.role === "admin") return seller;
+  seller.verified = seller.gstVerification?.status === "verified" && seller.onboarding?.status === "approved";
+  return seller;
+};
+
+export default {
+  GST_VERIFIERS,
+  GST_STATE_CODES,
+  GstVerificationError,
+  normalizeGstin,
+  normalizePan,
+  gstinChecksum,
+  getGstVerifier,
+  verifySellerGst,
+  syncSellerVerified
+};
@@ -0,0 +1,240 @@
+import mongoose from "mongoose";
+import Invoice from "../models/invoice.model.js";
+import InvoiceCounter from "../models/invoiceCounter.model.js";
+import Seller from "../models/seller.model.js";
+import User from "../models/user.model.js";
+import { ensureShipments, FINAL_STATUSES } from "./shipment.utils.js";
+import { computeGst, getSellerState, summarizeTax } from "./tax.utils.js";
+import { roundMoney } from "./refund.utils.js";
+import { describeCustomizations } from "./menu.utils.js";
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const INVOICED_ITEM_STATUSES = ["delivered", "returned"];
+
+// Indian financial years run April to March, e.g. "2026-27".
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+};
+
+// INV-2627-00042. GST needs the number unique per seller per year, not globally.
+export const formatInvoiceNumber = (financialYear, sequence) => {
+  return `INV-${financialYear.replace("-", "").slice(2)}-${String(sequence).padStart(5, "0")}`;
+};
+
+// A seller's part of an order is invoiced once all of their shipments are
+// settled and at least one of them reached the customer.
+export const getInvoiceableSellers = (order) => {
+  ensureShipments(order);
+
+  const bySeller = new Map();
+  order.shipments.forEach(shipment => {
+    const key = String(shipment.sellerId);
+    if (!bySeller.has(key)) bySeller.set(key, []);
+    bySeller.get(key).push(shipment);
+  });
+
+  return [...bySeller.entries()]
+    .filter(([, shipments]) => shipments.every(s => s.status === "delivered" || FINAL_STATUSES.includes(s.status))
+      && shipments.some(s => s.status === "delivered" || s.status === "returned"))
+    .map(([sellerId, shipments]) => ({
+      sellerId,
+      shipments,
+      items: order.items.filter(item => String(item.sellerId) === sellerId
+        && (item.deliveredAt || INVOICED_ITEM_STATUSES.includes(item.itemStatus)))
+    }))
+    .filter(group => group.items.length > 0);
+};
+
+const lineAmount = (item) => {
+  const discounted = item.totalDiscountedPrice ?? (item.discountedPrice || item.price) * item.quantity;
+  return roundMoney(discounted - (item.couponDiscount || 0));
+};
+
+// Orders placed before GST was recorded get their tax worked out from today's rates.
+const loadLineTaxes = async (order, items) => {
+  const missing = items.filter(item => !item.tax);
+  const taxes = new Map(items.filter(item => item.tax).map(item => [String(item._id), item.tax]));
+  if (missing.length === 0) return taxes;
+
+  const computed = await computeGst(missing.map(item => ({
+    itemId: item._id,
+    product: item.product,
+    sellerId: item.sellerId,
+    amount: lineAmount(item)
+  })), order.shippingAddress?.state);
+  computed.lines.forEach(line => taxes.set(String(line.itemId), line));
+  return taxes;
+};
+
+const buildLines = async (order, items) => {
+  const taxes = await loadLineTaxes(order, items);
+
+  return items.map(item => {
+    const tax = taxes.get(String(item._id)) || {};
+    const grossAmount = roundMoney(item.price * item.quantity);
+    const discounted = item.totalDiscountedPrice ?? (item.discountedPrice || item.price) * item.quantity;
+    const options = [item.variantLabel, describeCustomizations(item.customizations)].filter(Boolean).join(", ");
+
+    return {
+      itemId: item._id,
+      description: `${item.product?.title || "Item"}${options ? ` (${options})` : ""}`,
+      hsnCode: tax.hsnCode || null,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      grossAmount,
+      itemDiscount: roundMoney(grossAmount - discounted),
+      couponDiscount: item.couponDiscount || 0,
+      rate: tax.rate || 0,
+      taxableValue: tax.taxableValue || 0,
+      cgst: tax.cgst || 0,
+      sgst: tax.sgst || 0,
+      igst: tax.igst || 0,
+      supplyType: tax.supplyType,
+      total: lineAmount(item)
+    };
+  });
+};
+
+const sumOf = (lines, field) => roundMoney(lines.reduce((sum, line) => sum + (line[field] || 0), 0));
+
+const sellerSnapshot = (seller) => {
+  const pickup = seller?.pickUpAddr?.[0] || {};
+  return {
+    name: seller?.legalName || [seller?.firstName, seller?.lastName].filter(Boolean).join(" ") || null,
+    gstin: seller?.gstin || null,
+    pan: seller?.pan || null,
+    address: {
+      line1: [pickup.houseNo, pickup.street].filter(Boolean).join(", ") || null,
+      line2: pickup.landmark || null,
+      city: pickup.city || null,
+      state: getSellerState(seller),
+      pincode: pickup.pincode || null
+    }
+  };
+};
+
+const buyerSnapshot = (order, user) => {
+  const address = order.shippingAddress || {};
+  return {
+    name: user?.fullName || null,
+    phone: user?.phone || null,
+    email: user?.email || null,
+    address: {
+      line1: address.houseDetails || null,
+      line2: address.landmark || null,
+      city: address.city || null,
+      state: address.state || null,
+      pincode: address.postalCode || null,
+      country: address.country || "INDIA"
+    }
+  };
+};
+
+const issueSellerInvoice = async (order, group, { seller, user }) => {
+  const lines = await buildLines(order, group.items);
+  const tax = summarizeTax(lines);
+  const priceSummary = order.priceSummary || {};
+
+  const session = await mongoose.startSession();
+  let invoice;
+
+  try {
+    await session.withTransaction(async () => {
+      const issuedAt = new Date();
+      const financialYear = getFinancialYear(issuedAt);
+
+      const counter = await InvoiceCounter.findOneAndUpdate(
+        { sellerId: group.sellerId, financialYear },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, session }
+      );
+
+      [invoice] = await Invoice.create([{
+        invoiceNumber: formatInvoiceNumber(financialYear, counter.seq),
+        sequence: counter.seq,
+        financialYear,
+        issuedAt,
+        sellerId: group.sellerId,
+        order: order._id,
+        orderId: order.orderId,
+        orderDate: order.createdAt,
+        userId: order.userId,
+        shipments: group.shipments.map(s => s._id),
+        seller: sellerSnapshot(seller),
+        buyer: buyerSnapshot(order, user),
+        placeOfSupply: order.shippingAddress?.state || null,
+        supplyType: lines.some(line => line.supplyType === "intra") ? "intra" : "inter",
+        lines,
+        totals: {
+          grossAmount: sumOf(lines, "grossAmount"),
+          itemDiscount: sumOf(lines, "itemDiscount"),
+          couponDiscount: sumOf(lines, "couponDiscount"),
+          taxableValue: tax.taxableValue,
+          cgst: tax.cgst,
+          sgst: tax.sgst,
+          igst: tax.igst,
+          totalTax: tax.totalTax,
+          total: sumOf(lines, "total")
+        },
+        orderSummary: {
+          totalFees: priceSummary.totalFees ?? priceSummary.deliveryCharge ?? 0,
+          emiInterest: priceSummary.emiInterest || 0,
+          emiTenure: priceSummary.emi?.tenure || null,
+          emiInterestRate: priceSummary.emi?.interestRate ?? null,
+          orderTotal: priceSummary.finalTotal || 0,
+          paymentMethod: order.paymentInfo?.method || null
+        }
+      }], { session });
+    });
+  } catch (error) {
+    // Someone else issued it first; their number stands.
+    if (error.code === 11000) {
+      const existing = await Invoice.findOne({ order: order._id, sellerId: group.sellerId });
+      if (existing) return existing;
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  return invoice;
+};
+
+/*
+ * Issues whatever invoices the order is due and returns all of them in issue
+ * order. Safe to call repeatedly: a seller is only invoiced once per order.
+ * The order's items.product should be populated with title.
+ */
+export const ensureOrderInvoices = async (order) => {
+  const groups = getInvoiceableSellers(order);
+  if (groups.length === 0) return [];
+
+  const issued = new Set((await Invoice.find({ order: order._id }).select("sellerId").lean())
+    .map(invoice => String(invoice.sellerId)));
+  const pending = groups.filter(group => !issued.has(group.sellerId));
+
+  if (pending.length > 0) {
+    const [sellers, user] = await Promise.all([
+      Seller.find({ _id: { $in: pending.map(group => group.sellerId) } })
+        .select("firstName lastName legalName gstin pan gstState pickUpAddr")
+        .lean(),
+      User.findById(order.userId).select("fullName phone email").lean()
+    ]);
+    const sellerById = new Map(sellers.map(seller => [String(seller._id), seller]));
+
+    for (const group of pending) {
+      await issueSellerInvoice(order, group, { seller: sellerById.get(group.sellerId), user });
+    }
+  }
+
+  return Invoice.find({ order: order._id }).sort({ issuedAt: 1 });
+};
+
+export default {
+  getFinancialYear,
+  formatInvoiceNumber,
+  getInvoiceableSellers,
+  ensureOrderInvoices
+};
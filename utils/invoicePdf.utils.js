@@ -0,0 +1,179 @@
+import PDFDocument from "pdfkit";
+
+const MARGIN = 36;
+const PAGE_WIDTH = 595.28;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// The built-in PDF fonts have no rupee glyph.
+const money = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+const amount = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (date) => {
+  if (!date) return "-";
+  const d = new Date(date);
+  return `${d.getDate()} ${d.toLocaleString("en-US", { month: "short" })} ${d.getFullYear()}`;
+};
+
+const addressLines = (address = {}) => [
+  address.line1,
+  address.line2,
+  [address.city, address.state, address.pincode].filter(Boolean).join(", ")
+].filter(Boolean);
+
+const COLUMNS = [
+  { key: "index", label: "#", width: 18 },
+  { key: "description", label: "Item", width: 107, align: "left" },
+  { key: "hsnCode", label: "HSN", width: 45 },
+  { key: "quantity", label: "Qty", width: 28 },
+  { key: "unitPrice", label: "Rate", width: 48 },
+  { key: "discount", label: "Discount", width: 42 },
+  { key: "taxableValue", label: "Taxable", width: 50 },
+  { key: "rate", label: "GST %", width: 30 },
+  { key: "cgst", label: "CGST", width: 35 },
+  { key: "sgst", label: "SGST", width: 35 },
+  { key: "igst", label: "IGST", width: 35 },
+  { key: "total", label: "Total", width: 50 }
+];
+
+const HEADER_CELLS = Object.fromEntries(COLUMNS.map(col => [col.key, col.label]));
+
+const drawRow = (doc, cells, { bold = false } = {}) => {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(7.5);
+
+  const height = Math.max(...COLUMNS.map(col => doc.heightOfString(String(cells[col.key] ?? ""), { width: col.width - 4 })));
+  if (doc.y + height > doc.page.height - MARGIN - 140) {
+    doc.addPage();
+    if (cells !== HEADER_CELLS) drawRow(doc, HEADER_CELLS, { bold: true });
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(7.5);
+  }
+
+  const y = doc.y;
+  let x = MARGIN;
+  COLUMNS.forEach(col => {
+    doc.text(String(cells[col.key] ?? ""), x + 2, y, { width: col.width - 4, align: col.align || "right" });
+    x += col.width;
+  });
+
+  doc.y = y + height + 4;
+  doc.moveTo(MARGIN, doc.y - 2).lineTo(MARGIN + CONTENT_WIDTH, doc.y - 2).lineWidth(0.3).stroke("#999999");
+};
+
+const drawParty = (doc, title, party, x, y, width) => {
+  doc.font("Helvetica-Bold").fontSize(9).text(title, x, y, { width });
+  doc.font("Helvetica").fontSize(8.5).text(party.name || "-", { width });
+  addressLines(party.address).forEach(line => doc.text(line, { width }));
+  return doc.y;
+};
+
+const drawSummaryLine = (doc, label, value, { bold = false } = {}) => {
+  const x = MARGIN + CONTENT_WIDTH - 240;
+  const y = doc.y;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8.5);
+  doc.text(label, x, y, { width: 150 });
+  doc.text(value, x + 150, y, { width: 90, align: "right" });
+  doc.y = y + 13;
+};
+
+const drawInvoice = (doc, invoice) => {
+  doc.font("Helvetica-Bold").fontSize(16).text("TAX INVOICE", MARGIN, MARGIN, { width: CONTENT_WIDTH, align: "center" });
+  doc.font("Helvetica").fontSize(8.5).moveDown(0.5);
+
+  const metaY = doc.y;
+  doc.text(`Invoice No: ${invoice.invoiceNumber}`, MARGIN, metaY);
+  doc.text(`Invoice Date: ${formatDate(invoice.issuedAt)}`);
+  doc.text(`Financial Year: ${invoice.financialYear}`);
+  doc.text(`Order ID: ${invoice.orderId}`, MARGIN + CONTENT_WIDTH / 2, metaY);
+  doc.text(`Order Date: ${formatDate(invoice.orderDate)}`, MARGIN + CONTENT_WIDTH / 2);
+  doc.text(`Place of Supply: ${invoice.placeOfSupply || "-"}`, MARGIN + CONTENT_WIDTH / 2);
+  doc.moveDown(1);
+
+  const partyY = doc.y;
+  const half = CONTENT_WIDTH / 2 - 10;
+  const sellerBottom = drawParty(doc, "Sold By", invoice.seller, MARGIN, partyY, half);
+  doc.text(`GSTIN: ${invoice.seller.gstin || "Unregistered"}`, MARGIN, sellerBottom, { width: half });
+  if (invoice.seller.pan) doc.text(`PAN: ${invoice.seller.pan}`, { width: half });
+  const leftBottom = doc.y;
+
+  const buyerBottom = drawParty(doc, "Bill To / Ship To", invoice.buyer, MARGIN + CONTENT_WIDTH / 2, partyY, half);
+  doc.y = buyerBottom;
+  if (invoice.buyer.phone) doc.text(`Phone: ${invoice.buyer.phone}`, MARGIN + CONTENT_WIDTH / 2, doc.y, { width: half });
+
+  doc.y = Math.max(leftBottom, doc.y) + 14;
+
+  drawRow(doc, HEADER_CELLS, { bold: true });
+  invoice.lines.forEach((line, index) => {
+    drawRow(doc, {
+      index: index + 1,
+      description: line.description,
+      hsnCode: line.hsnCode || "-",
+      quantity: line.quantity,
+      unitPrice: amount(line.unitPrice),
+      discount: amount((line.itemDiscount || 0) + (line.couponDiscount || 0)),
+      taxableValue: amount(line.taxableValue),
+      rate: line.rate,
+      cgst: amount(line.cgst),
+      sgst: amount(line.sgst),
+      igst: amount(line.igst),
+      total: amount(line.total)
+    });
+  });
+
+  const { totals, orderSummary } = invoice;
+  doc.moveDown(0.5);
+  drawSummaryLine(doc, "Gross Amount", money(totals.grossAmount));
+  drawSummaryLine(doc, "Item Discounts", `- ${money(totals.itemDiscount)}`);
+  drawSummaryLine(doc, "Coupon Discount", `- ${money(totals.couponDiscount)}`);
+  drawSummaryLine(doc, "Taxable Value", money(totals.taxableValue));
+  if (invoice.supplyType === "intra") {
+    drawSummaryLine(doc, "CGST", money(totals.cgst));
+    drawSummaryLine(doc, "SGST", money(totals.sgst));
+  } else {
+    drawSummaryLine(doc, "IGST", money(totals.igst));
+  }
+  drawSummaryLine(doc, "Invoice Total (incl. GST)", money(totals.total), { bold: true });
+
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(9).text("Order Payment Summary", MARGIN, doc.y);
+  doc.moveDown(0.3);
+  drawSummaryLine(doc, "Fees charged by the platform", money(orderSummary.totalFees));
+  if (orderSummary.emiInterest) {
+    const plan = orderSummary.emiTenure
+      ? ` (${orderSummary.emiTenure} months @ ${orderSummary.emiInterestRate}% p.a.)`
+      : "";
+    drawSummaryLine(doc, `EMI Interest${plan}`, money(orderSummary.emiInterest));
+  }
+  drawSummaryLine(doc, "Order Total Paid", money(orderSummary.orderTotal), { bold: true });
+  if (orderSummary.paymentMethod) {
+    drawSummaryLine(doc, "Payment Method", orderSummary.paymentMethod.toUpperCase());
+  }
+
+  doc.moveDown(1.5);
+  doc.font("Helvetica").fontSize(7.5).fillColor("#555555").text(
+    "Prices are inclusive of GST. Fees and EMI interest belong to the whole order and are not part of this seller's supply. "
+    + "This is a computer generated invoice and does not need a signature.",
+    MARGIN, doc.y, { width: CONTENT_WIDTH }
+  );
+  doc.fillColor("#000000");
+};
+
+// One page (or more for long orders) per invoice, in a single PDF.
+export const renderInvoicesPdf = (invoices) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: MARGIN });
+    const chunks = [];
+
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    invoices.forEach((invoice, index) => {
+      if (index > 0) doc.addPage();
+      drawInvoice(doc, invoice);
+    });
+    doc.end();
+  });
+};
+
+export default {
+  renderInvoicesPdf
+};
@@ -0,0 +1,242 @@
+import mongoose from "mongoose";
+import { roundMoney } from "./refund.utils.js";
+
+export class MenuError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "MenuError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Multipart forms send nested fields as JSON strings.
+const parseJsonField = (value, name) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new MenuError(`${name} must be valid JSON`);
+  }
+};
+
+const parseName = (value, what) => {
+  const name = String(value ?? "").trim();
+  if (!name) throw new MenuError(`${what} name is required`);
+  return name;
+};
+
+const parsePrice = (value, what) => {
+  if (value === undefined || value === null || value === "") return 0;
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) throw new MenuError(`Price for ${what} must be zero or more`);
+  return roundMoney(price);
+};
+
+const parseFlag = (value, fallback) => (value === undefined ? fallback : value === true || value === "true");
+
+// Keeps the ids of existing groups and options so carts that point at them stay valid.
+const keepId = (entry) => (entry?._id && mongoose.Types.ObjectId.isValid(entry._id) ? { _id: entry._id } : {});
+
+const assertUniqueNames = (items, what) => {
+  const seen = new Set();
+  items.forEach(item => {
+    const key = item.name.toLowerCase();
+    if (seen.has(key)) throw new MenuError(`${what} "${item.name}" is listed more than once`);
+    seen.add(key);
+  });
+};
+
+/*
+ * [{ name, options: [{ name, price, isDefault, isAvailable }] }]. One option
+ * per group is picked; its price is added to the product price. Without an
+ * isDefault option the first available one is the default.
+ */
+export const parseVariantGroups = (input) => {
+  const groups = parseJsonField(input, "variantGroups");
+  if (!Array.isArray(groups)) throw new MenuError("variantGroups must be an array");
+
+  const parsed = groups.map(group => {
+    const name = parseName(group?.name, "Variant group");
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      throw new MenuError(`Variant group "${name}" needs at least one option`);
+    }
+
+    const options = group.options.map(option => {
+      const optionName = parseName(option?.name, `"${name}" option`);
+      return {
+        ...keepId(option),
+        name: optionName,
+        price: parsePrice(option.price, `${name} / ${optionName}`),
+        isDefault: parseFlag(option.isDefault, false),
+        isAvailable: parseFlag(option.isAvailable, true)
+      };
+    });
+
+    assertUniqueNames(options, `"${name}" option`);
+    if (options.filter(option => option.isDefault).length > 1) {
+      throw new MenuError(`Variant group "${name}" can only have one default option`);
+    }
+    return { ...keepId(group), name, options };
+  });
+
+  assertUniqueNames(parsed, "Variant group");
+  return parsed;
+};
+
+// [{ name, minSelect, maxSelect, options: [{ name, price, isVeg, isAvailable }] }]
+export const parseAddonGroups = (input) => {
+  const groups = parseJsonField(input, "addonGroups");
+  if (!Array.isArray(groups)) throw new MenuError("addonGroups must be an array");
+
+  const parsed = groups.map(group => {
+    const name = parseName(group?.name, "Add-on group");
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      throw new MenuError(`Add-on group "${name}" needs at least one option`);
+    }
+
+    const options = group.options.map(option => {
+      const optionName = parseName(option?.name, `"${name}" option`);
+      return {
+        ...keepId(option),
+        name: optionName,
+        price: parsePrice(option.price, `${name} / ${optionName}`),
+        isVeg: parseFlag(option.isVeg, true),
+        isAvailable: parseFlag(option.isAvailable, true)
+      };
+    });
+    assertUniqueNames(options, `"${name}" option`);
+
+    const minSelect = group.minSelect === undefined || group.minSelect === null ? 0 : Number(group.minSelect);
+    const maxSelect = group.maxSelect === undefined || group.maxSelect === null || group.maxSelect === "" ? null : Number(group.maxSelect);
+    if (!Number.isInteger(minSelect) || minSelect < 0 || minSelect > options.length) {
+      throw new MenuError(`minSelect for "${name}" must be a whole number from 0 to ${options.length}`);
+    }
+    if (maxSelect !== null && (!Number.isInteger(maxSelect) || maxSelect < Math.max(minSelect, 1))) {
+      throw new MenuError(`maxSelect for "${name}" must be a whole number of at least ${Math.max(minSelect, 1)}`);
+    }
+
+    return { ...keepId(group), name, minSelect, maxSelect, options };
+  });
+
+  assertUniqueNames(parsed, "Add-on group");
+  return parsed;
+};
+
+const findById = (list, id) => (list || []).find(entry => String(entry._id) === String(id));
+
+const chosen = (group, option) => ({
+  groupId: group._id,
+  groupName: group.name,
+  optionId: option._id,
+  name: option.name,
+  price: option.price || 0
+});
+
+/*
+ * Checks a customer's picks against the product's groups:
+ *   { variants: [{ groupId, optionId }], addons: [{ groupId, optionIds: [] }] }
+ * Variant groups left out get their default option. Returns the snapshot to
+ * store on the line, the amount it adds to the unit price and a key that tells
+ * lines of the same product apart. `strict: false` skips availability and
+ * min/max checks, for finding a line that is being reduced.
+ */
+export const resolveCustomizations = (product, input = {}, { strict = true } = {}) => {
+  const selection = parseJsonField(input || {}, "customizations") || {};
+  const variantGroups = product.variantGroups || [];
+  const addonGroups = product.addonGroups || [];
+  const variantPicks = Array.isArray(selection.variants) ? selection.variants : [];
+  const addonPicks = Array.isArray(selection.addons) ? selection.addons : [];
+
+  variantPicks.forEach(pick => {
+    if (!findById(variantGroups, pick?.groupId)) throw new MenuError(`Unknown variant group ${pick?.groupId}`);
+  });
+  addonPicks.forEach(pick => {
+    if (!findById(addonGroups, pick?.groupId)) throw new MenuError(`Unknown add-on group ${pick?.groupId}`);
+  });
+
+  const variants = variantGroups.map(group => {
+    const pick = variantPicks.find(p => String(p.groupId) === String(group._id));
+    const option = pick
+      ? findById(group.options, pick.optionId)
+      : group.options.find(o => o.isDefault && o.isAvailable) || group.options.find(o => o.isAvailable);
+
+    if (!option) {
+      throw new MenuError(pick ? `Invalid option for ${group.name}` : `Choose an option for ${group.name}`);
+    }
+    if (strict && !option.isAvailable) throw new MenuError(`${group.name}: ${option.name} is not available`);
+    return chosen(group, option);
+  });
+
+  const addons = addonGroups.flatMap(group => {
+    const pick = addonPicks.find(p => String(p.groupId) === String(group._id));
+    const optionIds = [...new Set((pick?.optionIds || []).map(String))];
+
+    const options = optionIds.map(id => {
+      const option = findById(group.options, id);
+      if (!option) throw new MenuError(`Invalid add-on for ${group.name}`);
+      if (strict && !option.isAvailable) throw new MenuError(`${group.name}: ${option.name} is not available`);
+      return option;
+    });
+
+    if (strict && options.length < (group.minSelect || 0)) {
+      throw new MenuError(`Choose at least ${group.minSelect} from ${group.name}`);
+    }
+    if (strict && group.maxSelect && options.length > group.maxSelect) {
+      throw new MenuError(`Choose at most ${group.maxSelect} from ${group.name}`);
+    }
+    return options.map(option => chosen(group, option));
+  });
+
+  const extraPrice = roundMoney([...variants, ...addons].reduce((sum, option) => sum + option.price, 0));
+  const key = [
+    ...variants.map(v => `v:${v.optionId}`),
+    ...addons.map(a => `a:${a.optionId}`).sort()
+  ].join("|");
+
+  return {
+    customizations: variants.length > 0 || addons.length > 0 ? { variants, addons } : null,
+    extraPrice,
+    key
+  };
+};
+
+// "Full, Extra cheese, Coke" for cart lines and invoices.
+export const describeCustomizations = (customizations) => {
+  if (!customizations) return null;
+  const names = [...(customizations.variants || []), ...(customizations.addons || [])].map(option => option.name);
+  return names.length > 0 ? names.join(", ") : null;
+};
+
+/*
+ * Groups a restaurant's products under its active menu sections in sortOrder.
+ * Products without a section, or whose section was removed, go under "Others";
+ * products in a hidden section are left out.
+ */
+export const buildMenu = (restaurant, products) => {
+  const sections = [...(restaurant.menuSections || [])]
+    .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+  const sectionIds = new Set(sections.map(section => String(section._id)));
+
+  const menu = sections
+    .filter(section => section.isActive !== false)
+    .map(section => ({
+      _id: section._id,
+      name: section.name,
+      description: section.description || null,
+      items: products.filter(product => String(product.menuSectionId) === String(section._id))
+    }));
+
+  const others = products.filter(product => !product.menuSectionId || !sectionIds.has(String(product.menuSectionId)));
+  if (others.length > 0) menu.push({ _id: null, name: "Others", description: null, items: others });
+
+  return menu.filter(section => section.items.length > 0);
+};
+
+export default {
+  MenuError,
+  parseVariantGroups,
+  parseAddonGroups,
+  resolveCustomizations,
+  describeCustomizations,
+  buildMenu
+};
@@ -0,0 +1,104 @@
+export const ROLES = ["user", "seller", "admin", "system"];
+
+export const SYSTEM_ACTOR = { id: null, role: "system" };
+
+// from -> to -> roles allowed to make that move
+export const ORDER_TRANSITIONS = {
+  pending: {
+    confirmed: ["seller", "admin", "system"],
+    cancelled: ["user", "seller", "admin", "system"]
+  },
+  confirmed: {
+    processing: ["seller", "admin", "system"],
+    cancelled: ["user", "seller", "admin", "system"]
+  },
+  processing: {
+    shipped: ["seller", "admin", "system"],
+    cancelled: ["seller", "admin", "system"]
+  },
+  shipped: {
+    delivered: ["seller", "admin", "system"]
+  },
+  delivered: {
+    returned: ["user", "admin", "system"]
+  },
+  cancelled: {},
+  returned: {}
+};
+
+// Shipments follow the same table as their items.
+export const ITEM_TRANSITIONS = {
+  pending: {
+    confirmed: ["seller", "admin", "system"],
+    cancelled: ["user", "seller", "admin", "system"]
+  },
+  confirmed: {
+    processing: ["seller", "admin"],
+    cancelled: ["user", "seller", "admin", "system"]
+  },
+  processing: {
+    shipped: ["seller", "admin"],
+    cancelled: ["seller", "admin"]
+  },
+  shipped: {
+    delivered: ["seller", "admin", "system"]
+  },
+  delivered: {
+    returned: ["user", "admin", "system"]
+  },
+  cancelled: {},
+  returned: {}
+};
+
+export class InvalidTransitionError extends Error {
+  constructor(scope, from, to, role, allowed = []) {
+    const next = allowed.length ? allowed.join(", ") : "none";
+    super(`Cannot move ${scope} from '${from}' to '${to}' as ${role}. Allowed next states: ${next}`);
+    this.name = "InvalidTransitionError";
+    this.statusCode = 409;
+    this.scope = scope;
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+export const actorFromRequest = (req) => ({
+  id: req.user?._id || null,
+  role: ROLES.includes(req.user?.role) ? req.user.role : "user"
+});
+
+export const getAllowedTransitions = (table, from, role) => {
+  const targets = table[from] || {};
+  return Object.keys(targets).filter(to => targets[to].includes(role));
+};
+
+export const canTransition = (table, from, to, role) => {
+  return Boolean(table[from]?.[to]?.includes(role));
+};
+
+export const assertTransition = (table, scope, from, to, actor = SYSTEM_ACTOR) => {
+  if (canTransition(table, from, to, actor.role)) return;
+  throw new InvalidTransitionError(scope, from, to, actor.role, getAllowedTransitions(table, from, actor.role));
+};
+
+export const historyEntry = (status, notes, actor = SYSTEM_ACTOR, now = new Date()) => ({
+  status,
+  timestamp: now,
+  notes,
+  actorId: actor?.id || null,
+  actorRole: actor?.role || "system"
+});
+
+export default {
+  ROLES,
+  SYSTEM_ACTOR,
+  ORDER_TRANSITIONS,
+  ITEM_TRANSITIONS,
+  InvalidTransitionError,
+  actorFromRequest,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  historyEntry
+};
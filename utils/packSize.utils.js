@@ -0,0 +1,188 @@
+import mongoose from "mongoose";
+import Product from "../models/product.model.js";
+import { roundMoney } from "./refund.utils.js";
+
+export class PackSizeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PackSizeError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Multipart forms send packSizes as a JSON string.
+const parseJsonField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new PackSizeError("packSizes must be valid JSON");
+  }
+};
+
+const parseFlag = (value, fallback) => (value === undefined ? fallback : value === true || value === "true");
+
+/*
+ * [{ _id, label, sku, netQty, price, discountedPrice, stock, isDefault,
+ *    isActive, imageIndex }]
+ * imageIndex points into the packSizeImages files of the same request; the
+ * caller uploads them and fills in image (pack sizes sent back with their _id
+ * keep their current one). Without an isDefault entry the first active pack
+ * size is the default.
+ */
+export const parsePackSizes = (input, { imageCount = 0 } = {}) => {
+  const packSizes = parseJsonField(input);
+  if (!Array.isArray(packSizes)) throw new PackSizeError("packSizes must be an array");
+
+  const skus = new Set();
+  const parsed = packSizes.map((entry, index) => {
+    const label = String(entry?.label ?? "").trim();
+    const sku = String(entry?.sku ?? "").trim().toUpperCase();
+    if (!label) throw new PackSizeError(`Pack size ${index + 1} needs a label`);
+    if (!sku) throw new PackSizeError(`Pack size "${label}" needs a SKU`);
+    if (skus.has(sku)) throw new PackSizeError(`SKU ${sku} is used more than once`);
+    skus.add(sku);
+
+    const price = Number(entry.price);
+    if (!Number.isFinite(price) || price <= 0) throw new PackSizeError(`Price for "${label}" must be more than zero`);
+
+    const discountedPrice = entry.discountedPrice === undefined || entry.discountedPrice === null || entry.discountedPrice === ""
+      ? 0
+      : Number(entry.discountedPrice);
+    if (!Number.isFinite(discountedPrice) || discountedPrice < 0 || (discountedPrice > 0 && discountedPrice >= price)) {
+      throw new PackSizeError(`Discounted price for "${label}" must be below its price`);
+    }
+
+    const stock = entry.stock === undefined || entry.stock === "" ? 0 : Number(entry.stock);
+    if (!Number.isInteger(stock) || stock < 0) throw new PackSizeError(`Stock for "${label}" must be a whole number`);
+
+    const imageIndex = entry.imageIndex === undefined || entry.imageIndex === null ? null : Number(entry.imageIndex);
+    if (imageIndex !== null && (!Number.isInteger(imageIndex) || imageIndex < 0 || imageIndex >= imageCount)) {
+      throw new PackSizeError(`imageIndex for "${label}" does not match an uploaded image`);
+    }
+
+    return {
+      ...(entry._id && mongoose.Types.ObjectId.isValid(entry._id) && { _id: entry._id }),
+      label,
+      sku,
+      netQty: entry.netQty ? String(entry.netQty).trim() : label,
+      price: roundMoney(price),
+      discountedPrice: roundMoney(discountedPrice),
+      stock,
+      inStock: stock > 0,
+      imageIndex,
+      isDefault: parseFlag(entry.isDefault, false),
+      isActive: parseFlag(entry.isActive, true)
+    };
+  });
+
+  if (parsed.filter(size => size.isDefault).length > 1) {
+    throw new PackSizeError("Only one pack size can be the default");
+  }
+  const fallback = parsed.find(size => size.isActive);
+  if (parsed.length > 0 && !parsed.some(size => size.isDefault && size.isActive)) {
+    if (!fallback) throw new PackSizeError("At least one pack size must be active");
+    parsed.forEach(size => { size.isDefault = size === fallback; });
+  }
+
+  return parsed;
+};
+
+// SKUs are unique across the catalogue, not just within a product.
+export const assertUniqueSkus = async (packSizes, productId = null) => {
+  const skus = packSizes.map(size => size.sku);
+  if (skus.length === 0) return;
+
+  const clash = await Product.findOne({
+    "packSizes.sku": { $in: skus },
+    ...(productId && { _id: { $ne: productId } })
+  }).select("title packSizes.sku").lean();
+
+  if (clash) {
+    const sku = clash.packSizes.find(size => skus.includes(size.sku))?.sku;
+    throw new PackSizeError(`SKU ${sku} is already used by ${clash.title}`, 409);
+  }
+};
+
+export const getDefaultPackSize = (product) => {
+  const active = (product?.packSizes || []).filter(size => size.isActive !== false);
+  return active.find(size => size.isDefault) || active[0] || null;
+};
+
+/*
+ * What the parent product shows in listings: the default pack size's price,
+ * discounted price and net quantity, and the stock of all pack sizes together.
+ */
+export const summarizePackSizes = (packSizes) => {
+  const defaultSize = getDefaultPackSize({ packSizes });
+  if (!defaultSize) return {};
+
+  const stock = packSizes.filter(size => size.isActive !== false).reduce((sum, size) => sum + (size.stock || 0), 0);
+  return {
+    price: defaultSize.price,
+    discountedPrice: defaultSize.discountedPrice || 0,
+    netQty: defaultSize.netQty,
+    stock,
+    inStock: stock > 0
+  };
+};
+
+/*
+ * The pack size a cart or wishlist line refers to. Products with pack sizes
+ * fall back to the default when none is named; products without them take no
+ * variantId and return null.
+ */
+export const resolvePackSize = (product, variantId) => {
+  const packSizes = product?.packSizes || [];
+
+  if (packSizes.length === 0) {
+    if (variantId) throw new PackSizeError("This product has no pack sizes");
+    return null;
+  }
+
+  if (!variantId) return getDefaultPackSize(product);
+
+  if (!mongoose.Types.ObjectId.isValid(variantId)) throw new PackSizeError("Invalid variant ID");
+  const packSize = packSizes.find(size => String(size._id) === String(variantId));
+  if (!packSize) throw new PackSizeError("Pack size not found", 404);
+  if (packSize.isActive === false) throw new PackSizeError(`${packSize.label} is no longer sold`);
+  return packSize;
+};
+
+const effectivePrice = (size) => (size.discountedPrice > 0 && size.discountedPrice < size.price ? size.discountedPrice : size.price);
+
+/*
+ * Product detail with its sellable pack sizes grouped under it, cheapest
+ * first, plus the price range and the pack size to preselect (the one asked
+ * for, else the default).
+ */
+export const withPackSizes = (product, selectedId = null) => {
+  const plain = typeof product.toJSON === "function" ? product.toJSON() : { ...product };
+  const packSizes = (plain.packSizes || [])
+    .filter(size => size.isActive !== false)
+    .sort((a, b) => effectivePrice(a) - effectivePrice(b))
+    .map(({ imageKey, ...size }) => size);
+
+  if (packSizes.length === 0) return { ...plain, packSizes: [] };
+
+  const prices = packSizes.map(effectivePrice);
+  const selected = (selectedId && packSizes.find(size => String(size._id) === String(selectedId))) || getDefaultPackSize({ packSizes });
+
+  return {
+    ...plain,
+    packSizes,
+    priceRange: { min: Math.min(...prices), max: Math.max(...prices) },
+    defaultPackSizeId: getDefaultPackSize({ packSizes })?._id || null,
+    selectedPackSize: selected
+  };
+};
+
+export default {
+  PackSizeError,
+  parsePackSizes,
+  assertUniqueSkus,
+  getDefaultPackSize,
+  summarizePackSizes,
+  resolvePackSize,
+  withPackSizes
+};
@@ -0,0 +1,289 @@
+import mongoose from "mongoose";
+import Payment from "../models/payment.model.js";
+import {
+  cancelPaymentIntent,
+  confirmPaymentIntent,
+  createPaymentIntent,
+  createStripeRefund,
+  retrievePaymentIntent
+} from "./stripe.config.js";
+import {
+  createRazorpayOrder,
+  getRazorpayOrderPayments,
+  getRazorpayPaymentDetails,
+  refundRazorpayPayment,
+  verifyRazorpaySignature
+} from "./razorpay.config.js";
+
+export const PAYMENT_PROVIDERS = ["stripe", "razorpay"];
+
+export const DEFAULT_PAYMENT_PROVIDER = PAYMENT_PROVIDERS.includes(process.env.DEFAULT_PAYMENT_PROVIDER)
+  ? process.env.DEFAULT_PAYMENT_PROVIDER
+  : "stripe";
+
+export class PaymentProviderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PaymentProviderError";
+    this.statusCode = statusCode;
+  }
+}
+
+const PAYMENT_METHODS = ["card", "upi", "netbanking"];
+const normalizeMethod = (method) => (PAYMENT_METHODS.includes(method) ? method : "unknown");
+
+// Stripe only lets these be cancelled; "processing" means money is in flight.
+const OPEN_INTENT_STATUSES = ["requires_payment_method", "requires_confirmation", "requires_action"];
+const CANCELLABLE_INTENT_STATUSES = [...OPEN_INTENT_STATUSES, "requires_capture"];
+
+const stripeCheckout = (paymentIntent, reused) => ({
+  providerOrderId: paymentIntent.id,
+  clientSecret: paymentIntent.client_secret,
+  reused,
+  checkout: {
+    stripePaymentIntentId: paymentIntent.id,
+    clientSecret: paymentIntent.client_secret
+  }
+});
+
+/*
+ * Every provider implements the same five calls:
+ *   createCheckout(order)          -> { providerOrderId, clientSecret, reused, checkout }
+ *   verifyCheckout(order, payload) -> { status: succeeded|processing|failed, providerOrderId, providerPaymentId, ... }
+ *   refund(order, amount, key)     -> { id, status }; the same key never refunds twice
+ *   cancel(order)                  -> false when the customer has already paid
+ *   paymentReference(order)        -> id refunds are issued against
+ */
+const stripeProvider = {
+  name: "stripe",
+  label: "Stripe",
+
+  async createCheckout(order) {
+    const existingId = order.paymentInfo.provider === "stripe" && order.paymentInfo.stripePaymentIntentId;
+    if (existingId) {
+      try {
+        const existingIntent = await retrievePaymentIntent(existingId);
+        if (OPEN_INTENT_STATUSES.includes(existingIntent.status)) {
+          return stripeCheckout(existingIntent, true);
+        }
+      } catch (err) {
+      }
+    }
+
+    const paymentIntent = await createPaymentIntent(order.priceSummary.finalTotal, order.orderId);
+    return stripeCheckout(paymentIntent, false);
+  },
+
+  async verifyCheckout(order, payload = {}) {
+    const paymentIntentId = payload.paymentIntentId || order.paymentInfo.stripePaymentIntentId;
+    if (!paymentIntentId) {
+      throw new PaymentProviderError("No payment intent found. Please initiate payment first.");
+    }
+
+    let paymentIntent = await retrievePaymentIntent(paymentIntentId);
+
+    if (["requires_payment_method", "requires_confirmation"].includes(paymentIntent.status)) {
+      try {
+        paymentIntent = await confirmPaymentIntent(paymentIntentId);
+      } catch (confirmErr) {
+        throw new PaymentProviderError(`Payment confirmation failed: ${confirmErr.message}`);
+      }
+    }
+
+    const result = {
+      providerOrderId: paymentIntentId,
+      providerPaymentId: paymentIntentId,
+      providerStatus: paymentIntent.status
+    };
+
+    if (paymentIntent.status !== "succeeded") {
+      return {
+        ...result,
+        status: paymentIntent.status === "requires_payment_method" ? "failed" : "processing",
+        errorCode: paymentIntent.last_payment_error?.code,
+        errorMessage: paymentIntent.last_payment_error?.message
+      };
+    }
+
+    const latestCharge = paymentIntent.latest_charge;
+    let cardDetails = null;
+    let paymentMethodType = "card";
+
+    if (latestCharge && typeof latestCharge === "object") {
+      cardDetails = latestCharge.payment_method_details?.card || null;
+      paymentMethodType = latestCharge.payment_method_details?.type || "card";
+    }
+
+    return {
+      ...result,
+      status: "succeeded",
+      method: normalizeMethod(paymentMethodType),
+      card: cardDetails && {
+        brand: cardDetails.brand,
+        last4: cardDetails.last4,
+        expMonth: cardDetails.exp_month,
+        expYear: cardDetails.exp_year,
+        funding: cardDetails.funding
+      }
+    };
+  },
+
+  refund(order, amount, key) {
+    return createStripeRefund(order.paymentInfo.stripePaymentIntentId, amount, key);
+  },
+
+  async cancel(order) {
+    const paymentIntentId = order.paymentInfo.stripePaymentIntentId;
+    if (!paymentIntentId) return true;
+
+    const paymentIntent = await retrievePaymentIntent(paymentIntentId);
+    if (paymentIntent.status === "canceled") return true;
+    if (!CANCELLABLE_INTENT_STATUSES.includes(paymentIntent.status)) return false;
+
+    await cancelPaymentIntent(paymentIntentId);
+    return true;
+  },
+
+  paymentReference(order) {
+    return order.paymentInfo.stripePaymentIntentId;
+  }
+};
+
+const razorpayProvider = {
+  name: "razorpay",
+  label: "Razorpay",
+
+  async createCheckout(order) {
+    const razorpayOrder = await createRazorpayOrder(order.priceSummary.finalTotal, order.orderId);
+
+    return {
+      providerOrderId: razorpayOrder.id,
+      clientSecret: null,
+      reused: false,
+      checkout: {
+        razorpayOrderId: razorpayOrder.id,
+        keyId: process.env.RAZORPAY_KEY_ID,
+        amountInPaise: razorpayOrder.amount,
+        ...(order.priceSummary.emi?.tenure && { emi: order.priceSummary.emi })
+      }
+    };
+  },
+
+  async verifyCheckout(order, payload = {}) {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = payload;
+
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      throw new PaymentProviderError("razorpay_order_id, razorpay_payment_id and razorpay_signature are required");
+    }
+    if (razorpay_order_id !== order.paymentInfo.providerOrderId) {
+      throw new PaymentProviderError("Razorpay order does not match this order");
+    }
+    if (!verifyRazorpaySignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      throw new PaymentProviderError("Invalid Razorpay payment signature");
+    }
+
+    const payment = await getRazorpayPaymentDetails(razorpay_payment_id);
+    const result = {
+      providerOrderId: razorpay_order_id,
+      providerPaymentId: razorpay_payment_id,
+      providerStatus: payment.status,
+      method: normalizeMethod(payment.method)
+    };
+
+    if (payment.status === "captured") {
+      return {
+        ...result,
+        status: "succeeded",
+        card: payment.card && {
+          brand: payment.card.network,
+          last4: payment.card.last4,
+          funding: payment.card.type
+        }
+      };
+    }
+
+    return {
+      ...result,
+      status: payment.status === "failed" ? "failed" : "processing",
+      errorCode: payment.error_code,
+      errorMessage: payment.error_description
+    };
+  },
+
+  refund(order, amount, key) {
+    return refundRazorpayPayment(order.paymentInfo.providerPaymentId, amount, key);
+  },
+
+  // Razorpay orders cannot be cancelled, they just expire. Refuse only if a
+  // payment against the order has already gone through.
+  async cancel(order) {
+    const razorpayOrderId = order.paymentInfo.providerOrderId;
+    if (!razorpayOrderId) return true;
+
+    const payments = await getRazorpayOrderPayments(razorpayOrderId);
+    return !payments.some(p => ["authorized", "captured"].includes(p.status));
+  },
+
+  paymentReference(order) {
+    return order.paymentInfo.providerPaymentId;
+  }
+};
+
+const providers = {
+  stripe: stripeProvider,
+  razorpay: razorpayProvider
+};
+
+export const getPaymentProvider = (name = DEFAULT_PAYMENT_PROVIDER) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new PaymentProviderError(`Unsupported payment provider. Allowed: ${PAYMENT_PROVIDERS.join(", ")}`);
+  }
+  return provider;
+};
+
+export const getOrderProvider = (order) => getPaymentProvider(order.paymentInfo?.provider || "stripe");
+
+export const getProviderOrderId = (order) => {
+  return order.paymentInfo.providerOrderId || order.paymentInfo.stripePaymentIntentId;
+};
+
+// Filter for the Payment document that belongs to this order's current checkout.
+export const getPaymentFilter = (order) => {
+  return Payment.providerFilter(order.paymentInfo.provider || "stripe", getProviderOrderId(order));
+};
+
+/*
+ * Databases created before Razorpay still carry the unique
+ * stripePaymentIntentId index, which rejects every Razorpay payment after the
+ * first (they have no PaymentIntent id). Drops it, or a non-sparse copy of
+ * it, and builds the current indexes in its place. Returns true when an old
+ * index was dropped.
+ */
+export const migrateLegacyPaymentIndexes = async () => {
+  if (mongoose.connection.readyState !== 1) return false;
+
+  // Let autoIndex finish first; it fails on the old index while it is there.
+  await Payment.init().catch(() => {});
+
+  const indexes = await Payment.collection.indexes().catch(() => []);
+  const legacy = indexes.find(index => index.key?.stripePaymentIntentId === 1
+    && Object.keys(index.key).length === 1
+    && (index.unique || !index.sparse));
+  if (!legacy) return false;
+
+  await Payment.collection.dropIndex(legacy.name);
+  await Payment.createIndexes();
+  return true;
+};
+
+export default {
+  PAYMENT_PROVIDERS,
+  DEFAULT_PAYMENT_PROVIDER,
+  PaymentProviderError,
+  getPaymentProvider,
+  getOrderProvider,
+  getProviderOrderId,
+  getPaymentFilter,
+  migrateLegacyPaymentIndexes
+};
@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import Payment from "../models/payment.model.js";
+import User from "../models/user.model.js";
+import notificationModel from "../models/notification.model.js";
+import { sendPushNotification } from "./notification.sender.js";
+import { getOrderProvider, getPaymentFilter, getProviderOrderId } from "./paymentProvider.utils.js";
+import { releaseOrderStock } from "./stock.utils.js";
+import { setAllShipmentsStatus } from "./shipment.utils.js";
+import { reverseOrderCoupon } from "./coupon.utils.js";
+import { retryPendingRefunds } from "./refund.utils.js";
+import { syncOrderLedger } from "./payout.utils.js";
+
+export const ONLINE_PAYMENT_METHODS = ["card", "upi", "netbanking"];
+export const PAYMENT_TIMEOUT_REASON = "payment timeout";
+
+const PAYMENT_TIMEOUT_MINUTES = Number(process.env.PAYMENT_TIMEOUT_MINUTES) || 15;
+const SWEEP_INTERVAL_SECONDS = Number(process.env.PAYMENT_TIMEOUT_SWEEP_SECONDS) || 60;
+const SWEEP_BATCH_SIZE = 50;
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+const notifyPaymentTimeout = async (order) => {
+  const user = await User.findById(order.userId).select("_id fcmToken");
+  if (!user) return;
+
+  const title = "Order Cancelled ❌";
+  const message = `Your order #${order.orderId} was cancelled because payment was not completed in time.`;
+
+  const notification = await notificationModel.create({
+    userId: user._id,
+    type: "ORDER",
+    title,
+    message,
+    reference: { orderId: order.orderId, mongoId: order._id }
+  });
+
+  if (user.fcmToken) {
+    sendPushNotification(user.fcmToken, title, message, {
+      type: "ORDER",
+      orderId: order.orderId,
+      mongoId: order._id.toString(),
+      notificationId: notification._id.toString()
+    });
+  }
+};
+
+export const cancelUnpaidOrder = async (orderDoc) => {
+  // false means the customer paid after all; leave it to verifyPayment or the webhook.
+  const cancelledAtProvider = await getOrderProvider(orderDoc).cancel(orderDoc);
+  if (!cancelledAtProvider) return false;
+
+  // Re-read after talking to the provider: verifyPayment may have landed meanwhile.
+  const order = await Order.findOne({
+    _id: orderDoc._id,
+    "paymentInfo.status": "pending",
+    "orderStatus.current": "pending"
+  });
+  if (!order) return false;
+
+  const now = new Date();
+  setAllShipmentsStatus(order, "cancelled", { notes: PAYMENT_TIMEOUT_REASON, now });
+  order.cancellationReason = PAYMENT_TIMEOUT_REASON;
+  order.paymentInfo.status = "failed";
+  order.lastUpdated = now;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await releaseOrderStock(order, session);
+      await reverseOrderCoupon(order, PAYMENT_TIMEOUT_REASON, session);
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (getProviderOrderId(order)) {
+    await Payment.findOneAndUpdate(
+      { ...getPaymentFilter(order), status: { $in: ["pending", "processing"] } },
+      { status: "cancelled", errorMessage: PAYMENT_TIMEOUT_REASON }
+    );
+  }
+
+  await notifyPaymentTimeout(order);
+  return true;
+};
+
+export const cancelUnpaidOrders = async ({ timeoutMinutes = PAYMENT_TIMEOUT_MINUTES, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - timeoutMinutes * 60 * 1000);
+
+  const orders = await Order.find({
+    "paymentInfo.method": { $in: ONLINE_PAYMENT_METHODS },
+    "paymentInfo.status": "pending",
+    "orderStatus.current": "pending",
+    createdAt: { $lte: cutoff }
+  })
+    .select("_id orderId userId paymentInfo")
+    .sort({ createdAt: 1 })
+    .limit(SWEEP_BATCH_SIZE)
+    .lean();
+
+  let cancelled = 0;
+  for (const order of orders) {
+    try {
+      if (await cancelUnpaidOrder(order)) cancelled++;
+    } catch (error) {
+      console.error(`Payment timeout cancel failed for order ${order.orderId}:`, error.message);
+    }
+  }
+
+  return { checked: orders.length, cancelled };
+};
+
+const runSweep = async () => {
+  if (sweepRunning || mongoose.connection.readyState !== 1) return;
+
+  sweepRunning = true;
+  try {
+    const { cancelled } = await cancelUnpaidOrders();
+    if (cancelled > 0) console.info(`Payment timeout: cancelled ${cancelled} unpaid order(s)`);
+
+    // Refunds whose provider call failed after the order was saved
+    const refunded = await retryPendingRefunds();
+    for (const order of refunded) {
+      await syncOrderLedger(order).catch(err => console.error(`Ledger sync failed for ${order.orderId}:`, err.message));
+    }
+    if (refunded.length > 0) console.info(`Payment sweep: completed ${refunded.length} pending refund(s)`);
+  } catch (error) {
+    console.error("Payment timeout sweep failed:", error.message);
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+export const startPaymentTimeoutScheduler = () => {
+  if (sweepTimer) return sweepTimer;
+
+  sweepTimer = setInterval(runSweep, SWEEP_INTERVAL_SECONDS * 1000);
+  sweepTimer.unref();
+  return sweepTimer;
+};
+
+export const stopPaymentTimeoutScheduler = () => {
+  if (!sweepTimer) return;
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+export default {
+  ONLINE_PAYMENT_METHODS,
+  PAYMENT_TIMEOUT_REASON,
+  cancelUnpaidOrder,
+  cancelUnpaidOrders,
+  startPaymentTimeoutScheduler,
+  stopPaymentTimeoutScheduler
+};
@@ -0,0 +1,382 @@
+import mongoose from "mongoose";
+import Order from "../models/order.model.js";
+import Product from "../models/product.model.js";
+import Category from "../models/category.model.js";
+import CommissionRule from "../models/commissionRule.model.js";
+import LedgerEntry from "../models/ledgerEntry.model.js";
+import Settlement from "../models/settlement.model.js";
+import { roundMoney } from "./refund.utils.js";
+import { assertTransition, historyEntry, SYSTEM_ACTOR } from "./orderStatus.utils.js";
+
+export const COMMISSION_SCOPES = ["global", "category", "seller"];
+export const SETTLEMENT_STATUSES = ["pending", "on_hold", "processing", "paid", "failed"];
+
+// Used when no commission rule matches.
+export const DEFAULT_COMMISSION_RATE = Number(process.env.DEFAULT_COMMISSION_RATE ?? 10);
+// GST the platform charges the seller on its commission (a service, so 18%).
+export const COMMISSION_TAX_RATE = Number(process.env.COMMISSION_GST_RATE ?? 18);
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const LEDGER_ITEM_STATUSES = ["delivered", "returned"];
+const SWEEP_INTERVAL_MINUTES = Number(process.env.SETTLEMENT_SWEEP_MINUTES) || 60;
+
+// Only admins move money; "system" creates batches.
+export const SETTLEMENT_TRANSITIONS = {
+  pending: {
+    processing: ["admin"],
+    on_hold: ["admin"],
+    paid: ["admin"]
+  },
+  on_hold: {
+    pending: ["admin"]
+  },
+  processing: {
+    paid: ["admin"],
+    failed: ["admin"]
+  },
+  failed: {
+    processing: ["admin"],
+    pending: ["admin"]
+  },
+  paid: {}
+};
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+export class PayoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PayoutError";
+    this.statusCode = statusCode;
+  }
+}
+
+export const validateCommissionRule = (rule) => {
+  if (!COMMISSION_SCOPES.includes(rule.scope)) {
+    throw new PayoutError(`scope must be one of ${COMMISSION_SCOPES.join(", ")}`);
+  }
+  if (rule.scope === "category" && !rule.categoryId) {
+    throw new PayoutError("Category rules need a categoryId");
+  }
+  if (rule.scope === "seller" && !rule.sellerId) {
+    throw new PayoutError("Seller rules need a sellerId");
+  }
+  if (rule.scope !== "category") rule.categoryId = null;
+  if (rule.scope !== "seller") rule.sellerId = null;
+};
+
+// Commission is taken on what the customer paid for the line; GST on the
+// commission is charged on top, so the seller receives gross minus both.
+export const computeCommission = (gross, rate, taxRate = COMMISSION_TAX_RATE) => {
+  const commission = roundMoney(gross * rate / 100);
+  const commissionTax = roundMoney(commission * taxRate / 100);
+  return {
+    gross: roundMoney(gross),
+    commissionRate: rate,
+    commission,
+    commissionTaxRate: taxRate,
+    commissionTax,
+    net: roundMoney(gross - commission - commissionTax)
+  };
+};
+
+const lineAmount = (item) => {
+  const discounted = item.totalDiscountedPrice ?? (item.discountedPrice || item.price) * item.quantity;
+  return roundMoney(discounted - (item.couponDiscount || 0));
+};
+
+// Returned lines are clawed back in full even when the refund happened off
+// the gateway (COD returns); otherwise only the units that were refunded.
+export const getClawbackQuantity = (item) => {
+  return item.itemStatus === "returned" ? item.quantity : Math.min(item.refundedQuantity || 0, item.quantity);
+};
+
+// Commission rate per order line: seller rule, then the product's category,
+// then its parent category, then the global rule, then the default.
+const resolveCommissionRates = async (items) => {
+  const productIds = [...new Set(items.map(item => String(item.product?._id || item.product)))];
+  const products = await Product.find({ _id: { $in: productIds } }).select("category").lean();
+  const categoryByProduct = new Map(products.map(p => [String(p._id), p.category ? String(p.category) : null]));
+
+  const categories = await Category.find({ _id: { $in: [...new Set(categoryByProduct.values())].filter(Boolean) } })
+    .select("parentCategory")
+    .lean();
+  const parentByCategory = new Map(categories.map(c => [String(c._id), c.parentCategory ? String(c.parentCategory) : null]));
+
+  const rules = await CommissionRule.find({ isActive: true }).sort({ updatedAt: -1 }).lean();
+  const sellerRules = new Map();
+  const categoryRules = new Map();
+  let globalRule = null;
+  rules.forEach(rule => {
+    if (rule.scope === "seller" && !sellerRules.has(String(rule.sellerId))) sellerRules.set(String(rule.sellerId), rule);
+    if (rule.scope === "category" && !categoryRules.has(String(rule.categoryId))) categoryRules.set(String(rule.categoryId), rule);
+    if (rule.scope === "global" && !globalRule) globalRule = rule;
+  });
+
+  return new Map(items.map(item => {
+    const categoryId = categoryByProduct.get(String(item.product?._id || item.product));
+    const rule = sellerRules.get(String(item.sellerId))
+      || categoryRules.get(categoryId)
+      || categoryRules.get(parentByCategory.get(categoryId))
+      || globalRule;
+
+    return [String(item._id), { rate: rule ? rule.rate : DEFAULT_COMMISSION_RATE, ruleId: rule?._id || null }];
+  }));
+};
+
+const entryBase = (order, item) => ({
+  sellerId: item.sellerId,
+  order: order._id,
+  orderId: order.orderId,
+  itemId: item._id,
+  product: item.product?._id || item.product,
+  description: item.product?.title || null
+});
+
+/*
+ * Brings the ledger in line with the order: a sale for every delivered line
+ * that has none yet, and a refund entry for units refunded or returned since
+ * the last sync. Safe to call repeatedly; returns the entries it created.
+ */
+export const syncOrderLedger = async (order, { now = new Date() } = {}) => {
+  const items = order.items.filter(item => item.deliveredAt || LEDGER_ITEM_STATUSES.includes(item.itemStatus));
+  if (items.length === 0) return [];
+
+  const existing = await LedgerEntry.find({ order: order._id }).lean();
+  const sales = new Map(existing.filter(e => e.type === "sale").map(e => [String(e.itemId), e]));
+  const created = [];
+
+  const newSales = items.filter(item => !sales.has(String(item._id)));
+  if (newSales.length > 0) {
+    const rates = await resolveCommissionRates(newSales);
+    newSales.forEach(item => {
+      const { rate, ruleId } = rates.get(String(item._id));
+      const entry = {
+        ...entryBase(order, item),
+        type: "sale",
+        quantity: item.quantity,
+        ...computeCommission(lineAmount(item), rate),
+        commissionRuleId: ruleId,
+        accruedAt: item.deliveredAt || now
+      };
+      sales.set(String(item._id), entry);
+      created.push(entry);
+    });
+  }
+
+  items.forEach(item => {
+    const sale = sales.get(String(item._id));
+    const refunds = existing.filter(e => e.type === "refund" && String(e.itemId) === String(item._id));
+    const clawedQty = refunds.reduce((sum, e) => sum + e.quantity, 0);
+    const target = getClawbackQuantity(item);
+    if (target <= clawedQty) return;
+
+    const quantity = target - clawedQty;
+    // The last units back take whatever is left so the line nets to zero.
+    const share = (field) => {
+      if (target === sale.quantity) {
+        return -roundMoney(sale[field] + refunds.reduce((sum, e) => sum + e[field], 0));
+      }
+      return -roundMoney(sale[field] * quantity / sale.quantity);
+    };
+
+    created.push({
+      ...entryBase(order, item),
+      type: "refund",
+      quantity,
+      clawbackFrom: clawedQty,
+      gross: share("gross"),
+      commissionRate: sale.commissionRate,
+      commission: share("commission"),
+      commissionTaxRate: sale.commissionTaxRate,
+      commissionTax: share("commissionTax"),
+      net: share("net"),
+      commissionRuleId: sale.commissionRuleId,
+      accruedAt: now
+    });
+  });
+
+  if (created.length === 0) return [];
+
+  try {
+    return await LedgerEntry.insertMany(created, { ordered: false });
+  } catch (error) {
+    // Another request recorded the same sale or refund first.
+    if (error.code === 11000) return error.insertedDocs || [];
+    throw error;
+  }
+};
+
+// Refunds are reported as a positive amount taken back out of gross.
+export const summarizeLedger = (entries) => {
+  const totals = { gross: 0, refunds: 0, commission: 0, commissionTax: 0, net: 0 };
+  entries.forEach(entry => {
+    if (entry.type === "sale") totals.gross = roundMoney(totals.gross + entry.gross);
+    else totals.refunds = roundMoney(totals.refunds - entry.gross);
+    totals.commission = roundMoney(totals.commission + entry.commission);
+    totals.commissionTax = roundMoney(totals.commissionTax + entry.commissionTax);
+    totals.net = roundMoney(totals.net + entry.net);
+  });
+  return totals;
+};
+
+// Settlement weeks run Monday 00:00 to Monday 00:00 IST.
+export const getSettlementWeek = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const daysSinceMonday = (ist.getUTCDay() + 6) % 7;
+  const startIst = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate() - daysSinceMonday);
+  const periodStart = new Date(startIst - IST_OFFSET_MS);
+  return { periodStart, periodEnd: new Date(periodStart.getTime() + WEEK_MS) };
+};
+
+export const getLastCompletedWeek = (now = new Date()) => getSettlementWeek(new Date(now.getTime() - WEEK_MS));
+
+// Picks up ledger writes that failed when the order was updated.
+const reconcileRecentOrders = async (since) => {
+  const orders = await Order.find({
+    lastUpdated: { $gte: since },
+    "items.itemStatus": { $in: LEDGER_ITEM_STATUSES }
+  });
+
+  for (const order of orders) {
+    try {
+      await syncOrderLedger(order);
+    } catch (error) {
+      console.error(`Ledger sync failed for order ${order.orderId}:`, error.message);
+    }
+  }
+};
+
+const createSellerSettlement = async (sellerId, { periodStart, periodEnd }, now) => {
+  const session = await mongoose.startSession();
+  try {
+    let settlement = null;
+    await session.withTransaction(async () => {
+      settlement = null;
+      const entries = await LedgerEntry.find({
+        sellerId,
+        settlementId: null,
+        accruedAt: { $lt: periodEnd }
+      }).session(session).lean();
+
+      const totals = summarizeLedger(entries);
+      // Nothing owed yet: the entries roll into next week's batch.
+      if (entries.length === 0 || totals.net <= 0) return;
+
+      [settlement] = await Settlement.create([{
+        sellerId,
+        periodStart,
+        periodEnd,
+        entryCount: entries.length,
+        totals,
+        history: [historyEntry("pending", "Weekly settlement created", SYSTEM_ACTOR, now)]
+      }], { session });
+
+      await LedgerEntry.updateMany(
+        { _id: { $in: entries.map(e => e._id) } },
+        { $set: { settlementId: settlement._id } },
+        { session }
+      );
+    });
+    return settlement;
+  } catch (error) {
+    // Already batched for this week; later entries wait for the next one.
+    if (error.code === 11000) return null;
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// One batch per seller for the week containing `weekOf` (default: last full
+// week). Sellers that already have a batch for that week are left alone.
+export const createWeeklySettlements = async ({ weekOf, now = new Date() } = {}) => {
+  const week = weekOf ? getSettlementWeek(weekOf) : getLastCompletedWeek(now);
+  if (week.periodEnd > now) throw new PayoutError("Settlements can only be created for a week that has ended");
+
+  await reconcileRecentOrders(week.periodStart);
+
+  const [sellerIds, batched] = await Promise.all([
+    LedgerEntry.distinct("sellerId", { settlementId: null, accruedAt: { $lt: week.periodEnd } }),
+    Settlement.distinct("sellerId", { periodStart: week.periodStart })
+  ]);
+  const alreadyBatched = new Set(batched.map(String));
+
+  const settlements = [];
+  for (const sellerId of sellerIds.filter(id => !alreadyBatched.has(String(id)))) {
+    const settlement = await createSellerSettlement(sellerId, week, now);
+    if (settlement) settlements.push(settlement);
+  }
+
+  return { ...week, created: settlements.length, settlements };
+};
+
+export const setSettlementStatus = (settlement, status, { actor = SYSTEM_ACTOR, reference, reason, now = new Date() } = {}) => {
+  assertTransition(SETTLEMENT_TRANSITIONS, "settlement", settlement.status, status, actor);
+
+  if (status === "paid") {
+    const ref = String(reference || settlement.reference || "").trim();
+    if (!ref) throw new PayoutError("A payment reference is required to mark a settlement paid");
+    settlement.reference = ref;
+    settlement.paidAt = now;
+  }
+  if (status === "failed") {
+    if (!String(reason || "").trim()) throw new PayoutError("A reason is required to mark a settlement failed");
+    settlement.failureReason = String(reason).trim();
+  }
+  if (status === "processing" && reference) settlement.reference = String(reference).trim();
+
+  settlement.status = status;
+  settlement.history.push(historyEntry(status, reason || null, actor, now));
+  return settlement;
+};
+
+const runSweep = async () => {
+  if (sweepRunning || mongoose.connection.readyState !== 1) return;
+
+  sweepRunning = true;
+  try {
+    const { created } = await createWeeklySettlements();
+    if (created > 0) console.info(`Settlements: created ${created} weekly batch(es)`);
+  } catch (error) {
+    console.error("Settlement sweep failed:", error.message);
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+export const startSettlementScheduler = () => {
+  if (sweepTimer) return sweepTimer;
+
+  sweepTimer = setInterval(runSweep, SWEEP_INTERVAL_MINUTES * 60 * 1000);
+  sweepTimer.unref();
+  return sweepTimer;
+};
+
+export const stopSettlementScheduler = () => {
+  if (!sweepTimer) return;
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+export default {
+  COMMISSION_SCOPES,
+  SETTLEMENT_STATUSES,
+  DEFAULT_COMMISSION_RATE,
+  COMMISSION_TAX_RATE,
+  SETTLEMENT_TRANSITIONS,
+  PayoutError,
+  validateCommissionRule,
+  computeCommission,
+  getClawbackQuantity,
+  syncOrderLedger,
+  summarizeLedger,
+  getSettlementWeek,
+  getLastCompletedWeek,
+  createWeeklySettlements,
+  setSettlementStatus,
+  startSettlementScheduler,
+  stopSettlementScheduler
+};
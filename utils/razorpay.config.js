@@ -46,10 +46,11 @@ export const calculateEMI = (principal, tenure) => {
 export const createRazorpayOrder = async (amount, orderId, currency = 'INR') => {
   try {
     const order = await razorpayInstance.orders.create({
-      amount: amount * 100,
+      amount: Math.round(amount * 100),
       currency,
       receipt: orderId,
-      payment_capture: 1
+      payment_capture: 1,
+      notes: { orderId }
     });
 
     return order;
@@ -63,7 +64,7 @@ export const createRazorpayEMIOrder = async (amount, orderId, tenure, currency =
     const emiDetails = calculateEMI(amount, tenure);
 
     const order = await razorpayInstance.orders.create({
-      amount: amount * 100,
+      amount: Math.round(amount * 100),
       currency,
       receipt: orderId,
       payment_capture: 1,
@@ -97,6 +98,21 @@ export const verifyRazorpaySignature = (
   return generatedSignature === signature;
 };
 
+export const verifyRazorpayWebhookSignature = (
+  rawBody,
+  signature,
+  secret = process.env.RAZORPAY_WEBHOOK_SECRET
+) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === signatureBuffer.length
+    && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
 export const getRazorpayPaymentDetails = async (paymentId) => {
   try {
     const payment = await razorpayInstance.payments.fetch(paymentId);
@@ -106,13 +122,31 @@ export const getRazorpayPaymentDetails = async (paymentId) => {
   }
 };
 
-export const refundRazorpayPayment = async (paymentId, amount) => {
+export const getRazorpayOrderPayments = async (razorpayOrderId) => {
+  try {
+    const result = await razorpayInstance.orders.fetchPayments(razorpayOrderId);
+    return result?.items || [];
+  } catch (error) {
+    throw new Error(`Failed to fetch order payments: ${error?.error?.description || error.message}`);
+  }
+};
+
+// Razorpay has no idempotency header; the receipt is looked up among the
+// payment's refunds first so a retry returns the refund already issued.
+export const refundRazorpayPayment = async (paymentId, amount, receipt) => {
   try {
     const options = {};
     if (amount && Number(amount) > 0) {
       options.amount = Math.round(Number(amount) * 100);
     }
 
+    if (receipt) {
+      const existing = await razorpayInstance.payments.fetchMultipleRefund(paymentId, { count: 100 });
+      const issued = existing?.items?.find(refund => refund.receipt === receipt);
+      if (issued) return issued;
+      options.receipt = receipt;
+    }
+
     console.log("Refund options:", options, "Payment ID:", paymentId);
 
     const refund = await razorpayInstance.payments.refund(paymentId, options);
@@ -135,6 +169,8 @@ export default {
   createRazorpayOrder,
   createRazorpayEMIOrder,
   verifyRazorpaySignature,
+  verifyRazorpayWebhookSignature,
   getRazorpayPaymentDetails,
+  getRazorpayOrderPayments,
   refundRazorpayPayment
 };
@@ -0,0 +1,311 @@
+import mongoose from "mongoose";
+import { v4 as uuid } from "uuid";
+import Order from "../models/order.model.js";
+import Payment from "../models/payment.model.js";
+import { getOrderProvider, getPaymentFilter } from "./paymentProvider.utils.js";
+
+const ONLINE_PAYMENT_METHODS = ["card", "upi", "netbanking"];
+export const REFUNDABLE_PAYMENT_STATUSES = ["completed", "partially_refunded"];
+
+export class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "RefundError";
+    this.statusCode = statusCode;
+  }
+}
+
+export const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const lineValue = (item) => item.totalDiscountedPrice ?? (item.discountedPrice || item.price) * item.quantity;
+
+export const getRefundableBalance = (order) => {
+  return roundMoney(order.priceSummary.finalTotal - (order.paymentInfo.refundAmount || 0));
+};
+
+export const getRemainingQuantity = (item) => item.quantity - (item.refundedQuantity || 0);
+
+// Fees and EMI interest are spread over the lines by their share of
+// the discounted subtotal, then over units within a line. The coupon discount
+// uses each line's recorded share when the order has one (targeted coupons only
+// touch some lines); older orders fall back to the same proration.
+export const computeItemRefunds = (order, requestedItems = []) => {
+  const itemsTotal = order.items.reduce((sum, item) => sum + lineValue(item), 0);
+  const couponDiscount = order.priceSummary.couponDiscount || 0;
+  const hasLineCoupons = order.items.some(item => item.couponDiscount > 0);
+  const fees = order.priceSummary.totalFees ?? order.priceSummary.deliveryCharge ?? 0;
+  const emiInterest = order.priceSummary.emiInterest || 0;
+  const seen = new Set();
+
+  return requestedItems.map(({ itemId, quantity }) => {
+    const item = order.items.id(itemId);
+    if (!item) throw new RefundError(`Item ${itemId} not found in this order`, 404);
+
+    if (seen.has(String(item._id))) throw new RefundError(`Item ${itemId} is listed more than once`);
+    seen.add(String(item._id));
+
+    const remaining = getRemainingQuantity(item);
+    const refundQty = quantity === undefined || quantity === null ? remaining : Number(quantity);
+
+    if (!Number.isInteger(refundQty) || refundQty <= 0) {
+      throw new RefundError(`Invalid refund quantity for item ${itemId}`);
+    }
+    if (refundQty > remaining) {
+      throw new RefundError(`Only ${remaining} unit(s) of item ${itemId} left to refund`);
+    }
+
+    const value = lineValue(item);
+    const share = itemsTotal > 0 ? value / itemsTotal : 0;
+    const unitRatio = refundQty / item.quantity;
+
+    const itemAmount = roundMoney(value * unitRatio);
+    const couponShare = hasLineCoupons
+      ? roundMoney(item.couponDiscount * unitRatio)
+      : roundMoney(couponDiscount * share * unitRatio);
+    const deliveryShare = roundMoney(fees * share * unitRatio);
+    const interestShare = roundMoney(emiInterest * share * unitRatio);
+
+    return {
+      item,
+      itemId: item._id,
+      quantity: refundQty,
+      itemAmount,
+      couponShare,
+      deliveryShare,
+      interestShare,
+      amount: roundMoney(itemAmount - couponShare + deliveryShare + interestShare)
+    };
+  });
+};
+
+export const assertRefundable = (order) => {
+  if (!ONLINE_PAYMENT_METHODS.includes(order.paymentInfo.method)) {
+    throw new RefundError("COD orders cannot be refunded online");
+  }
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentInfo.status)) {
+    throw new RefundError(`Cannot refund — payment is ${order.paymentInfo.status}`);
+  }
+
+  const provider = getOrderProvider(order);
+  if (!provider.paymentReference(order)) {
+    throw new RefundError(`No ${provider.label} payment found for this order`);
+  }
+};
+
+// COD money goes back in cash; records what is owed for the lines
+// (items: [{ itemId, quantity }]) so the order and the seller ledger agree.
+export const recordOfflineRefund = (order, items) => {
+  const balance = getRefundableBalance(order);
+  if (balance <= 0) return 0;
+
+  const lines = computeItemRefunds(order, items);
+  const unitsLeft = order.items.reduce((sum, item) => sum + getRemainingQuantity(item), 0);
+  const unitsRefunded = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const amount = unitsRefunded === unitsLeft
+    ? balance
+    : Math.min(balance, roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)));
+
+  lines.forEach(line => {
+    line.item.refundedQuantity = (line.item.refundedQuantity || 0) + line.quantity;
+    line.item.refundedAmount = roundMoney((line.item.refundedAmount || 0) + line.amount);
+  });
+
+  const totalRefunded = roundMoney((order.paymentInfo.refundAmount || 0) + amount);
+  order.paymentInfo.refundAmount = totalRefunded;
+  order.paymentInfo.refundDate = new Date();
+  order.paymentInfo.status = totalRefunded >= order.priceSummary.finalTotal ? "refunded" : "partially_refunded";
+  return amount;
+};
+
+const PENDING_REFUND_RETRY_MINUTES = Number(process.env.PENDING_REFUND_RETRY_MINUTES) || 5;
+const PENDING_REFUND_BATCH_SIZE = 20;
+
+/*
+ * Refunds run in two steps so money never leaves without the order knowing:
+ *   prepareRefund  works out the refund (specific lines as
+ *                  items: [{ itemId, quantity }], or a plain amount) and parks
+ *                  it on the order as paymentInfo.pendingRefund. The caller
+ *                  claims and saves it together with any restock.
+ *   completeRefund asks the provider using the pending key, records the refund
+ *                  and clears it. If the provider call or the save fails the
+ *                  refund stays pending for retryPendingRefunds; the key keeps
+ *                  a retry from refunding twice.
+ */
+export const prepareRefund = (order, { items, amount, reason, actor } = {}) => {
+  assertRefundable(order);
+
+  const pending = order.paymentInfo.pendingRefund;
+  if (pending?.key) {
+    throw new RefundError(`A refund of ₹${pending.amount} is still being processed for this order`, 409);
+  }
+
+  const balance = getRefundableBalance(order);
+  if (balance <= 0) throw new RefundError("Order has already been fully refunded");
+
+  let lines = [];
+  let refundAmount;
+
+  if (items && items.length > 0) {
+    lines = computeItemRefunds(order, items);
+    refundAmount = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    // Last units out take whatever is left so rounding never strands paise.
+    const unitsLeft = order.items.reduce((sum, item) => sum + getRemainingQuantity(item), 0);
+    const unitsRefunded = lines.reduce((sum, line) => sum + line.quantity, 0);
+    if (unitsRefunded === unitsLeft) refundAmount = balance;
+  } else {
+    refundAmount = amount ? roundMoney(amount) : balance;
+  }
+
+  if (refundAmount <= 0) throw new RefundError("Refund amount must be greater than zero");
+  if (refundAmount > balance) {
+    throw new RefundError(`Refund amount cannot exceed the refundable balance (₹${balance})`);
+  }
+
+  order.paymentInfo.pendingRefund = {
+    key: `${order.orderId}-refund-${uuid()}`,
+    amount: refundAmount,
+    lines: lines.map(({ item, ...line }) => line),
+    reason,
+    actorId: actor?.id || null,
+    actorRole: actor?.role || "system",
+    createdAt: new Date()
+  };
+  return order.paymentInfo.pendingRefund;
+};
+
+// Call inside the transaction that saves the prepared order. Fails if another
+// refund was parked on the order since it was read.
+export const claimPendingRefund = async (order, session) => {
+  const { pendingRefund } = order.toObject().paymentInfo;
+
+  const claimed = await Order.updateOne(
+    { _id: order._id, "paymentInfo.pendingRefund.key": null },
+    { $set: { "paymentInfo.pendingRefund": pendingRefund } },
+    { session }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new RefundError("Another refund is already being processed for this order", 409);
+  }
+};
+
+export const completeRefund = async (order) => {
+  const pending = order.toObject().paymentInfo.pendingRefund;
+  if (!pending?.key) throw new RefundError("No refund is pending for this order", 404);
+
+  const refund = await getOrderProvider(order).refund(order, pending.amount, pending.key);
+  const now = new Date();
+
+  pending.lines.forEach(line => {
+    const item = order.items.id(line.itemId);
+    if (!item) return;
+    item.refundedQuantity = (item.refundedQuantity || 0) + line.quantity;
+    item.refundedAmount = roundMoney((item.refundedAmount || 0) + line.amount);
+  });
+
+  const totalRefunded = roundMoney((order.paymentInfo.refundAmount || 0) + pending.amount);
+  const fullyRefunded = totalRefunded >= order.priceSummary.finalTotal;
+
+  order.paymentInfo.refundAmount = totalRefunded;
+  order.paymentInfo.refundDate = now;
+  order.paymentInfo.status = fullyRefunded ? "refunded" : "partially_refunded";
+  order.paymentInfo.pendingRefund = { key: null };
+  order.lastUpdated = now;
+
+  // Clearing the key only succeeds once, so a retry running alongside cannot
+  // record the same refund twice.
+  let recorded = false;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const cleared = await Order.updateOne(
+        { _id: order._id, "paymentInfo.pendingRefund.key": pending.key },
+        { $set: { "paymentInfo.pendingRefund.key": null } },
+        { session }
+      );
+      recorded = cleared.modifiedCount > 0;
+      if (recorded) await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  if (!recorded) throw new RefundError("This refund has already been recorded", 409);
+
+  const entry = {
+    refundId: refund.id,
+    amount: pending.amount,
+    items: pending.lines,
+    reason: pending.reason,
+    status: refund.status,
+    source: "api",
+    actorId: pending.actorId || null,
+    actorRole: pending.actorRole || "system"
+  };
+
+  // The refund webhook may have logged this refund already.
+  const paymentFilter = getPaymentFilter(order);
+  const updated = await Payment.updateOne(
+    { ...paymentFilter, "refunds.refundId": refund.id },
+    { $set: { "refunds.$": entry } }
+  );
+  await Payment.findOneAndUpdate(
+    paymentFilter,
+    {
+      ...(updated.matchedCount === 0 && { $push: { refunds: entry } }),
+      $set: {
+        status: fullyRefunded ? "refunded" : "partially_refunded",
+        refundId: refund.id,
+        refundAmount: totalRefunded,
+        refundStatus: refund.status,
+        refundDate: now
+      }
+    }
+  );
+
+  return {
+    refund,
+    refundAmount: pending.amount,
+    totalRefunded,
+    balance: roundMoney(order.priceSummary.finalTotal - totalRefunded),
+    lines: pending.lines
+  };
+};
+
+// Finishes refunds whose provider call or save failed. Returns the orders it
+// completed so the caller can sync their ledgers.
+export const retryPendingRefunds = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - PENDING_REFUND_RETRY_MINUTES * 60 * 1000);
+
+  const orders = await Order.find({
+    "paymentInfo.pendingRefund.key": { $ne: null },
+    "paymentInfo.pendingRefund.createdAt": { $lte: cutoff }
+  })
+    .sort({ "paymentInfo.pendingRefund.createdAt": 1 })
+    .limit(PENDING_REFUND_BATCH_SIZE);
+
+  const completed = [];
+  for (const order of orders) {
+    try {
+      await completeRefund(order);
+      completed.push(order);
+    } catch (error) {
+      console.error(`Pending refund retry failed for order ${order.orderId}:`, error.message);
+    }
+  }
+  return completed;
+};
+
+export default {
+  REFUNDABLE_PAYMENT_STATUSES,
+  RefundError,
+  roundMoney,
+  getRefundableBalance,
+  getRemainingQuantity,
+  computeItemRefunds,
+  assertRefundable,
+  recordOfflineRefund,
+  prepareRefund,
+  claimPendingRefund,
+  completeRefund,
+  retryPendingRefunds
+};
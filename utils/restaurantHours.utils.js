@@ -0,0 +1,241 @@
+import Restaurant from "../models/restaurant.model.js";
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * MINUTE_MS;
+// How far ahead nextOpensAt looks; long holidays past this report null.
+const LOOKAHEAD_DAYS = 60;
+
+export const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class RestaurantHoursError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "RestaurantHoursError";
+    this.statusCode = statusCode;
+  }
+}
+
+export class RestaurantClosedError extends Error {
+  constructor(restaurant, status) {
+    super(`${restaurant.title || "This restaurant"} is not accepting orders right now`);
+    this.name = "RestaurantClosedError";
+    this.statusCode = 409;
+    this.restaurantId = restaurant._id;
+    this.status = status;
+  }
+}
+
+const toMinutes = (time, { allowEndOfDay = false } = {}) => {
+  if (allowEndOfDay && time === "24:00") return DAY_MINUTES;
+  const match = TIME_PATTERN.exec(String(time || ""));
+  if (!match) throw new RestaurantHoursError(`Invalid time "${time}". Use HH:mm`);
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const parseDay = (day) => {
+  const name = String(day ?? "").trim().toLowerCase();
+  const index = /^\d$/.test(name)
+    ? Number(name)
+    : DAY_NAMES.findIndex(dayName => name.length >= 3 && dayName.startsWith(name));
+  if (!Number.isInteger(index) || index < 0 || index > 6) {
+    throw new RestaurantHoursError(`Invalid day "${day}". Use 0-6 (Sunday = 0) or a day name`);
+  }
+  return index;
+};
+
+/*
+ * [{ day, slots: [{ open: "HH:mm", close: "HH:mm" }] }]. A close earlier than
+ * open runs past midnight; "24:00" closes at the end of the day. Days left out
+ * are closed. Returns the schedule sorted by day with slots in order.
+ */
+export const parseOpeningHours = (input) => {
+  if (!Array.isArray(input)) throw new RestaurantHoursError("openingHours must be an array of { day, slots }");
+
+  const byDay = new Map();
+  input.forEach(entry => {
+    const day = parseDay(entry?.day);
+    if (byDay.has(day)) throw new RestaurantHoursError(`${DAY_NAMES[day]} is listed more than once`);
+    if (!Array.isArray(entry.slots)) throw new RestaurantHoursError(`slots for ${DAY_NAMES[day]} must be an array`);
+
+    const slots = entry.slots
+      .map(slot => {
+        const open = toMinutes(slot?.open);
+        const close = toMinutes(slot?.close, { allowEndOfDay: true });
+        if (open === close) throw new RestaurantHoursError(`A ${DAY_NAMES[day]} slot opens and closes at the same time`);
+        return { open: slot.open, close: slot.close, start: open, end: close > open ? close : close + DAY_MINUTES };
+      })
+      .sort((a, b) => a.start - b.start);
+
+    slots.forEach((slot, i) => {
+      if (i > 0 && slot.start < slots[i - 1].end) {
+        throw new RestaurantHoursError(`${DAY_NAMES[day]} slots overlap`);
+      }
+    });
+
+    byDay.set(day, slots.map(({ open, close }) => ({ open, close })));
+  });
+
+  return [...byDay.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([day, slots]) => ({ day, slots }));
+};
+
+// [{ from: "YYYY-MM-DD", to: "YYYY-MM-DD", reason }], IST dates, inclusive.
+export const parseHolidays = (input) => {
+  if (!Array.isArray(input)) throw new RestaurantHoursError("holidays must be an array of { from, to, reason }");
+
+  return input
+    .map(holiday => {
+      const from = String(holiday?.from || "");
+      const to = String(holiday?.to || from);
+      if (!DATE_PATTERN.test(from) || isNaN(Date.parse(from))) throw new RestaurantHoursError(`Invalid holiday date "${from}"`);
+      if (!DATE_PATTERN.test(to) || isNaN(Date.parse(to))) throw new RestaurantHoursError(`Invalid holiday date "${to}"`);
+      if (to < from) throw new RestaurantHoursError(`Holiday ${from} ends before it starts`);
+      return { from, to, reason: holiday.reason ? String(holiday.reason).trim() : null };
+    })
+    .sort((a, b) => a.from.localeCompare(b.from));
+};
+
+// UTC instant of 00:00 IST on the IST calendar day holding `date`.
+const istDayStart = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  return Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()) - IST_OFFSET_MS;
+};
+
+const istDateString = (dayStart) => new Date(dayStart + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+const findHoliday = (holidays, date) => holidays.find(h => h.from <= date && date <= h.to) || null;
+
+// Restaurants that never set hours keep taking orders around the clock.
+const scheduleFor = (restaurant) => {
+  const hours = restaurant.openingHours || [];
+  if (hours.length === 0) {
+    return DAY_NAMES.map((name, day) => ({ day, slots: [{ open: "00:00", close: "24:00" }] }));
+  }
+  return hours;
+};
+
+// Opening intervals from the day before `from` (overnight slots) onwards,
+// skipping slots that start on a holiday, merged where they touch.
+const buildIntervals = (restaurant, from, days) => {
+  const schedule = scheduleFor(restaurant);
+  const holidays = restaurant.holidays || [];
+  const intervals = [];
+
+  for (let offset = -1; offset <= days; offset++) {
+    const dayStart = istDayStart(from) + offset * DAY_MS;
+    if (findHoliday(holidays, istDateString(dayStart))) continue;
+
+    const weekday = new Date(dayStart + IST_OFFSET_MS).getUTCDay();
+    const slots = schedule.find(entry => entry.day === weekday)?.slots || [];
+    slots.forEach(slot => {
+      const open = toMinutes(slot.open);
+      const close = toMinutes(slot.close, { allowEndOfDay: true });
+      const end = close > open ? close : close + DAY_MINUTES;
+      intervals.push({ start: dayStart + open * MINUTE_MS, end: dayStart + end * MINUTE_MS });
+    });
+  }
+
+  return intervals
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) last.end = Math.max(last.end, interval.end);
+      else merged.push({ ...interval });
+      return merged;
+    }, []);
+};
+
+const isPaused = (restaurant, now) => {
+  const pause = restaurant.ordersPaused;
+  return Boolean(pause?.isPaused && (!pause.until || new Date(pause.until) > now));
+};
+
+/*
+ * Live status in IST: { isOpenNow, openStatus, closesAt, nextOpensAt, closedReason }.
+ * openStatus is open, closed, holiday, paused or inactive. closesAt is null when the
+ * restaurant is open around the clock within the lookahead.
+ */
+export const getOpenStatus = (restaurant, now = new Date()) => {
+  if (restaurant.isActive === false) {
+    return { isOpenNow: false, openStatus: "inactive", closesAt: null, nextOpensAt: null, closedReason: null };
+  }
+
+  const intervals = buildIntervals(restaurant, now, LOOKAHEAD_DAYS);
+  const horizon = istDayStart(now) + (LOOKAHEAD_DAYS + 1) * DAY_MS;
+  const at = (time) => intervals.find(i => i.start <= time && time < i.end);
+  const nextAfter = (time) => {
+    const current = at(time);
+    if (current) return new Date(time);
+    const next = intervals.find(i => i.start > time);
+    return next ? new Date(next.start) : null;
+  };
+
+  if (isPaused(restaurant, now)) {
+    const until = restaurant.ordersPaused.until ? new Date(restaurant.ordersPaused.until).getTime() : null;
+    return {
+      isOpenNow: false,
+      openStatus: "paused",
+      closesAt: null,
+      nextOpensAt: until ? nextAfter(until) : null,
+      closedReason: restaurant.ordersPaused.reason || null
+    };
+  }
+
+  const current = at(now.getTime());
+  if (current) {
+    return {
+      isOpenNow: true,
+      openStatus: "open",
+      closesAt: current.end >= horizon ? null : new Date(current.end),
+      nextOpensAt: null,
+      closedReason: null
+    };
+  }
+
+  const holiday = findHoliday(restaurant.holidays || [], istDateString(istDayStart(now)));
+  return {
+    isOpenNow: false,
+    openStatus: holiday ? "holiday" : "closed",
+    closesAt: null,
+    nextOpensAt: nextAfter(now.getTime()),
+    closedReason: holiday?.reason || null
+  };
+};
+
+// Plain restaurant object with its live status merged in.
+export const withOpenStatus = (restaurant, now = new Date()) => {
+  const plain = typeof restaurant.toJSON === "function" ? restaurant.toJSON() : restaurant;
+  return { ...plain, ...getOpenStatus(restaurant, now) };
+};
+
+// Throws RestaurantClosedError for the first restaurant that cannot take an order now.
+export const assertRestaurantsOpen = async (restaurantIds, now = new Date()) => {
+  const ids = [...new Set(restaurantIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return;
+
+  const restaurants = await Restaurant.find({ _id: { $in: ids } })
+    .select("title isActive openingHours holidays ordersPaused")
+    .lean();
+
+  restaurants.forEach(restaurant => {
+    const status = getOpenStatus(restaurant, now);
+    if (!status.isOpenNow) throw new RestaurantClosedError(restaurant, status);
+  });
+};
+
+export default {
+  DAY_NAMES,
+  RestaurantHoursError,
+  RestaurantClosedError,
+  parseOpeningHours,
+  parseHolidays,
+  getOpenStatus,
+  withOpenStatus,
+  assertRestaurantsOpen
+};
@@ -0,0 +1,234 @@
+import mongoose from "mongoose";
+import Seller from "../models/seller.model.js";
+import { assertTransition, getAllowedTransitions, SYSTEM_ACTOR } from "./orderStatus.utils.js";
+import { syncSellerVerified } from "./gstVerification.utils.js";
+
+export const ONBOARDING_STATUSES = ["pending", "under_review", "approved", "rejected", "suspended"];
+
+export const KYC_DOCUMENT_TYPES = ["fssai_licence", "gst_certificate", "bank_proof"];
+
+// multipart field -> document type
+export const KYC_UPLOAD_FIELDS = {
+  fssaiLicence: "fssai_licence",
+  gstCertificate: "gst_certificate",
+  bankProof: "bank_proof"
+};
+
+// from -> to -> roles allowed to make that move. Admins can decide on a
+// seller straight from pending, e.g. accounts created before onboarding existed.
+export const ONBOARDING_TRANSITIONS = {
+  pending: {
+    under_review: ["seller", "admin"],
+    approved: ["admin"],
+    rejected: ["admin"]
+  },
+  under_review: {
+    approved: ["admin"],
+    rejected: ["admin"]
+  },
+  rejected: {
+    under_review: ["seller", "admin"]
+  },
+  approved: {
+    suspended: ["admin"]
+  },
+  suspended: {
+    approved: ["admin"]
+  }
+};
+
+const REASON_REQUIRED = ["rejected", "suspended"];
+
+// Documents are checked when a seller submits for review. Admins approving a
+// seller who never submitted (accounts from before onboarding) or reinstating
+// a suspended one decide without them.
+const SKIP_DOCUMENT_CHECK = { approved: ["pending", "suspended"] };
+
+// Sellers can change their documents until an admin has approved them.
+const EDITABLE_STATUSES = ["pending", "under_review", "rejected"];
+
+export class OnboardingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "OnboardingError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Products of sellers who are not approved (pending, rejected, suspended)
+// cannot be bought. lines: [{ itemId, title, sellerId }]
+export class SellerNotApprovedError extends Error {
+  constructor(lines) {
+    super(lines.length === 1
+      ? `${lines[0].title || "This product"} is not available right now`
+      : `Some items are not available right now: ${lines.map(line => line.title).join(", ")}`);
+    this.name = "SellerNotApprovedError";
+    this.statusCode = 409;
+    this.lines = lines;
+  }
+}
+
+export const getRequiredDocuments = (seller) => {
+  const required = ["gst_certificate", "bank_proof"];
+  if (["restaurant", "both"].includes(seller.businessType)) required.unshift("fssai_licence");
+  return required;
+};
+
+export const getMissingDocuments = (seller) => {
+  const uploaded = new Set((seller.kycDocuments || []).map(doc => doc.type));
+  return getRequiredDocuments(seller).filter(type => !uploaded.has(type));
+};
+
+export const assertDocumentsEditable = (seller) => {
+  const status = seller.onboarding?.status || "pending";
+  if (!EDITABLE_STATUSES.includes(status)) {
+    throw new OnboardingError(`Documents cannot be changed while the account is ${status}`, 409);
+  }
+};
+
+// Replaces any earlier upload of the same type. Returns the keys of replaced
+// files so the caller can remove them from storage.
+export const upsertKycDocument = (seller, { type, url, key, number }) => {
+  if (!KYC_DOCUMENT_TYPES.includes(type)) {
+    throw new OnboardingError(`Document type must be one of ${KYC_DOCUMENT_TYPES.join(", ")}`);
+  }
+
+  const replaced = seller.kycDocuments.filter(doc => doc.type === type).map(doc => doc.key).filter(Boolean);
+  seller.kycDocuments = seller.kycDocuments.filter(doc => doc.type !== type);
+  seller.kycDocuments.push({ type, url, key, number: number || null, uploadedAt: new Date() });
+  return replaced;
+};
+
+export const setOnboardingStatus = (seller, status, { actor = SYSTEM_ACTOR, reason = null, now = new Date() } = {}) => {
+  const from = seller.onboarding?.status || "pending";
+  assertTransition(ONBOARDING_TRANSITIONS, "seller onboarding", from, status, actor);
+
+  if (REASON_REQUIRED.includes(status) && !String(reason || "").trim()) {
+    throw new OnboardingError(`A reason is required to mark a seller ${status}`);
+  }
+
+  if ((status === "under_review" || status === "approved") && !SKIP_DOCUMENT_CHECK[status]?.includes(from)) {
+    const missing = getMissingDocuments(seller);
+    if (missing.length > 0) {
+      throw new OnboardingError(`Missing documents: ${missing.join(", ")}`);
+    }
+  }
+
+  seller.onboarding.status = status;
+  seller.onboarding.reason = reason ? String(reason).trim() : null;
+  if (status === "under_review") seller.onboarding.submittedAt = now;
+  if (actor.role === "admin") {
+    seller.onboarding.reviewedBy = actor.id;
+    seller.onboarding.reviewedAt = now;
+  }
+  seller.onboarding.history.push({
+    status,
+    reason: seller.onboarding.reason,
+    actorId: actor.id || null,
+    actorRole: actor.role,
+    timestamp: now
+  });
+
+  syncSellerVerified(seller);
+  return seller;
+};
+
+export const getOnboardingSummary = (seller) => ({
+  status: seller.onboarding?.status || "pending",
+  reason: seller.onboarding?.reason || null,
+  businessType: seller.businessType,
+  requiredDocuments: getRequiredDocuments(seller),
+  missingDocuments: getMissingDocuments(seller),
+  documents: seller.kycDocuments || [],
+  gstVerification: seller.gstVerification?.status || "not_submitted",
+  verified: seller.verified,
+  submittedAt: seller.onboarding?.submittedAt || null,
+  reviewedAt: seller.onboarding?.reviewedAt || null,
+  allowedNextStates: getAllowedTransitions(ONBOARDING_TRANSITIONS, seller.onboarding?.status || "pending", "seller")
+});
+
+// Admin-owned products are always sellable.
+export const assertSellersApproved = async (lines) => {
+  const sellerIds = [...new Set(lines.map(line => line.sellerId).filter(Boolean).map(String))];
+  if (sellerIds.length === 0) return;
+
+  const blocked = await Seller.find({
+    _id: { $in: sellerIds },
+    role: { $ne: "admin" },
+    "onboarding.status": { $ne: "approved" }
+  }).distinct("_id");
+  if (blocked.length === 0) return;
+
+  const blockedIds = new Set(blocked.map(String));
+  const unavailable = lines.filter(line => blockedIds.has(String(line.sellerId)));
+  throw new SellerNotApprovedError(unavailable);
+};
+
+/*
+ * Sellers approved through the old adminApproval flag (before onboarding
+ * statuses) would otherwise sit in pending and be locked out. Maps them to
+ * onboarding approved, keeping who approved them and when, and drops the old
+ * field. Safe to run on every start.
+ */
+export const migrateLegacySellerApprovals = async () => {
+  if (mongoose.connection.readyState !== 1) return 0;
+
+  const sellers = await Seller.collection
+    .find({ role: { $ne: "admin" }, adminApproval: { $exists: true } })
+    .project({ adminApproval: 1, onboarding: 1, gstVerification: 1 })
+    .toArray();
+
+  let approved = 0;
+  for (const seller of sellers) {
+    const legacy = seller.adminApproval || {};
+    const untouched = !seller.onboarding?.history?.length
+      && [undefined, null, "pending"].includes(seller.onboarding?.status);
+
+    if (!legacy.approved || !untouched) {
+      await Seller.collection.updateOne({ _id: seller._id }, { $unset: { adminApproval: "" } });
+      continue;
+    }
+
+    const now = new Date();
+    await Seller.collection.updateOne(
+      { _id: seller._id },
+      {
+        $set: {
+          "onboarding.status": "approved",
+          "onboarding.reason": null,
+          "onboarding.reviewedBy": legacy.approvedBy || null,
+          "onboarding.reviewedAt": legacy.approvedAt || now,
+          "onboarding.history": [{
+            _id: new mongoose.Types.ObjectId(),
+            status: "approved",
+            reason: legacy.note || "Approved before seller onboarding",
+            actorId: legacy.approvedBy || null,
+            actorRole: legacy.approvedBy ? "admin" : "system",
+            timestamp: legacy.approvedAt || now
+          }],
+          verified: seller.gstVerification?.status === "verified"
+        },
+        $unset: { adminApproval: "" }
+      }
+    );
+    approved++;
+  }
+  return approved;
+};
+
+export default {
+  ONBOARDING_STATUSES,
+  KYC_DOCUMENT_TYPES,
+  KYC_UPLOAD_FIELDS,
+  ONBOARDING_TRANSITIONS,
+  OnboardingError,
+  SellerNotApprovedError,
+  getRequiredDocuments,
+  getMissingDocuments,
+  assertDocumentsEditable,
+  upsertKycDocument,
+  setOnboardingStatus,
+  getOnboardingSummary,
+  assertSellersApproved,
+  migrateLegacySellerApprovals
+};
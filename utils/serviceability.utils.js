@@ -0,0 +1,177 @@
+import ServiceablePincode from "../models/serviceablePincode.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+const MAX_ENTRIES_PER_REQUEST = 5000;
+
+// ETA for sellers that have not restricted where they ship.
+export const DEFAULT_GROCERY_ETA_DAYS = Number(process.env.DEFAULT_GROCERY_ETA_DAYS || 3);
+
+export class ServiceabilityError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ServiceabilityError";
+    this.statusCode = statusCode;
+  }
+}
+
+export class UnserviceableError extends Error {
+  constructor(pincode, lines) {
+    super(`${lines.map(line => line.title).join(", ")} cannot be delivered to pincode ${pincode}`);
+    this.name = "UnserviceableError";
+    this.statusCode = 409;
+    this.pincode = pincode;
+    this.lines = lines;
+  }
+}
+
+export const normalizePincode = (value) => {
+  const pincode = String(value ?? "").replace(/\s/g, "");
+  if (!PINCODE_PATTERN.test(pincode)) throw new ServiceabilityError("A valid 6-digit pincode is required");
+  return pincode;
+};
+
+const parseEtaDays = (value, pincode) => {
+  if (value === undefined || value === null || value === "") return DEFAULT_GROCERY_ETA_DAYS;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > 30) {
+    throw new ServiceabilityError(`etaDays for ${pincode} must be a whole number from 0 to 30`);
+  }
+  return days;
+};
+
+/*
+ * Bulk input for a seller's registry: "560001" or
+ * { pincode, etaDays, codAvailable, isActive }. Missing etaDays use the
+ * default ETA, missing codAvailable and isActive default to true.
+ */
+export const parsePincodeEntries = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new ServiceabilityError("pincodes must be a non-empty array");
+  }
+  if (input.length > MAX_ENTRIES_PER_REQUEST) {
+    throw new ServiceabilityError(`Send at most ${MAX_ENTRIES_PER_REQUEST} pincodes per request`);
+  }
+
+  const seen = new Set();
+  return input.map(entry => {
+    const raw = typeof entry === "object" && entry !== null ? entry : { pincode: entry };
+    const pincode = normalizePincode(raw.pincode);
+    if (seen.has(pincode)) throw new ServiceabilityError(`Pincode ${pincode} is listed more than once`);
+    seen.add(pincode);
+
+    return {
+      pincode,
+      etaDays: parseEtaDays(raw.etaDays, pincode),
+      codAvailable: raw.codAvailable === undefined ? true : raw.codAvailable === true || raw.codAvailable === "true",
+      isActive: raw.isActive === undefined ? true : raw.isActive === true || raw.isActive === "true"
+    };
+  });
+};
+
+const unrestricted = () => ({ serviceable: true, etaDays: DEFAULT_GROCERY_ETA_DAYS, codAvailable: true, restricted: false });
+
+/*
+ * Map of sellerId -> { serviceable, etaDays, codAvailable, restricted } for
+ * one pincode. A seller with any registry entry (even paused ones) only serves
+ * the pincodes it lists as active. Without a pincode nothing can be checked,
+ * so every seller gets the default ETA.
+ */
+export const getSellerServiceability = async (sellerIds, pincode) => {
+  const ids = [...new Set(sellerIds.filter(Boolean).map(String))];
+  const result = new Map(ids.map(id => [id, unrestricted()]));
+  if (!pincode || ids.length === 0) return result;
+
+  const [entries, restrictedIds] = await Promise.all([
+    ServiceablePincode.find({ sellerId: { $in: ids }, pincode: String(pincode).replace(/\s/g, ""), isActive: true }).lean(),
+    ServiceablePincode.distinct("sellerId", { sellerId: { $in: ids } })
+  ]);
+
+  restrictedIds.forEach(id => {
+    result.set(String(id), { serviceable: false, etaDays: null, codAvailable: false, restricted: true });
+  });
+  entries.forEach(entry => {
+    result.set(String(entry.sellerId), {
+      serviceable: true,
+      etaDays: entry.etaDays,
+      codAvailable: entry.codAvailable,
+      restricted: true
+    });
+  });
+
+  return result;
+};
+
+export const expectedDeliveryDate = (etaDays, now = new Date()) => {
+  return etaDays === null || etaDays === undefined ? null : new Date(now.getTime() + etaDays * DAY_MS);
+};
+
+// "21 Oct, 2026" in IST, the format the cart has always shown.
+export const formatDeliveryDate = (date) => {
+  if (!date) return null;
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const month = ist.toLocaleString("en-US", { month: "short", timeZone: "UTC" });
+  return `${ist.getUTCDate()} ${month}, ${ist.getUTCFullYear()}`;
+};
+
+export const etaLabel = (etaDays) => {
+  if (etaDays === null || etaDays === undefined) return null;
+  if (etaDays === 0) return "Today";
+  return etaDays === 1 ? "1 day" : `${etaDays} days`;
+};
+
+const sellerOf = (item) => String(item.sellerId?._id || item.sellerId || item.product?.sellerId?._id || item.product?.sellerId || "");
+
+/*
+ * Serviceability of every grocery line (products populated with docType and
+ * sellerId) for a pincode: { pincode, lines, unserviceable, codAvailable }.
+ * Food lines are covered by the restaurant's delivery radius instead.
+ */
+export const checkCartServiceability = async (items, pincode, now = new Date()) => {
+  const groceryItems = items.filter(item => item.product && item.product.docType !== "delivery");
+  const bySeller = await getSellerServiceability(groceryItems.map(sellerOf), pincode);
+
+  const lines = groceryItems.map(item => {
+    const status = bySeller.get(sellerOf(item)) || unrestricted();
+    const date = expectedDeliveryDate(status.etaDays, now);
+    return {
+      itemId: item._id,
+      productId: item.product._id,
+      title: item.product.title,
+      sellerId: sellerOf(item) || null,
+      ...status,
+      estimatedDelivery: etaLabel(status.etaDays),
+      expectedDeliveryDate: date,
+      expectedDeliveryLabel: formatDeliveryDate(date)
+    };
+  });
+
+  return {
+    pincode: pincode || null,
+    lines,
+    unserviceable: lines.filter(line => !line.serviceable),
+    codAvailable: lines.every(line => line.codAvailable)
+  };
+};
+
+// Throws UnserviceableError listing the lines the pincode cannot receive.
+export const assertCartServiceable = async (items, pincode, now = new Date()) => {
+  const result = await checkCartServiceability(items, pincode, now);
+  if (result.unserviceable.length > 0) throw new UnserviceableError(pincode, result.unserviceable);
+  return result;
+};
+
+export default {
+  DEFAULT_GROCERY_ETA_DAYS,
+  ServiceabilityError,
+  UnserviceableError,
+  normalizePincode,
+  parsePincodeEntries,
+  getSellerServiceability,
+  expectedDeliveryDate,
+  formatDeliveryDate,
+  etaLabel,
+  checkCartServiceability,
+  assertCartServiceable
+};
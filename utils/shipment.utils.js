@@ -0,0 +1,221 @@
+import mongoose from "mongoose";
+import { assertTransition, historyEntry, ITEM_TRANSITIONS, ORDER_TRANSITIONS, SYSTEM_ACTOR } from "./orderStatus.utils.js";
+import { roundMoney } from "./refund.utils.js";
+
+export const STATUS_FLOW = ["pending", "confirmed", "processing", "shipped", "delivered"];
+export const FINAL_STATUSES = ["cancelled", "returned"];
+
+const shipmentKey = (item) => {
+  const fulfillment = item.restaurantId || item.restaurantName ? "delivery" : "grocery";
+  return [String(item.sellerId), fulfillment, String(item.restaurantId || item.restaurantName || "")].join(":");
+};
+
+// Least advanced active status wins; a group with nothing active is cancelled
+// unless at least one line was returned.
+export const deriveStatus = (statuses = []) => {
+  const active = statuses.filter(s => !FINAL_STATUSES.includes(s));
+
+  if (active.length === 0) {
+    if (statuses.length === 0) return "pending";
+    return statuses.every(s => s === "cancelled") ? "cancelled" : "returned";
+  }
+
+  const minIndex = Math.min(...active.map(s => {
+    const idx = STATUS_FLOW.indexOf(s);
+    return idx === -1 ? 0 : idx;
+  }));
+
+  return STATUS_FLOW[minIndex];
+};
+
+// Delivery fee lines are priced per drop: one per restaurant, one for all the
+// grocery. A grocery drop spanning several sellers is split by subtotal, the
+// last shipment taking the rounding.
+const applyDeliveryFees = (shipments, feeLines = []) => {
+  feeLines.filter(line => line.type === "delivery" && line.amount > 0).forEach(line => {
+    const drop = shipments.filter(shipment => (line.restaurantId
+      ? String(shipment.restaurantId) === String(line.restaurantId)
+      : shipment.fulfillmentType === (line.fulfillmentType || "grocery")));
+    if (drop.length === 0) return;
+
+    const dropSubtotal = drop.reduce((sum, shipment) => sum + shipment.subtotal, 0);
+    let allocated = 0;
+    drop.forEach((shipment, index) => {
+      const share = index === drop.length - 1
+        ? roundMoney(line.amount - allocated)
+        : roundMoney(dropSubtotal > 0 ? line.amount * shipment.subtotal / dropSubtotal : line.amount / drop.length);
+      allocated = roundMoney(allocated + share);
+      shipment.deliveryCharge = roundMoney(shipment.deliveryCharge + share);
+    });
+  });
+};
+
+// feeLines are the order's resolved fee lines (priceSummary.feeLines).
+export const buildShipments = (orderItems, feeLines = []) => {
+  const groups = new Map();
+
+  orderItems.forEach(item => {
+    if (!item._id) item._id = new mongoose.Types.ObjectId();
+
+    const key = shipmentKey(item);
+    if (!groups.has(key)) {
+      const isDelivery = Boolean(item.restaurantId || item.restaurantName);
+      groups.set(key, {
+        _id: new mongoose.Types.ObjectId(),
+        sellerId: item.sellerId,
+        fulfillmentType: isDelivery ? "delivery" : "grocery",
+        restaurantId: item.restaurantId || null,
+        restaurantName: item.restaurantName || null,
+        items: [],
+        status: item.itemStatus || "pending",
+        statusHistory: [],
+        estimatedDelivery: item.estimatedDelivery || null,
+        estimatedDeliveryDate: item.estimatedDeliveryDate || null,
+        subtotal: 0,
+        deliveryCharge: 0,
+        payoutAmount: 0
+      });
+    }
+
+    const shipment = groups.get(key);
+    const lineTotal = item.totalDiscountedPrice ?? (item.discountedPrice || item.price) * item.quantity;
+
+    shipment.items.push(item._id);
+    shipment.subtotal += lineTotal;
+
+    if (item.estimatedDeliveryDate && (!shipment.estimatedDeliveryDate || item.estimatedDeliveryDate > shipment.estimatedDeliveryDate)) {
+      shipment.estimatedDeliveryDate = item.estimatedDeliveryDate;
+      shipment.estimatedDelivery = item.estimatedDelivery;
+    }
+
+    item.shipmentId = shipment._id;
+  });
+
+  const shipments = [...groups.values()];
+  applyDeliveryFees(shipments, feeLines);
+
+  return shipments.map(shipment => {
+    const statuses = orderItems
+      .filter(i => String(i.shipmentId) === String(shipment._id))
+      .map(i => i.itemStatus || "pending");
+    shipment.status = deriveStatus(statuses);
+    shipment.statusHistory.push(historyEntry(shipment.status, "Shipment created"));
+    shipment.payoutAmount = shipment.subtotal;
+    return shipment;
+  });
+};
+
+// Orders placed before shipments existed are split lazily the first time they are touched.
+export const ensureShipments = (order) => {
+  if (order.shipments && order.shipments.length > 0) return false;
+
+  const shipments = buildShipments(order.items, order.priceSummary?.feeLines);
+  order.shipments = shipments;
+  return true;
+};
+
+export const getShipmentItems = (order, shipment) => {
+  const ids = new Set((shipment.items || []).map(String));
+  return order.items.filter(i => ids.has(String(i._id)));
+};
+
+const stampShipment = (shipment, status, now) => {
+  if (status === "shipped") shipment.shippedAt = shipment.shippedAt || now;
+  if (status === "delivered") shipment.deliveredAt = shipment.deliveredAt || now;
+  if (status === "cancelled") shipment.cancelledAt = shipment.cancelledAt || now;
+};
+
+export const setItemStatus = (item, status, { notes, actor = SYSTEM_ACTOR, now = new Date() } = {}) => {
+  assertTransition(ITEM_TRANSITIONS, "item", item.itemStatus, status, actor);
+
+  item.itemStatus = status;
+  item.statusHistory.push(historyEntry(status, notes, actor, now));
+  if (status === "delivered") item.deliveredAt = item.deliveredAt || now;
+  if (status === "cancelled") item.cancelledAt = item.cancelledAt || now;
+};
+
+export const setShipmentStatus = (order, shipment, status, { notes, actor = SYSTEM_ACTOR, now = new Date() } = {}) => {
+  assertTransition(ITEM_TRANSITIONS, "shipment", shipment.status, status, actor);
+
+  const items = getShipmentItems(order, shipment)
+    .filter(item => !FINAL_STATUSES.includes(item.itemStatus) && item.itemStatus !== status);
+  items.forEach(item => assertTransition(ITEM_TRANSITIONS, "item", item.itemStatus, status, actor));
+
+  shipment.status = status;
+  shipment.statusHistory.push(historyEntry(status, notes, actor, now));
+  stampShipment(shipment, status, now);
+
+  items.forEach(item => setItemStatus(item, status, { notes, actor, now }));
+};
+
+export const syncShipmentStatus = (order, shipment, { notes, actor = SYSTEM_ACTOR, now = new Date() } = {}) => {
+  const status = deriveStatus(getShipmentItems(order, shipment).map(i => i.itemStatus));
+  if (status === shipment.status) return false;
+
+  shipment.status = status;
+  shipment.statusHistory.push(historyEntry(status, notes, actor, now));
+  stampShipment(shipment, status, now);
+  return true;
+};
+
+export const syncOrderStatus = (order, { notes, actor = SYSTEM_ACTOR, now = new Date() } = {}) => {
+  const current = deriveStatus(order.shipments.map(s => s.status));
+  order.orderStatus.current = current;
+
+  const lastHistory = order.orderStatus.history[order.orderStatus.history.length - 1];
+  if (!lastHistory || lastHistory.status !== current) {
+    order.orderStatus.history.push(historyEntry(current, notes, actor, now));
+  }
+
+  order.timeline = order.timeline || {};
+  if (current === "confirmed") order.timeline.orderConfirmed = order.timeline.orderConfirmed || now;
+  if (current === "processing") order.timeline.processingStarted = order.timeline.processingStarted || now;
+  if (current === "shipped") order.timeline.orderShipped = order.timeline.orderShipped || now;
+  if (current === "delivered") {
+    order.timeline.orderDelivered = order.timeline.orderDelivered || now;
+    order.actualDeliveryDate = order.actualDeliveryDate || now;
+  }
+  if (current === "cancelled") order.timeline.orderCancelled = order.timeline.orderCancelled || now;
+  if (current === "returned") order.timeline.orderReturned = order.timeline.orderReturned || now;
+
+  return current;
+};
+
+// Moves the whole order (e.g. a user cancelling or returning). The order-level
+// move is checked first, then every open shipment has to accept it as well.
+export const setAllShipmentsStatus = (order, status, { notes, actor = SYSTEM_ACTOR, now = new Date() } = {}) => {
+  ensureShipments(order);
+  assertTransition(ORDER_TRANSITIONS, "order", order.orderStatus.current, status, actor);
+
+  const open = order.shipments.filter(shipment => {
+    if (FINAL_STATUSES.includes(shipment.status)) return false;
+    return status !== "returned" || shipment.status === "delivered";
+  });
+  open.forEach(shipment => assertTransition(ITEM_TRANSITIONS, "shipment", shipment.status, status, actor));
+  open.forEach(shipment => setShipmentStatus(order, shipment, status, { notes, actor, now }));
+
+  return syncOrderStatus(order, { notes, actor, now });
+};
+
+export const confirmPendingShipments = (order, { notes, actor = SYSTEM_ACTOR, now = new Date() } = {}) => {
+  ensureShipments(order);
+  order.shipments.forEach(shipment => {
+    if (shipment.status === "pending") setShipmentStatus(order, shipment, "confirmed", { notes, actor, now });
+  });
+  return syncOrderStatus(order, { notes, actor, now });
+};
+
+export default {
+  STATUS_FLOW,
+  FINAL_STATUSES,
+  deriveStatus,
+  buildShipments,
+  ensureShipments,
+  getShipmentItems,
+  setItemStatus,
+  setShipmentStatus,
+  syncShipmentStatus,
+  syncOrderStatus,
+  setAllShipmentsStatus,
+  confirmPendingShipments
+};
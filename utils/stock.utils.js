@@ -0,0 +1,194 @@
+import mongoose from "mongoose";
+import Product from "../models/product.model.js";
+import Order from "../models/order.model.js";
+import { getDefaultPackSize } from "./packSize.utils.js";
+
+export class InsufficientStockError extends Error {
+  constructor(failedItems = []) {
+    super("Insufficient stock for some items in your cart");
+    this.name = "InsufficientStockError";
+    this.statusCode = 409;
+    this.failedItems = failedItems;
+  }
+}
+
+const applyStockDelta = (productId, delta, session, guard = {}) => {
+  return Product.updateOne(
+    { _id: productId, ...guard },
+    [
+      {
+        $set: {
+          stock: { $add: ["$stock", delta] },
+          inStock: { $gt: [{ $add: ["$stock", delta] }, 0] }
+        }
+      }
+    ],
+    { session, updatePipeline: true }
+  );
+};
+
+// Sum of the active pack sizes, which is what the parent product lists as stock.
+const activePackStock = {
+  $sum: {
+    $map: {
+      input: { $filter: { input: "$packSizes", cond: { $ne: ["$$this.isActive", false] } } },
+      in: "$$this.stock"
+    }
+  }
+};
+
+const applyPackSizeStockDelta = (productId, variantId, delta, session, guard = {}) => {
+  return Product.updateOne(
+    { _id: productId, ...guard },
+    [
+      {
+        $set: {
+          packSizes: {
+            $map: {
+              input: "$packSizes",
+              as: "size",
+              in: {
+                $cond: [
+                  { $eq: ["$$size._id", variantId] },
+                  {
+                    $mergeObjects: ["$$size", {
+                      stock: { $add: ["$$size.stock", delta] },
+                      inStock: { $gt: [{ $add: ["$$size.stock", delta] }, 0] }
+                    }]
+                  },
+                  "$$size"
+                ]
+              }
+            }
+          }
+        }
+      },
+      { $set: { stock: activePackStock, inStock: { $gt: [activePackStock, 0] } } }
+    ],
+    { session, updatePipeline: true }
+  );
+};
+
+// Lines with a variantId move the stock of that pack size, others the product's
+// own. A product's own stock is only touched when it has no pack sizes: with
+// them it is recomputed from the pack sizes and the change would be lost.
+const variantOf = (item) => (item.variantId ? new mongoose.Types.ObjectId(String(item.variantId)) : null);
+const NO_PACK_SIZES = { "packSizes.0": { $exists: false } };
+
+// Cart lines added before their product got pack sizes name none; they are
+// bought as the default pack size, the one addToCart would pick. Sets
+// variantId, variantLabel and sku on the lines so the order records it.
+export const resolveLinePackSizes = async (items) => {
+  const unresolved = items.filter(item => !item.variantId);
+  if (unresolved.length === 0) return;
+
+  const products = await Product.find({
+    _id: { $in: unresolved.map(item => item.product?._id || item.product) },
+    "packSizes.0": { $exists: true }
+  }).select("packSizes").lean();
+  const byId = new Map(products.map(product => [String(product._id), product]));
+
+  unresolved.forEach(item => {
+    const packSize = getDefaultPackSize(byId.get(String(item.product?._id || item.product)));
+    if (!packSize) return;
+    item.variantId = packSize._id;
+    item.variantLabel = packSize.label;
+    item.sku = packSize.sku;
+  });
+};
+
+export const reserveStock = async (items, session) => {
+  const failedItems = [];
+
+  for (const item of items) {
+    const productId = item.product?._id || item.product;
+    const quantity = item.quantity;
+    const variantId = variantOf(item);
+
+    const result = variantId
+      ? await applyPackSizeStockDelta(productId, variantId, -quantity, session, {
+        packSizes: { $elemMatch: { _id: variantId, isActive: true, stock: { $gte: quantity } } },
+        isActive: true
+      })
+      : await applyStockDelta(productId, -quantity, session, {
+        stock: { $gte: quantity },
+        isActive: true,
+        ...NO_PACK_SIZES
+      });
+
+    if (result.modifiedCount === 0) {
+      const product = await Product.findById(productId).select("title stock isActive packSizes").session(session).lean();
+      const packSize = variantId ? product?.packSizes?.find(size => String(size._id) === String(variantId)) : null;
+      let available = product?.stock || 0;
+      if (variantId) available = packSize && packSize.isActive !== false ? packSize.stock || 0 : 0;
+      else if (product?.packSizes?.length) available = 0;
+
+      failedItems.push({
+        cartItemId: item._id,
+        productId,
+        variantId,
+        variantLabel: packSize?.label || null,
+        title: product?.title || null,
+        requested: quantity,
+        available: product && product.isActive ? Math.max(0, available) : 0
+      });
+    }
+  }
+
+  if (failedItems.length > 0) {
+    throw new InsufficientStockError(failedItems);
+  }
+};
+
+// Order lines may have been partly restocked already (e.g. after an item refund).
+export const returnStock = async (items, session) => {
+  for (const item of items) {
+    const quantity = item.quantity - (item.restockedQuantity || 0);
+    if (quantity <= 0) continue;
+
+    const productId = item.product?._id || item.product;
+    const variantId = variantOf(item);
+    if (variantId) {
+      await applyPackSizeStockDelta(productId, variantId, quantity, session);
+    } else {
+      await applyStockDelta(productId, quantity, session, NO_PACK_SIZES);
+    }
+  }
+};
+
+export const restockOrderItems = async (order, items, session) => {
+  if (order.stockReservation?.status !== "reserved") return false;
+
+  await returnStock(items, session);
+  items.forEach(item => {
+    item.restockedQuantity = item.quantity;
+  });
+  return true;
+};
+
+export const releaseOrderStock = async (order, session, status = "released") => {
+  const releasedAt = new Date();
+
+  const claimed = await Order.updateOne(
+    { _id: order._id, "stockReservation.status": "reserved" },
+    { $set: { "stockReservation.status": status, "stockReservation.releasedAt": releasedAt } },
+    { session }
+  );
+
+  if (claimed.modifiedCount === 0) return false;
+
+  await returnStock(order.items, session);
+
+  order.stockReservation.status = status;
+  order.stockReservation.releasedAt = releasedAt;
+  return true;
+};
+
+export default {
+  InsufficientStockError,
+  resolveLinePackSizes,
+  reserveStock,
+  returnStock,
+  restockOrderItems,
+  releaseOrderStock
+};
@@ -32,7 +32,8 @@ export const retrievePaymentIntent = async (paymentIntentId) => {
     }
 };
 
-export const createStripeRefund = async (paymentIntentId, amount) => {
+// A retry with the same idempotencyKey returns the original refund instead of a new one.
+export const createStripeRefund = async (paymentIntentId, amount, idempotencyKey) => {
     try {
         const refundData = {
             payment_intent: paymentIntentId
@@ -42,13 +43,24 @@ export const createStripeRefund = async (paymentIntentId, amount) => {
             refundData.amount = Math.round(Number(amount) * 100);
         }
 
-        const refund = await stripe.refunds.create(refundData);
+        const refund = await stripe.refunds.create(refundData, idempotencyKey ? { idempotencyKey } : undefined);
         return refund;
     } catch (error) {
         throw new Error(`Stripe Refund Failed: ${error.message}`);
     }
 };
 
+export const cancelPaymentIntent = async (paymentIntentId, reason = 'abandoned') => {
+    try {
+        const paymentIntent = await stripe.paymentIntents.cancel(paymentIntentId, {
+            cancellation_reason: reason
+        });
+        return paymentIntent;
+    } catch (error) {
+        throw new Error(`Stripe Payment Intent Cancel Failed: ${error.message}`);
+    }
+};
+
 export const constructWebhookEvent = (rawBody, signature, webhookSecret) => {
     try {
         const event = stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
@@ -77,5 +89,6 @@ export default {
     retrievePaymentIntent,
     confirmPaymentIntent,
     createStripeRefund,
+    cancelPaymentIntent,
     constructWebhookEvent
 };
@@ -0,0 +1,181 @@
+import Product from "../models/product.model.js";
+import Category from "../models/category.model.js";
+import Seller from "../models/seller.model.js";
+import { roundMoney } from "./refund.utils.js";
+import { splitCouponDiscount } from "./coupon.utils.js";
+
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+// Used when neither the product nor its category sets a rate.
+export const DEFAULT_GST_RATES = {
+  delivery: Number(process.env.GST_RATE_FOOD ?? 5),
+  grocery: Number(process.env.GST_RATE_GROCERY ?? 5)
+};
+
+export class TaxError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "TaxError";
+    this.statusCode = statusCode;
+  }
+}
+
+// undefined = not sent, null = inherit from category / default.
+export const parseGstRate = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "" || value === "null") return null;
+
+  const rate = Number(value);
+  if (!GST_RATES.includes(rate)) throw new TaxError(`GST rate must be one of ${GST_RATES.join(", ")}`);
+  return rate;
+};
+
+export const parseHsnCode = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === "" || value === "null") return null;
+
+  const code = String(value).trim();
+  if (!/^\d{4}(\d{2}){0,2}$/.test(code)) throw new TaxError("HSN code must be 4, 6 or 8 digits");
+  return code;
+};
+
+export const normalizeState = (state) => String(state || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+// The state on the verified GSTIN, else the first pickup address.
+export const getSellerState = (seller) => {
+  return seller?.gstState || seller?.pickUpAddr?.find(addr => addr.state)?.state || null;
+};
+
+// Catalogue prices include GST, so the tax is carved out of the amount paid.
+export const splitInclusiveTax = (amount, rate, interState) => {
+  const taxableValue = roundMoney(amount * 100 / (100 + rate));
+  const totalTax = roundMoney(amount - taxableValue);
+
+  if (interState) {
+    return { rate, taxableValue, cgst: 0, sgst: 0, igst: totalTax, totalTax };
+  }
+
+  const cgst = roundMoney(totalTax / 2);
+  return { rate, taxableValue, cgst, sgst: roundMoney(totalTax - cgst), igst: 0, totalTax };
+};
+
+// Rate and HSN per product: the product's own, then its category, then the
+// parent category, then the food/grocery default.
+const loadTaxProfiles = async (productIds) => {
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select("docType category gstRate hsnCode")
+    .lean();
+
+  const categories = await Category.find({ _id: { $in: products.map(p => p.category).filter(Boolean) } })
+    .select("gstRate hsnCode parentCategory")
+    .lean();
+  const parentIds = categories.map(c => c.parentCategory).filter(Boolean);
+  const parents = parentIds.length > 0
+    ? await Category.find({ _id: { $in: parentIds } }).select("gstRate hsnCode").lean()
+    : [];
+  const categoryById = new Map([...categories, ...parents].map(c => [String(c._id), c]));
+
+  return new Map(products.map(product => {
+    const category = categoryById.get(String(product.category));
+    const parent = category?.parentCategory ? categoryById.get(String(category.parentCategory)) : null;
+    const pick = (field) => [product, category, parent]
+      .map(source => source?.[field])
+      .find(value => value !== null && value !== undefined);
+
+    return [String(product._id), {
+      gstRate: pick("gstRate") ?? DEFAULT_GST_RATES[product.docType] ?? 0,
+      hsnCode: pick("hsnCode") || null
+    }];
+  }));
+};
+
+const loadSellerStates = async (sellerIds) => {
+  const sellers = await Seller.find({ _id: { $in: sellerIds } }).select("gstState pickUpAddr").lean();
+  return new Map(sellers.map(seller => [String(seller._id), getSellerState(seller)]));
+};
+
+export const summarizeTax = (lines) => {
+  const rates = new Map();
+  const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+
+  lines.forEach(line => {
+    if (!rates.has(line.rate)) {
+      rates.set(line.rate, { rate: line.rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 });
+    }
+    const bucket = rates.get(line.rate);
+    Object.keys(totals).forEach(key => {
+      bucket[key] = roundMoney(bucket[key] + line[key]);
+      totals[key] = roundMoney(totals[key] + line[key]);
+    });
+  });
+
+  return {
+    inclusive: true,
+    ...totals,
+    rates: [...rates.values()].sort((a, b) => a.rate - b.rate),
+    lines
+  };
+};
+
+/*
+ * GST on goods, split CGST+SGST when the seller ships within the customer's
+ * state and IGST otherwise. `lines` are [{ itemId, product, sellerId, amount }]
+ * with amount being what the customer pays for the line after coupons. Fees
+ * and EMI interest are not taxed here.
+ */
+export const computeGst = async (lines, shippingState) => {
+  const productIds = [...new Set(lines.map(line => String(line.product?._id || line.product)))];
+  const sellerIds = [...new Set(lines.map(line => String(line.sellerId)))];
+
+  const [profiles, sellerStates] = await Promise.all([
+    loadTaxProfiles(productIds),
+    loadSellerStates(sellerIds)
+  ]);
+  const destination = normalizeState(shippingState);
+
+  const taxLines = lines.map(line => {
+    const profile = profiles.get(String(line.product?._id || line.product)) || { gstRate: 0, hsnCode: null };
+    const origin = normalizeState(sellerStates.get(String(line.sellerId)));
+    // Without both states an intra-state supply can't be shown, so it is billed as IGST.
+    const interState = !origin || !destination || origin !== destination;
+
+    return {
+      itemId: line.itemId,
+      sellerId: line.sellerId,
+      hsnCode: profile.hsnCode,
+      supplyType: interState ? "inter" : "intra",
+      ...splitInclusiveTax(line.amount, profile.gstRate, interState)
+    };
+  });
+
+  return summarizeTax(taxLines);
+};
+
+export const computeCartTax = (cart, shippingState) => {
+  const couponShares = cart.appliedCoupon?.couponId
+    ? splitCouponDiscount(cart.appliedCoupon, cart.items, cart.appliedCoupon.discountApplied || 0)
+    : new Map();
+
+  const lines = cart.items.map(item => ({
+    itemId: item._id,
+    product: item.product,
+    sellerId: item.sellerId,
+    amount: (item.discountedPrice || item.price) * item.quantity - (couponShares.get(String(item._id)) || 0)
+  }));
+
+  return computeGst(lines, shippingState);
+};
+
+export default {
+  GST_RATES,
+  DEFAULT_GST_RATES,
+  TaxError,
+  parseGstRate,
+  parseHsnCode,
+  normalizeState,
+  getSellerState,
+  splitInclusiveTax,
+  summarizeTax,
+  computeGst,
+  computeCartTax
+};